@@ -5,6 +5,7 @@ import Login from './components/Login';
 import LobbyNew from './components/LobbyNew';
 import Room from './components/Room';
 import TimelinePage from './components/TimelinePage';
+import { clearSessionTokens, logoutSession } from './utils/authSession';
 import './App.css';
 
 function App() {
@@ -15,6 +16,7 @@ function App() {
   const [inviteRoomId, setInviteRoomId] = useState(null);
   const [timelineUserId, setTimelineUserId] = useState(null);
   const [previousView, setPreviousView] = useState('lobby');
+  const [feedTag, setFeedTag] = useState(null);
 
   const timelineBackLabel = previousView === 'room'
     ? 'Back to Room'
@@ -66,7 +68,7 @@ function App() {
           } else {
             console.log('Session expired, clearing...');
             localStorage.removeItem('hangout_session');
-            localStorage.removeItem('hangout_token');
+            clearSessionTokens();
             localStorage.removeItem('hangout_user');
           }
         } catch (error) {
@@ -142,12 +144,15 @@ function App() {
                 setInviteRoomId(null);
               }}
               onViewTimeline={(userId) => openTimeline(userId, { fromView: 'lobby' })}
+              initialFeedTag={feedTag}
+              onFeedTagChange={setFeedTag}
               onLogout={() => {
                 // Clear session data
                 localStorage.removeItem('hangout_session');
-                localStorage.removeItem('hangout_token');
+                logoutSession(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000');
                 localStorage.removeItem('hangout_user');
                 setInviteRoomId(null);
+                setFeedTag(null);
                 setUser(null);
                 setCurrentView('login');
               }}
@@ -172,6 +177,10 @@ function App() {
               currentUser={user}
               targetUserId={timelineUserId}
               onNavigateToUser={(userId) => openTimeline(userId, { fromView: previousView })}
+              onOpenTag={(tag) => {
+                setFeedTag(tag);
+                setCurrentView('lobby');
+              }}
               onBack={() => setCurrentView(previousView || 'lobby')}
               backLabel={timelineBackLabel}
             />
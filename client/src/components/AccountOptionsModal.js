@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { cropAndResizeToSquareDataUrl, readFileAsDataUrl } from '../utils/imageUtils';
+import { authFetch } from '../utils/authSession';
 import './AccountOptionsModal.css';
 
 const RESEND_VERIFY_COOLDOWN_MS = 2 * 60 * 1000;
@@ -46,7 +47,7 @@ function AccountOptionsModal({ open, onClose, currentUser, onUserUpdated }) {
     if (Date.now() < resendAvailableAt) return;
     setSaving(true);
     try {
-      const res = await fetch(`${apiBase}/api/users/${encodeURIComponent(userId)}/resend-verification`, {
+      const res = await authFetch(apiBase, `/api/users/${encodeURIComponent(userId)}/resend-verification`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
@@ -103,7 +104,7 @@ function AccountOptionsModal({ open, onClose, currentUser, onUserUpdated }) {
 
     setSaving(true);
     try {
-      const res = await fetch(`${apiBase}/api/users/${encodeURIComponent(userId)}/email`, {
+      const res = await authFetch(apiBase, `/api/users/${encodeURIComponent(userId)}/email`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ email: normalizedEmail, password: emailPassword })
@@ -154,7 +155,7 @@ function AccountOptionsModal({ open, onClose, currentUser, onUserUpdated }) {
 
     setSaving(true);
     try {
-      const res = await fetch(`${apiBase}/api/users/${encodeURIComponent(userId)}/password`, {
+      const res = await authFetch(apiBase, `/api/users/${encodeURIComponent(userId)}/password`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ currentPassword, newPassword })
@@ -194,7 +195,7 @@ function AccountOptionsModal({ open, onClose, currentUser, onUserUpdated }) {
 
     setSaving(true);
     try {
-      const res = await fetch(`${apiBase}/api/users/${encodeURIComponent(userId)}`, {
+      const res = await authFetch(apiBase, `/api/users/${encodeURIComponent(userId)}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -247,7 +248,7 @@ function AccountOptionsModal({ open, onClose, currentUser, onUserUpdated }) {
         quality: 0.86
       });
 
-      const res = await fetch(`${apiBase}/api/users/${encodeURIComponent(userId)}`, {
+      const res = await authFetch(apiBase, `/api/users/${encodeURIComponent(userId)}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faXmark } from '@fortawesome/free-solid-svg-icons';
+import './FeedPoll.css';
+
+const MAX_OPTIONS = 6;
+const DURATIONS = [
+  { value: '', label: 'No end' },
+  { value: String(60 * 60 * 1000), label: '1 hour' },
+  { value: String(24 * 60 * 60 * 1000), label: '1 day' },
+  { value: String(3 * 24 * 60 * 60 * 1000), label: '3 days' },
+  { value: String(7 * 24 * 60 * 60 * 1000), label: '1 week' }
+];
+
+export const EMPTY_POLL_DRAFT = { options: ['', ''], multiple: false, anonymous: false, duration: '' };
+
+// Draft -> the `poll` field of postToNewsFeed.
+export function toPollPayload(draft) {
+  return {
+    options: draft.options.map(o => o.trim()).filter(Boolean),
+    multiple: draft.multiple,
+    anonymous: draft.anonymous,
+    closesAt: draft.duration ? Date.now() + Number(draft.duration) : null
+  };
+}
+
+export function FeedPollComposer({ draft, onChange }) {
+  const setOption = (index, value) => {
+    onChange({ ...draft, options: draft.options.map((o, i) => (i === index ? value : o)) });
+  };
+
+  return (
+    <div className="feed-poll-composer">
+      {draft.options.map((option, index) => (
+        <div key={index} className="feed-poll-composer__option">
+          <input
+            type="text"
+            placeholder={`Option ${index + 1}`}
+            value={option}
+            onChange={(e) => setOption(index, e.target.value)}
+            maxLength={80}
+          />
+          {draft.options.length > 2 ? (
+            <button
+              type="button"
+              className="btn-link"
+              onClick={() => onChange({ ...draft, options: draft.options.filter((_, i) => i !== index) })}
+              aria-label="Remove option"
+            >
+              <FontAwesomeIcon icon={faXmark} />
+            </button>
+          ) : null}
+        </div>
+      ))}
+      <div className="feed-poll-composer__settings">
+        {draft.options.length < MAX_OPTIONS ? (
+          <button type="button" className="btn-link" onClick={() => onChange({ ...draft, options: [...draft.options, ''] })}>
+            <FontAwesomeIcon icon={faPlus} /> Add option
+          </button>
+        ) : null}
+        <label>
+          <input type="checkbox" checked={draft.multiple} onChange={(e) => onChange({ ...draft, multiple: e.target.checked })} />
+          Multiple choice
+        </label>
+        <label>
+          <input type="checkbox" checked={draft.anonymous} onChange={(e) => onChange({ ...draft, anonymous: e.target.checked })} />
+          Anonymous
+        </label>
+        <select value={draft.duration} onChange={(e) => onChange({ ...draft, duration: e.target.value })} aria-label="Poll length">
+          {DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// A post's poll with live tallies. Votes go straight to the server; the new tallies come back
+// through feedPostUpdated like any other post change.
+function FeedPoll({ poll, postId, socket, disabled = false }) {
+  const [now, setNow] = useState(Date.now());
+  const closesAt = poll?.closesAt || null;
+
+  // Flip to "Closed" when the close time passes while the post is on screen.
+  useEffect(() => {
+    if (!closesAt || closesAt <= now) return undefined;
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(closesAt - now + 50, 2147483647));
+    return () => clearTimeout(timer);
+  }, [closesAt, now]);
+
+  if (!poll) return null;
+
+  const closed = poll.closed || (closesAt != null && closesAt <= now);
+  const mine = new Set(poll.myOptionIds || []);
+  const totalVotes = poll.options.reduce((sum, o) => sum + (o.count || 0), 0);
+
+  const vote = (optionId) => {
+    if (!socket || closed || disabled) return;
+    let next;
+    if (poll.multiple) {
+      next = new Set(mine);
+      if (next.has(optionId)) next.delete(optionId);
+      else next.add(optionId);
+    } else {
+      next = mine.has(optionId) ? new Set() : new Set([optionId]);
+    }
+    socket.emit('voteFeedPoll', { postId, optionIds: Array.from(next) }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Vote failed');
+    });
+  };
+
+  const status = closed
+    ? 'Closed'
+    : closesAt ? `Closes ${new Date(closesAt).toLocaleString()}` : 'Open';
+
+  return (
+    <div className="feed-poll">
+      {poll.options.map(o => {
+        const percent = totalVotes ? Math.round((o.count / totalVotes) * 100) : 0;
+        return (
+          <button
+            key={o.id}
+            type="button"
+            className={`feed-poll__option ${mine.has(o.id) ? 'chosen' : ''}`}
+            onClick={() => vote(o.id)}
+            disabled={closed || disabled}
+          >
+            <span className="feed-poll__bar" style={{ width: `${percent}%` }} />
+            <span className="feed-poll__text">{o.text}</span>
+            <span className="feed-poll__count">{o.count} · {percent}%</span>
+          </button>
+        );
+      })}
+      <div className="feed-poll__meta">
+        {poll.voterCount} {poll.voterCount === 1 ? 'voter' : 'voters'}
+        {' · '}{poll.multiple ? 'Multiple choice' : 'Single choice'}
+        {poll.anonymous ? ' · Anonymous' : ''}
+        {' · '}{status}
+      </div>
+    </div>
+  );
+}
+
+export default FeedPoll;
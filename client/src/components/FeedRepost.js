@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { visibilityOptionsWithin } from '../utils/feedVisibility';
+import './FeedRepost.css';
+
+// What sharing `post` shares: the original of a repost, the post itself otherwise. null when the
+// original isn't available to this viewer.
+export function shareTarget(post) {
+  return post?.repostOf ? post.original : post;
+}
+
+// Other people's posts can be shared while public; your own at any visibility.
+export function canShare(post, userId) {
+  const target = shareTarget(post);
+  return !!target && (target.visibility === 'public' || String(target.authorId) === String(userId));
+}
+
+export function RepostForm({ post, socket, onDone }) {
+  const target = shareTarget(post);
+  const options = visibilityOptionsWithin(target?.visibility);
+  const [text, setText] = useState('');
+  const [visibility, setVisibility] = useState(options[0].value);
+  const [sending, setSending] = useState(false);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!socket || !target || sending) return;
+    setSending(true);
+    socket.emit('repostFeedPost', { postId: target.id, content: text, visibility }, (res) => {
+      setSending(false);
+      if (res?.ok === false) alert(res.message || 'Share failed');
+      else onDone();
+    });
+  };
+
+  return (
+    <form className="feed-repost-form" onSubmit={submit}>
+      <textarea
+        placeholder="Say something about this (optional)"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={500}
+        rows={2}
+        autoFocus
+      />
+      <div className="feed-repost-form__actions">
+        <select value={visibility} onChange={(e) => setVisibility(e.target.value)} aria-label="Who can see this share">
+          {options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onDone}>Cancel</button>
+        <button type="submit" className="btn btn-primary btn-sm" disabled={sending}>Share</button>
+      </div>
+    </form>
+  );
+}
+
+// The shared post inside a repost.
+function RepostEmbed({ original, renderText = (text) => text, onOpenProfile, onOpenImage }) {
+  if (!original) return <div className="feed-repost feed-repost--unavailable">This post isn't available</div>;
+
+  const openProfile = () => {
+    if (typeof onOpenProfile === 'function') onOpenProfile(original.authorId);
+  };
+
+  return (
+    <div className="feed-repost">
+      <div className="feed-repost__meta">
+        {original.authorProfilePicture ? (
+          <img src={original.authorProfilePicture} alt="" className="feed-repost__avatar" />
+        ) : (
+          <span className="feed-repost__avatar">{original.authorAvatar}</span>
+        )}
+        <button type="button" className="feed-repost__author" onClick={openProfile}>{original.author}</button>
+        <span className="feed-repost__time">
+          {new Date(original.timestamp).toLocaleString()}
+          {original.editedAt ? ' (edited)' : ''}
+        </span>
+      </div>
+      {original.content ? <div className="feed-repost__content">{renderText(original.content)}</div> : null}
+      {original.images?.length ? (
+        <div className="feed-repost__images">
+          {original.images.slice(0, 4).map(img => (
+            typeof onOpenImage === 'function' ? (
+              <button key={img.fileId || img.url} type="button" onClick={() => onOpenImage(img)} aria-label="Open image">
+                <img src={img.url} alt={img.name || ''} loading="lazy" />
+              </button>
+            ) : (
+              <img key={img.fileId || img.url} src={img.url} alt={img.name || ''} loading="lazy" />
+            )
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default RepostEmbed;
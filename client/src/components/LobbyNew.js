@@ -1,18 +1,20 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useSocket } from '../context/SocketContext';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
   faBolt,
   faComments,
-  faFire,
+  faSquarePollHorizontal,
   faChevronLeft,
   faImage,
   faLayerGroup,
   faLink,
+  faMagnifyingGlass,
   faNewspaper,
   faPaperPlane,
   faPlus,
   faRightToBracket,
+  faRetweet,
   faArrowUp,
   faXmark,
   faUserGroup
@@ -20,12 +22,43 @@ import {
 import Notifications from './Notifications';
 import Profile from './Profile';
 import AccountOptionsModal from './AccountOptionsModal';
+import FeedPoll, { EMPTY_POLL_DRAFT, FeedPollComposer, toPollPayload } from './FeedPoll';
+import RepostEmbed, { RepostForm, canShare } from './FeedRepost';
+import { authFetch } from '../utils/authSession';
+import { VISIBILITY_OPTIONS, visibilityOption, visibilityOptionsWithin } from '../utils/feedVisibility';
+import { DEFAULT_REACTION_TYPES, myReaction, reactionCount, reactionEmoji } from '../utils/feedReactions';
+import { matchHashtag } from '../utils/hashtags';
 import './LobbyNew.css';
 
-function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, onUserUpdated }) {
+const FEED_PAGE_SIZE = 20;
+const FEED_MODES = [
+  { value: 'latest', label: 'Latest' },
+  { value: 'friends', label: 'Friends' },
+  { value: 'trending', label: 'Trending' }
+];
+
+// getDirectMessages item -> the entry shape kept in directMessagesByUserId.
+function toDirectMessageEntry(m, { myUserId, myUsername, otherUsername }) {
+  const direction = m.fromUserId === myUserId ? 'sent' : 'received';
+  return {
+    id: m.id,
+    fromId: m.fromUserId,
+    toUserId: m.toUserId,
+    from: direction === 'sent' ? myUsername : otherUsername,
+    to: direction === 'sent' ? otherUsername : myUsername,
+    message: m.message,
+    image: m.image || null,
+    deliveredAt: m.deliveredAt || null,
+    readAt: m.readAt || null,
+    timestamp: m.timestamp,
+    direction
+  };
+}
+
+function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, onUserUpdated, initialFeedTag = null, onFeedTagChange }) {
   const { socket, registerUser } = useSocket();
   const apiBase = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
-  const [activeTab, setActiveTab] = useState('friends'); // friends, rooms, dms, feed
+  const [activeTab, setActiveTab] = useState(initialFeedTag ? 'feed' : 'friends'); // friends, rooms, dms, feed
   const [rooms, setRooms] = useState([]);
   const [friends, setFriends] = useState([]);
   const [onlineFriends, setOnlineFriends] = useState(new Set());
@@ -39,6 +72,22 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
   const [dmMessage, setDmMessage] = useState('');
   const [dmImageFile, setDmImageFile] = useState(null);
   const [dmImagePreviewUrl, setDmImagePreviewUrl] = useState('');
+  const [dmTypingByUserId, setDmTypingByUserId] = useState({});
+  const [conversations, setConversations] = useState([]); // group DMs, newest activity first
+  const [selectedConversationId, setSelectedConversationId] = useState(null);
+  const [conversationMessagesById, setConversationMessagesById] = useState({});
+  const [newGroupOpen, setNewGroupOpen] = useState(false);
+  const [newGroupTitle, setNewGroupTitle] = useState('');
+  const [newGroupMemberIds, setNewGroupMemberIds] = useState(() => new Set());
+  const [groupAddUserId, setGroupAddUserId] = useState('');
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // { rooms, directMessages, feed }
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [searchError, setSearchError] = useState('');
+  const [searchFocus, setSearchFocus] = useState(null); // { elementId, postId, scrolled }
+  const dmTypingSentAtRef = useRef(0);
+  const dmTypingTimersRef = useRef({}); // userId => timeout clearing their typing state
 
   const [isDmNarrow, setIsDmNarrow] = useState(() => {
     if (typeof window === 'undefined') return false;
@@ -66,19 +115,42 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
     }
   }, []);
 
+  const selectedConversation = conversations.find(c => c.id === selectedConversationId) || null;
+
+  // A 1:1 thread and a group thread are never open at the same time.
+  useEffect(() => {
+    if (selectedDM) setSelectedConversationId(null);
+  }, [selectedDM]);
+
   useEffect(() => {
     if (!isDmNarrow) return;
-    setDmMobilePanel(selectedDM ? 'chat' : 'list');
-  }, [isDmNarrow, selectedDM]);
+    setDmMobilePanel(selectedDM || selectedConversationId ? 'chat' : 'list');
+  }, [isDmNarrow, selectedDM, selectedConversationId]);
   const [newsFeed, setNewsFeed] = useState([]);
-  const [feedVisibleCount, setFeedVisibleCount] = useState(25);
+  const [feedMode, setFeedMode] = useState('latest');
+  const [feedHasMore, setFeedHasMore] = useState(false);
+  const [feedLoading, setFeedLoading] = useState(false);
+  const [reactionTypes, setReactionTypes] = useState(DEFAULT_REACTION_TYPES);
+  const [feedTag, setFeedTag] = useState(initialFeedTag);
+  const [trendingTags, setTrendingTags] = useState([]);
+  const feedTagRef = useRef(initialFeedTag);
+  const feedModeRef = useRef('latest');
+  const feedCursorRef = useRef(null);
+  const feedRequestRef = useRef(0);
+  const feedLoadingRef = useRef(false);
+  const friendIdsRef = useRef(new Set());
   const [newPost, setNewPost] = useState('');
+  const [newPostVisibility, setNewPostVisibility] = useState('public');
+  const [pollDraft, setPollDraft] = useState(null);
   const [feedImageFile, setFeedImageFile] = useState(null);
   const [feedImagePreviewUrl, setFeedImagePreviewUrl] = useState('');
   const [expandedPostIds, setExpandedPostIds] = useState(() => new Set());
   const [commentDrafts, setCommentDrafts] = useState({});
   const [replyDrafts, setReplyDrafts] = useState({}); // key: commentId => text
   const [replyingTo, setReplyingTo] = useState(null); // { postId, commentId, userId, username }
+  const [editingPost, setEditingPost] = useState(null); // { postId, text, visibility }
+  const [sharingPostId, setSharingPostId] = useState(null);
+  const [editingComment, setEditingComment] = useState(null); // { postId, commentId, text }
   const [lightbox, setLightbox] = useState(null); // { src, alt }
   const [viewingProfile, setViewingProfile] = useState(null);
   const [accountModalOpen, setAccountModalOpen] = useState(false);
@@ -86,6 +158,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
   const [roomName, setRoomName] = useState('');
   const [isPrivate, setIsPrivate] = useState(false);
   const pendingJoinRoomIdRef = useRef(null);
+  const pendingRoomFocusRef = useRef(null); // { roomId, messageId } from a search result
   const joinRetryTimerRef = useRef(null);
   const joinAttemptsRef = useRef(0);
   const friendsSyncTimerRef = useRef(null);
@@ -113,11 +186,71 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
   const myUserId = user?.id || user?._id || user?.token;
 
   useEffect(() => {
-    // Reset feed paging when switching into feed tab.
-    if (activeTab === 'feed') setFeedVisibleCount(25);
     setShowFeedBackToTop(false);
   }, [activeTab]);
 
+  useEffect(() => {
+    friendIdsRef.current = new Set((friends || []).map(f => String(f.id)));
+  }, [friends]);
+
+  // Feed paging: `reset` reloads the first page of the current mode, otherwise the next page is appended.
+  const loadFeedPage = useCallback(({ reset = false } = {}) => {
+    if (!socket) return;
+    if (!reset && (feedLoadingRef.current || feedCursorRef.current == null)) return;
+
+    const request = reset ? feedRequestRef.current + 1 : feedRequestRef.current;
+    feedRequestRef.current = request;
+    feedLoadingRef.current = true;
+    setFeedLoading(true);
+
+    const before = reset ? null : feedCursorRef.current;
+    const [event, payload] = feedTagRef.current
+      ? ['getFeedByTag', { tag: feedTagRef.current, before, limit: FEED_PAGE_SIZE }]
+      : ['getNewsFeed', { mode: feedModeRef.current, before, limit: FEED_PAGE_SIZE }];
+    socket.emit(event, payload, (res) => {
+      // A mode switch or reconnect started a newer first page; drop this one.
+      if (feedRequestRef.current !== request) return;
+      feedLoadingRef.current = false;
+      setFeedLoading(false);
+      if (!res?.ok) return;
+
+      feedCursorRef.current = res.hasMore ? res.nextBefore : null;
+      setFeedHasMore(!!res.hasMore);
+      if (Array.isArray(res.reactionTypes)) setReactionTypes(res.reactionTypes);
+      setNewsFeed(prev => {
+        if (reset) return res.posts;
+        const known = new Set(prev.map(p => p.id));
+        return [...prev, ...res.posts.filter(p => !known.has(p.id))];
+      });
+    });
+  }, [socket]);
+
+  const changeFeedMode = (mode) => {
+    if (mode === feedModeRef.current) return;
+    feedModeRef.current = mode;
+    setFeedMode(mode);
+    setNewsFeed([]);
+    loadFeedPage({ reset: true });
+  };
+
+  // Shows only posts tagged `tag` (null goes back to the regular feed).
+  const openFeedTag = (tag) => {
+    setActiveTab('feed');
+    if (tag === feedTagRef.current) return;
+    feedTagRef.current = tag;
+    setFeedTag(tag);
+    setNewsFeed([]);
+    loadFeedPage({ reset: true });
+    onFeedTagChange?.(tag);
+  };
+
+  useEffect(() => {
+    if (!socket || activeTab !== 'feed') return;
+    socket.emit('getTrendingTags', {}, (res) => {
+      if (res?.ok) setTrendingTags(res.tags || []);
+    });
+  }, [socket, activeTab]);
+
   const filteredFriends = (() => {
     const q = String(friendSearch || '').trim().toLowerCase();
     if (!q) return friends;
@@ -148,8 +281,10 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
 
   const handleLobbyBodyScroll = (e) => {
     if (activeTab !== 'feed') return;
-    const top = e?.currentTarget?.scrollTop || 0;
+    const el = e?.currentTarget;
+    const top = el?.scrollTop || 0;
     setShowFeedBackToTop(top > 320);
+    if (el && el.scrollHeight - top - el.clientHeight < 600) loadFeedPage();
   };
 
   const scrollFeedToTop = () => {
@@ -310,7 +445,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
   const uploadImageFile = async (file) => {
     const form = new FormData();
     form.append('file', file);
-    const res = await fetch(`${apiBase}/api/uploads`, {
+    const res = await authFetch(apiBase, '/api/uploads', {
       method: 'POST',
       body: form
     });
@@ -399,17 +534,19 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       socket.on('joinedRoom', ({ room }) => {
         clearRoomIdFromUrl();
         stopJoinRetries();
-        onJoinRoom(room);
+        const focus = pendingRoomFocusRef.current;
+        pendingRoomFocusRef.current = null;
+        onJoinRoom(focus?.roomId === room.id ? { ...room, focusMessageId: focus.messageId } : room);
       });
       socket.on('registered', () => {
         socket.emit('getOnlineFriends');
-        socket.emit('getNewsFeed');
+        loadFeedPage({ reset: true });
       });
 
       socket.on('connect', () => {
         registerUser?.(user);
         socket.emit('getOnlineFriends');
-        socket.emit('getNewsFeed');
+        loadFeedPage({ reset: true });
       });
       socket.on('error', ({ message }) => {
         // If we are auto-joining from a link and the room doesn't exist, stop retrying.
@@ -497,8 +634,9 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
           return next;
         });
       });
-      socket.on('directMessage', ({ id, from, fromId, message, image, timestamp }) => {
+      socket.on('directMessage', ({ id, from, fromId, message, image, deliveredAt, timestamp }) => {
         if (!fromId) return;
+        setDmTypingByUserId(prev => ({ ...prev, [fromId]: false }));
         setDirectMessagesByUserId(prev => {
           const existing = prev[fromId] || [];
           const nextMsg = {
@@ -507,13 +645,15 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
             fromId,
             message,
             image: image || null,
+            deliveredAt: deliveredAt || null,
+            readAt: null,
             timestamp,
             direction: 'received'
           };
           return { ...prev, [fromId]: mergeDMThread(existing, [nextMsg]) };
         });
       });
-      socket.on('directMessageSent', ({ id, from, fromId, toUserId, message, image, timestamp }) => {
+      socket.on('directMessageSent', ({ id, from, fromId, toUserId, message, image, deliveredAt, readAt, timestamp }) => {
         if (!toUserId) return;
         const threadId = String(toUserId);
         setDirectMessagesByUserId(prev => {
@@ -525,6 +665,8 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
             toUserId,
             message,
             image: image || null,
+            deliveredAt: deliveredAt || null,
+            readAt: readAt || null,
             timestamp,
             direction: 'sent'
           };
@@ -554,6 +696,12 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
         if (selectedDMIdRef.current === friendId) setSelectedDM(null);
       });
       socket.on('newsFeedPost', (post) => {
+        // Trending is ranked by the server, so new posts only show up there on the next load.
+        const mode = feedModeRef.current;
+        const fromFriendOrMe = post?.authorId === (user?.id || user?._id) || friendIdsRef.current.has(String(post?.authorId));
+        const belongs = feedTagRef.current
+          ? (post?.tags || []).includes(feedTagRef.current)
+          : mode === 'latest' || (mode === 'friends' && fromFriendOrMe);
         setNewsFeed(prev => {
           const existingIndex = prev.findIndex(p => p.id === post?.id);
           if (existingIndex >= 0) {
@@ -561,17 +709,19 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
             next[existingIndex] = { ...next[existingIndex], ...post };
             return next;
           }
-          return [post, ...prev];
+          return belongs ? [post, ...prev] : prev;
         });
       });
-      socket.on('newsFeedUpdate', (posts) => setNewsFeed(posts));
       socket.on('feedPostUpdated', (post) => {
         if (!post?.id) return;
         setNewsFeed(prev => prev.map(p => (p.id === post.id ? { ...p, ...post } : p)));
       });
+      socket.on('feedPostDeleted', ({ id }) => {
+        setNewsFeed(prev => prev.filter(p => p.id !== id));
+      });
 
       socket.emit('getOnlineFriends');
-      socket.emit('getNewsFeed');
+      loadFeedPage({ reset: true });
 
       // Periodic sync to keep presence/room indicators correct even if events are missed.
       if (!friendsSyncTimerRef.current) {
@@ -658,7 +808,8 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
         socket.off('directMessageError');
         socket.off('friendRemoved');
         socket.off('newsFeedPost');
-        socket.off('newsFeedUpdate');
+        socket.off('feedPostUpdated');
+        socket.off('feedPostDeleted');
       }
 
       if (friendsSyncTimerRef.current) {
@@ -667,7 +818,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       }
 
     };
-  }, [socket, registerUser, onJoinRoom, user, inviteRoomId, apiBase]);
+  }, [socket, registerUser, onJoinRoom, user, inviteRoomId, apiBase, loadFeedPage]);
 
   useEffect(() => {
     if (!socket || !selectedDM?.id) return;
@@ -680,20 +831,11 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       if (selectedDMIdRef.current !== requestedUserId) return;
       if (!res?.ok || !Array.isArray(res.messages)) return;
 
-      const incoming = res.messages.map(m => {
-        const direction = m.fromUserId === myUserId ? 'sent' : 'received';
-        return {
-          id: m.id,
-          fromId: m.fromUserId,
-          toUserId: m.toUserId,
-          from: direction === 'sent' ? user.username : requestedUsername,
-          to: direction === 'sent' ? requestedUsername : user.username,
-          message: m.message,
-          image: m.image || null,
-          timestamp: m.timestamp,
-          direction
-        };
-      });
+      const incoming = res.messages.map(m => toDirectMessageEntry(m, {
+        myUserId,
+        myUsername: user.username,
+        otherUsername: requestedUsername
+      }));
 
       setDirectMessagesByUserId(prev => {
         const existing = prev[requestedUserId] || [];
@@ -702,6 +844,281 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
     });
   }, [socket, selectedDM?.id, selectedDM?.username, myUserId, user.username]);
 
+  // Delivery/read receipts and typing state for DM threads.
+  useEffect(() => {
+    if (!socket) return;
+    const typingTimers = dmTypingTimersRef.current;
+
+    const updateThread = (threadId, update) => {
+      setDirectMessagesByUserId(prev => {
+        const thread = prev[threadId];
+        if (!thread) return prev;
+        return { ...prev, [threadId]: thread.map(update) };
+      });
+    };
+
+    const handleRead = ({ readerId, otherUserId, upTo, readAt } = {}) => {
+      // Either we read their messages (another tab/Notifications) or they read ours.
+      const mine = String(readerId) === String(myUserId);
+      const threadId = String(mine ? otherUserId : readerId);
+      const direction = mine ? 'received' : 'sent';
+      updateThread(threadId, m => (
+        m.direction === direction && !m.readAt && (m.timestamp || 0) <= upTo
+          ? { ...m, readAt, deliveredAt: m.deliveredAt || readAt }
+          : m
+      ));
+    };
+
+    const handleDelivered = ({ toUserId, deliveredAt } = {}) => {
+      updateThread(String(toUserId), m => (
+        m.direction === 'sent' && !m.deliveredAt && (m.timestamp || 0) <= deliveredAt ? { ...m, deliveredAt } : m
+      ));
+    };
+
+    const handleTyping = ({ fromUserId, typing } = {}) => {
+      if (!fromUserId) return;
+      clearTimeout(typingTimers[fromUserId]);
+      setDmTypingByUserId(prev => ({ ...prev, [fromUserId]: !!typing }));
+      if (typing) {
+        // Typing pings repeat while the other side types; drop the indicator if they stop.
+        typingTimers[fromUserId] = setTimeout(() => {
+          setDmTypingByUserId(prev => ({ ...prev, [fromUserId]: false }));
+        }, 5000);
+      }
+    };
+
+    socket.on('directMessagesRead', handleRead);
+    socket.on('directMessagesDelivered', handleDelivered);
+    socket.on('dmTyping', handleTyping);
+    return () => {
+      socket.off('directMessagesRead', handleRead);
+      socket.off('directMessagesDelivered', handleDelivered);
+      socket.off('dmTyping', handleTyping);
+      Object.values(typingTimers).forEach(clearTimeout);
+    };
+  }, [socket, myUserId]);
+
+  // Group conversations: list, live updates and messages.
+  useEffect(() => {
+    if (!socket) return;
+
+    const sortByActivity = (list) => [...list].sort((a, b) => (b.lastMessageAt || 0) - (a.lastMessageAt || 0));
+
+    const handleConversationUpdated = (conversation) => {
+      if (!conversation?.id) return;
+      setConversations(prev => sortByActivity([...prev.filter(c => c.id !== conversation.id), conversation]));
+    };
+
+    const handleConversationRemoved = ({ conversationId } = {}) => {
+      setConversations(prev => prev.filter(c => c.id !== conversationId));
+      setSelectedConversationId(prev => (prev === conversationId ? null : prev));
+    };
+
+    const handleConversationMessage = (msg) => {
+      if (!msg?.conversationId) return;
+      setConversationMessagesById(prev => ({
+        ...prev,
+        [msg.conversationId]: mergeDMThread(prev[msg.conversationId] || [], [msg])
+      }));
+      setConversations(prev => sortByActivity(prev.map(c => (
+        c.id === msg.conversationId ? { ...c, lastMessageAt: msg.timestamp } : c
+      ))));
+    };
+
+    socket.on('conversationUpdated', handleConversationUpdated);
+    socket.on('conversationRemoved', handleConversationRemoved);
+    socket.on('conversationMessage', handleConversationMessage);
+    socket.emit('getConversations', {}, (res) => {
+      if (res?.ok && Array.isArray(res.conversations)) setConversations(res.conversations);
+    });
+
+    return () => {
+      socket.off('conversationUpdated', handleConversationUpdated);
+      socket.off('conversationRemoved', handleConversationRemoved);
+      socket.off('conversationMessage', handleConversationMessage);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [socket, myUserId]);
+
+  useEffect(() => {
+    if (!socket || !selectedConversationId) return;
+    const requestedId = selectedConversationId;
+    socket.emit('getConversationMessages', { conversationId: requestedId, limit: 100 }, (res) => {
+      if (!res?.ok || !Array.isArray(res.messages)) return;
+      setConversationMessagesById(prev => ({
+        ...prev,
+        [requestedId]: mergeDMThread(prev[requestedId] || [], res.messages)
+      }));
+    });
+  }, [socket, selectedConversationId]);
+
+  const openConversation = (conversationId) => {
+    setSelectedDM(null);
+    setSelectedConversationId(conversationId);
+    if (isDmNarrow) setDmMobilePanel('chat');
+  };
+
+  const handleCreateGroup = (e) => {
+    e.preventDefault();
+    if (!socket) return;
+    socket.emit('createConversation', {
+      participantIds: Array.from(newGroupMemberIds),
+      title: newGroupTitle.trim()
+    }, (res) => {
+      if (!res?.ok) {
+        alert(res?.message || 'Could not create group');
+        return;
+      }
+      setNewGroupOpen(false);
+      setNewGroupTitle('');
+      setNewGroupMemberIds(new Set());
+      openConversation(res.conversation.id);
+    });
+  };
+
+  const handleAddToGroup = () => {
+    if (!socket || !selectedConversationId || !groupAddUserId) return;
+    socket.emit('addConversationParticipants', { conversationId: selectedConversationId, userIds: [groupAddUserId] }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Could not add to group');
+    });
+    setGroupAddUserId('');
+  };
+
+  const handleRemoveFromGroup = (userId) => {
+    if (!socket || !selectedConversationId) return;
+    const leaving = userId === myUserId;
+    if (leaving && !window.confirm('Leave this group?')) return;
+    socket.emit('removeConversationParticipant', { conversationId: selectedConversationId, userId }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Could not update group');
+    });
+  };
+
+  const conversationTitle = (conversation) => (
+    conversation.title || conversation.participants.filter(p => p.id !== myUserId).map(p => p.username).join(', ')
+  );
+
+  // Mark the open thread read whenever it shows messages we haven't read yet.
+  const openDmThread = activeTab === 'dms' && selectedDM?.id ? directMessagesByUserId[selectedDM.id] : null;
+  const latestUnreadDmAt = (openDmThread || [])
+    .filter(m => m.direction === 'received' && !m.readAt)
+    .reduce((latest, m) => Math.max(latest, m.timestamp || 0), 0);
+  useEffect(() => {
+    if (!socket || !selectedDM?.id || !latestUnreadDmAt) return;
+    socket.emit('markDirectMessagesRead', { withUserId: selectedDM.id, upTo: latestUnreadDmAt });
+  }, [socket, selectedDM?.id, latestUnreadDmAt]);
+
+  const notifyDmTyping = () => {
+    if (!socket || !selectedDM?.id) return;
+    const now = Date.now();
+    if (now - dmTypingSentAtRef.current < 3000) return;
+    dmTypingSentAtRef.current = now;
+    socket.emit('dmTyping', { toUserId: selectedDM.id, typing: true });
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    const q = searchQuery.trim();
+    if (q.length < 2) {
+      setSearchError('Type at least 2 characters');
+      return;
+    }
+
+    setSearchLoading(true);
+    setSearchError('');
+    try {
+      const res = await authFetch(apiBase, `/api/search?q=${encodeURIComponent(q)}`);
+      const data = await res.json();
+      if (!res.ok || !data.success) throw new Error(data.error || 'Search failed');
+      setSearchResults(data.results);
+    } catch (err) {
+      setSearchError(err.message || 'Search failed');
+    } finally {
+      setSearchLoading(false);
+    }
+  };
+
+  const openRoomResult = (hit) => {
+    if (!socket) return;
+    setSearchOpen(false);
+    pendingRoomFocusRef.current = { roomId: hit.roomId, messageId: hit.messageId };
+    socket.emit('joinRoom', { roomId: hit.roomId }, (res) => {
+      if (res?.ok === false) {
+        pendingRoomFocusRef.current = null;
+        alert(res.message || 'Join failed');
+      }
+    });
+  };
+
+  const openDirectMessageResult = (hit) => {
+    if (!socket) return;
+    setSearchOpen(false);
+    setActiveTab('dms');
+    setSearchFocus({ elementId: `dm-message-${hit.messageId}` });
+
+    if (hit.conversationId) {
+      openConversation(hit.conversationId);
+      socket.emit('getConversationMessages', { conversationId: hit.conversationId, before: hit.timestamp + 1, limit: 50 }, (res) => {
+        if (!res?.ok || !Array.isArray(res.messages)) return;
+        setConversationMessagesById(prev => ({
+          ...prev,
+          [hit.conversationId]: mergeDMThread(prev[hit.conversationId] || [], res.messages)
+        }));
+      });
+      return;
+    }
+
+    const friend = friends.find(f => f.id === hit.withUserId) || { id: hit.withUserId, username: hit.withUsername, avatar: '👤' };
+    setSelectedDM(friend);
+    if (isDmNarrow) setDmMobilePanel('chat');
+    // The thread loads its newest messages; make sure the hit is there even if it's older.
+    socket.emit('getDirectMessages', { withUserId: hit.withUserId, before: hit.timestamp + 1, limit: 50 }, (res) => {
+      if (!res?.ok || !Array.isArray(res.messages)) return;
+      const incoming = res.messages.map(m => toDirectMessageEntry(m, {
+        myUserId,
+        myUsername: user.username,
+        otherUsername: friend.username
+      }));
+      setDirectMessagesByUserId(prev => ({
+        ...prev,
+        [hit.withUserId]: mergeDMThread(prev[hit.withUserId] || [], incoming)
+      }));
+    });
+  };
+
+  const openFeedResult = (hit) => {
+    setSearchOpen(false);
+    setActiveTab('feed');
+    setNewsFeed(prev => (
+      prev.some(p => p.id === hit.postId)
+        ? prev
+        : [...prev, hit.post].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    ));
+    if (hit.commentId) {
+      setExpandedPostIds(prev => new Set(prev).add(hit.postId));
+    }
+    setSearchFocus({
+      elementId: hit.commentId ? `feed-comment-${hit.commentId}` : `feed-post-${hit.postId}`,
+      postId: hit.postId
+    });
+  };
+
+  // Scroll to the search hit once it has rendered, then drop the highlight after a moment.
+  useEffect(() => {
+    if (!searchFocus || searchFocus.scrolled) return;
+    const el = document.getElementById(searchFocus.elementId);
+    if (!el) return;
+    el.scrollIntoView({ block: 'center' });
+    setSearchFocus(prev => ({ ...prev, scrolled: true }));
+  }, [searchFocus, newsFeed, expandedPostIds, activeTab, directMessagesByUserId, conversationMessagesById]);
+
+  useEffect(() => {
+    if (!searchFocus?.scrolled) return;
+    const timer = setTimeout(() => setSearchFocus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [searchFocus?.scrolled]);
+
+  const searchHitClass = (elementId) => (searchFocus?.elementId === elementId ? 'search-hit' : '');
+
   const handleCreateRoom = (e) => {
     e.preventDefault();
     if (!roomName.trim() || !socket) return;
@@ -722,7 +1139,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
 
   const handleSendDM = async (e) => {
     e.preventDefault();
-    if (!selectedDM || !socket) return;
+    if (!(selectedDM || selectedConversationId) || !socket) return;
 
     const trimmed = dmMessage.trim();
     const hasImage = !!dmImageFile;
@@ -738,11 +1155,28 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       }
     }
     
+    if (selectedConversationId) {
+      socket.emit('sendConversationMessage', {
+        conversationId: selectedConversationId,
+        message: trimmed,
+        image: uploadedImage
+      }, (res) => {
+        if (res?.ok === false) alert(res.message || 'Message failed');
+      });
+      setDmMessage('');
+      setDmImageFile(null);
+      return;
+    }
+
     socket.emit('sendDirectMessage', { 
       toUserId: selectedDM.id, 
       message: trimmed,
       image: uploadedImage
     });
+    if (dmTypingSentAtRef.current) {
+      socket.emit('dmTyping', { toUserId: selectedDM.id, typing: false });
+      dmTypingSentAtRef.current = 0;
+    }
     
     setDmMessage('');
     setDmImageFile(null);
@@ -756,6 +1190,10 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
     const trimmed = newPost.trim();
     const hasImage = !!feedImageFile;
     if (!trimmed && !hasImage) return;
+    if (pollDraft && !trimmed) {
+      alert('Ask a question for your poll');
+      return;
+    }
 
     let uploadedImage = null;
     if (feedImageFile) {
@@ -767,9 +1205,20 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       }
     }
     
-    socket.emit('postToNewsFeed', { content: trimmed, images: uploadedImage ? [uploadedImage] : [] });
-    setNewPost('');
-    setFeedImageFile(null);
+    socket.emit('postToNewsFeed', {
+      content: trimmed,
+      images: uploadedImage ? [uploadedImage] : [],
+      visibility: newPostVisibility,
+      poll: pollDraft ? toPollPayload(pollDraft) : null
+    }, (res) => {
+      if (res?.ok === false) {
+        alert(res.message || 'Failed to post');
+        return;
+      }
+      setNewPost('');
+      setFeedImageFile(null);
+      setPollDraft(null);
+    });
   };
 
   const togglePostExpanded = (postId) => {
@@ -781,9 +1230,43 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
     });
   };
 
-  const handleReactFire = (postId) => {
+  const handleSaveEditPost = (e) => {
+    e.preventDefault();
+    if (!socket || !editingPost) return;
+    const { postId, text, visibility } = editingPost;
+    socket.emit('editFeedPost', { postId, content: text, visibility }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Edit failed');
+      else setEditingPost(null);
+    });
+  };
+
+  const handleDeletePost = (postId) => {
+    if (!socket || !window.confirm('Delete this post?')) return;
+    socket.emit('deleteFeedPost', { postId }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Delete failed');
+    });
+  };
+
+  const handleSaveEditComment = (e) => {
+    e.preventDefault();
+    if (!socket || !editingComment) return;
+    const { postId, commentId, text } = editingComment;
+    socket.emit('editFeedComment', { postId, commentId, text }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Edit failed');
+      else setEditingComment(null);
+    });
+  };
+
+  const handleDeleteComment = (postId, commentId) => {
+    if (!socket || !window.confirm('Delete this comment and its replies?')) return;
+    socket.emit('deleteFeedComment', { postId, commentId }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Delete failed');
+    });
+  };
+
+  const handleReact = (postId, type) => {
     if (!socket) return;
-    socket.emit('toggleFeedReaction', { postId, type: 'fire' });
+    socket.emit('toggleFeedReaction', { postId, type });
   };
 
   const handleAddComment = (postId, e) => {
@@ -840,14 +1323,19 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
     setReplyingTo(null);
   };
 
-  const renderCommentText = (text) => {
+  const renderFeedText = (text) => {
     const raw = String(text || '');
     const parts = raw.split(/(\s+)/);
     return parts.map((p, idx) => {
       const m = /^@([A-Za-z0-9_]{2,30})\b/.exec(p);
-      if (!m) return <React.Fragment key={idx}>{p}</React.Fragment>;
+      if (m) return <span key={idx} className="mention">{p}</span>;
+      const hashtag = matchHashtag(p);
+      if (!hashtag) return <React.Fragment key={idx}>{p}</React.Fragment>;
       return (
-        <span key={idx} className="mention">{p}</span>
+        <React.Fragment key={idx}>
+          <button type="button" className="hashtag" onClick={() => openFeedTag(hashtag.tag)}>{hashtag.label}</button>
+          {hashtag.rest}
+        </React.Fragment>
       );
     });
   };
@@ -1093,6 +1581,51 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       ].filter(Boolean).join(' ')}
     >
       <div className="dm-sidebar">
+        <div className="dm-sidebar__heading">
+          <h3>Groups</h3>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setNewGroupOpen(v => !v)}>
+            {newGroupOpen ? 'Cancel' : '+ New'}
+          </button>
+        </div>
+        {newGroupOpen && (
+          <form className="dm-new-group" onSubmit={handleCreateGroup}>
+            <input
+              type="text"
+              placeholder="Group name (optional)"
+              value={newGroupTitle}
+              maxLength={80}
+              onChange={(e) => setNewGroupTitle(e.target.value)}
+            />
+            {friends.map(friend => (
+              <label key={friend.id} className="dm-new-group__member">
+                <input
+                  type="checkbox"
+                  checked={newGroupMemberIds.has(friend.id)}
+                  onChange={() => setNewGroupMemberIds(prev => {
+                    const next = new Set(prev);
+                    if (next.has(friend.id)) next.delete(friend.id);
+                    else next.add(friend.id);
+                    return next;
+                  })}
+                />
+                {friend.username}
+              </label>
+            ))}
+            <button type="submit" className="btn btn-primary btn-sm" disabled={newGroupMemberIds.size < 2}>
+              Create group
+            </button>
+          </form>
+        )}
+        {conversations.map(conversation => (
+          <div
+            key={conversation.id}
+            className={`dm-friend-item ${selectedConversationId === conversation.id ? 'active' : ''}`}
+            onClick={() => openConversation(conversation.id)}
+          >
+            <span className="dm-avatar">{conversation.avatar}</span>
+            <span className="dm-friend-name dm-group-name">{conversationTitle(conversation)}</span>
+          </div>
+        ))}
         <h3>Direct Messages</h3>
         {friends.map(friend => (
           <div 
@@ -1140,7 +1673,107 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
       </div>
       
       <div className="dm-main">
-        {selectedDM ? (
+        {selectedConversation ? (
+          <>
+            <div className="dm-header dm-header--group">
+              {isDmNarrow ? (
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm dm-back-btn"
+                  onClick={() => setDmMobilePanel('list')}
+                  aria-label="Back to Direct Messages"
+                  title="Back"
+                >
+                  <FontAwesomeIcon icon={faChevronLeft} /> Back
+                </button>
+              ) : null}
+              <h3>{selectedConversation.avatar} {conversationTitle(selectedConversation)}</h3>
+              <div className="dm-group-members">
+                {selectedConversation.participants.map(p => (
+                  <span key={p.id} className="dm-group-member">
+                    <button type="button" className="dm-header__profile" onClick={() => openProfileByUserId(p.id)}>
+                      {p.username}{p.id === selectedConversation.adminId ? ' (admin)' : ''}
+                    </button>
+                    {selectedConversation.adminId === myUserId && p.id !== myUserId ? (
+                      <button
+                        type="button"
+                        className="dm-group-member__remove"
+                        onClick={() => handleRemoveFromGroup(p.id)}
+                        aria-label={`Remove ${p.username}`}
+                      >
+                        ×
+                      </button>
+                    ) : null}
+                  </span>
+                ))}
+              </div>
+              <div className="dm-group-actions">
+                {selectedConversation.adminId === myUserId ? (
+                  <>
+                    <select value={groupAddUserId} onChange={(e) => setGroupAddUserId(e.target.value)}>
+                      <option value="">Add a friend…</option>
+                      {friends
+                        .filter(f => !selectedConversation.participants.some(p => p.id === f.id))
+                        .map(f => <option key={f.id} value={f.id}>{f.username}</option>)}
+                    </select>
+                    <button type="button" className="btn btn-secondary btn-sm" onClick={handleAddToGroup} disabled={!groupAddUserId}>
+                      Add
+                    </button>
+                  </>
+                ) : null}
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleRemoveFromGroup(myUserId)}>
+                  Leave
+                </button>
+              </div>
+            </div>
+            <div className="dm-messages">
+              {(conversationMessagesById[selectedConversation.id] || []).map((msg) => {
+                const author = selectedConversation.participants.find(p => p.id === msg.fromUserId);
+                return (
+                  <div
+                    key={msg.id}
+                    id={`dm-message-${msg.id}`}
+                    className={`dm-message ${msg.fromUserId === myUserId ? 'sent' : 'received'} ${searchHitClass(`dm-message-${msg.id}`)}`}
+                  >
+                    {msg.message?.trim() ? (
+                      <div className="dm-message__text">
+                        <strong>{msg.from || author?.username || 'Former member'}:</strong> {msg.message}
+                      </div>
+                    ) : null}
+                    {msg.image?.url ? (
+                      <button
+                        type="button"
+                        className="dm-message__image"
+                        onClick={() => setLightbox({ src: msg.image.url, alt: msg.image.name || 'Image' })}
+                        aria-label="Open image"
+                      >
+                        <img src={msg.image.url} alt={msg.image.name || ''} />
+                      </button>
+                    ) : null}
+                  </div>
+                );
+              })}
+            </div>
+            <form className="dm-input" onSubmit={handleSendDM}>
+              <input
+                type="text"
+                placeholder={`Message ${conversationTitle(selectedConversation)}`}
+                value={dmMessage}
+                onChange={(e) => setDmMessage(e.target.value)}
+              />
+              <label className="btn btn-secondary dm-attach" title="Attach photo">
+                <FontAwesomeIcon icon={faImage} />
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => setDmImageFile(e.target.files?.[0] || null)}
+                  style={{ display: 'none' }}
+                />
+              </label>
+              <button type="submit" className="btn btn-primary">Send</button>
+            </form>
+          </>
+        ) : selectedDM ? (
           <>
             <div className="dm-header">
               {isDmNarrow ? (
@@ -1160,7 +1793,11 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
             </div>
             <div className="dm-messages">
               {(directMessagesByUserId[selectedDM.id] || []).map((msg, i) => (
-                  <div key={i} className={`dm-message ${msg.direction}`}>
+                  <div
+                    key={i}
+                    id={msg.id ? `dm-message-${msg.id}` : undefined}
+                    className={`dm-message ${msg.direction} ${searchHitClass(`dm-message-${msg.id}`)}`}
+                  >
                   {msg.message?.trim() ? (
                     <div className="dm-message__text"><strong>{msg.from}:</strong> {msg.message}</div>
                   ) : null}
@@ -1176,13 +1813,26 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
                   ) : null}
                   </div>
               ))}
+              {(() => {
+                const thread = directMessagesByUserId[selectedDM.id] || [];
+                const last = thread[thread.length - 1];
+                if (last?.direction !== 'sent') return null;
+                const status = last.readAt ? 'Seen' : (last.deliveredAt ? 'Delivered' : 'Sent');
+                return <div className="dm-receipt">{status}</div>;
+              })()}
             </div>
+            {dmTypingByUserId[selectedDM.id] ? (
+              <div className="dm-typing">{selectedDM.username} is typing…</div>
+            ) : null}
             <form className="dm-input" onSubmit={handleSendDM}>
               <input
                 type="text"
                 placeholder={`Message @${selectedDM.username}`}
                 value={dmMessage}
-                onChange={(e) => setDmMessage(e.target.value)}
+                onChange={(e) => {
+                  setDmMessage(e.target.value);
+                  if (e.target.value.trim()) notifyDmTyping();
+                }}
               />
               <label className="btn btn-secondary dm-attach" title="Attach photo">
                 <FontAwesomeIcon icon={faImage} />
@@ -1227,7 +1877,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
         <div className="mention-wrap">
           <textarea
             ref={postTextareaRef}
-            placeholder="What's on your mind?"
+            placeholder={pollDraft ? 'Ask a question…' : "What's on your mind?"}
             value={newPost}
             onChange={(e) => {
               setNewPost(e.target.value);
@@ -1274,6 +1924,7 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
             />
           ) : null}
         </div>
+        {pollDraft ? <FeedPollComposer draft={pollDraft} onChange={setPollDraft} /> : null}
         {feedImagePreviewUrl ? (
           <div className="feed-compose-preview">
             <button
@@ -1297,13 +1948,71 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
               style={{ display: 'none' }}
             />
           </label>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPollDraft(prev => (prev ? null : EMPTY_POLL_DRAFT))}
+            title={pollDraft ? 'Remove poll' : 'Add a poll'}
+          >
+            <FontAwesomeIcon icon={faSquarePollHorizontal} /> Poll
+          </button>
+          <select
+            className="feed-visibility-select"
+            value={newPostVisibility}
+            onChange={(e) => setNewPostVisibility(e.target.value)}
+            aria-label="Who can see this post"
+          >
+            {VISIBILITY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
           <button type="submit" className="btn btn-primary">Post</button>
         </div>
       </form>
 
+      {feedTag ? (
+        <div className="feed-modes">
+          <span className="feed-mode active">#{feedTag}</span>
+          <button type="button" className="btn-link" onClick={() => openFeedTag(null)}>
+            <FontAwesomeIcon icon={faXmark} /> All posts
+          </button>
+        </div>
+      ) : (
+        <div className="feed-modes" role="tablist" aria-label="Feed">
+          {FEED_MODES.map(m => (
+            <button
+              key={m.value}
+              type="button"
+              role="tab"
+              aria-selected={feedMode === m.value}
+              className={`feed-mode ${feedMode === m.value ? 'active' : ''}`}
+              onClick={() => changeFeedMode(m.value)}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {trendingTags.length ? (
+        <div className="feed-trending-tags" aria-label="Trending tags">
+          {trendingTags.map(t => (
+            <button key={t.tag} type="button" className="hashtag" onClick={() => openFeedTag(t.tag)} title={`${t.count} posts today`}>
+              #{t.tag}
+            </button>
+          ))}
+        </div>
+      ) : null}
+
       <div className="news-feed">
-        {newsFeed.slice(0, feedVisibleCount).map((post, i) => (
-          <div key={i} className="feed-post">
+        {!feedLoading && newsFeed.length === 0 ? (
+          <div className="feed-empty">
+            {feedTag
+              ? `No posts tagged #${feedTag}`
+              : feedMode === 'friends' ? 'No posts from your friends yet' : feedMode === 'trending' ? 'Nothing trending right now' : 'No posts yet'}
+          </div>
+        ) : null}
+
+        {newsFeed.map((post) => (
+          <div key={post.id} id={`feed-post-${post.id}`} className={`feed-post ${searchHitClass(`feed-post-${post.id}`)}`}>
             <div className="post-header">
               {post.authorProfilePicture ? (
                 <img
@@ -1319,10 +2028,51 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
                 <button type="button" className="post-author" onClick={() => openProfileByUserId(post.authorId)}>
                   {post.author}
                 </button>
-                <span className="post-time">{new Date(post.timestamp).toLocaleString()}</span>
+                {post.repostOf ? <span className="post-shared-label"> shared a post</span> : null}
+                <span className="post-time">
+                  {new Date(post.timestamp).toLocaleString()}
+                  {post.editedAt ? <span className="post-edited"> (edited)</span> : null}
+                  <span className="post-visibility" title={visibilityOption(post.visibility).label}>
+                    <FontAwesomeIcon icon={visibilityOption(post.visibility).icon} />
+                  </span>
+                </span>
               </div>
+              {post.authorId === myUserId ? (
+                <div className="post-owner-actions">
+                  <button type="button" className="btn-link" onClick={() => setEditingPost({ postId: post.id, text: post.content || '', visibility: post.visibility || 'public' })}>
+                    Edit
+                  </button>
+                  <button type="button" className="btn-link" onClick={() => handleDeletePost(post.id)}>
+                    Delete
+                  </button>
+                </div>
+              ) : null}
             </div>
-            {post.content ? <div className="post-content">{post.content}</div> : null}
+            {editingPost?.postId === post.id ? (
+              <form className="post-edit-form" onSubmit={handleSaveEditPost}>
+                <textarea
+                  value={editingPost.text}
+                  onChange={(e) => setEditingPost(prev => ({ ...prev, text: e.target.value }))}
+                  maxLength={500}
+                  rows={3}
+                  autoFocus
+                />
+                <div className="post-edit-form__actions">
+                  <select
+                    className="feed-visibility-select"
+                    value={editingPost.visibility}
+                    onChange={(e) => setEditingPost(prev => ({ ...prev, visibility: e.target.value }))}
+                    aria-label="Who can see this post"
+                  >
+                    {visibilityOptionsWithin(post.original?.visibility).map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                  </select>
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingPost(null)}>Cancel</button>
+                  <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                </div>
+              </form>
+            ) : post.content ? <div className="post-content">{renderFeedText(post.content)}</div> : null}
+
+            {post.poll ? <FeedPoll poll={post.poll} postId={post.id} socket={socket} /> : null}
 
             {Array.isArray(post.images) && post.images.length > 0 ? (
               <div className="post-images">
@@ -1340,23 +2090,54 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
               </div>
             ) : null}
 
+            {post.repostOf ? (
+              <RepostEmbed
+                original={post.original}
+                renderText={renderFeedText}
+                onOpenProfile={openProfileByUserId}
+                onOpenImage={(img) => setLightbox({ src: img.url, alt: img.name || 'Image' })}
+              />
+            ) : null}
+
             <div className="post-actions">
-              <button
-                type="button"
-                className={`post-action ${post.fireUserIds?.includes?.(myUserId) ? 'active' : ''}`}
-                onClick={() => handleReactFire(post.id)}
-              >
-                <FontAwesomeIcon icon={faFire} />
-                <span className="post-action__count">{post.fireCount || 0}</span>
-              </button>
+              <div className="post-reactions">
+                {reactionTypes.map(type => (
+                  <button
+                    key={type}
+                    type="button"
+                    className={`post-reaction ${myReaction(post, myUserId) === type ? 'active' : ''}`}
+                    onClick={() => handleReact(post.id, type)}
+                    title={type}
+                  >
+                    <span>{reactionEmoji(type)}</span>
+                    {reactionCount(post, type) ? <span className="post-reaction__count">{reactionCount(post, type)}</span> : null}
+                  </button>
+                ))}
+              </div>
 
               <button type="button" className="post-action" onClick={() => togglePostExpanded(post.id)}>
                 <FontAwesomeIcon icon={faComments} />
                 <span>Comments</span>
                 <span className="post-action__count">{Array.isArray(post.comments) ? post.comments.length : 0}</span>
               </button>
+
+              <button
+                type="button"
+                className="post-action"
+                onClick={() => setSharingPostId(id => (id === post.id ? null : post.id))}
+                disabled={!canShare(post, myUserId)}
+                title={canShare(post, myUserId) ? 'Share' : 'Only public posts can be shared'}
+              >
+                <FontAwesomeIcon icon={faRetweet} />
+                <span>Share</span>
+                {post.shareCount ? <span className="post-action__count">{post.shareCount}</span> : null}
+              </button>
             </div>
 
+            {sharingPostId === post.id ? (
+              <RepostForm post={post} socket={socket} onDone={() => setSharingPostId(null)} />
+            ) : null}
+
             {expandedPostIds.has(post.id) ? (
               <div className="post-comments">
                 <form className="post-comment-form" onSubmit={(e) => handleAddComment(post.id, e)}>
@@ -1432,7 +2213,11 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
                       const replies = byParent.get(String(c._cid)) || [];
                       const isActiveReply = replyingTo?.commentId && String(replyingTo.commentId) === String(c._cid);
                       return (
-                        <div key={c._cid || `${c.userId}_${c.timestamp}`} className={`post-comment ${depth ? 'post-comment--reply' : ''}`}>
+                        <div
+                          key={c._cid || `${c.userId}_${c.timestamp}`}
+                          id={c._cid ? `feed-comment-${c._cid}` : undefined}
+                          className={`post-comment ${depth ? 'post-comment--reply' : ''} ${searchHitClass(`feed-comment-${c._cid}`)}`}
+                        >
                           <div className="post-comment__avatar">
                             {c.userProfilePicture ? (
                               <img
@@ -1450,16 +2235,47 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
                               <button type="button" className="comment-author" onClick={() => openProfileByUserId(c.userId)}>
                                 {c.username}
                               </button>
-                              <span>{c.timestamp ? new Date(c.timestamp).toLocaleString() : ''}</span>
+                              <span>
+                                {c.timestamp ? new Date(c.timestamp).toLocaleString() : ''}
+                                {c.editedAt ? <span className="post-edited"> (edited)</span> : null}
+                              </span>
                             </div>
                             {c.replyToUsername ? (
                               <div className="post-comment__replyto">Replying to <span>@{c.replyToUsername}</span></div>
                             ) : null}
-                            <div className="post-comment__text">{renderCommentText(c.text)}</div>
+                            {editingComment?.commentId === c._cid ? (
+                              <form className="post-comment-edit" onSubmit={handleSaveEditComment}>
+                                <input
+                                  type="text"
+                                  value={editingComment.text}
+                                  onChange={(e) => setEditingComment(prev => ({ ...prev, text: e.target.value }))}
+                                  maxLength={1000}
+                                  autoFocus
+                                />
+                                <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                                <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingComment(null)}>Cancel</button>
+                              </form>
+                            ) : (
+                              <div className="post-comment__text">{renderFeedText(c.text)}</div>
+                            )}
                             <div className="post-comment__actions">
                               <button type="button" className="btn-link" onClick={() => handleReplyToComment(post.id, c)}>
                                 Reply
                               </button>
+                              {c.userId === myUserId ? (
+                                <button
+                                  type="button"
+                                  className="btn-link"
+                                  onClick={() => setEditingComment({ postId: post.id, commentId: c._cid, text: c.text || '' })}
+                                >
+                                  Edit
+                                </button>
+                              ) : null}
+                              {c.userId === myUserId || post.authorId === myUserId ? (
+                                <button type="button" className="btn-link" onClick={() => handleDeleteComment(post.id, c._cid)}>
+                                  Delete
+                                </button>
+                              ) : null}
                             </div>
 
                             {isActiveReply ? (
@@ -1538,9 +2354,11 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
           </div>
         ))}
 
-        {newsFeed.length > feedVisibleCount ? (
+        {feedLoading ? (
+          <div className="feed-see-more">Loading…</div>
+        ) : feedHasMore ? (
           <div className="feed-see-more">
-            <button type="button" className="btn btn-secondary" onClick={() => setFeedVisibleCount(c => c + 25)}>
+            <button type="button" className="btn btn-secondary" onClick={() => loadFeedPage()}>
               See more
             </button>
           </div>
@@ -1617,6 +2435,15 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
           </div>
 
           <div className="header-actions">
+            <button
+              type="button"
+              className="btn btn-secondary header-search-btn"
+              title="Search messages and posts"
+              aria-label="Search"
+              onClick={() => setSearchOpen(true)}
+            >
+              <FontAwesomeIcon icon={faMagnifyingGlass} />
+            </button>
             <Notifications user={user} />
             <div
               className="user-profile"
@@ -1672,6 +2499,74 @@ function LobbyNew({ user, inviteRoomId, onJoinRoom, onLogout, onViewTimeline, on
         }}
       />
 
+      {searchOpen ? (
+        <div className="modal-overlay" onClick={() => setSearchOpen(false)}>
+          <div className="modal-content card search-panel" onClick={(e) => e.stopPropagation()}>
+            <h2>Search</h2>
+            <form className="search-panel__form" onSubmit={handleSearch}>
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Rooms, messages and posts"
+                maxLength={100}
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary" disabled={searchLoading}>
+                {searchLoading ? 'Searching…' : 'Search'}
+              </button>
+            </form>
+            {searchError ? <div className="search-panel__error">{searchError}</div> : null}
+            {searchResults ? (
+              <div className="search-panel__results">
+                {!searchResults.rooms.length && !searchResults.directMessages.length && !searchResults.feed.length ? (
+                  <div className="empty-state">No matches</div>
+                ) : null}
+                {searchResults.rooms.length ? (
+                  <section>
+                    <h3>Rooms</h3>
+                    {searchResults.rooms.map(hit => (
+                      <button key={hit.messageId} type="button" className="search-hit-row" onClick={() => openRoomResult(hit)}>
+                        <span className="search-hit-row__meta"># {hit.roomName} · {hit.username} · {new Date(hit.timestamp).toLocaleString()}</span>
+                        <span className="search-hit-row__snippet">{hit.snippet}</span>
+                      </button>
+                    ))}
+                  </section>
+                ) : null}
+                {searchResults.directMessages.length ? (
+                  <section>
+                    <h3>Messages</h3>
+                    {searchResults.directMessages.map(hit => (
+                      <button key={hit.messageId} type="button" className="search-hit-row" onClick={() => openDirectMessageResult(hit)}>
+                        <span className="search-hit-row__meta">
+                          {hit.conversationId
+                            ? `${hit.conversationAvatar} ${hit.conversationTitle || 'Group'}`
+                            : `@ ${hit.withUsername}`} · {hit.fromUsername} · {new Date(hit.timestamp).toLocaleString()}
+                        </span>
+                        <span className="search-hit-row__snippet">{hit.snippet}</span>
+                      </button>
+                    ))}
+                  </section>
+                ) : null}
+                {searchResults.feed.length ? (
+                  <section>
+                    <h3>Feed</h3>
+                    {searchResults.feed.map(hit => (
+                      <button key={`${hit.postId}_${hit.commentId || ''}`} type="button" className="search-hit-row" onClick={() => openFeedResult(hit)}>
+                        <span className="search-hit-row__meta">
+                          {hit.commentId ? `Comment by ${hit.username}` : `Post by ${hit.username}`} · {new Date(hit.timestamp).toLocaleString()}
+                        </span>
+                        <span className="search-hit-row__snippet">{hit.snippet}</span>
+                      </button>
+                    ))}
+                  </section>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+
       {showCreateModal && (
         <div className="modal-overlay" onClick={() => setShowCreateModal(false)}>
           <div className="modal-content card" onClick={(e) => e.stopPropagation()}>
@@ -16,6 +16,7 @@ import {
   faWandMagicSparkles
 } from '@fortawesome/free-solid-svg-icons';
 import { cropAndResizeToSquareDataUrl, readFileAsDataUrl } from '../utils/imageUtils';
+import { saveSessionTokens } from '../utils/authSession';
 import './Login.css';
 
 const AVATARS = ['😊', '😎', '🤖', '👻', '🦄', '🐱', '🐶', '🦊', '🐼', '🦁', '🐯', '🐸'];
@@ -37,7 +38,7 @@ const PROFILE_TEMPLATES = [
 ];
 
 function Login({ onLogin, inviteRoomId }) {
-  const { socket, connected, connectionError, registerUser } = useSocket();
+  const { connected, connectionError, registerUser, authenticate } = useSocket();
   const [mode, setMode] = useState('choose'); // 'choose', 'guest', 'login', 'signup'
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
@@ -250,19 +251,13 @@ function Login({ onLogin, inviteRoomId }) {
       const data = await response.json();
       
       if (data.success) {
-        localStorage.setItem('hangout_token', data.token);
+        saveSessionTokens(data);
         localStorage.setItem('hangout_user', JSON.stringify({ ...data.user, isGuest: true }));
         
-        socket.emit('register', { 
-          username: data.user.username, 
-          avatar: data.user.avatar,
-          userId: data.user._id
-        });
-        
-        socket.once('registered', () => {
-          const userData = { ...data.user, id: data.user._id, isGuest: true };
-          saveSessionAndLogin(userData);
-        });
+        // Reconnect so the socket handshake is authenticated with the new session token.
+        await authenticate();
+        const userData = { ...data.user, id: data.user._id, isGuest: true };
+        saveSessionAndLogin(userData);
       } else {
         setError(data.error || 'Failed to join as guest');
       }
@@ -298,24 +293,17 @@ function Login({ onLogin, inviteRoomId }) {
       const data = await response.json();
       
       if (data.success) {
-        localStorage.setItem('hangout_token', data.token);
+        saveSessionTokens(data);
         localStorage.setItem('hangout_user', JSON.stringify({ ...data.user, isGuest: false }));
         
-        socket.emit('register', { 
-          username: data.user.username, 
-          avatar: data.user.avatar,
-          userId: data.user.id
-        });
-        
-        socket.once('registered', (socketData) => {
-          console.log('Socket registered with data (login):', socketData);
-          const userData = { 
-            ...data.user, 
-            isGuest: false,
-            profilePicture: socketData?.user?.profilePicture || data.user.profilePicture 
-          };
-          saveSessionAndLogin(userData);
-        });
+        // Reconnect so the socket handshake is authenticated with the new session token.
+        const socketData = await authenticate();
+        const userData = { 
+          ...data.user, 
+          isGuest: false,
+          profilePicture: socketData?.user?.profilePicture || data.user.profilePicture 
+        };
+        saveSessionAndLogin(userData);
       } else {
         if (data.needsEmailVerification && data.email) {
           setInfo('Please verify your email to log in. You can resend the verification email below.');
@@ -0,0 +1,102 @@
+import React from 'react';
+import YouTube from 'react-youtube';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faMusic } from '@fortawesome/free-solid-svg-icons';
+import { sourceKey, sourceTitle } from '../utils/mediaSources';
+
+// One player interface for every source, handed to onReady:
+// { loadedKey(), state() -> 'playing' | 'buffering' | 'paused', play(), pause(), seekTo(s), getCurrentTime(), getDuration() }
+
+function youtubeAdapter(player) {
+  return {
+    loadedKey: () => {
+      try {
+        return sourceKey({ kind: 'youtube', videoId: player.getVideoData?.()?.video_id });
+      } catch {
+        return null; // Destroyed along with its iframe.
+      }
+    },
+    state: () => {
+      const state = player.getPlayerState?.();
+      if (state === 1) return 'playing';
+      return state === 3 ? 'buffering' : 'paused';
+    },
+    play: () => player.playVideo(),
+    pause: () => player.pauseVideo(),
+    seekTo: (seconds) => player.seekTo(seconds, true),
+    getCurrentTime: () => player.getCurrentTime(),
+    getDuration: () => player.getDuration?.() || null
+  };
+}
+
+function html5Adapter(el, key) {
+  return {
+    loadedKey: () => (el.isConnected ? key : null),
+    state: () => {
+      if (el.paused || el.ended) return 'paused';
+      return el.readyState < 3 ? 'buffering' : 'playing';
+    },
+    // Browsers may refuse to start unmuted playback before the user interacts with the page.
+    play: () => el.play()?.catch(() => {}),
+    pause: () => el.pause(),
+    seekTo: (seconds) => {
+      el.currentTime = seconds;
+    },
+    getCurrentTime: () => el.currentTime,
+    getDuration: () => (Number.isFinite(el.duration) ? el.duration : null)
+  };
+}
+
+// Plays a watch-party source. onPlay/onPause/onSeek get the position in seconds.
+export default function MediaPlayer({ source, controls, onReady, onPlay, onPause, onSeek, onEnd }) {
+  if (source.kind === 'youtube') {
+    return (
+      <YouTube
+        videoId={source.videoId}
+        opts={{
+          width: '100%',
+          height: '100%',
+          playerVars: {
+            autoplay: 1,
+            controls: controls ? 1 : 0,
+          },
+        }}
+        onReady={(e) => onReady?.(youtubeAdapter(e.target))}
+        onStateChange={(e) => {
+          if (e.data === 1) onPlay?.(e.target.getCurrentTime());
+          else if (e.data === 2) onPause?.(e.target.getCurrentTime());
+        }}
+        onEnd={onEnd}
+      />
+    );
+  }
+
+  const key = sourceKey(source);
+  const Tag = source.mediaType === 'audio' ? 'audio' : 'video';
+  return (
+    <>
+      {Tag === 'audio' ? (
+        <div className="media-audio-card">
+          <div className="empty-icon" aria-hidden="true"><FontAwesomeIcon icon={faMusic} /></div>
+          <strong>{sourceTitle(source)}</strong>
+        </div>
+      ) : null}
+      <Tag
+        key={key}
+        className={`media-html5 media-html5--${Tag}`}
+        src={source.url}
+        controls={!!controls}
+        autoPlay
+        playsInline
+        onLoadedMetadata={(e) => onReady?.(html5Adapter(e.currentTarget, key))}
+        onPlaying={(e) => onPlay?.(e.currentTarget.currentTime)}
+        onPause={(e) => {
+          // Reaching the end pauses too; that's reported as the end instead.
+          if (!e.currentTarget.ended) onPause?.(e.currentTarget.currentTime);
+        }}
+        onSeeked={(e) => onSeek?.(e.currentTarget.currentTime)}
+        onEnded={onEnd}
+      />
+    </>
+  );
+}
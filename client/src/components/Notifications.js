@@ -10,6 +10,7 @@ import {
   faUserPlus,
   faXmark
 } from '@fortawesome/free-solid-svg-icons';
+import { authFetch } from '../utils/authSession';
 import './Notifications.css';
 
 function Notifications({ user }) {
@@ -162,6 +163,33 @@ function Notifications({ user }) {
     };
   }, [socket]);
 
+  // Unread DM counts come from the server on register and shrink as threads are read.
+  const myUserId = user?.id || user?._id;
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUnreadCounts = ({ counts } = {}) => {
+      setDmUnreadByUserId(counts && typeof counts === 'object' ? counts : {});
+    };
+
+    const handleRead = ({ readerId, otherUserId } = {}) => {
+      if (!otherUserId || String(readerId) !== String(myUserId)) return;
+      setDmUnreadByUserId(prev => {
+        if (!prev[otherUserId]) return prev;
+        const next = { ...prev };
+        delete next[otherUserId];
+        return next;
+      });
+    };
+
+    socket.on('directMessageUnreadCounts', handleUnreadCounts);
+    socket.on('directMessagesRead', handleRead);
+    return () => {
+      socket.off('directMessageUnreadCounts', handleUnreadCounts);
+      socket.off('directMessagesRead', handleRead);
+    };
+  }, [socket, myUserId]);
+
   useEffect(() => {
     if (!replyImageFile) {
       setReplyImagePreviewUrl('');
@@ -183,7 +211,7 @@ function Notifications({ user }) {
   const uploadImageFile = async (file) => {
     const form = new FormData();
     form.append('file', file);
-    const res = await fetch(`${apiBase}/api/uploads`, { method: 'POST', body: form });
+    const res = await authFetch(apiBase, '/api/uploads', { method: 'POST', body: form });
     const data = await res.json().catch(() => null);
     if (!res.ok || !data?.success) throw new Error(data?.error || 'Upload failed');
     return { fileId: data.fileId, url: data.url, contentType: data.contentType, name: data.name };
@@ -200,6 +228,7 @@ function Notifications({ user }) {
       delete next[userId];
       return next;
     });
+    socket?.emit('markDirectMessagesRead', { withUserId: userId });
   };
 
   const closeReply = () => {
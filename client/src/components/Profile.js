@@ -21,6 +21,7 @@ import {
   faWandMagicSparkles
 } from '@fortawesome/free-solid-svg-icons';
 import ImageResizeModal from './ImageResizeModal';
+import { authFetch } from '../utils/authSession';
 import './Profile.css';
 
 function Profile({ user, onClose, onUpdate, isOwnProfile, currentUser, onViewTimeline }) {
@@ -148,7 +149,7 @@ function Profile({ user, onClose, onUpdate, isOwnProfile, currentUser, onViewTim
         throw new Error('User ID is missing');
       }
       
-      const response = await fetch(`${process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000'}/api/users/${userId}`, {
+      const response = await authFetch(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000', `/api/users/${userId}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(editData)
@@ -1,10 +1,13 @@
-import React, { useEffect, useRef, useState } from 'react';
-import YouTube from 'react-youtube';
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
 import { useSocket } from '../context/SocketContext';
 import { useVoice } from '../context/VoiceContext';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import {
+  faArrowDown,
+  faArrowLeft,
   faArrowRightFromBracket,
+  faArrowUp,
+  faCaretUp,
   faCheck,
   faComments,
   faEarDeaf,
@@ -15,15 +18,29 @@ import {
   faMicrophoneSlash,
   faPalette,
   faPaperPlane,
+  faPen,
+  faFaceSmile,
+  faFilm,
+  faForwardStep,
+  faReply,
+  faTrash,
+  faUpload,
   faUserGroup
 } from '@fortawesome/free-solid-svg-icons';
+import MediaPlayer from './MediaPlayer';
 import Notifications from './Notifications';
+import { DRIFT_TOLERANCE_S, addClockSample, bestOffset, clockSample, livePosition } from '../utils/playbackClock';
+import { parseMediaUrl, sourceKey, sourceLink, sourceThumbnail, sourceTitle } from '../utils/mediaSources';
 import Profile from './Profile';
 import AccountOptionsModal from './AccountOptionsModal';
+import { authFetch } from '../utils/authSession';
 import './Room.css';
 
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+
 function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
   const { socket, connected } = useSocket();
+  const apiBase = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
   const {
     joined: voiceJoined,
     channelId: voiceChannelId,
@@ -40,6 +57,14 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
 
   const [messages, setMessages] = useState(room.messages || []);
   const [newMessage, setNewMessage] = useState('');
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editingText, setEditingText] = useState('');
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  // Open thread: { rootId, root, replies, loading }.
+  const [thread, setThread] = useState(null);
+  // Older history is paged in from the server as the chat is scrolled to the top.
+  const [hasOlderMessages, setHasOlderMessages] = useState((room.messages || []).length > 0);
+  const [loadingOlderMessages, setLoadingOlderMessages] = useState(false);
   const [inviteCopied, setInviteCopied] = useState(false);
 
   // Guess Game state
@@ -91,7 +116,7 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
   };
 
   const [showMembers, setShowMembers] = useState(() => !isOverlayLayout());
-  const [showChat, setShowChat] = useState(() => !isOverlayLayout());
+  const [showChat, setShowChat] = useState(() => !!room.focusMessageId || !isOverlayLayout());
   const [activeTab, setActiveTab] = useState('youtube');
   const [viewingProfile, setViewingProfile] = useState(null);
   const [accountModalOpen, setAccountModalOpen] = useState(false);
@@ -166,10 +191,14 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
     )));
   }, [user?.id, user?.username, user?.avatar, user?.profilePicture]);
 
-  // YouTube state
-  const [youtubeUrl, setYoutubeUrl] = useState('');
-  const [currentVideo, setCurrentVideo] = useState(room.youtube || { videoId: null, playing: false, timestamp: 0 });
-  const youtubePlayerRef = useRef(null);
+  // Watch party state
+  const [mediaUrl, setMediaUrl] = useState('');
+  const [currentMedia, setCurrentMedia] = useState(room.media || { source: null, playing: false, timestamp: 0 });
+  const [mediaQueue, setMediaQueue] = useState(room.mediaQueue || []);
+  const [skipVotes, setSkipVotes] = useState(room.mediaSkipVotes || { key: null, voterIds: [], votes: 0, needed: 1 });
+  const [mediaUploading, setMediaUploading] = useState(false);
+  const playerRef = useRef(null);
+  const clockSamplesRef = useRef([]);
   const [isHost, setIsHost] = useState(false);
 
   // Drawing state
@@ -207,23 +236,174 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
   }, []);
 
   const messagesEndRef = useRef(null);
+  const threadEndRef = useRef(null);
+  const chatMessagesRef = useRef(null);
+  // Scroll height before older messages were prepended, so the view doesn't jump.
+  const prependScrollRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  useEffect(scrollToBottom, [messages]);
+  // Only follow the bottom when a new message arrives (not when history is prepended).
+  const lastMessage = messages[messages.length - 1];
+  const lastMessageKey = lastMessage ? (lastMessage.id ?? messages.length) : null;
+  useEffect(scrollToBottom, [lastMessageKey]);
+
+  const threadReplyCount = thread?.replies.length ?? 0;
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [threadReplyCount]);
+
+  useLayoutEffect(() => {
+    const el = chatMessagesRef.current;
+    const saved = prependScrollRef.current;
+    if (!el || !saved) return;
+    prependScrollRef.current = null;
+    el.scrollTop = el.scrollHeight - saved.scrollHeight + saved.scrollTop;
+  }, [messages]);
+
+  const loadOlderMessages = (limit = 50) => {
+    if (loadingOlderMessages || !hasOlderMessages || !connected) return;
+
+    // Local join/leave notices have no timestamp; page from the oldest stored message.
+    const oldest = messages.find(m => m.timestamp);
+    if (!oldest) {
+      setHasOlderMessages(false);
+      return;
+    }
+
+    setLoadingOlderMessages(true);
+    socket.emit('getRoomMessages', { roomId: room.id, before: oldest.timestamp, limit }, (res) => {
+      setLoadingOlderMessages(false);
+      if (!res?.ok) return;
+
+      setHasOlderMessages(!!res.hasMore);
+      if (!res.messages?.length) return;
+
+      const el = chatMessagesRef.current;
+      if (el) prependScrollRef.current = { scrollHeight: el.scrollHeight, scrollTop: el.scrollTop };
+      setMessages(prev => {
+        const known = new Set(prev.map(m => m.id));
+        return [...res.messages.filter(m => !known.has(m.id)), ...prev];
+      });
+    });
+  };
+
+  const handleChatScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) loadOlderMessages();
+  };
+
+  // Opened from a search result (room.focusMessageId): page back until the message is loaded,
+  // then scroll to it and highlight it for a moment.
+  const pendingFocusRef = useRef(room.focusMessageId || null);
+  const focusPagesRef = useRef(0);
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+  useEffect(() => {
+    const messageId = pendingFocusRef.current;
+    if (!messageId || loadingOlderMessages) return;
+
+    const el = document.getElementById(`room-message-${messageId}`);
+    if (el) {
+      pendingFocusRef.current = null;
+      el.scrollIntoView({ block: 'center' });
+      setHighlightedMessageId(messageId);
+      return;
+    }
+    if (!hasOlderMessages || focusPagesRef.current >= 5) {
+      pendingFocusRef.current = null;
+      return;
+    }
+    focusPagesRef.current += 1;
+    loadOlderMessages(200);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, loadingOlderMessages, hasOlderMessages, connected]);
+
+  useEffect(() => {
+    if (!highlightedMessageId) return;
+    const timer = setTimeout(() => setHighlightedMessageId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
   // Host status
   useEffect(() => {
     setIsHost(String(user.id) === String(room.host));
   }, [user.id, room.host]);
 
+  // Playback clock: estimate the server's clock offset so synced videos land on the same second.
+  useEffect(() => {
+    if (!socket) return;
+    let cancelled = false;
+
+    const ping = () => {
+      const sentAt = Date.now();
+      socket.emit('mediaPing', {}, (res) => {
+        if (cancelled || !Number.isFinite(res?.serverTime)) return;
+        clockSamplesRef.current = addClockSample(clockSamplesRef.current, clockSample(sentAt, Date.now(), res.serverTime));
+      });
+    };
+
+    ping();
+    const id = setInterval(ping, 30 * 1000);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [socket]);
+
+  const serverNow = () => Date.now() + bestOffset(clockSamplesRef.current);
+
+  // Brings the player in line with a synced state; small drift is left alone to avoid stutter.
+  const alignPlayer = (player, state) => {
+    if (!player || !state?.source) return;
+    if (player.loadedKey() !== sourceKey(state.source)) return;
+
+    const playerState = player.state();
+    if (state.playing && playerState === 'paused') player.play();
+    else if (!state.playing && playerState === 'playing') player.pause();
+    // Still buffering: its clock isn't moving yet, so any drift reading would be wrong.
+    if (playerState === 'buffering') return;
+
+    const target = livePosition(state, serverNow());
+    if (Math.abs(player.getCurrentTime() - target) > DRIFT_TOLERANCE_S) player.seekTo(target, true);
+  };
+
   // Socket listeners
   /* eslint-disable react-hooks/exhaustive-deps */
   useEffect(() => {
     const handleNewMessage = (msg) => {
       setMessages(prev => [...prev, msg]);
+      if (msg.replyToMessageId) {
+        setThread(prev => (
+          prev && prev.rootId === msg.replyToMessageId ? { ...prev, replies: [...prev.replies, msg] } : prev
+        ));
+      }
+    };
+
+    // Applies a change to a message wherever it is shown: main chat and the open thread.
+    const updateMessages = (update) => {
+      setMessages(prev => prev.map(update));
+      setThread(prev => (prev ? { ...prev, root: prev.root && update(prev.root), replies: prev.replies.map(update) } : prev));
+    };
+
+    // Replies quote their thread root; keep the quote in step with edits and deletes.
+    const updateQuotes = (id, changes) => (m) => (
+      m.replyTo && String(m.replyToMessageId) === String(id) ? { ...m, replyTo: { ...m.replyTo, ...changes } } : m
+    );
+
+    const handleMessageUpdated = (msg) => {
+      const quote = updateQuotes(msg.id, { message: msg.message });
+      updateMessages(m => (String(m.id) === String(msg.id) ? { ...m, ...msg } : quote(m)));
+    };
+
+    const handleMessageDeleted = ({ id, deletedAt }) => {
+      const quote = updateQuotes(id, { message: '', deletedAt });
+      updateMessages(m => (String(m.id) === String(id) ? { ...m, message: '', deletedAt, reactions: [] } : quote(m)));
+      setEditingMessageId(prev => (String(prev) === String(id) ? null : prev));
+    };
+
+    const handleMessageReactionsUpdated = ({ id, reactions }) => {
+      updateMessages(m => (String(m.id) === String(id) ? { ...m, reactions } : m));
     };
 
     const handleUserJoined = ({ userId, username, avatar, profilePicture }) => {
@@ -254,18 +434,17 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
       ]);
     };
 
-    const handleYoutubeSync = (youtubeState) => {
-      setCurrentVideo(youtubeState);
-      const player = youtubePlayerRef.current;
-      if (!player) return;
-
-      if (youtubeState.playing) {
-        player.playVideo();
-        player.seekTo(youtubeState.timestamp, true);
-      } else {
-        player.pauseVideo();
-        player.seekTo(youtubeState.timestamp, true);
-      }
+    const handleMediaSync = (mediaState) => {
+      setCurrentMedia(mediaState);
+      alignPlayer(playerRef.current, mediaState);
+    };
+
+    const handleMediaQueue = (queue) => {
+      setMediaQueue(Array.isArray(queue) ? queue : []);
+    };
+
+    const handleMediaSkipVotes = (tally) => {
+      if (tally) setSkipVotes(tally);
     };
 
     const handleDrawing = (drawData) => {
@@ -286,9 +465,14 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
     };
 
     socket.on('newMessage', handleNewMessage);
+    socket.on('messageUpdated', handleMessageUpdated);
+    socket.on('messageDeleted', handleMessageDeleted);
+    socket.on('messageReactionsUpdated', handleMessageReactionsUpdated);
     socket.on('userJoined', handleUserJoined);
     socket.on('userLeft', handleUserLeft);
-    socket.on('youtubeSync', handleYoutubeSync);
+    socket.on('mediaSync', handleMediaSync);
+    socket.on('mediaQueue', handleMediaQueue);
+    socket.on('mediaSkipVotes', handleMediaSkipVotes);
     socket.on('drawing', handleDrawing);
     socket.on('canvasCleared', handleCanvasCleared);
     socket.on('guessGameState', handleGuessGameState);
@@ -296,9 +480,14 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
 
     return () => {
       socket.off('newMessage', handleNewMessage);
+      socket.off('messageUpdated', handleMessageUpdated);
+      socket.off('messageDeleted', handleMessageDeleted);
+      socket.off('messageReactionsUpdated', handleMessageReactionsUpdated);
       socket.off('userJoined', handleUserJoined);
       socket.off('userLeft', handleUserLeft);
-      socket.off('youtubeSync', handleYoutubeSync);
+      socket.off('mediaSync', handleMediaSync);
+      socket.off('mediaQueue', handleMediaQueue);
+      socket.off('mediaSkipVotes', handleMediaSkipVotes);
       socket.off('drawing', handleDrawing);
       socket.off('canvasCleared', handleCanvasCleared);
       socket.off('guessGameState', handleGuessGameState);
@@ -368,10 +557,152 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
     e.preventDefault();
     if (!newMessage.trim()) return;
 
-    socket.emit('sendMessage', { message: newMessage.trim() });
+    socket.emit('sendMessage', { message: newMessage.trim(), replyToMessageId: thread?.rootId });
     setNewMessage('');
   };
 
+  const openThread = (messageId) => {
+    const rootId = String(messageId);
+    setReactionPickerFor(null);
+    setThread({ rootId, root: null, replies: [], loading: true });
+    socket.emit('getMessageThread', { messageId: rootId }, (res) => {
+      if (!res?.ok) {
+        alert(res?.message || 'Failed to load thread');
+        setThread(null);
+        return;
+      }
+      setThread(prev => (prev?.rootId === rootId ? { rootId, root: res.root, replies: res.replies || [], loading: false } : prev));
+    });
+  };
+
+  const canModifyMessage = (msg) => (
+    !msg.system && !msg.deletedAt && (msg.userId === user.id || isHost)
+  );
+
+  const startEditingMessage = (msg) => {
+    setEditingMessageId(msg.id);
+    setEditingText(msg.message);
+  };
+
+  const handleSaveEdit = (e) => {
+    e.preventDefault();
+    const text = editingText.trim();
+    if (!text) return;
+
+    socket.emit('editMessage', { messageId: editingMessageId, message: text }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Edit failed');
+    });
+    setEditingMessageId(null);
+  };
+
+  const handleDeleteMessage = (msg) => {
+    if (!window.confirm('Delete this message?')) return;
+    socket.emit('deleteMessage', { messageId: msg.id }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Delete failed');
+    });
+  };
+
+  const toggleMessageReaction = (msg, emoji) => {
+    setReactionPickerFor(null);
+    socket.emit('toggleMessageReaction', { messageId: msg.id, emoji }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Reaction failed');
+    });
+  };
+
+  const renderChatMessage = (msg, idx, { inThread = false } = {}) => (
+    <div
+      key={msg.id || idx}
+      id={!inThread && msg.id ? `room-message-${msg.id}` : undefined}
+      className={`chat-message ${msg.system ? 'system' : ''} ${msg.userId === user.id ? 'own' : ''} ${msg.deletedAt ? 'deleted' : ''} ${!inThread && msg.id && msg.id === highlightedMessageId ? 'highlighted' : ''}`}
+    >
+      {msg.system ? (
+        <span className="system-text">{msg.message}</span>
+      ) : (
+        <>
+          <div className="message-header">
+            <span className="message-author">{msg.username}</span>
+            <span className="message-time">
+              {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              {msg.editedAt && !msg.deletedAt && <span className="message-edited"> (edited)</span>}
+            </span>
+            {!msg.deletedAt && editingMessageId !== msg.id && (
+              <span className="message-actions">
+                {!inThread && (
+                  <button type="button" onClick={() => openThread(msg.replyToMessageId || msg.id)} aria-label="Reply in thread">
+                    <FontAwesomeIcon icon={faReply} />
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setReactionPickerFor(prev => (prev === msg.id ? null : msg.id))}
+                  aria-label="React to message"
+                >
+                  <FontAwesomeIcon icon={faFaceSmile} />
+                </button>
+                {canModifyMessage(msg) && (
+                  <>
+                    <button type="button" onClick={() => startEditingMessage(msg)} aria-label="Edit message">
+                      <FontAwesomeIcon icon={faPen} />
+                    </button>
+                    <button type="button" onClick={() => handleDeleteMessage(msg)} aria-label="Delete message">
+                      <FontAwesomeIcon icon={faTrash} />
+                    </button>
+                  </>
+                )}
+              </span>
+            )}
+          </div>
+          {msg.replyTo && !inThread && (
+            <button type="button" className="message-reply-preview" onClick={() => openThread(msg.replyToMessageId)}>
+              <span className="message-reply-author">{msg.replyTo.username}</span>
+              <span className="message-reply-text">{msg.replyTo.deletedAt ? 'Message deleted' : msg.replyTo.message}</span>
+            </button>
+          )}
+          {msg.deletedAt ? (
+            <div className="message-text message-tombstone">Message deleted</div>
+          ) : editingMessageId === msg.id ? (
+            <form className="message-edit-form" onSubmit={handleSaveEdit}>
+              <input
+                type="text"
+                value={editingText}
+                onChange={(e) => setEditingText(e.target.value)}
+                maxLength={1000}
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary btn-sm">Save</button>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingMessageId(null)}>Cancel</button>
+            </form>
+          ) : (
+            <div className="message-text">{msg.message}</div>
+          )}
+          {reactionPickerFor === msg.id && (
+            <div className="reaction-picker">
+              {QUICK_REACTIONS.map(emoji => (
+                <button key={emoji} type="button" onClick={() => toggleMessageReaction(msg, emoji)}>
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+          {msg.reactions?.length > 0 && (
+            <div className="message-reactions">
+              {msg.reactions.map(r => (
+                <button
+                  key={r.emoji}
+                  type="button"
+                  className={`reaction-chip ${r.userIds?.includes(user.id) ? 'mine' : ''}`}
+                  onClick={() => toggleMessageReaction(msg, r.emoji)}
+                >
+                  {r.emoji} {r.count}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+
   const handleLeave = () => {
     socket.emit('leaveRoom');
     onLeaveRoom();
@@ -401,48 +732,91 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
     }
   };
 
-  const extractVideoId = (url) => {
-    const regExp = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
-    const match = url.match(regExp);
-    return (match && match[2].length === 11) ? match[2] : null;
+  const handleLoadMedia = () => {
+    if (!isHost) return;
+
+    const source = parseMediaUrl(mediaUrl);
+    if (!source) {
+      alert('Paste a YouTube link or a link to an MP4, WebM or MP3 file');
+      return;
+    }
+
+    socket.emit('mediaPlay', { source, timestamp: 0 }, (res) => {
+      if (res?.ok === false) {
+        alert(res.message || 'Could not load that');
+        return;
+      }
+      setCurrentMedia({ source: res?.source || source, playing: true, timestamp: 0, lastUpdate: Date.now() });
+      setMediaUrl('');
+    });
   };
 
-  const handleLoadVideo = () => {
-    if (!isHost) return;
+  const queueSource = (source, onQueued) => {
+    socket.emit('mediaQueueAdd', { source }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Could not queue that');
+      else if (onQueued) onQueued();
+    });
+  };
 
-    const videoId = extractVideoId(youtubeUrl);
-    if (!videoId) {
-      alert('Invalid YouTube URL');
+  // Anyone can queue; it starts right away when nothing is loaded.
+  const handleQueueMedia = () => {
+    const source = parseMediaUrl(mediaUrl);
+    if (!source) {
+      alert('Paste a YouTube link or a link to an MP4, WebM or MP3 file');
       return;
     }
+    queueSource(source, () => setMediaUrl(''));
+  };
 
-    const next = { videoId, playing: true, timestamp: 0, lastUpdate: Date.now() };
-    setCurrentVideo(next);
-    socket.emit('youtubePlay', { videoId, timestamp: 0 });
-    setYoutubeUrl('');
+  // Uploads an audio/video file and queues it.
+  const handleUploadMedia = async (file) => {
+    if (!file) return;
+    setMediaUploading(true);
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      const res = await authFetch(apiBase, '/api/uploads', { method: 'POST', body: form });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data?.success) throw new Error(data?.error || 'Upload failed');
+      queueSource({ kind: 'upload', fileId: data.fileId });
+    } catch (e) {
+      alert(e.message || 'Upload failed');
+    } finally {
+      setMediaUploading(false);
+    }
   };
 
-  const onYoutubeReady = (event) => {
-    youtubePlayerRef.current = event.target;
-    if (!currentVideo?.videoId) return;
+  const emitQueueAction = (event, payload) => {
+    socket.emit(event, payload, (res) => {
+      if (res?.ok === false) alert(res.message || 'Queue update failed');
+    });
+  };
 
-    const player = event.target;
-    player.seekTo(currentVideo.timestamp || 0, true);
-    if (currentVideo.playing) player.playVideo();
-    else player.pauseVideo();
+  const onMediaEnd = () => {
+    const key = sourceKey(currentMedia?.source);
+    if (key) socket.emit('mediaEnded', { key, position: playerRef.current?.getCurrentTime() });
   };
 
-  const onYoutubeStateChange = (event) => {
-    if (!isHost) return;
+  const onMediaReady = (player) => {
+    playerRef.current = player;
+    if (!currentMedia?.source) return;
 
-    const player = event.target;
-    const currentTime = player.getCurrentTime();
+    player.seekTo(livePosition(currentMedia, serverNow()));
+    if (currentMedia.playing) player.play();
+    else player.pause();
+  };
 
-    if (event.data === 1) {
-      socket.emit('youtubePlay', { videoId: currentVideo.videoId, timestamp: currentTime });
-    } else if (event.data === 2) {
-      socket.emit('youtubePause', { timestamp: currentTime });
-    }
+  // The host's player drives the room, and tells the server how long the media runs.
+  const onMediaPlay = (currentTime) => {
+    if (isHost) socket.emit('mediaPlay', { timestamp: currentTime, duration: playerRef.current?.getDuration() });
+  };
+
+  const onMediaPause = (currentTime) => {
+    if (isHost) socket.emit('mediaPause', { timestamp: currentTime });
+  };
+
+  const onMediaSeek = (currentTime) => {
+    if (isHost) socket.emit('mediaSeek', { timestamp: currentTime });
   };
 
   // Drawing
@@ -844,45 +1218,146 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
                 <div className="youtube-controls">
                   <input
                     type="text"
-                    placeholder="Paste YouTube URL..."
-                    value={youtubeUrl}
-                    onChange={(e) => setYoutubeUrl(e.target.value)}
+                    placeholder="Paste a YouTube, MP4, WebM or MP3 link..."
+                    value={mediaUrl}
+                    onChange={(e) => setMediaUrl(e.target.value)}
                   />
                   <button
                     className="btn btn-primary"
-                    onClick={handleLoadVideo}
+                    onClick={handleLoadMedia}
                     disabled={!isHost}
                     title={!isHost ? 'Only the host can load videos' : 'Load video'}
                   >
                     Load Video
                   </button>
+                  <button className="btn btn-secondary" onClick={handleQueueMedia} disabled={!mediaUrl.trim()}>
+                    Add to Queue
+                  </button>
+                  <label className={`btn btn-secondary ${mediaUploading ? 'disabled' : ''}`} title="Upload a video or audio file to the queue">
+                    <FontAwesomeIcon icon={faUpload} /> {mediaUploading ? 'Uploading...' : 'Upload'}
+                    <input
+                      type="file"
+                      accept="audio/*,video/*"
+                      disabled={mediaUploading}
+                      onChange={(e) => {
+                        handleUploadMedia(e.target.files?.[0] || null);
+                        e.target.value = '';
+                      }}
+                      style={{ display: 'none' }}
+                    />
+                  </label>
                 </div>
 
                 {!isHost && <p className="host-notice">Only the host can control playback</p>}
 
-                {currentVideo?.videoId ? (
+                {currentMedia?.source ? (
                   <div className="youtube-player-rave">
-                    <YouTube
-                      videoId={currentVideo.videoId}
-                      opts={{
-                        width: '100%',
-                        height: '100%',
-                        playerVars: {
-                          autoplay: 1,
-                          controls: isHost ? 1 : 0,
-                        },
-                      }}
-                      onReady={onYoutubeReady}
-                      onStateChange={onYoutubeStateChange}
+                    <MediaPlayer
+                      source={currentMedia.source}
+                      controls={isHost}
+                      onReady={onMediaReady}
+                      onPlay={onMediaPlay}
+                      onPause={onMediaPause}
+                      onSeek={onMediaSeek}
+                      onEnd={onMediaEnd}
                     />
                   </div>
                 ) : (
                   <div className="empty-youtube-rave">
                     <div className="empty-icon" aria-hidden="true"><FontAwesomeIcon icon={faMusic} /></div>
                     <h3>No video playing</h3>
-                    <p>Paste a YouTube URL above to start watching together!</p>
+                    <p>Paste a YouTube or media link above, or upload a file, to start watching together!</p>
                   </div>
                 )}
+
+                {mediaQueue.length > 0 || currentMedia?.source ? (
+                  <div className="youtube-queue">
+                    <div className="youtube-queue__header">
+                      <strong>Up next</strong>
+                      <span>{mediaQueue.length} {mediaQueue.length === 1 ? 'item' : 'items'}</span>
+                      {currentMedia?.source ? (
+                        <button
+                          type="button"
+                          className={`btn btn-secondary btn-sm youtube-vote ${skipVotes.voterIds?.includes(user?.id) ? 'active' : ''}`}
+                          onClick={() => emitQueueAction('mediaVoteSkip')}
+                          title="Skip when enough of the room votes"
+                        >
+                          Vote to skip ({skipVotes.votes}/{skipVotes.needed})
+                        </button>
+                      ) : null}
+                      {isHost ? (
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => emitQueueAction('mediaQueueNext')}
+                          title={mediaQueue.length ? 'Play the next one now' : 'Stop playback'}
+                        >
+                          <FontAwesomeIcon icon={faForwardStep} /> Skip
+                        </button>
+                      ) : null}
+                    </div>
+                    {mediaQueue.map((item, index) => (
+                      <div key={item.id} className="youtube-queue__item">
+                        {sourceThumbnail(item.source) ? (
+                          <img src={sourceThumbnail(item.source)} alt="" loading="lazy" />
+                        ) : (
+                          <div className="youtube-queue__thumb" aria-hidden="true">
+                            <FontAwesomeIcon icon={item.source?.mediaType === 'audio' ? faMusic : faFilm} />
+                          </div>
+                        )}
+                        <div className="youtube-queue__info">
+                          <a href={sourceLink(item.source)} target="_blank" rel="noopener noreferrer">
+                            {sourceTitle(item.source)}
+                          </a>
+                          <span>Added by {item.addedByUsername || 'someone'}</span>
+                        </div>
+                        <div className="youtube-queue__actions">
+                          <button
+                            type="button"
+                            className={`btn-icon youtube-vote ${item.upvoterIds?.includes(user?.id) ? 'active' : ''}`}
+                            onClick={() => emitQueueAction('mediaQueueUpvote', { itemId: item.id })}
+                            aria-label="Upvote"
+                            title="Upvote to move it up"
+                          >
+                            <FontAwesomeIcon icon={faCaretUp} /> {item.upvoterIds?.length || 0}
+                          </button>
+                          {isHost ? (
+                            <>
+                              <button
+                                type="button"
+                                className="btn-icon"
+                                onClick={() => emitQueueAction('mediaQueueMove', { itemId: item.id, toIndex: index - 1 })}
+                                disabled={index === 0}
+                                aria-label="Move up"
+                              >
+                                <FontAwesomeIcon icon={faArrowUp} />
+                              </button>
+                              <button
+                                type="button"
+                                className="btn-icon"
+                                onClick={() => emitQueueAction('mediaQueueMove', { itemId: item.id, toIndex: index + 1 })}
+                                disabled={index === mediaQueue.length - 1}
+                                aria-label="Move down"
+                              >
+                                <FontAwesomeIcon icon={faArrowDown} />
+                              </button>
+                            </>
+                          ) : null}
+                          {isHost || String(item.addedById) === String(user?.id) ? (
+                            <button
+                              type="button"
+                              className="btn-icon"
+                              onClick={() => emitQueueAction('mediaQueueRemove', { itemId: item.id })}
+                              aria-label="Remove from queue"
+                            >
+                              <FontAwesomeIcon icon={faTrash} />
+                            </button>
+                          ) : null}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : null}
               </div>
             )}
 
@@ -1043,34 +1518,49 @@ function Room({ user, room, onLeaveRoom, onViewTimeline, onUserUpdated }) {
             <div className="sidebar-header">
               <h3><FontAwesomeIcon icon={faComments} /> Chat</h3>
             </div>
-            <div className="chat-messages">
-              {messages.map((msg, idx) => (
-                <div
-                  key={msg.id || idx}
-                  className={`chat-message ${msg.system ? 'system' : ''} ${msg.userId === user.id ? 'own' : ''}`}
-                >
-                  {msg.system ? (
-                    <span className="system-text">{msg.message}</span>
-                  ) : (
-                    <>
-                      <div className="message-header">
-                        <span className="message-author">{msg.username}</span>
-                        <span className="message-time">
-                          {new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                        </span>
-                      </div>
-                      <div className="message-text">{msg.message}</div>
-                    </>
-                  )}
+            {thread && (
+              <div className="chat-messages chat-thread">
+                <div className="chat-thread-header">
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => setThread(null)}>
+                    <FontAwesomeIcon icon={faArrowLeft} /> Back to chat
+                  </button>
+                  <span>Thread</span>
                 </div>
-              ))}
+                {thread.loading ? (
+                  <div className="chat-history-status">Loading thread…</div>
+                ) : (
+                  <>
+                    {thread.root && renderChatMessage(thread.root, 'root', { inThread: true })}
+                    <div className="chat-history-status">
+                      {thread.replies.length === 1 ? '1 reply' : `${thread.replies.length} replies`}
+                    </div>
+                    {thread.replies.map((msg, idx) => renderChatMessage(msg, idx, { inThread: true }))}
+                  </>
+                )}
+                <div ref={threadEndRef} />
+              </div>
+            )}
+            {/* Stays mounted while a thread is open so its scroll position survives. */}
+            <div
+              className="chat-messages"
+              ref={chatMessagesRef}
+              onScroll={handleChatScroll}
+              style={thread ? { display: 'none' } : undefined}
+            >
+              {loadingOlderMessages && (
+                <div className="chat-history-status">Loading earlier messages…</div>
+              )}
+              {!loadingOlderMessages && !hasOlderMessages && messages.length > 0 && (
+                <div className="chat-history-status">Beginning of chat history</div>
+              )}
+              {messages.map((msg, idx) => renderChatMessage(msg, idx))}
               <div ref={messagesEndRef} />
             </div>
 
             <form onSubmit={handleSendMessage} className="chat-input-form">
               <input
                 type="text"
-                placeholder="Type a message..."
+                placeholder={thread ? 'Reply in thread...' : 'Type a message...'}
                 value={newMessage}
                 onChange={(e) => setNewMessage(e.target.value)}
                 className="chat-input"
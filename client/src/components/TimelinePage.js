@@ -6,19 +6,26 @@ import {
   faComments,
   faClock,
   faCheck,
-  faFire,
   faLock,
   faNewspaper,
+  faRetweet,
   faUserPlus,
   faUserGroup,
   faXmark
 } from '@fortawesome/free-solid-svg-icons';
+import { visibilityOption, visibilityOptionsWithin } from '../utils/feedVisibility';
+import { DEFAULT_REACTION_TYPES, myReaction, reactionCount, reactionEmoji, totalReactions } from '../utils/feedReactions';
+import FeedPoll from './FeedPoll';
+import RepostEmbed, { RepostForm, canShare } from './FeedRepost';
+import { matchHashtag } from '../utils/hashtags';
 import './TimelinePage.css';
 
-function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, backLabel = 'Back' }) {
+function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, onOpenTag, backLabel = 'Back' }) {
   const { socket } = useSocket();
   const [loading, setLoading] = useState(true);
   const [canViewTimeline, setCanViewTimeline] = useState(false);
+  const [canViewFriends, setCanViewFriends] = useState(false);
+  const [reactionTypes, setReactionTypes] = useState(DEFAULT_REACTION_TYPES);
   const [profile, setProfile] = useState(null);
   const [posts, setPosts] = useState([]);
   const [friends, setFriends] = useState([]);
@@ -28,6 +35,9 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
   const [commentDrafts, setCommentDrafts] = useState({});
   const [replyDrafts, setReplyDrafts] = useState({}); // key: commentId => text
   const [replyingTo, setReplyingTo] = useState(null); // { postId, commentId, userId, username }
+  const [editingPost, setEditingPost] = useState(null); // { postId, text, visibility }
+  const [sharingPostId, setSharingPostId] = useState(null);
+  const [editingComment, setEditingComment] = useState(null); // { postId, commentId, text }
   const commentInputRefs = useRef({}); // postId => input
   const replyInputRefs = useRef({}); // commentId => input
   const [mentionPicker, setMentionPicker] = useState({
@@ -101,6 +111,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
     socket.emit('getUserTimeline', { userId: resolvedTargetUserId }, (res) => {
       if (!res?.ok) {
         setCanViewTimeline(false);
+        setCanViewFriends(false);
         setProfile(null);
         setPosts([]);
         setFriends([]);
@@ -110,6 +121,8 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
       }
 
       setCanViewTimeline(!!res.canViewTimeline);
+      setCanViewFriends(!!res.canViewFriends);
+      if (Array.isArray(res.reactionTypes)) setReactionTypes(res.reactionTypes);
       setProfile(res.user || null);
       setPosts(Array.isArray(res.posts) ? res.posts : []);
       setFriends(Array.isArray(res.friends) ? res.friends : []);
@@ -140,7 +153,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
       alert('Cannot send a request to this user.');
       return;
     }
-    if (canViewTimeline || requestSent) return;
+    if (canViewFriends || requestSent) return;
 
     setFriendRequestStatus('sending');
     socket.emit('sendFriendRequest', { targetUserId: resolvedTargetUserId });
@@ -181,12 +194,18 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
       });
     };
 
+    const handleDeleted = ({ id }) => {
+      setPosts(prev => prev.filter(p => String(p?.id) !== String(id)));
+    };
+
     socket.on('feedPostUpdated', handleUpdated);
     socket.on('newsFeedPost', handleNew);
+    socket.on('feedPostDeleted', handleDeleted);
 
     return () => {
       socket.off('feedPostUpdated', handleUpdated);
       socket.off('newsFeedPost', handleNew);
+      socket.off('feedPostDeleted', handleDeleted);
     };
   }, [socket, resolvedTargetUserId]);
 
@@ -194,7 +213,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
   const friendCount = typeof profile?.friends?.length === 'number' ? profile.friends.length : friends.length;
   const topFriends = friends.slice(0, 5);
 
-  const showAddFriendButton = !loading && !!profile && !isSelf && !canViewTimeline && !targetBlockedMe;
+  const showAddFriendButton = !loading && !!profile && !isSelf && !canViewFriends && !targetBlockedMe;
   const addFriendDisabled = isCurrentUserGuest || targetIsGuest || requestSent || friendRequestStatus === 'sending';
   const addFriendLabel = requestSent
     ? 'Sent'
@@ -211,9 +230,43 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
     });
   };
 
-  const handleReactFire = (postId) => {
+  const handleSaveEditPost = (e) => {
+    e.preventDefault();
+    if (!socket || !editingPost) return;
+    const { postId, text, visibility } = editingPost;
+    socket.emit('editFeedPost', { postId, content: text, visibility }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Edit failed');
+      else setEditingPost(null);
+    });
+  };
+
+  const handleDeletePost = (postId) => {
+    if (!socket || !window.confirm('Delete this post?')) return;
+    socket.emit('deleteFeedPost', { postId }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Delete failed');
+    });
+  };
+
+  const handleSaveEditComment = (e) => {
+    e.preventDefault();
+    if (!socket || !editingComment) return;
+    const { postId, commentId, text } = editingComment;
+    socket.emit('editFeedComment', { postId, commentId, text }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Edit failed');
+      else setEditingComment(null);
+    });
+  };
+
+  const handleDeleteComment = (postId, commentId) => {
+    if (!socket || !window.confirm('Delete this comment and its replies?')) return;
+    socket.emit('deleteFeedComment', { postId, commentId }, (res) => {
+      if (res?.ok === false) alert(res.message || 'Delete failed');
+    });
+  };
+
+  const handleReact = (postId, type) => {
     if (!socket || !canViewTimeline) return;
-    socket.emit('toggleFeedReaction', { postId, type: 'fire' });
+    socket.emit('toggleFeedReaction', { postId, type });
   };
 
   const handleAddComment = (postId, e) => {
@@ -378,13 +431,20 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
     );
   };
 
-  const renderCommentText = (text) => {
+  const renderFeedText = (text) => {
     const raw = String(text || '');
     const parts = raw.split(/(\s+)/);
     return parts.map((p, idx) => {
       const m = /^@([A-Za-z0-9_]{2,30})\b/.exec(p);
-      if (!m) return <React.Fragment key={idx}>{p}</React.Fragment>;
-      return <span key={idx} className="mention">{p}</span>;
+      if (m) return <span key={idx} className="mention">{p}</span>;
+      const hashtag = matchHashtag(p);
+      if (!hashtag || typeof onOpenTag !== 'function') return <React.Fragment key={idx}>{p}</React.Fragment>;
+      return (
+        <React.Fragment key={idx}>
+          <button type="button" className="hashtag" onClick={() => onOpenTag(hashtag.tag)}>{hashtag.label}</button>
+          {hashtag.rest}
+        </React.Fragment>
+      );
     });
   };
 
@@ -516,7 +576,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
           <div className="timeline-card card timeline-card--scroll">
             <div className="timeline-card__header">
               <span><FontAwesomeIcon icon={faUserGroup} /> Friends</span>
-              {canViewTimeline && friends.length > 5 ? (
+              {canViewFriends && friends.length > 5 ? (
                 <button type="button" className="btn btn-secondary btn-sm" onClick={() => setFriendsModalOpen(true)}>
                   See more
                 </button>
@@ -525,7 +585,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
 
             {loading ? (
               <div className="timeline-muted">Loading…</div>
-            ) : !canViewTimeline ? (
+            ) : !canViewFriends ? (
               <div className="timeline-locked">
                 <div className="timeline-locked__icon"><FontAwesomeIcon icon={faLock} /></div>
                 <div className="timeline-muted">Friends list is only visible to friends.</div>
@@ -578,7 +638,7 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
             ) : !canViewTimeline ? (
               <div className="timeline-locked">
                 <div className="timeline-locked__icon"><FontAwesomeIcon icon={faLock} /></div>
-                <div className="timeline-muted">Timeline is only visible to friends.</div>
+                <div className="timeline-muted">This timeline isn't available.</div>
               </div>
             ) : posts.length === 0 ? (
               <div className="timeline-muted">No posts yet</div>
@@ -586,20 +646,57 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
               <div className="timeline-posts">
                 {posts.map((p) => (
                   (() => {
-                    const fireCount = typeof p.fireCount === 'number'
-                      ? p.fireCount
-                      : Array.isArray(p.fireUserIds) ? p.fireUserIds.length : 0;
                     const commentCount = Array.isArray(p.comments) ? p.comments.length : 0;
                     const isExpanded = expandedPostIds.has(p.id);
-                    const hasReacted = Array.isArray(p.fireUserIds) && myUserId ? p.fireUserIds.includes(String(myUserId)) : false;
+                    const mine = myReaction(p, myUserId);
 
                     return (
                   <div key={p.id} className="timeline-post">
                     <div className="timeline-post__meta">
                       <strong>{p.author}</strong>
-                      <span>{p.timestamp ? new Date(p.timestamp).toLocaleString() : ''}</span>
+                      {p.repostOf ? <span className="timeline-shared-label">shared a post</span> : null}
+                      <span>
+                        {p.timestamp ? new Date(p.timestamp).toLocaleString() : ''}
+                        {p.editedAt ? <span className="timeline-edited"> (edited)</span> : null}
+                        <span className="timeline-visibility" title={visibilityOption(p.visibility).label}>
+                          <FontAwesomeIcon icon={visibilityOption(p.visibility).icon} />
+                        </span>
+                      </span>
+                      {isSelf ? (
+                        <span className="timeline-post__owner-actions">
+                          <button type="button" className="btn-link" onClick={() => setEditingPost({ postId: p.id, text: p.content || '', visibility: p.visibility || 'public' })}>
+                            Edit
+                          </button>
+                          <button type="button" className="btn-link" onClick={() => handleDeletePost(p.id)}>
+                            Delete
+                          </button>
+                        </span>
+                      ) : null}
                     </div>
-                    {p.content ? <div className="timeline-post__content">{p.content}</div> : null}
+                    {editingPost?.postId === p.id ? (
+                      <form className="timeline-post__edit" onSubmit={handleSaveEditPost}>
+                        <textarea
+                          value={editingPost.text}
+                          onChange={(e) => setEditingPost(prev => ({ ...prev, text: e.target.value }))}
+                          maxLength={500}
+                          rows={3}
+                          autoFocus
+                        />
+                        <div className="timeline-post__edit-actions">
+                          <select
+                            className="timeline-visibility-select"
+                            value={editingPost.visibility}
+                            onChange={(e) => setEditingPost(prev => ({ ...prev, visibility: e.target.value }))}
+                            aria-label="Who can see this post"
+                          >
+                            {visibilityOptionsWithin(p.original?.visibility).map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                          </select>
+                          <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingPost(null)}>Cancel</button>
+                          <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                        </div>
+                      </form>
+                    ) : p.content ? <div className="timeline-post__content">{renderFeedText(p.content)}</div> : null}
+                    {p.poll ? <FeedPoll poll={p.poll} postId={p.id} socket={socket} disabled={!canViewTimeline} /> : null}
                     {Array.isArray(p.images) && p.images.length ? (
                       <div className="timeline-post__images">
                         {p.images.slice(0, 4).map((img) => (
@@ -607,11 +704,18 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
                         ))}
                       </div>
                     ) : null}
+                    {p.repostOf ? (
+                      <RepostEmbed
+                        original={p.original}
+                        renderText={renderFeedText}
+                        onOpenProfile={(userId) => onNavigateToUser?.(userId)}
+                      />
+                    ) : null}
 
                     <div className="timeline-post__stats" aria-label="Post stats">
                       <div className="timeline-post__stat">
-                        <FontAwesomeIcon icon={faFire} />
-                        <span>{fireCount}</span>
+                        <span>{(p.reactions || []).map(r => reactionEmoji(r.type)).join('') || reactionEmoji('fire')}</span>
+                        <span>{totalReactions(p)}</span>
                       </div>
                       <div className="timeline-post__stat">
                         <FontAwesomeIcon icon={faComments} />
@@ -620,31 +724,49 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
                     </div>
 
                     <div className="timeline-post__actions">
-                      <button
-                        type="button"
-                        className={`timeline-action ${hasReacted ? 'active' : ''}`}
-                        onClick={() => handleReactFire(p.id)}
-                        disabled={!canViewTimeline}
-                        title={!canViewTimeline ? 'Friends only' : 'React Fire'}
-                      >
-                        <FontAwesomeIcon icon={faFire} />
-                        <span>Fire</span>
-                        <span className="timeline-action__count">{fireCount}</span>
-                      </button>
+                      {reactionTypes.map(type => (
+                        <button
+                          key={type}
+                          type="button"
+                          className={`timeline-action ${mine === type ? 'active' : ''}`}
+                          onClick={() => handleReact(p.id, type)}
+                          disabled={!canViewTimeline}
+                          title={!canViewTimeline ? 'Not available' : type}
+                        >
+                          <span>{reactionEmoji(type)}</span>
+                          {reactionCount(p, type) ? <span className="timeline-action__count">{reactionCount(p, type)}</span> : null}
+                        </button>
+                      ))}
 
                       <button
                         type="button"
                         className="timeline-action"
                         onClick={() => togglePostExpanded(p.id)}
                         disabled={!canViewTimeline}
-                        title={!canViewTimeline ? 'Friends only' : 'Comments'}
+                        title={!canViewTimeline ? 'Not available' : 'Comments'}
                       >
                         <FontAwesomeIcon icon={faComments} />
                         <span>Comments</span>
                         <span className="timeline-action__count">{commentCount}</span>
                       </button>
+
+                      <button
+                        type="button"
+                        className="timeline-action"
+                        onClick={() => setSharingPostId(id => (id === p.id ? null : p.id))}
+                        disabled={!canViewTimeline || !canShare(p, myUserId)}
+                        title={canShare(p, myUserId) ? 'Share' : 'Only public posts can be shared'}
+                      >
+                        <FontAwesomeIcon icon={faRetweet} />
+                        <span>Share</span>
+                        {p.shareCount ? <span className="timeline-action__count">{p.shareCount}</span> : null}
+                      </button>
                     </div>
 
+                    {sharingPostId === p.id ? (
+                      <RepostForm post={p} socket={socket} onDone={() => setSharingPostId(null)} />
+                    ) : null}
+
                     {isExpanded ? (
                       <div className="timeline-comments">
                         <form className="timeline-comment-form" onSubmit={(e) => handleAddComment(p.id, e)}>
@@ -743,17 +865,48 @@ function TimelinePage({ currentUser, targetUserId, onBack, onNavigateToUser, bac
                                       <button type="button" className="comment-author" onClick={() => onNavigateToUser?.(c.userId)}>
                                         {c.username || 'User'}
                                       </button>
-                                      <span>{c.timestamp ? new Date(c.timestamp).toLocaleString() : ''}</span>
+                                      <span>
+                                        {c.timestamp ? new Date(c.timestamp).toLocaleString() : ''}
+                                        {c.editedAt ? <span className="timeline-edited"> (edited)</span> : null}
+                                      </span>
                                     </div>
                                     {c.replyToUsername ? (
                                       <div className="timeline-comment__replyto">Replying to <span>@{c.replyToUsername}</span></div>
                                     ) : null}
-                                    <div className="timeline-comment__text">{renderCommentText(c.text)}</div>
+                                    {editingComment?.commentId === c._cid ? (
+                                      <form className="timeline-comment-edit" onSubmit={handleSaveEditComment}>
+                                        <input
+                                          type="text"
+                                          value={editingComment.text}
+                                          onChange={(e) => setEditingComment(prev => ({ ...prev, text: e.target.value }))}
+                                          maxLength={1000}
+                                          autoFocus
+                                        />
+                                        <button type="submit" className="btn btn-primary btn-sm">Save</button>
+                                        <button type="button" className="btn btn-secondary btn-sm" onClick={() => setEditingComment(null)}>Cancel</button>
+                                      </form>
+                                    ) : (
+                                      <div className="timeline-comment__text">{renderFeedText(c.text)}</div>
+                                    )}
 
                                     <div className="timeline-comment__actions">
                                       <button type="button" className="btn-link" onClick={() => handleReplyToComment(p.id, c)} disabled={!canViewTimeline}>
                                         Reply
                                       </button>
+                                      {String(c.userId) === String(myUserId) ? (
+                                        <button
+                                          type="button"
+                                          className="btn-link"
+                                          onClick={() => setEditingComment({ postId: p.id, commentId: c._cid, text: c.text || '' })}
+                                        >
+                                          Edit
+                                        </button>
+                                      ) : null}
+                                      {String(c.userId) === String(myUserId) || isSelf ? (
+                                        <button type="button" className="btn-link" onClick={() => handleDeleteComment(p.id, c._cid)}>
+                                          Delete
+                                        </button>
+                                      ) : null}
                                     </div>
 
                                     {isActiveReply ? (
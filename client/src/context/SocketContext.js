@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
 import io from 'socket.io-client';
+import { clearSessionTokens, getAccessToken, refreshSessionTokens } from '../utils/authSession';
 
 const SocketContext = createContext();
 
@@ -11,13 +12,28 @@ export const useSocket = () => {
   return context;
 };
 
+function readSavedSessionUser() {
+  try {
+    const rawSession = localStorage.getItem('hangout_session');
+    if (rawSession) return JSON.parse(rawSession)?.user || null;
+    // Set by Login before the session is saved.
+    const rawUser = localStorage.getItem('hangout_user');
+    return rawUser ? JSON.parse(rawUser) : null;
+  } catch {
+    return null;
+  }
+}
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [connectionError, setConnectionError] = useState('');
   const lastRegisteredRef = useRef({ socketId: null, userId: null, username: null });
+  // Identity the server verified during the handshake (from 'serverInfo').
+  const identityRef = useRef({ socketId: null, userId: null, authenticated: false });
 
   useEffect(() => {
+    const apiBase = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
     const envURL = process.env.REACT_APP_SOCKET_URL;
     const socketURL = envURL
       ? envURL
@@ -33,13 +49,33 @@ export const SocketProvider = ({ children }) => {
       reconnectionDelay: 500,
       reconnectionDelayMax: 5000,
       timeout: 20000,
+      // Evaluated on every (re)connect so the handshake always carries the latest token.
+      // Without a token the server assigns a limited guest identity using this display name.
+      auth: (cb) => {
+        const token = getAccessToken();
+        const savedUser = readSavedSessionUser();
+        cb(token ? { token } : { username: savedUser?.username, avatar: savedUser?.avatar });
+      },
     });
 
+    // Identity is fixed at handshake time, so a new token means a new connection.
+    const reconnect = () => {
+      lastRegisteredRef.current = { socketId: null, userId: null, username: null };
+      newSocket.disconnect();
+      newSocket.connect();
+    };
+
     const registerUser = (userData) => {
       if (!newSocket || !newSocket.connected) return;
       const userId = userData?.id || userData?._id;
       const username = userData?.username;
-      const avatar = userData?.avatar;
+
+      // Logged in after this socket connected: reconnect with the session token instead.
+      const identity = identityRef.current;
+      if (userId && identity.socketId === newSocket.id && identity.userId !== String(userId) && getAccessToken()) {
+        reconnect();
+        return;
+      }
 
       // Guard: only register once per socket.id per user
       const last = lastRegisteredRef.current;
@@ -48,30 +84,41 @@ export const SocketProvider = ({ children }) => {
       }
 
       if (userId || username) {
-        newSocket.emit('register', { username, avatar, userId });
+        newSocket.emit('register');
         lastRegisteredRef.current = { socketId: newSocket.id, userId: userId || null, username: username || null };
       }
     };
 
+    // Reconnects with the stored token; resolves with the server's 'registered' payload.
+    const authenticate = () => new Promise((resolve) => {
+      newSocket.once('registered', resolve);
+      reconnect();
+    });
+
     newSocket.on('connect', () => {
       console.log('Connected to server');
       setConnected(true);
       setConnectionError('');
-
-      // Auto-register from saved session (once per connection)
-      try {
-        const rawSession = localStorage.getItem('hangout_session');
-        if (rawSession) {
-          const session = JSON.parse(rawSession);
-          registerUser(session?.user);
-        }
-      } catch {
-        // ignore
-      }
     });
 
+    let reauthForToken = null;
+    let sessionRefreshAttempts = 0;
     newSocket.on('serverInfo', (info) => {
       console.log('[serverInfo]', info);
+      sessionRefreshAttempts = 0;
+      identityRef.current = {
+        socketId: info?.socketId || newSocket.id,
+        userId: info?.userId ? String(info.userId) : null,
+        authenticated: !!info?.authenticated
+      };
+
+      // A token was stored after the handshake started (e.g. login raced the connect).
+      const token = getAccessToken();
+      const savedUserId = readSavedSessionUser()?.id;
+      if (token && savedUserId && String(savedUserId) !== identityRef.current.userId && reauthForToken !== token) {
+        reauthForToken = token;
+        reconnect();
+      }
     });
 
     newSocket.on('disconnect', () => {
@@ -79,7 +126,20 @@ export const SocketProvider = ({ children }) => {
       setConnected(false);
     });
 
-    newSocket.on('connect_error', (err) => {
+    newSocket.on('connect_error', async (err) => {
+      // The handshake rejected our access token: rotate it once, otherwise fall back to a guest connection.
+      if (err?.data?.code === 'SESSION_EXPIRED') {
+        sessionRefreshAttempts += 1;
+        const token = sessionRefreshAttempts <= 1 ? await refreshSessionTokens(apiBase) : null;
+        if (!token) {
+          clearSessionTokens();
+          localStorage.removeItem('hangout_session');
+          setConnectionError('Your session has expired. Please log in again.');
+        }
+        newSocket.connect();
+        return;
+      }
+
       const msg = String(err?.message || 'Unable to connect to server');
       console.warn('[socket] connect_error', err);
       setConnected(false);
@@ -92,8 +152,9 @@ export const SocketProvider = ({ children }) => {
 
     setSocket(newSocket);
 
-    // Expose a stable register function tied to this socket instance
+    // Expose stable functions tied to this socket instance
     newSocket.__registerUser = registerUser;
+    newSocket.__authenticate = authenticate;
 
     return () => {
       newSocket.close();
@@ -107,13 +168,14 @@ export const SocketProvider = ({ children }) => {
       // Fallback
       const userId = userData?.id || userData?._id;
       const username = userData?.username;
-      const avatar = userData?.avatar;
-      if (userId || username) socket.emit('register', { username, avatar, userId });
+      if (userId || username) socket.emit('register');
     }
   };
 
+  const authenticate = () => (socket && socket.__authenticate ? socket.__authenticate() : Promise.resolve(null));
+
   return (
-    <SocketContext.Provider value={{ socket, connected, connectionError, registerUser }}>
+    <SocketContext.Provider value={{ socket, connected, connectionError, registerUser, authenticate }}>
       {children}
     </SocketContext.Provider>
   );
@@ -0,0 +1,106 @@
+// Session tokens issued by /api/users/login, /signup and /guest.
+// The access token is short-lived; the refresh token rotates on every use.
+const ACCESS_TOKEN_KEY = 'hangout_token';
+const REFRESH_TOKEN_KEY = 'hangout_refresh_token';
+
+export function getAccessToken() {
+  try {
+    return localStorage.getItem(ACCESS_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function getRefreshToken() {
+  try {
+    return localStorage.getItem(REFRESH_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+}
+
+export function saveSessionTokens({ token, refreshToken } = {}) {
+  try {
+    if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  } catch {
+    // ignore
+  }
+}
+
+export function clearSessionTokens() {
+  try {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// Concurrent callers share one in-flight refresh so the rotated token isn't reused.
+let refreshInFlight = null;
+
+export function refreshSessionTokens(apiBase) {
+  if (refreshInFlight) return refreshInFlight;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return Promise.resolve(null);
+
+  refreshInFlight = fetch(`${apiBase}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  })
+    .then(res => res.json())
+    .then(data => {
+      if (!data?.success || !data.token) {
+        clearSessionTokens();
+        return null;
+      }
+      saveSessionTokens(data);
+      return data.token;
+    })
+    .catch(() => null)
+    .finally(() => {
+      refreshInFlight = null;
+    });
+
+  return refreshInFlight;
+}
+
+export async function logoutSession(apiBase) {
+  const token = getAccessToken();
+  const refreshToken = getRefreshToken();
+  clearSessionTokens();
+  if (!token && !refreshToken) return;
+
+  try {
+    await fetch(`${apiBase}/api/auth/logout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch {
+    // Best effort: local tokens are already gone.
+  }
+}
+
+// fetch() with the bearer access token; refreshes once and retries on 401.
+export async function authFetch(apiBase, path, options = {}) {
+  const send = (token) => fetch(`${apiBase}${path}`, {
+    ...options,
+    headers: {
+      ...(options.headers || {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    }
+  });
+
+  const res = await send(getAccessToken());
+  if (res.status !== 401) return res;
+
+  const token = await refreshSessionTokens(apiBase);
+  return token ? send(token) : res;
+}
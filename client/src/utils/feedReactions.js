@@ -0,0 +1,28 @@
+// Emoji for the server's feed reaction types; unknown types fall back to their name.
+const REACTION_EMOJI = {
+  fire: '🔥',
+  laugh: '😂',
+  heart: '❤️',
+  wow: '😮',
+  sad: '😢'
+};
+
+export const DEFAULT_REACTION_TYPES = Object.keys(REACTION_EMOJI);
+
+export function reactionEmoji(type) {
+  return REACTION_EMOJI[type] || type;
+}
+
+export function reactionCount(post, type) {
+  return (post?.reactions || []).find(r => r.type === type)?.count || 0;
+}
+
+export function totalReactions(post) {
+  return (post?.reactions || []).reduce((sum, r) => sum + (r.count || 0), 0);
+}
+
+// The type `userId` reacted with, or null.
+export function myReaction(post, userId) {
+  if (!userId) return null;
+  return (post?.reactions || []).find(r => (r.userIds || []).includes(String(userId)))?.type || null;
+}
@@ -0,0 +1,18 @@
+import { faGlobe, faLock, faUserGroup } from '@fortawesome/free-solid-svg-icons';
+
+// Who can see a feed post; mirrors FeedPost.visibility on the server.
+export const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public', icon: faGlobe },
+  { value: 'friends', label: 'Friends', icon: faUserGroup },
+  { value: 'private', label: 'Only me', icon: faLock }
+];
+
+export function visibilityOption(value) {
+  return VISIBILITY_OPTIONS.find(o => o.value === value) || VISIBILITY_OPTIONS[0];
+}
+
+// The options no more visible than `limit`; a share can't reach further than the post it shares.
+export function visibilityOptionsWithin(limit) {
+  const index = VISIBILITY_OPTIONS.findIndex(o => o.value === limit);
+  return index < 0 ? VISIBILITY_OPTIONS : VISIBILITY_OPTIONS.slice(index);
+}
@@ -0,0 +1,9 @@
+// Same rule as extractHashtags on the server: letters, numbers and underscores (at least one letter).
+const HASHTAG_TOKEN = /^#([\p{L}\p{N}_]{1,50})(?![\p{L}\p{N}_])(.*)$/su;
+
+// A whitespace-free token that starts with a hashtag -> { tag, label, rest }; null otherwise.
+export function matchHashtag(token) {
+  const m = HASHTAG_TOKEN.exec(String(token || ''));
+  if (!m || !/\p{L}/u.test(m[1])) return null;
+  return { tag: m[1].normalize('NFC').toLowerCase(), label: `#${m[1]}`, rest: m[2] };
+}
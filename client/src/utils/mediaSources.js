@@ -0,0 +1,46 @@
+// Watch-party sources; mirrors resolveSource in server/features/media.js, which fills in
+// mediaType/title and has the final say.
+const YOUTUBE_URL = /^.*(youtu.be\/|v\/|u\/\w\/|embed\/|watch\?v=|&v=)([^#&?]*).*/;
+const UPLOAD_PATH = /\/api\/uploads\/([a-f0-9]{24})$/i;
+const MEDIA_EXTENSION = /\.(mp4|m4v|webm|mp3|m4a|ogg|wav)$/i;
+
+// A pasted link -> { kind: 'youtube' | 'upload' | 'url', ... }; null when it's none of them.
+export function parseMediaUrl(text) {
+  const value = String(text || '').trim();
+  const youtube = value.match(YOUTUBE_URL);
+  if (youtube && youtube[2].length === 11) return { kind: 'youtube', videoId: youtube[2] };
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+
+  const upload = url.pathname.match(UPLOAD_PATH);
+  if (upload) return { kind: 'upload', fileId: upload[1] };
+  return MEDIA_EXTENSION.test(url.pathname) ? { kind: 'url', url: url.href } : null;
+}
+
+// Same as sourceKey on the server: what skip votes and end reports refer to.
+export function sourceKey(source) {
+  if (!source?.kind) return null;
+  if (source.kind === 'youtube') return `youtube:${source.videoId}`;
+  if (source.kind === 'upload') return `upload:${source.fileId}`;
+  return `url:${source.url}`;
+}
+
+export function sourceTitle(source) {
+  if (!source) return '';
+  return source.kind === 'youtube' ? source.videoId : source.title || source.url;
+}
+
+export function sourceLink(source) {
+  if (!source) return null;
+  return source.kind === 'youtube' ? `https://www.youtube.com/watch?v=${source.videoId}` : source.url;
+}
+
+export function sourceThumbnail(source) {
+  return source?.kind === 'youtube' ? `https://img.youtube.com/vi/${source.videoId}/default.jpg` : null;
+}
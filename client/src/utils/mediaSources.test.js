@@ -0,0 +1,44 @@
+import { parseMediaUrl, sourceKey, sourceLink, sourceThumbnail, sourceTitle } from './mediaSources';
+
+describe('parseMediaUrl', () => {
+  test('recognizes YouTube links', () => {
+    const video = { kind: 'youtube', videoId: 'dQw4w9WgXcQ' };
+    expect(parseMediaUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42')).toEqual(video);
+    expect(parseMediaUrl(' https://youtu.be/dQw4w9WgXcQ ')).toEqual(video);
+    expect(parseMediaUrl('https://www.youtube.com/embed/dQw4w9WgXcQ')).toEqual(video);
+  });
+
+  test('recognizes uploads and direct links to media files', () => {
+    expect(parseMediaUrl('http://localhost:5000/api/uploads/65a0000000000000000000ff'))
+      .toEqual({ kind: 'upload', fileId: '65a0000000000000000000ff' });
+    expect(parseMediaUrl('https://cdn.example.com/mix.MP3?x=1'))
+      .toEqual({ kind: 'url', url: 'https://cdn.example.com/mix.MP3?x=1' });
+  });
+
+  test('refuses anything else', () => {
+    for (const text of ['', 'not a link', 'https://example.com/page.html', 'ftp://example.com/film.mp4', 'file:///home/me/film.mp4']) {
+      expect(parseMediaUrl(text)).toBeNull();
+    }
+  });
+});
+
+describe('source helpers', () => {
+  const youtube = { kind: 'youtube', videoId: 'dQw4w9WgXcQ' };
+  const file = { kind: 'url', url: 'https://cdn.example.com/mix.mp3', title: 'mix.mp3' };
+
+  test('keys match the server', () => {
+    expect(sourceKey(youtube)).toBe('youtube:dQw4w9WgXcQ');
+    expect(sourceKey({ kind: 'upload', fileId: 'abc' })).toBe('upload:abc');
+    expect(sourceKey(file)).toBe('url:https://cdn.example.com/mix.mp3');
+    expect(sourceKey(null)).toBeNull();
+  });
+
+  test('titles, links and thumbnails', () => {
+    expect(sourceTitle(youtube)).toBe('dQw4w9WgXcQ');
+    expect(sourceTitle(file)).toBe('mix.mp3');
+    expect(sourceLink(youtube)).toBe('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    expect(sourceLink(file)).toBe(file.url);
+    expect(sourceThumbnail(youtube)).toBe('https://img.youtube.com/vi/dQw4w9WgXcQ/default.jpg');
+    expect(sourceThumbnail(file)).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+// How far a player may wander from the room's clock before it's seeked back, in seconds.
+export const DRIFT_TOLERANCE_S = 1.5;
+
+const MAX_SAMPLES = 5;
+
+// Where playback should be at `serverNow`, from a mediaSync state (position + serverTime).
+export function livePosition(state, serverNow) {
+  if (!state) return 0;
+  const base = Number(state.position ?? state.timestamp) || 0;
+  if (!state.playing || !state.serverTime) return base;
+  return base + Math.max(0, serverNow - state.serverTime) / 1000;
+}
+
+// One ping round trip -> { rtt, offset } where offset is server clock minus ours.
+export function clockSample(sentAt, receivedAt, serverTime) {
+  const rtt = Math.max(0, receivedAt - sentAt);
+  return { rtt, offset: serverTime - (sentAt + rtt / 2) };
+}
+
+// Keeps the last few samples.
+export function addClockSample(samples, sample) {
+  return [...samples, sample].slice(-MAX_SAMPLES);
+}
+
+// Trusts the fastest round trip; slow ones are mostly queueing.
+export function bestOffset(samples) {
+  if (!samples.length) return 0;
+  return samples.reduce((best, s) => (s.rtt < best.rtt ? s : best)).offset;
+}
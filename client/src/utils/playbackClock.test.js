@@ -0,0 +1,32 @@
+import { addClockSample, bestOffset, clockSample, livePosition } from './playbackClock';
+
+describe('livePosition', () => {
+  test('playing media moves on from its position at serverTime', () => {
+    const state = { playing: true, position: 30, serverTime: 10000 };
+    expect(livePosition(state, 12500)).toBe(32.5);
+    // A clock that is slightly behind the server never moves playback backwards.
+    expect(livePosition(state, 9000)).toBe(30);
+  });
+
+  test('paused media stays put; older states fall back to timestamp', () => {
+    expect(livePosition({ playing: false, position: 42, serverTime: 10000 }, 99999)).toBe(42);
+    expect(livePosition({ playing: true, timestamp: 7 }, 99999)).toBe(7);
+    expect(livePosition(null, 99999)).toBe(0);
+  });
+});
+
+describe('clock samples', () => {
+  test('the offset is taken at the middle of the round trip', () => {
+    expect(clockSample(1000, 1200, 5100)).toEqual({ rtt: 200, offset: 4000 });
+  });
+
+  test('keeps the last five samples and trusts the fastest', () => {
+    let samples = [];
+    for (let i = 0; i < 7; i += 1) samples = addClockSample(samples, { rtt: 100 + i, offset: i });
+    expect(samples.map(s => s.offset)).toEqual([2, 3, 4, 5, 6]);
+
+    samples = addClockSample(samples, { rtt: 20, offset: 99 });
+    expect(bestOffset(samples)).toBe(99);
+    expect(bestOffset([])).toBe(0);
+  });
+});
@@ -0,0 +1,198 @@
+const express = require('express');
+const http = require('http');
+const socketIO = require('socket.io');
+const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+
+const { createSessionAuth } = require('./config/auth');
+const { createContext, SERVER_BUILD, DEBUG_LOGS } = require('./context');
+const features = require('./features');
+
+// Restart-safe cleanup: unload rooms that have been empty for > 5 minutes
+const EMPTY_ROOM_SWEEP_INTERVAL_MS = 60 * 1000;
+const MEDIA_HEARTBEAT_INTERVAL_MS = 5 * 1000;
+
+function parseAllowedOrigins(raw) {
+  const value = String(raw || '').trim();
+  if (!value) return [];
+
+  const normalizeOrigin = (input) => {
+    const text = String(input || '').trim();
+    if (!text) return null;
+    if (text === '*') return '*';
+
+    // If someone sets CLIENT_URL to a full URL with a path or trailing slash,
+    // normalize it to the origin so it matches the browser's Origin header.
+    // Example: "https://example.com/" -> "https://example.com"
+    try {
+      if (/^https?:\/\//i.test(text)) return new URL(text).origin;
+    } catch {
+      // fall through
+    }
+
+    return text.replace(/\/$/, '');
+  };
+
+  const origins = value
+    .split(',')
+    .map(s => normalizeOrigin(s))
+    .filter(Boolean);
+
+  // De-dupe while preserving order.
+  return Array.from(new Set(origins));
+}
+
+// Builds an isolated Express + Socket.IO instance over `storage` (see server/storage).
+// Nothing listens until listen() is called, so tests can run several side by side.
+function createServer({ storage, clientUrl = process.env.CLIENT_URL } = {}) {
+  if (!storage) throw new Error('createServer requires a storage backend');
+
+  const allowedClientOrigins = parseAllowedOrigins(clientUrl);
+  const allowAllSocketOrigins = allowedClientOrigins.length === 0 || allowedClientOrigins.includes('*');
+
+  const app = express();
+  const server = http.createServer(app);
+
+  // In many deployments we're behind a reverse proxy (Render/Railway/Heroku/etc).
+  // Trust proxy headers so Express behaves correctly for secure requests.
+  app.set('trust proxy', 1);
+
+  const io = socketIO(server, {
+    cors: {
+      origin: (origin, cb) => {
+        // Some clients (native apps / certain browsers) may omit Origin.
+        if (!origin) return cb(null, true);
+        if (allowAllSocketOrigins) return cb(null, true);
+        if (allowedClientOrigins.includes(origin)) return cb(null, true);
+        return cb(new Error(`Socket origin not allowed: ${origin}`));
+      },
+      methods: ['GET', 'POST'],
+      credentials: true
+    },
+    transports: ['polling', 'websocket'],
+    pingTimeout: 20000,
+    pingInterval: 25000
+  });
+
+  const ctx = createContext({ app, io, storage, sessionAuth: createSessionAuth(storage.sessions) });
+
+  app.get('/api/health', (req, res) => {
+    res.json({
+      ok: true,
+      build: SERVER_BUILD,
+      time: new Date().toISOString(),
+      allowedClientOrigins,
+      allowAllSocketOrigins,
+      nodeEnv: process.env.NODE_ENV || 'development'
+    });
+  });
+
+  io.engine.on('connection_error', (err) => {
+    const headers = err?.context?.req?.headers;
+    console.error('[socket.io] connection_error', {
+      code: err?.code,
+      message: err?.message,
+      origin: headers?.origin,
+      referer: headers?.referer,
+      userAgent: headers?.['user-agent'],
+      context: DEBUG_LOGS ? err?.context : undefined
+    });
+  });
+
+  app.use(
+    cors({
+      origin: (origin, cb) => {
+        if (!origin) return cb(null, true);
+        if (allowAllSocketOrigins) return cb(null, true);
+        if (allowedClientOrigins.includes(origin)) return cb(null, true);
+        return cb(new Error(`CORS origin not allowed: ${origin}`));
+      },
+      credentials: true
+    })
+  );
+  // Allow small base64 profile pictures (after client-side crop/resize).
+  app.use(express.json({ limit: '4mb' }));
+
+  // Serve static files in production *only if* the client build exists.
+  // When deploying the frontend separately (e.g., Render Static Site), the backend
+  // won't have `client/build`, and attempting to serve it causes ENOENT errors.
+  if (process.env.NODE_ENV === 'production') {
+    const clientBuildDir = path.join(__dirname, '../client/build');
+    const clientIndexHtml = path.join(clientBuildDir, 'index.html');
+
+    if (fs.existsSync(clientIndexHtml)) {
+      app.use(express.static(clientBuildDir));
+      // Do not intercept API routes.
+      app.get(/^(?!\/api).*/, (req, res) => {
+        res.sendFile(clientIndexHtml);
+      });
+    } else {
+      console.warn('⚠️  Client build not found at', clientBuildDir);
+      console.warn('   Skipping static file serving (deploy the client separately).');
+    }
+  }
+
+  io.on('connection', (socket) => {
+    console.log(`User connected: ${socket.id}`);
+    socket.emit('serverInfo', {
+      build: SERVER_BUILD,
+      socketId: socket.id,
+      userId: socket.data.user.id,
+      authenticated: socket.data.user.authenticated
+    });
+
+    for (const handler of ctx.connectionHandlers) handler(socket);
+  });
+
+  for (const register of features) register(ctx);
+
+  let sweepTimer = null;
+  let heartbeatTimer = null;
+
+  // Resolves with the bound port (pass 0 for an ephemeral one).
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        ctx.port = server.address().port;
+
+        if (!sweepTimer) {
+          sweepTimer = setInterval(() => {
+            ctx.sweepEmptyRooms().catch(() => {});
+          }, EMPTY_ROOM_SWEEP_INTERVAL_MS);
+          // Also run once on startup
+          ctx.sweepEmptyRooms().catch(() => {});
+        }
+        if (!heartbeatTimer) {
+          heartbeatTimer = setInterval(() => ctx.sendMediaHeartbeats(), MEDIA_HEARTBEAT_INTERVAL_MS);
+        }
+
+        resolve(ctx.port);
+      });
+    });
+  }
+
+  function close() {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    return new Promise(resolve => {
+      // Disconnects every socket (running their disconnect handlers) and closes the HTTP server.
+      io.close(() => {
+        for (const room of ctx.rooms.values()) {
+          clearTimeout(room.deleteTimer);
+          clearTimeout(room.guessGame?.timer);
+        }
+        resolve();
+      });
+    });
+  }
+
+  return { app, server, io, context: ctx, listen, close };
+}
+
+module.exports = { createServer };
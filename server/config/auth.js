@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+function parseIntEnv(key, fallback) {
+  const raw = String(process.env[key] ?? '').trim();
+  const value = Number.parseInt(raw, 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const ACCESS_TOKEN_TTL_SECONDS = parseIntEnv('ACCESS_TOKEN_TTL_SECONDS', 15 * 60); // 15m
+const REFRESH_TOKEN_TTL_DAYS = parseIntEnv('REFRESH_TOKEN_TTL_DAYS', 30);
+
+let tokenSecret = null;
+
+function getTokenSecret() {
+  if (tokenSecret) return tokenSecret;
+
+  const configured = String(process.env.AUTH_TOKEN_SECRET || '').trim();
+  if (configured) {
+    tokenSecret = configured;
+    return tokenSecret;
+  }
+
+  // Without a configured secret, tokens stop verifying after every restart
+  // (clients fall back to their refresh token, which lives in storage).
+  console.warn('⚠️  AUTH_TOKEN_SECRET not set. Using a random per-process secret.');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  return tokenSecret;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  if (left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+// Compact HS256 JWT so tokens can be inspected with standard tooling.
+function signAccessToken({ userId, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify({
+    sub: String(userId),
+    sid: String(sessionId),
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
+  })).toString('base64url');
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Signature + expiry only; does not check whether the session was revoked.
+function verifyAccessToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  if (!safeEqual(signature, sign(`${header}.${payload}`))) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (!claims?.sub || !claims?.sid) return null;
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) return null;
+  return { userId: String(claims.sub), sessionId: String(claims.sid) };
+}
+
+function isSessionActive(session) {
+  if (!session || session.revokedAt) return false;
+  return new Date(session.expiresAt).getTime() > Date.now();
+}
+
+function buildTokens(session, refreshSecret) {
+  return {
+    token: signAccessToken({ userId: session.userId, sessionId: session._id.toString() }),
+    // The session id prefix lets refresh look the session up without scanning hashes.
+    refreshToken: `${session._id.toString()}.${refreshSecret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session._id.toString()
+  };
+}
+
+function parseRefreshToken(refreshToken) {
+  const value = String(refreshToken || '').trim();
+  const dot = value.indexOf('.');
+  if (dot <= 0) return null;
+  const sessionId = value.slice(0, dot);
+  const secret = value.slice(dot + 1);
+  if (!/^[a-f0-9]{24}$/i.test(sessionId) || !secret) return null;
+  return { sessionId, secret };
+}
+
+// Session lifecycle over a storage `sessions` repository (see server/storage).
+function createSessionAuth(sessions) {
+  const revokeListeners = [];
+
+  // Lets the socket layer cut off connections made with a session once it's revoked. Listeners
+  // get { sessionId } or { userId, exceptSessionId }.
+  function onRevoke(listener) {
+    revokeListeners.push(listener);
+  }
+
+  function notifyRevoked(revoked) {
+    for (const listener of revokeListeners) listener(revoked);
+  }
+
+  async function issueSession({ userId, userAgent }) {
+    const refreshSecret = crypto.randomBytes(32).toString('hex');
+    const session = await sessions.create({
+      userId: String(userId),
+      refreshTokenHash: hashToken(refreshSecret),
+      userAgent: String(userAgent || '').slice(0, 300),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    return buildTokens(session, refreshSecret);
+  }
+
+  // Rotates the refresh token; a reused (stale) refresh token revokes the session.
+  async function refreshSession(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await sessions.findById(parsed.sessionId);
+    if (!isSessionActive(session)) return null;
+
+    if (!safeEqual(session.refreshTokenHash, hashToken(parsed.secret))) {
+      await revokeSession(session._id);
+      return null;
+    }
+
+    const refreshSecret = crypto.randomBytes(32).toString('hex');
+    const updated = await sessions.update(session._id, {
+      refreshTokenHash: hashToken(refreshSecret),
+      lastUsedAt: new Date()
+    });
+    if (!updated) return null;
+    return { userId: updated.userId, ...buildTokens(updated, refreshSecret) };
+  }
+
+  async function revokeSession(sessionId) {
+    const id = String(sessionId || '').trim();
+    if (!/^[a-f0-9]{24}$/i.test(id)) return false;
+    const revoked = await sessions.revoke(id);
+    notifyRevoked({ sessionId: id });
+    return revoked;
+  }
+
+  async function revokeSessionByRefreshToken(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const session = await sessions.findById(parsed.sessionId);
+    if (!session || !safeEqual(session.refreshTokenHash, hashToken(parsed.secret))) return false;
+    return revokeSession(parsed.sessionId);
+  }
+
+  async function revokeUserSessions(userId, { exceptSessionId } = {}) {
+    await sessions.revokeAllForUser(userId, { exceptId: exceptSessionId });
+    notifyRevoked({ userId: String(userId), exceptSessionId: exceptSessionId ? String(exceptSessionId) : null });
+  }
+
+  // Full check used by request/socket auth: valid signature and a live session.
+  async function authenticateAccessToken(token) {
+    const claims = verifyAccessToken(token);
+    if (!claims) return null;
+
+    const session = await sessions.findById(claims.sessionId);
+    if (!isSessionActive(session) || String(session.userId) !== claims.userId) return null;
+    return claims;
+  }
+
+  return {
+    issueSession,
+    refreshSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeUserSessions,
+    authenticateAccessToken,
+    onRevoke
+  };
+}
+
+module.exports = {
+  createSessionAuth,
+  verifyAccessToken
+};
@@ -0,0 +1,180 @@
+const { sendMail } = require('./mailer');
+
+async function sendVerificationEmail({ email, token, serverBaseUrl }) {
+  // Use server URL so the link works even if the frontend isn't running.
+  const verifyUrl = `${serverBaseUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+  const subject = 'Verify your Hangout Bar email';
+  const text = `Verify your email by opening: ${verifyUrl}`;
+  const html = `
+    <div style="font-family:Arial,sans-serif;line-height:1.5">
+      <h2>Verify your email</h2>
+      <p>Thanks for signing up to Hangout Bar. Please verify your email to finish setup.</p>
+      <p><a href="${verifyUrl}">Verify Email</a></p>
+      <p style="color:#64748b;font-size:12px">If you didn't sign up, you can ignore this email.</p>
+    </div>
+  `;
+
+  const result = await sendMail({ to: email, subject, html, text });
+  if (result?.skipped) {
+    console.log(`\n[Email skipped: SMTP not configured] Verification link for ${email}: ${verifyUrl}\n`);
+  } else if (result?.ok === false) {
+    console.error(`[Email failed] Verification email to ${email}: ${result?.error || 'unknown error'}`);
+    if (/^(1|true|yes)$/i.test(String(process.env.EMAIL_LOG_LINKS || '').trim())) {
+      console.log(`\n[Email failed: link fallback] Verification link for ${email}: ${verifyUrl}\n`);
+    }
+  }
+
+  return result;
+}
+
+async function sendPasswordResetEmail({ email, token, serverBaseUrl }) {
+  // Use server URL so the link works even if the frontend isn't running.
+  const resetUrl = `${serverBaseUrl}/api/auth/reset-password?token=${encodeURIComponent(token)}`;
+  const subject = 'Reset your Hangout Bar password';
+  const text = `Reset your password by opening: ${resetUrl}`;
+  const html = `
+    <div style="font-family:Arial,sans-serif;line-height:1.5">
+      <h2>Password reset</h2>
+      <p>We received a request to reset your Hangout Bar password.</p>
+      <p><a href="${resetUrl}">Reset Password</a></p>
+      <p style="color:#64748b;font-size:12px">This link expires in 1 hour. If you didn't request this, you can ignore this email.</p>
+    </div>
+  `;
+
+  const result = await sendMail({ to: email, subject, html, text });
+  if (result?.skipped) {
+    console.log(`\n[Email skipped: SMTP not configured] Password reset link for ${email}: ${resetUrl}\n`);
+  } else if (result?.ok === false) {
+    console.error(`[Email failed] Password reset email to ${email}: ${result?.error || 'unknown error'}`);
+  }
+
+  return result;
+}
+
+// Landing page for the emailed verification link; redirects back to the client.
+function renderEmailVerifiedPage({ redirectUrl, seconds = 3 }) {
+  return `
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <meta http-equiv="refresh" content="${seconds};url=${redirectUrl}" />
+      <title>Email verified • Hangout Bar</title>
+      <style>
+        :root {
+          --bg1: #0b0d13;
+          --bg2: #0a1222;
+          --card: rgba(30, 41, 59, 0.82);
+          --border: rgba(255, 255, 255, 0.14);
+          --text: rgba(226, 232, 240, 0.98);
+          --muted: rgba(148, 163, 184, 0.95);
+          --accent: rgba(88, 101, 242, 1);
+          --success: rgba(16, 185, 129, 1);
+        }
+        *{box-sizing:border-box}
+        body{
+          margin:0;
+          min-height:100vh;
+          font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+          color: var(--text);
+          background:
+            radial-gradient(1200px 600px at 10% 20%, rgba(88, 101, 242, 0.35), transparent 60%),
+            radial-gradient(900px 520px at 85% 35%, rgba(235, 69, 158, 0.22), transparent 55%),
+            radial-gradient(600px 420px at 60% 90%, rgba(16, 185, 129, 0.16), transparent 55%),
+            linear-gradient(180deg, var(--bg1) 0%, var(--bg2) 100%);
+          display:grid;
+          place-items:center;
+          padding: 24px;
+        }
+        .wrap{width:min(720px, 100%);}
+        .card{
+          background: var(--card);
+          border: 1px solid var(--border);
+          border-radius: 20px;
+          padding: 22px;
+          box-shadow: 0 30px 80px rgba(0,0,0,0.45);
+          backdrop-filter: blur(14px);
+        }
+        .row{display:flex; gap:14px; align-items:flex-start;}
+        .badge{
+          width: 44px; height: 44px; border-radius: 16px;
+          display:grid; place-items:center;
+          background: rgba(16, 185, 129, 0.16);
+          border: 1px solid rgba(16, 185, 129, 0.26);
+          font-size: 22px;
+          flex: 0 0 auto;
+        }
+        h1{margin:0; font-size: 22px; letter-spacing: -0.02em;}
+        p{margin:8px 0 0; color: var(--muted); line-height: 1.4;}
+        .meta{margin-top: 14px; display:flex; gap: 10px; flex-wrap: wrap; align-items: center;}
+        .pill{
+          display:inline-flex; align-items:center; gap: 8px;
+          padding: 8px 10px;
+          border-radius: 999px;
+          background: rgba(15, 23, 42, 0.45);
+          border: 1px solid rgba(255,255,255,0.12);
+          color: var(--muted);
+          font-size: 13px;
+        }
+        .count{
+          color: rgba(226,232,240,0.98);
+          font-weight: 800;
+        }
+        a.btn{
+          display:inline-flex;
+          align-items:center;
+          justify-content:center;
+          padding: 10px 14px;
+          border-radius: 14px;
+          text-decoration:none;
+          background: rgba(88, 101, 242, 0.20);
+          border: 1px solid rgba(88, 101, 242, 0.35);
+          color: rgba(199, 210, 254, 1);
+          font-weight: 800;
+          font-size: 13px;
+        }
+        a.btn:hover{background: rgba(88, 101, 242, 0.26);}
+        .hint{margin-top: 12px; font-size: 12px; color: rgba(148,163,184,0.9)}
+      </style>
+    </head>
+    <body>
+      <div class="wrap">
+        <div class="card">
+          <div class="row">
+            <div class="badge">✅</div>
+            <div>
+              <h1>Email verified</h1>
+              <p>Your account is ready. We’re sending you back to Hangout Bar now.</p>
+              <div class="meta">
+                <div class="pill">Redirecting in <span id="count" class="count">${seconds}</span>s</div>
+                <a class="btn" href="${redirectUrl}">Continue now →</a>
+              </div>
+              <div class="hint">If you opened this on another device, make sure the app URL is reachable there.</div>
+            </div>
+          </div>
+        </div>
+      </div>
+      <script>
+        (function(){
+          var remaining = ${seconds};
+          var el = document.getElementById('count');
+          var timer = setInterval(function(){
+            remaining -= 1;
+            if (el) el.textContent = String(Math.max(0, remaining));
+            if (remaining <= 0) {
+              clearInterval(timer);
+              try { window.location.replace(${JSON.stringify(redirectUrl)}); } catch (e) { window.location.href = ${JSON.stringify(redirectUrl)}; }
+            }
+          }, 1000);
+        })();
+      </script>
+    </body>
+  </html>
+  `;
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  renderEmailVerifiedPage
+};
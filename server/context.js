@@ -0,0 +1,91 @@
+// Bump this string when diagnosing deployments / stale server processes.
+const SERVER_BUILD = process.env.SERVER_BUILD || '2026-01-20-join-friend-room-v1';
+
+const DEBUG_LOGS = /^(1|true|yes)$/i.test(String(process.env.DEBUG_LOGS || '').trim());
+const debugLog = (...args) => {
+  if (DEBUG_LOGS) console.log(...args);
+};
+
+// Account fields that never leave the server.
+const PRIVATE_USER_FIELDS = [
+  'socketId',
+  'password',
+  'email',
+  'emailVerificationTokenHash',
+  'emailVerificationExpiresAt',
+  'passwordResetTokenHash',
+  'passwordResetExpiresAt'
+];
+
+function toPublicUser(user) {
+  if (!user) return user;
+  const out = { ...user };
+  for (const field of PRIVATE_USER_FIELDS) delete out[field];
+  return out;
+}
+
+// Account-backed features (friends, DMs, feed) are off-limits to unauthenticated guests.
+function rejectIfAnonymous(socket, ack, errorEvent) {
+  if (socket.data.user?.authenticated) return false;
+  const message = 'Sign in to use this feature';
+  if (typeof ack === 'function') ack({ ok: false, message });
+  else if (errorEvent) socket.emit(errorEvent, { message });
+  return true;
+}
+
+// State and helpers shared by every feature module of one server instance.
+// Features may attach their own cross-feature helpers (e.g. ctx.broadcastRoomList).
+function createContext({ app, io, storage, sessionAuth }) {
+  const connectionHandlers = [];
+  const ctx = {
+    app,
+    io,
+    storage,
+    sessionAuth,
+    // Runtime state (socket.id -> user, roomId -> Room)
+    users: new Map(),
+    rooms: new Map(),
+    voiceChannels: new Map(), // channelId -> Map(userId -> { socketId, muted, deafened })
+    voiceBySocket: new Map(), // socketId -> { channelId, userId }
+    // Set once the server is listening.
+    port: null,
+    build: SERVER_BUILD,
+    debugLog,
+    toPublicUser,
+    rejectIfAnonymous,
+    connectionHandlers
+  };
+
+  // Per-socket setup; handlers run in registration order on every connection.
+  ctx.onConnection = (handler) => {
+    connectionHandlers.push(handler);
+  };
+
+  // --- Socket user helpers (DB userId <-> socket.id) ---
+  ctx.findSocketIdByUserId = (userId) => {
+    if (!userId) return null;
+    const entry = Array.from(ctx.users.entries()).find(([_, u]) => u?.id === userId);
+    return entry ? entry[0] : null;
+  };
+
+  ctx.findOnlineUserById = (userId) => {
+    if (!userId) return null;
+    return Array.from(ctx.users.values()).find(u => u?.id === userId) || null;
+  };
+
+  ctx.getClientBaseUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+  // Used for links sent via email. In production, set SERVER_PUBLIC_URL to your public backend URL.
+  // Example: https://your-app.up.railway.app
+  ctx.getServerBaseUrl = () => process.env.SERVER_PUBLIC_URL || `http://localhost:${ctx.port}`;
+
+  return ctx;
+}
+
+module.exports = {
+  createContext,
+  SERVER_BUILD,
+  DEBUG_LOGS,
+  debugLog,
+  toPublicUser
+};
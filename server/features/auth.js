@@ -0,0 +1,691 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { isMailerConfigured } = require('../config/mailer');
+const { sendVerificationEmail, sendPasswordResetEmail, renderEmailVerifiedPage } = require('../config/emails');
+
+// --- Auth: email verification + password reset ---
+const EMAIL_VERIFY_EXPIRES_MS = 24 * 60 * 60 * 1000; // 24h
+const PASSWORD_RESET_EXPIRES_MS = 60 * 60 * 1000; // 1h
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function createOpaqueToken() {
+  // URL-safe enough when hex; keep simple.
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getBearerToken(req) {
+  const header = String(req.get('authorization') || '').trim();
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+// Socket.IO handshake authentication.
+// The access token issued at login/signup/guest creation is the only source of identity.
+// Sockets without a token get a limited, unauthenticated guest identity (rooms, chat, voice).
+function buildAnonymousSocketUser(socket, auth) {
+  const requested = String(auth?.username || '').replace(/[^A-Za-z0-9_ -]/g, '').trim().slice(0, 24);
+  return {
+    id: socket.id,
+    username: requested || `Guest${Math.floor(Math.random() * 10000)}`,
+    avatar: String(auth?.avatar || '').slice(0, 16) || '👤',
+    profilePicture: '',
+    isGuest: true,
+    authenticated: false,
+    currentRoom: null,
+    friends: new Set()
+  };
+}
+
+function createSessionError() {
+  const err = new Error('Invalid or expired session');
+  err.data = { code: 'SESSION_EXPIRED' };
+  return err;
+}
+
+// Signup/login/session routes, account settings, and socket handshake authentication.
+function registerAuth(ctx) {
+  const { app, io, storage, sessionAuth, toPublicUser, getClientBaseUrl, getServerBaseUrl } = ctx;
+
+  // --- REST auth middleware ---
+  // Resolves the caller from `Authorization: Bearer <accessToken>` into req.auth.
+  async function requireAuth(req, res, next) {
+    try {
+      const claims = await sessionAuth.authenticateAccessToken(getBearerToken(req));
+      if (!claims) return res.status(401).json({ success: false, error: 'Authentication required' });
+      req.auth = claims;
+      next();
+    } catch (error) {
+      res.status(401).json({ success: false, error: 'Authentication required' });
+    }
+  }
+
+  ctx.requireAuth = requireAuth;
+
+  // /api/users/:userId/* routes only act on the caller's own account.
+  function requireSelf(req, res, next) {
+    if (String(req.params.userId) !== req.auth?.userId) {
+      return res.status(403).json({ success: false, error: 'You can only modify your own account' });
+    }
+    next();
+  }
+
+  // /api/admin/* routes: moderators acting on other users' accounts.
+  async function requireModerator(req, res, next) {
+    try {
+      const caller = await storage.users.findById(req.auth?.userId);
+      if (caller?.role !== 'moderator') {
+        return res.status(403).json({ success: false, error: 'Moderator access required' });
+      }
+      req.isModeratorAction = true;
+      next();
+    } catch (error) {
+      res.status(403).json({ success: false, error: 'Moderator access required' });
+    }
+  }
+
+  // Guest Registration (temporary account)
+  app.post('/api/users/guest', async (req, res) => {
+    try {
+      const { username, avatar } = req.body;
+
+      // Guest usernames bypass maxlength validation
+      const guestUser = await storage.users.create({
+        username: `Guest_${username}_${Date.now()}`,
+        avatar: avatar || '👤',
+        isGuest: true
+      });
+      const session = await sessionAuth.issueSession({ userId: guestUser._id, userAgent: req.get('user-agent') });
+      res.json({
+        success: true,
+        user: guestUser,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        isGuest: true
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Signup (permanent account)
+  app.post('/api/users/signup', async (req, res) => {
+    try {
+      const { username, password, avatar, profilePicture, email } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Username and password required' });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({ success: false, error: 'Password must be at least 6 characters' });
+      }
+
+      // Prevent oversized base64 uploads (client is expected to crop/resize).
+      if (typeof profilePicture === 'string' && profilePicture.startsWith('data:') && profilePicture.length > 2_500_000) {
+        return res.status(413).json({ success: false, error: 'Profile picture is too large. Please resize it and try again.' });
+      }
+
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) {
+        return res.status(400).json({ success: false, error: 'Email is required' });
+      }
+
+      // Basic email sanity check
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        return res.status(400).json({ success: false, error: 'Please enter a valid email' });
+      }
+
+      if (await storage.users.findByUsername(username)) {
+        return res.status(400).json({ success: false, error: 'Username already taken' });
+      }
+
+      if (await storage.users.findByEmail(normalizedEmail)) {
+        return res.status(400).json({ success: false, error: 'Email already in use' });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Create verification token and email it
+      const token = createOpaqueToken();
+      const user = await storage.users.create({
+        username,
+        email: normalizedEmail,
+        isEmailVerified: false,
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFY_EXPIRES_MS),
+        password: hashedPassword,
+        avatar: avatar || '👤',
+        profilePicture: profilePicture || '',
+        isGuest: false
+      });
+
+      const mailResult = await sendVerificationEmail({ email: normalizedEmail, token, serverBaseUrl: getServerBaseUrl() });
+      const session = await sessionAuth.issueSession({ userId: user._id, userAgent: req.get('user-agent') });
+
+      res.json({ 
+        success: true, 
+        user: {
+          id: user._id,
+          username: user.username,
+          avatar: user.avatar,
+          profilePicture: user.profilePicture,
+          bio: user.bio,
+          isEmailVerified: user.isEmailVerified,
+          isGuest: false
+        }, 
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        verificationSent: mailResult?.ok === true,
+        mailConfigured: isMailerConfigured(),
+        mailOk: mailResult?.ok === true,
+        mailSkipped: !!mailResult?.skipped,
+        mailProvider: mailResult?.provider || null
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Verify email
+  app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (!token) return res.status(400).json({ success: false, error: 'Token required' });
+
+      const user = await storage.users.findByEmailVerificationToken(hashToken(token));
+      if (!user) {
+        return res.status(400).json({ success: false, error: 'Invalid or expired verification link' });
+      }
+
+      await storage.users.update(user._id, {
+        isEmailVerified: true,
+        emailVerificationTokenHash: null,
+        emailVerificationExpiresAt: null
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Verify email (link-friendly GET)
+  app.get('/api/auth/verify-email', async (req, res) => {
+    try {
+      const token = req.query.token;
+      if (!token) return res.status(400).send('Missing token');
+
+      const user = await storage.users.findByEmailVerificationToken(hashToken(token));
+      if (!user) {
+        return res.status(400).send('Invalid or expired verification link');
+      }
+
+      await storage.users.update(user._id, {
+        isEmailVerified: true,
+        emailVerificationTokenHash: null,
+        emailVerificationExpiresAt: null
+      });
+
+      const redirectUrl = `${getClientBaseUrl()}/?verified=1`;
+      res.status(200).send(renderEmailVerifiedPage({ redirectUrl }));
+    } catch (error) {
+      res.status(400).send(error.message || 'Verification failed');
+    }
+  });
+
+  // Resend verification email
+  app.post('/api/auth/resend-verification', async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) return res.status(400).json({ success: false, error: 'Email required' });
+
+      const user = await storage.users.findByEmail(normalizedEmail);
+      if (!user) {
+        // Avoid account enumeration
+        return res.json({ success: true, sent: true });
+      }
+
+      if (user.isEmailVerified) {
+        return res.json({ success: true, sent: false, message: 'Email already verified' });
+      }
+
+      const token = createOpaqueToken();
+      await storage.users.update(user._id, {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFY_EXPIRES_MS)
+      });
+
+      const mailResult = await sendVerificationEmail({ email: normalizedEmail, token, serverBaseUrl: getServerBaseUrl() });
+      res.json({
+        success: true,
+        sent: mailResult?.ok === true,
+        mailConfigured: isMailerConfigured(),
+        mailOk: mailResult?.ok === true,
+        mailSkipped: !!mailResult?.skipped,
+        mailProvider: mailResult?.provider || null
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Login (existing account)
+  app.post('/api/users/login', async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({ success: false, error: 'Username and password required' });
+      }
+
+      const user = await storage.users.findByUsername(username);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      // If the user has an email on file, require verification before login.
+      if (user.email && !user.isEmailVerified) {
+        return res.status(403).json({
+          success: false,
+          error: 'Please verify your email before logging in',
+          needsEmailVerification: true,
+          email: user.email
+        });
+      }
+
+      const validPassword = await bcrypt.compare(password, user.password);
+      if (!validPassword) {
+        return res.status(401).json({ success: false, error: 'Invalid username or password' });
+      }
+
+      await storage.users.update(user._id, { lastActive: new Date() });
+      const session = await sessionAuth.issueSession({ userId: user._id, userAgent: req.get('user-agent') });
+
+      res.json({ 
+        success: true, 
+        user: {
+          id: user._id,
+          username: user.username,
+          avatar: user.avatar,
+          profilePicture: user.profilePicture,
+          bio: user.bio,
+          isEmailVerified: user.isEmailVerified,
+          isGuest: false
+        }, 
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Exchange a refresh token for a new access token (refresh tokens rotate on use)
+  app.post('/api/auth/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (!refreshToken) return res.status(400).json({ success: false, error: 'Refresh token required' });
+
+      const session = await sessionAuth.refreshSession(refreshToken);
+      if (!session) return res.status(401).json({ success: false, error: 'Invalid or expired session' });
+
+      res.json({
+        success: true,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Logout: revoke the session behind the refresh token and/or bearer access token
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      if (refreshToken) await sessionAuth.revokeSessionByRefreshToken(refreshToken);
+
+      const claims = await sessionAuth.authenticateAccessToken(getBearerToken(req));
+      if (claims) await sessionAuth.revokeSession(claims.sessionId);
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Request password reset (always returns success to avoid enumeration)
+  app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) return res.status(400).json({ success: false, error: 'Email required' });
+
+      const user = await storage.users.findByEmail(normalizedEmail);
+      if (user) {
+        const token = createOpaqueToken();
+        await storage.users.update(user._id, {
+          passwordResetTokenHash: hashToken(token),
+          passwordResetExpiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MS)
+        });
+
+        await sendPasswordResetEmail({ email: normalizedEmail, token, serverBaseUrl: getServerBaseUrl() });
+      }
+
+      // Keep enumeration resistance, but help diagnose SMTP configuration.
+      res.json({ success: true, mailConfigured: isMailerConfigured() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Resend verification by userId (so clients don't need to know the email address)
+  async function resendUserVerification(req, res) {
+    try {
+      const user = await storage.users.findById(req.params.userId);
+      if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+      if (user.isGuest) {
+        return res.status(403).json({ success: false, error: 'Guest accounts cannot verify email' });
+      }
+      if (!user.email) {
+        return res.status(400).json({ success: false, error: 'No email on file' });
+      }
+
+      // If already verified, return ok but indicate no send needed.
+      if (user.isEmailVerified) {
+        return res.json({ success: true, sent: false, message: 'Email already verified', mailConfigured: isMailerConfigured() });
+      }
+
+      const token = createOpaqueToken();
+      await storage.users.update(user._id, {
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFY_EXPIRES_MS)
+      });
+
+      await sendVerificationEmail({ email: user.email, token, serverBaseUrl: getServerBaseUrl() });
+      res.json({ success: true, sent: true, mailConfigured: isMailerConfigured() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  app.post('/api/users/:userId/resend-verification', requireAuth, requireSelf, resendUserVerification);
+  app.post('/api/admin/users/:userId/resend-verification', requireAuth, requireModerator, resendUserVerification);
+
+  // Reset password
+  app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      if (!token) return res.status(400).json({ success: false, error: 'Token required' });
+      if (!password || String(password).length < 6) {
+        return res.status(400).json({ success: false, error: 'Password must be at least 6 characters' });
+      }
+
+      const user = await storage.users.findByPasswordResetToken(hashToken(token));
+      if (!user) {
+        return res.status(400).json({ success: false, error: 'Invalid or expired reset link' });
+      }
+
+      await storage.users.update(user._id, {
+        password: await bcrypt.hash(password, 10),
+        passwordResetTokenHash: null,
+        passwordResetExpiresAt: null,
+        lastActive: new Date()
+      });
+
+      // Whoever held the old password should not stay signed in.
+      await sessionAuth.revokeUserSessions(user._id);
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  // Reset password (link-friendly GET -> forwards token to client UI)
+  app.get('/api/auth/reset-password', async (req, res) => {
+    const token = req.query.token;
+    if (!token) return res.status(400).send('Missing token');
+    const redirectUrl = `${getClientBaseUrl()}/?resetToken=${encodeURIComponent(token)}`;
+    res.redirect(302, redirectUrl);
+  });
+
+  // User Profile endpoints
+  app.post('/api/users/register', async (req, res) => {
+    try {
+      const { username, avatar, profilePicture } = req.body;
+
+      // Check if username exists
+      let user = await storage.users.findByUsername(username, { includeGuests: true });
+      if (!user) {
+        // Create new user
+        user = await storage.users.create({ username, avatar, profilePicture });
+      }
+
+      res.json({ success: true, user: {
+        id: user._id,
+        username: user.username,
+        avatar: user.avatar,
+        profilePicture: user.profilePicture,
+        bio: user.bio,
+        createdAt: user.createdAt
+      }});
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+  app.get('/api/users/:userId', async (req, res) => {
+    try {
+      const user = await storage.users.findById(req.params.userId);
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      res.json(toPublicUser(user));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  async function updateUserProfile(req, res) {
+    try {
+      const { avatar, profilePicture, bio } = req.body;
+      const existing = await storage.users.findById(req.params.userId);
+      if (!existing) return res.status(404).json({ error: 'User not found' });
+      if (existing.isGuest) {
+        return res.status(403).json({ error: 'Guest accounts cannot update profiles' });
+      }
+
+      // Prevent oversized base64 uploads (client is expected to crop/resize).
+      if (typeof profilePicture === 'string' && profilePicture.startsWith('data:') && profilePicture.length > 2_500_000) {
+        return res.status(413).json({ error: 'Profile picture is too large. Please resize it and try again.' });
+      }
+
+      const update = { lastActive: new Date() };
+      if (avatar !== undefined) update.avatar = avatar;
+      if (profilePicture !== undefined) update.profilePicture = profilePicture;
+      if (bio !== undefined) update.bio = bio;
+
+      const user = await storage.users.update(req.params.userId, update);
+      res.json(toPublicUser(user));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  }
+
+  app.put('/api/users/:userId', requireAuth, requireSelf, updateUserProfile);
+  app.put('/api/admin/users/:userId', requireAuth, requireModerator, updateUserProfile);
+
+  // Account settings (sensitive updates)
+  // Moderators (admin path) skip the current-password and verification checks.
+  async function changeUserPassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      if ((!currentPassword && !req.isModeratorAction) || !newPassword) {
+        return res.status(400).json({ success: false, error: 'Current and new password required' });
+      }
+      if (String(newPassword).length < 6) {
+        return res.status(400).json({ success: false, error: 'New password must be at least 6 characters' });
+      }
+
+      const user = await storage.users.findById(req.params.userId);
+      if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+      if (user.isGuest) return res.status(403).json({ success: false, error: 'Guest accounts cannot change password' });
+
+      // If the user has an email, require verification before allowing password changes.
+      if (user.email && !user.isEmailVerified && !req.isModeratorAction) {
+        return res.status(403).json({
+          success: false,
+          error: 'Please verify your email before changing your password',
+          needsEmailVerification: true,
+          mailConfigured: isMailerConfigured()
+        });
+      }
+
+      if (!req.isModeratorAction) {
+        const valid = await bcrypt.compare(currentPassword, user.password);
+        if (!valid) return res.status(401).json({ success: false, error: 'Invalid current password' });
+      }
+
+      await storage.users.update(user._id, {
+        password: await bcrypt.hash(newPassword, 10),
+        lastActive: new Date()
+      });
+
+      // Sign out other devices (all of them when a moderator reset the password).
+      await sessionAuth.revokeUserSessions(user._id, {
+        exceptSessionId: req.isModeratorAction ? null : req.auth.sessionId
+      });
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  app.put('/api/users/:userId/password', requireAuth, requireSelf, changeUserPassword);
+  app.put('/api/admin/users/:userId/password', requireAuth, requireModerator, changeUserPassword);
+
+  async function changeUserEmail(req, res) {
+    try {
+      const { email, password } = req.body;
+      const normalizedEmail = normalizeEmail(email);
+      if (!normalizedEmail) return res.status(400).json({ success: false, error: 'Email required' });
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+        return res.status(400).json({ success: false, error: 'Please enter a valid email' });
+      }
+      if (!password && !req.isModeratorAction) return res.status(400).json({ success: false, error: 'Password required' });
+
+      const user = await storage.users.findById(req.params.userId);
+      if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+      if (user.isGuest) return res.status(403).json({ success: false, error: 'Guest accounts cannot change email' });
+
+      if (!req.isModeratorAction) {
+        const valid = await bcrypt.compare(password, user.password);
+        if (!valid) return res.status(401).json({ success: false, error: 'Invalid password' });
+      }
+
+      if (await storage.users.findByEmail(normalizedEmail, { excludeId: user._id })) {
+        return res.status(400).json({ success: false, error: 'Email already in use' });
+      }
+
+      const token = createOpaqueToken();
+      await storage.users.update(user._id, {
+        email: normalizedEmail,
+        isEmailVerified: false,
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: new Date(Date.now() + EMAIL_VERIFY_EXPIRES_MS),
+        lastActive: new Date()
+      });
+
+      const mailResult = await sendVerificationEmail({ email: normalizedEmail, token, serverBaseUrl: getServerBaseUrl() });
+      res.json({
+        success: true,
+        verificationSent: true,
+        mailConfigured: isMailerConfigured(),
+        mailOk: mailResult?.ok === true,
+        mailSkipped: !!mailResult?.skipped
+      });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  app.put('/api/users/:userId/email', requireAuth, requireSelf, changeUserEmail);
+  app.put('/api/admin/users/:userId/email', requireAuth, requireModerator, changeUserEmail);
+
+  // Sockets by the session they authenticated with at handshake; a revoked session takes its
+  // sockets down with it instead of leaving them connected until they reconnect.
+  const socketsBySession = new Map();
+
+  ctx.onConnection((socket) => {
+    const { sessionId } = socket.data;
+    if (!sessionId) return;
+    if (!socketsBySession.has(sessionId)) socketsBySession.set(sessionId, new Set());
+    socketsBySession.get(sessionId).add(socket);
+
+    socket.on('disconnect', () => {
+      const sockets = socketsBySession.get(sessionId);
+      if (!sockets) return;
+      sockets.delete(socket);
+      if (sockets.size === 0) socketsBySession.delete(sessionId);
+    });
+  });
+
+  sessionAuth.onRevoke(({ sessionId, userId, exceptSessionId }) => {
+    for (const [sid, sockets] of socketsBySession) {
+      if (sessionId ? sid !== sessionId : sid === exceptSessionId) continue;
+      for (const socket of sockets) {
+        if (sessionId || String(socket.data.user?.id) === userId) socket.disconnect(true);
+      }
+    }
+  });
+
+  io.use(async (socket, next) => {
+    const auth = socket.handshake.auth || {};
+    const token = String(auth.token || '').trim();
+
+    if (!token) {
+      socket.data.user = buildAnonymousSocketUser(socket, auth);
+      return next();
+    }
+
+    try {
+      const claims = await sessionAuth.authenticateAccessToken(token);
+      if (!claims) return next(createSessionError());
+
+      const dbUser = await storage.users.findById(claims.userId);
+      if (!dbUser) return next(createSessionError());
+
+      socket.data.sessionId = claims.sessionId;
+      socket.data.user = {
+        id: dbUser._id,
+        username: dbUser.username,
+        avatar: dbUser.avatar || '👤',
+        profilePicture: dbUser.profilePicture || '',
+        isGuest: !!dbUser.isGuest,
+        authenticated: true,
+        currentRoom: null,
+        friends: new Set(dbUser.friends || [])
+      };
+      next();
+    } catch (error) {
+      console.error('Socket authentication error:', error);
+      next(new Error('Authentication failed'));
+    }
+  });
+}
+
+module.exports = registerAuth;
@@ -0,0 +1,331 @@
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_REACTION_EMOJI = 20;
+const REPLY_PREVIEW_LENGTH = 140;
+
+// Exactly one emoji (flags, keycaps, skin tones and ZWJ sequences included).
+const SINGLE_EMOJI = new RegExp('^\\p{RGI_Emoji}$', 'v');
+
+function isValidReactionEmoji(emoji) {
+  return typeof emoji === 'string' && emoji.length <= 32 && SINGLE_EMOJI.test(emoji);
+}
+
+function toReactionCounts(reactions) {
+  return (reactions || [])
+    .filter(r => r.userIds?.length)
+    .map(r => ({ emoji: r.emoji, count: r.userIds.length, userIds: r.userIds }));
+}
+
+// Quoted snippet of a thread root, embedded in its replies.
+function toReplyPreview(doc) {
+  if (!doc) return null;
+  const text = doc.deletedAt ? '' : String(doc.message || '');
+  return {
+    id: doc._id,
+    userId: doc.userId,
+    username: doc.username,
+    message: text.length > REPLY_PREVIEW_LENGTH ? `${text.slice(0, REPLY_PREVIEW_LENGTH)}…` : text,
+    deletedAt: doc.deletedAt ? new Date(doc.deletedAt).getTime() : null
+  };
+}
+
+// Stored message (+ its thread root, if a reply) -> the shape clients get in joinedRoom/newMessage.
+function toRoomMessage(doc, parent = null) {
+  return {
+    id: doc._id,
+    userId: doc.userId,
+    username: doc.username,
+    message: doc.deletedAt ? '' : doc.message,
+    system: !!doc.system,
+    replyToMessageId: doc.replyToMessageId ? String(doc.replyToMessageId) : null,
+    replyTo: toReplyPreview(parent),
+    editedAt: doc.editedAt ? new Date(doc.editedAt).getTime() : null,
+    deletedAt: doc.deletedAt ? new Date(doc.deletedAt).getTime() : null,
+    reactions: doc.deletedAt ? [] : toReactionCounts(doc.reactions),
+    timestamp: new Date(doc.timestamp).getTime()
+  };
+}
+
+// Room chat (persisted through storage.messages) and HangoutBot system messages.
+function registerChat(ctx) {
+  const { io, storage, rooms } = ctx;
+
+  async function emitBotMessage(roomId, text) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const msg = room.addMessage('bot', 'HangoutBot', text);
+    msg.system = true;
+
+    try {
+      const saved = await storage.messages.create({
+        userId: 'bot',
+        username: 'HangoutBot',
+        message: text,
+        roomId,
+        system: true,
+        timestamp: new Date(msg.timestamp)
+      });
+      msg.id = saved._id;
+      msg.timestamp = new Date(saved.timestamp).getTime();
+    } catch (e) {
+      console.error('Error saving bot message:', e);
+    }
+
+    io.to(roomId).emit('newMessage', msg);
+  }
+
+  // toRoomMessage for a batch, resolving reply previews with one lookup.
+  async function toRoomMessages(docs) {
+    const parentIds = [...new Set(docs.map(d => d.replyToMessageId).filter(Boolean).map(String))];
+    const parents = parentIds.length ? await storage.messages.findByIds(parentIds) : [];
+    const byId = new Map(parents.map(p => [String(p._id), p]));
+    return docs.map(d => toRoomMessage(d, d.replyToMessageId ? byId.get(String(d.replyToMessageId)) : null));
+  }
+
+  ctx.emitBotMessage = emitBotMessage;
+  ctx.toRoomMessages = toRoomMessages;
+
+  // Resolves a live (not deleted, not system) message in the socket's current room.
+  // Returns { room, doc } or { error }.
+  async function findRoomMessage(socket, messageId) {
+    const user = socket.data.user;
+    const room = user.currentRoom ? rooms.get(user.currentRoom) : null;
+    if (!room || !room.members.has(socket.id)) return { error: 'Join the room first' };
+
+    const doc = await storage.messages.findById(String(messageId || ''));
+    if (!doc || String(doc.roomId) !== room.id) return { error: 'Message not found' };
+    if (doc.system) return { error: 'System messages cannot be changed' };
+    if (doc.deletedAt) return { error: 'Message was deleted' };
+
+    return { room, doc };
+  }
+
+  // As findRoomMessage, but only for the message's author or the room host.
+  async function findModifiableMessage(socket, messageId) {
+    const found = await findRoomMessage(socket, messageId);
+    if (found.error) return found;
+
+    const user = socket.data.user;
+    if (found.doc.userId !== user.id && found.room.host !== user.id) {
+      return { error: 'Only the author or the room host can do that' };
+    }
+
+    return found;
+  }
+
+  // Converts an updated message and keeps the in-memory history sent to new joiners
+  // (including reply previews quoting it) in step with storage.
+  async function applyMessageUpdate(room, updated) {
+    const [msg] = await toRoomMessages([updated]);
+    room.messages = room.messages.map(m => {
+      if (String(m.id) === String(msg.id)) return msg;
+      if (m.replyToMessageId === String(msg.id)) return { ...m, replyTo: toReplyPreview(updated) };
+      return m;
+    });
+    return msg;
+  }
+
+  ctx.onConnection((socket) => {
+    // Send Message
+    socket.on('sendMessage', async ({ message, replyToMessageId } = {}, ack) => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+
+      if (typeof message !== 'string' || !message.trim()) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Message cannot be empty' });
+        return;
+      }
+      if (message.length > MAX_MESSAGE_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Message is too long' });
+        return;
+      }
+
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      // Replies always attach to the thread root; an unusable target sends a plain message.
+      let parent = null;
+      if (replyToMessageId) {
+        try {
+          const target = await storage.messages.findById(String(replyToMessageId));
+          if (target && String(target.roomId) === room.id) {
+            parent = target.replyToMessageId ? await storage.messages.findById(String(target.replyToMessageId)) : target;
+          }
+          if (parent?.deletedAt) parent = null;
+        } catch (e) {
+          console.error('Error resolving reply target:', e);
+        }
+      }
+
+      const msg = room.addMessage(user.id, user.username, message);
+      if (parent) {
+        msg.replyToMessageId = String(parent._id);
+        msg.replyTo = toReplyPreview(parent);
+      }
+
+      // Save to database
+      try {
+        const saved = await storage.messages.create({
+          userId: user.id,
+          username: user.username,
+          message,
+          roomId: room.id,
+          system: false,
+          replyToMessageId: parent ? parent._id : null,
+          timestamp: new Date(msg.timestamp)
+        });
+        msg.id = saved._id;
+        msg.timestamp = new Date(saved.timestamp).getTime();
+
+        await storage.rooms.update(room.id, { lastActivity: new Date() }).catch(() => {});
+      } catch (error) {
+        console.error('Error saving message to database:', error);
+      }
+
+      io.to(user.currentRoom).emit('newMessage', msg);
+
+      // Guess Game: guess checking (after broadcasting the guess)
+      ctx.handleGuessGameMessage(room, user, message);
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    socket.on('editMessage', async ({ messageId, message } = {}, ack) => {
+      const text = String(message || '').trim();
+      if (!text) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Message cannot be empty' });
+        return;
+      }
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Message is too long' });
+        return;
+      }
+
+      try {
+        const { room, doc, error } = await findModifiableMessage(socket, messageId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+
+        const updated = await storage.messages.update(doc._id, { message: text, editedAt: new Date() });
+        const msg = await applyMessageUpdate(room, updated);
+
+        io.to(room.id).emit('messageUpdated', msg);
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('Error editing message:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to edit message' });
+      }
+    });
+
+    socket.on('deleteMessage', async ({ messageId } = {}, ack) => {
+      try {
+        const { room, doc, error } = await findModifiableMessage(socket, messageId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+
+        // The text is dropped; the document stays behind as a tombstone.
+        const updated = await storage.messages.update(doc._id, { message: '', deletedAt: new Date() });
+        const msg = await applyMessageUpdate(room, updated);
+
+        io.to(room.id).emit('messageDeleted', { id: msg.id, roomId: room.id, deletedAt: msg.deletedAt });
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('Error deleting message:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to delete message' });
+      }
+    });
+
+    socket.on('toggleMessageReaction', async ({ messageId, emoji } = {}, ack) => {
+      const user = socket.data.user;
+      if (!isValidReactionEmoji(emoji)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unsupported reaction' });
+        return;
+      }
+
+      try {
+        const { room, doc, error } = await findRoomMessage(socket, messageId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+
+        const result = await storage.messages.toggleReaction(doc._id, { emoji, userId: user.id, maxEmoji: MAX_REACTION_EMOJI });
+        if (!result) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Message not found' });
+          return;
+        }
+        if (result.reacted === null) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Too many different reactions' });
+          return;
+        }
+        const msg = await applyMessageUpdate(room, result.message);
+
+        io.to(room.id).emit('messageReactionsUpdated', { id: msg.id, roomId: room.id, reactions: msg.reactions });
+        if (typeof ack === 'function') ack({ ok: true, reacted: result.reacted, reactions: msg.reactions });
+      } catch (e) {
+        console.error('toggleMessageReaction error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to react' });
+      }
+    });
+
+    // Older history, paged backwards by timestamp (members only)
+    socket.on('getRoomMessages', async ({ roomId, limit, before } = {}, ack) => {
+      const room = rooms.get(String(roomId || ''));
+      if (!room || !room.members.has(socket.id)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Join the room to read its history' });
+        return;
+      }
+
+      const requestedLimit = Number(limit);
+      const safeLimit = Number.isFinite(requestedLimit) ? Math.max(1, Math.min(requestedLimit, 200)) : 50;
+
+      const beforeMs = before != null ? Number(before) : null;
+
+      try {
+        const docs = await storage.messages.listByRoom(room.id, {
+          before: Number.isFinite(beforeMs) ? new Date(beforeMs) : null,
+          limit: safeLimit
+        });
+
+        if (typeof ack === 'function') {
+          ack({ ok: true, messages: await toRoomMessages(docs), hasMore: docs.length === safeLimit });
+        }
+      } catch (e) {
+        console.error('Error fetching room messages:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to fetch messages' });
+      }
+    });
+
+    // A thread: its root plus every reply, oldest first (members only)
+    socket.on('getMessageThread', async ({ messageId } = {}, ack) => {
+      const user = socket.data.user;
+      const room = user.currentRoom ? rooms.get(user.currentRoom) : null;
+      if (!room || !room.members.has(socket.id)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Join the room first' });
+        return;
+      }
+
+      try {
+        const doc = await storage.messages.findById(String(messageId || ''));
+        const root = doc?.replyToMessageId ? await storage.messages.findById(String(doc.replyToMessageId)) : doc;
+        if (!root || String(root.roomId) !== room.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Message not found' });
+          return;
+        }
+
+        const replies = await storage.messages.listReplies(root._id);
+        if (typeof ack === 'function') {
+          ack({ ok: true, root: toRoomMessage(root), replies: replies.map(r => toRoomMessage(r, root)) });
+        }
+      } catch (e) {
+        console.error('Error fetching message thread:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to fetch thread' });
+      }
+    });
+  });
+}
+
+module.exports = registerChat;
@@ -0,0 +1,306 @@
+const MAX_PARTICIPANTS = 10;
+
+const toMs = (date) => (date ? new Date(date).getTime() : null);
+
+function toConversationMessage(d) {
+  return {
+    id: d._id,
+    conversationId: String(d.conversationId),
+    fromUserId: d.fromUserId,
+    message: String(d.message || '').trim(),
+    image: d.image?.url ? {
+      fileId: d.image.fileId,
+      url: d.image.url,
+      contentType: d.image.contentType,
+      name: d.image.name
+    } : null,
+    timestamp: toMs(d.timestamp)
+  };
+}
+
+// Group DMs: private multi-party threads with a participant list, an admin, a title
+// and an avatar. Messages are stored with the 1:1 ones (storage.directMessages).
+function registerConversations(ctx) {
+  const { io, storage, rejectIfAnonymous, findSocketIdByUserId } = ctx;
+
+  async function buildConversationPayload(conversation) {
+    const docs = await storage.users.findByIds(conversation.participantIds);
+    const byId = new Map(docs.map(u => [String(u._id), u]));
+    return {
+      id: conversation._id,
+      title: conversation.title || '',
+      avatar: conversation.avatar || '👥',
+      adminId: conversation.adminId,
+      participants: conversation.participantIds
+        .filter(id => byId.has(id))
+        .map(id => ({
+          id,
+          username: byId.get(id).username,
+          avatar: byId.get(id).avatar,
+          profilePicture: byId.get(id).profilePicture || ''
+        })),
+      createdAt: toMs(conversation.createdAt),
+      lastMessageAt: toMs(conversation.lastMessageAt)
+    };
+  }
+
+  function emitToUsers(userIds, event, payload) {
+    userIds.forEach(userId => {
+      const socketId = findSocketIdByUserId(userId);
+      if (socketId) io.to(socketId).emit(event, payload);
+    });
+  }
+
+  // Loads a conversation the socket's user takes part in. Returns { conversation } or { error }.
+  async function findOwnConversation(socket, conversationId) {
+    const conversation = await storage.conversations.findById(String(conversationId || ''));
+    if (!conversation || !conversation.participantIds.includes(socket.data.user.id)) {
+      return { error: 'Conversation not found' };
+    }
+    return { conversation };
+  }
+
+  // Users that `actorId` may add: real accounts with no block in either direction.
+  async function validateNewParticipants(actorId, userIds) {
+    for (const userId of userIds) {
+      const doc = await storage.users.findById(userId);
+      if (!doc || doc.isGuest) return 'User not found';
+      const blocked = await ctx.blockReason(actorId, userId);
+      if (blocked) return `${blocked} (${doc.username})`;
+    }
+    return null;
+  }
+
+  const normalizeIds = (ids) => Array.from(new Set((Array.isArray(ids) ? ids : []).map(id => String(id || '').trim()).filter(Boolean)));
+
+  ctx.onConnection((socket) => {
+    socket.on('getConversations', async (_payload, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      try {
+        const list = await storage.conversations.listForUser(user.id);
+        const conversations = await Promise.all(list.map(buildConversationPayload));
+        if (typeof ack === 'function') ack({ ok: true, conversations });
+      } catch (e) {
+        console.error('Error listing conversations:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to load conversations' });
+      }
+    });
+
+    socket.on('createConversation', async ({ participantIds, title, avatar } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const others = normalizeIds(participantIds).filter(id => id !== user.id);
+      if (others.length < 2) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Pick at least two people' });
+        return;
+      }
+      if (others.length + 1 > MAX_PARTICIPANTS) {
+        if (typeof ack === 'function') ack({ ok: false, message: `Groups are limited to ${MAX_PARTICIPANTS} people` });
+        return;
+      }
+
+      try {
+        const invalid = await validateNewParticipants(user.id, others);
+        if (invalid) {
+          if (typeof ack === 'function') ack({ ok: false, message: invalid });
+          return;
+        }
+
+        const conversation = await storage.conversations.create({
+          title: String(title || '').trim().slice(0, 80),
+          avatar: String(avatar || '').trim().slice(0, 16) || undefined,
+          adminId: user.id,
+          participantIds: [user.id, ...others]
+        });
+
+        const payload = await buildConversationPayload(conversation);
+        emitToUsers(conversation.participantIds, 'conversationUpdated', payload);
+        if (typeof ack === 'function') ack({ ok: true, conversation: payload });
+      } catch (e) {
+        console.error('Error creating conversation:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to create conversation' });
+      }
+    });
+
+    // Admin only.
+    socket.on('addConversationParticipants', async ({ conversationId, userIds } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      try {
+        const { conversation, error } = await findOwnConversation(socket, conversationId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+        if (conversation.adminId !== user.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Only the admin can add people' });
+          return;
+        }
+
+        const added = normalizeIds(userIds).filter(id => !conversation.participantIds.includes(id));
+        if (!added.length) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Nobody new to add' });
+          return;
+        }
+        if (conversation.participantIds.length + added.length > MAX_PARTICIPANTS) {
+          if (typeof ack === 'function') ack({ ok: false, message: `Groups are limited to ${MAX_PARTICIPANTS} people` });
+          return;
+        }
+
+        const invalid = await validateNewParticipants(user.id, added);
+        if (invalid) {
+          if (typeof ack === 'function') ack({ ok: false, message: invalid });
+          return;
+        }
+
+        const updated = await storage.conversations.update(conversation._id, {
+          participantIds: [...conversation.participantIds, ...added]
+        });
+        const payload = await buildConversationPayload(updated);
+        emitToUsers(updated.participantIds, 'conversationUpdated', payload);
+        if (typeof ack === 'function') ack({ ok: true, conversation: payload });
+      } catch (e) {
+        console.error('Error adding conversation participants:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to add people' });
+      }
+    });
+
+    // The admin can remove anyone; everyone else can only remove themselves (leave).
+    socket.on('removeConversationParticipant', async ({ conversationId, userId } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const targetId = String(userId || user.id);
+
+      try {
+        const { conversation, error } = await findOwnConversation(socket, conversationId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+        if (targetId !== user.id && conversation.adminId !== user.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Only the admin can remove people' });
+          return;
+        }
+        if (!conversation.participantIds.includes(targetId)) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Not a participant' });
+          return;
+        }
+
+        const participantIds = conversation.participantIds.filter(id => id !== targetId);
+        // Like room hosts, an admin who leaves hands over to the longest-standing participant.
+        const adminId = conversation.adminId === targetId ? (participantIds[0] || targetId) : conversation.adminId;
+        const updated = await storage.conversations.update(conversation._id, { participantIds, adminId });
+
+        emitToUsers([targetId], 'conversationRemoved', { conversationId: String(conversation._id) });
+        if (participantIds.length) {
+          emitToUsers(participantIds, 'conversationUpdated', await buildConversationPayload(updated));
+        }
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('Error removing conversation participant:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to remove participant' });
+      }
+    });
+
+    socket.on('sendConversationMessage', async ({ conversationId, message, image } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(message || '').trim();
+      const hasImage = !!(image && image.url);
+      if (!trimmed && !hasImage) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Message cannot be empty' });
+        return;
+      }
+
+      try {
+        const { conversation, error } = await findOwnConversation(socket, conversationId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+
+        const doc = await storage.directMessages.create({
+          fromUserId: user.id,
+          conversationId: conversation._id,
+          message: trimmed || ' ',
+          image: hasImage ? {
+            fileId: String(image.fileId || ''),
+            url: String(image.url || ''),
+            contentType: String(image.contentType || ''),
+            name: String(image.name || '')
+          } : undefined,
+          timestamp: new Date()
+        });
+        await storage.conversations.update(conversation._id, { lastMessageAt: doc.timestamp });
+
+        const payload = {
+          ...toConversationMessage(doc),
+          from: user.username,
+          fromAvatar: user.avatar,
+          fromProfilePicture: user.profilePicture || ''
+        };
+
+        // Block checks as in sendDirectMessage, per recipient: blocked pairs don't see each other.
+        const recipients = [];
+        for (const participantId of conversation.participantIds) {
+          if (participantId === user.id || !(await ctx.blockReason(user.id, participantId))) {
+            recipients.push(participantId);
+          }
+        }
+        emitToUsers(recipients, 'conversationMessage', payload);
+
+        if (typeof ack === 'function') ack({ ok: true, id: payload.id });
+      } catch (e) {
+        console.error('Error sending conversation message:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to send message' });
+      }
+    });
+
+    socket.on('getConversationMessages', async ({ conversationId, limit, before } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const requestedLimit = Number(limit);
+      const safeLimit = Number.isFinite(requestedLimit) ? Math.max(1, Math.min(requestedLimit, 200)) : 50;
+      const beforeMs = before != null ? Number(before) : null;
+
+      try {
+        const { conversation, error } = await findOwnConversation(socket, conversationId);
+        if (error) {
+          if (typeof ack === 'function') ack({ ok: false, message: error });
+          return;
+        }
+
+        const docs = await storage.directMessages.listByConversation(conversation._id, {
+          before: Number.isFinite(beforeMs) ? new Date(beforeMs) : null,
+          limit: safeLimit
+        });
+
+        // Hide messages from anyone on either side of a block with the reader.
+        const me = await storage.users.findById(user.id);
+        const hidden = new Set(me?.blockedUsers || []);
+        const authors = await storage.users.findByIds([...new Set(docs.map(d => d.fromUserId))]);
+        authors.forEach(a => {
+          if ((a.blockedUsers || []).includes(user.id)) hidden.add(String(a._id));
+        });
+
+        const messages = docs
+          .filter(d => !hidden.has(d.fromUserId))
+          .map(toConversationMessage);
+
+        if (typeof ack === 'function') ack({ ok: true, messages, hasMore: docs.length === safeLimit });
+      } catch (e) {
+        console.error('Error fetching conversation messages:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to fetch messages' });
+      }
+    });
+  });
+}
+
+module.exports = registerConversations;
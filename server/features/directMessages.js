@@ -0,0 +1,201 @@
+const toMs = (date) => (date ? new Date(date).getTime() : null);
+
+// One-to-one direct messages (persisted through storage.directMessages), with
+// delivery/read receipts and typing relays.
+function registerDirectMessages(ctx) {
+  const { io, storage, users, rejectIfAnonymous, findSocketIdByUserId } = ctx;
+
+  // Why `fromUserId` may not reach `toUserId` (blocks apply both ways), or null.
+  async function blockReason(fromUserId, toUserId) {
+    const senderDoc = await storage.users.findById(fromUserId);
+    const recipientDoc = await storage.users.findById(toUserId);
+    if (senderDoc?.blockedUsers?.includes(toUserId)) return 'You have blocked this user';
+    if (recipientDoc?.blockedUsers?.includes(fromUserId)) return 'You cannot message this user';
+    return null;
+  }
+
+  // On (re)register: tell senders their pending messages arrived and send unread counts.
+  async function publishDirectMessageState(socket) {
+    const user = socket.data.user;
+    const deliveredAt = new Date();
+    const senderIds = await storage.directMessages.markDelivered(user.id, deliveredAt);
+    senderIds.forEach(senderId => {
+      const senderSocketId = findSocketIdByUserId(senderId);
+      if (senderSocketId) {
+        io.to(senderSocketId).emit('directMessagesDelivered', { toUserId: user.id, deliveredAt: deliveredAt.getTime() });
+      }
+    });
+
+    socket.emit('directMessageUnreadCounts', { counts: await storage.directMessages.countUnreadBySender(user.id) });
+  }
+
+  ctx.blockReason = blockReason;
+  ctx.publishDirectMessageState = publishDirectMessageState;
+
+  ctx.onConnection((socket) => {
+    // Direct Messages
+    socket.on('sendDirectMessage', async ({ toUserId, message, image } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack, 'directMessageError')) return;
+
+      // Validate message
+      const trimmed = String(message || '').trim();
+      const hasImage = !!(image && image.url);
+      if (!trimmed && !hasImage) return;
+
+      // Recipient may be offline; we still persist the message.
+      const recipientEntry = Array.from(users.entries()).find(([_, u]) => u.id === toUserId);
+      const recipientSocketId = recipientEntry?.[0] || null;
+
+      // Block checks (both directions)
+      try {
+        const blocked = await blockReason(user.id, toUserId);
+        if (blocked) {
+          socket.emit('directMessageError', { message: blocked });
+          return;
+        }
+      } catch (e) {
+        console.error('DM block check error:', e);
+      }
+
+      const dmDoc = await storage.directMessages.create({
+        fromUserId: user.id,
+        toUserId,
+        message: trimmed || ' ',
+        image: hasImage ? {
+          fileId: String(image.fileId || ''),
+          url: String(image.url || ''),
+          contentType: String(image.contentType || ''),
+          name: String(image.name || '')
+        } : undefined,
+        deliveredAt: recipientSocketId ? new Date() : null,
+        timestamp: new Date()
+      }).catch(e => {
+        console.error('Error saving direct message:', e);
+        return null;
+      });
+
+      const payload = {
+        id: dmDoc?._id || undefined,
+        from: user.username,
+        fromId: user.id,
+        fromAvatar: user.avatar,
+        fromProfilePicture: user.profilePicture || '',
+        toUserId,
+        message: trimmed,
+        image: hasImage ? {
+          fileId: String(image.fileId || ''),
+          url: String(image.url || ''),
+          contentType: String(image.contentType || ''),
+          name: String(image.name || '')
+        } : null,
+        deliveredAt: recipientSocketId ? (toMs(dmDoc?.deliveredAt) || Date.now()) : null,
+        readAt: null,
+        timestamp: Date.now()
+      };
+
+      if (recipientSocketId) {
+        io.to(recipientSocketId).emit('directMessage', payload);
+      }
+
+      // Echo back to sender with an id so the UI can dedupe.
+      io.to(socket.id).emit('directMessageSent', payload);
+
+      if (typeof ack === 'function') ack({ ok: true, id: payload.id });
+    });
+
+    socket.on('getDirectMessages', async ({ withUserId, limit, before } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const otherUserId = String(withUserId || '').trim();
+      if (!otherUserId) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'withUserId is required' });
+        return;
+      }
+
+      const requestedLimit = Number(limit);
+      const safeLimit = Number.isFinite(requestedLimit) ? Math.max(1, Math.min(requestedLimit, 500)) : 100;
+
+      const beforeMs = before != null ? Number(before) : null;
+
+      try {
+        const docs = await storage.directMessages.listConversation(user.id, otherUserId, {
+          before: Number.isFinite(beforeMs) ? new Date(beforeMs) : null,
+          limit: safeLimit
+        });
+
+        const messages = docs.map(d => ({
+          id: d._id,
+          fromUserId: d.fromUserId,
+          toUserId: d.toUserId,
+          message: d.message,
+          image: d.image?.url ? {
+            fileId: d.image.fileId,
+            url: d.image.url,
+            contentType: d.image.contentType,
+            name: d.image.name
+          } : null,
+          deliveredAt: toMs(d.deliveredAt),
+          readAt: toMs(d.readAt),
+          timestamp: new Date(d.timestamp).getTime()
+        }));
+
+        if (typeof ack === 'function') ack({ ok: true, messages });
+      } catch (e) {
+        console.error('Error fetching direct messages:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to fetch messages' });
+      }
+    });
+
+    // Marks messages from `withUserId` up to `upTo` (ms, default now) as read and
+    // sends a receipt to both participants.
+    socket.on('markDirectMessagesRead', async ({ withUserId, upTo } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const otherUserId = String(withUserId || '').trim();
+      if (!otherUserId) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'withUserId is required' });
+        return;
+      }
+
+      const upToMs = upTo != null && Number.isFinite(Number(upTo)) ? Number(upTo) : Date.now();
+      const readAt = new Date();
+
+      try {
+        const updated = await storage.directMessages.markRead(user.id, otherUserId, { upTo: new Date(upToMs), at: readAt });
+        const receipt = { readerId: user.id, otherUserId, upTo: upToMs, readAt: readAt.getTime() };
+
+        socket.emit('directMessagesRead', receipt);
+        const otherSocketId = updated ? findSocketIdByUserId(otherUserId) : null;
+        if (otherSocketId) io.to(otherSocketId).emit('directMessagesRead', receipt);
+
+        if (typeof ack === 'function') ack({ ok: true, updated });
+      } catch (e) {
+        console.error('Error marking direct messages read:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to mark messages read' });
+      }
+    });
+
+    // Ephemeral typing state, relayed only to the other participant (never stored).
+    socket.on('dmTyping', async ({ toUserId, typing } = {}) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket)) return;
+
+      const recipientSocketId = findSocketIdByUserId(String(toUserId || ''));
+      if (!recipientSocketId || recipientSocketId === socket.id) return;
+
+      try {
+        if (await blockReason(user.id, String(toUserId))) return;
+      } catch (e) {
+        console.error('DM typing block check error:', e);
+        return;
+      }
+
+      io.to(recipientSocketId).emit('dmTyping', { fromUserId: user.id, typing: typing !== false });
+    });
+  });
+}
+
+module.exports = registerDirectMessages;
@@ -0,0 +1,46 @@
+// Shared drawing canvas per room.
+function registerDrawing(ctx) {
+  const { io, rooms } = ctx;
+
+  ctx.onConnection((socket) => {
+    // Drawing Events
+    socket.on('draw', (drawData) => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      // Guess Game: only current drawer can draw during DRAW phase
+      if (room.guessGame?.active) {
+        if (room.guessGame.phase !== 'DRAW') return;
+        if (room.guessGame.drawerUserId !== user.id) return;
+      }
+
+      const payload = (drawData && typeof drawData === 'object')
+        ? { ...drawData, by: socket.id, userId: user.id }
+        : { type: 'draw', x: 0, y: 0, color: '#000000', width: 1, by: socket.id, userId: user.id };
+
+      room.drawings.push(payload);
+      if (room.drawings.length > 5000) room.drawings.shift();
+
+      socket.to(user.currentRoom).emit('drawing', payload);
+    });
+
+    socket.on('clearCanvas', () => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      // Guess Game: only drawer can clear during DRAW phase; otherwise ignore
+      if (room.guessGame?.active && room.guessGame.phase === 'DRAW' && room.guessGame.drawerUserId !== user.id) return;
+
+      room.drawings = [];
+      io.to(user.currentRoom).emit('canvasCleared');
+    });
+  });
+}
+
+module.exports = registerDrawing;
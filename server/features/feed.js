@@ -0,0 +1,1023 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_POST_LENGTH = 500;
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_COMMENTS_PER_POST = 200;
+const VISIBILITIES = ['public', 'friends', 'private'];
+const FEED_MODES = ['latest', 'friends', 'trending'];
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 6;
+const MAX_POLL_OPTION_LENGTH = 80;
+const DEFAULT_REACTION_TYPES = ['fire', 'laugh', 'heart', 'wow', 'sad'];
+
+// Reactions offered on posts; override with e.g. FEED_REACTION_TYPES=fire,heart,clap.
+function parseReactionTypes(raw) {
+  const types = String(raw || '')
+    .split(',')
+    .map(t => t.trim().toLowerCase())
+    .filter(t => /^[a-z_]{1,20}$/.test(t));
+  return types.length ? Array.from(new Set(types)) : DEFAULT_REACTION_TYPES;
+}
+
+const REACTION_TYPES = parseReactionTypes(process.env.FEED_REACTION_TYPES);
+const MAX_TAG_LENGTH = 50;
+const TRENDING_TAGS_WINDOW_MS = 24 * 60 * 60 * 1000;
+const TRENDING_TAGS_TTL_MS = 60 * 1000;
+// Trending: posts created, reacted to or commented on in this window, ranked by reactions plus comments in it.
+const TRENDING_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Stored post -> the shape clients get in newsFeedUpdate/feedPostUpdated/timelines.
+// `viewerId` only fills in poll.myOptionIds. For reposts, `original` is the shared post as
+// toEmbeddedPost returns it, or null when the viewer may not see it (or it was deleted).
+function toFeedPost(doc, viewerId = null, original = null) {
+  return {
+    id: doc._id.toString(),
+    author: doc.author,
+    authorId: doc.authorId,
+    authorAvatar: doc.authorAvatar,
+    authorProfilePicture: doc.authorProfilePicture,
+    content: (doc.content || '').trim(),
+    images: doc.images || [],
+    comments: doc.comments || [],
+    reactions: toReactionCounts(doc.reactions),
+    poll: toFeedPoll(doc.poll, viewerId),
+    tags: doc.tags || [],
+    repostOf: doc.repostOf || null,
+    original: doc.repostOf ? original : null,
+    shareCount: doc.shareCount || 0,
+    visibility: doc.visibility || 'public',
+    editedAt: doc.editedAt ? new Date(doc.editedAt).getTime() : null,
+    timestamp: new Date(doc.timestamp).getTime()
+  };
+}
+
+// The part of a shared post that reposts show.
+function toEmbeddedPost(doc) {
+  return {
+    id: doc._id.toString(),
+    author: doc.author,
+    authorId: doc.authorId,
+    authorAvatar: doc.authorAvatar,
+    authorProfilePicture: doc.authorProfilePicture,
+    content: (doc.content || '').trim(),
+    images: doc.images || [],
+    visibility: doc.visibility || 'public',
+    editedAt: doc.editedAt ? new Date(doc.editedAt).getTime() : null,
+    timestamp: new Date(doc.timestamp).getTime()
+  };
+}
+
+// [{ type, count, userIds }] for the types with at least one reaction, in REACTION_TYPES order.
+function toReactionCounts(reactions) {
+  const byType = new Map();
+  for (const r of Array.isArray(reactions) ? reactions : []) {
+    if (!byType.has(r.type)) byType.set(r.type, []);
+    byType.get(r.type).push(r.userId);
+  }
+  const rank = (type) => (REACTION_TYPES.includes(type) ? REACTION_TYPES.indexOf(type) : REACTION_TYPES.length);
+  return Array.from(byType, ([type, userIds]) => ({ type, count: userIds.length, userIds }))
+    .sort((a, b) => rank(a.type) - rank(b.type));
+}
+
+// Voter ids stay on the server for anonymous polls.
+function toFeedPoll(poll, viewerId) {
+  if (!poll) return null;
+  const options = poll.options || [];
+  const closesAt = poll.closesAt ? new Date(poll.closesAt).getTime() : null;
+  return {
+    options: options.map(o => ({
+      id: String(o._id),
+      text: o.text,
+      count: (o.voterIds || []).length,
+      ...(poll.anonymous ? {} : { voterIds: o.voterIds || [] })
+    })),
+    multiple: !!poll.multiple,
+    anonymous: !!poll.anonymous,
+    closesAt,
+    closed: closesAt != null && closesAt <= Date.now(),
+    voterCount: new Set(options.flatMap(o => o.voterIds || [])).size,
+    myOptionIds: viewerId ? options.filter(o => (o.voterIds || []).includes(viewerId)).map(o => String(o._id)) : []
+  };
+}
+
+// Validates the `poll` of a postToNewsFeed payload. Returns { poll } (null without one) or { error }.
+function toNewPoll(input) {
+  if (input == null) return { poll: null };
+  const texts = (Array.isArray(input.options) ? input.options : []).map(o => String(o || '').trim()).filter(Boolean);
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options` };
+  }
+  if (texts.some(t => t.length > MAX_POLL_OPTION_LENGTH)) return { error: 'Poll option is too long' };
+  if (new Set(texts.map(t => t.toLowerCase())).size !== texts.length) return { error: 'Poll options must be different' };
+
+  let closesAt = null;
+  if (input.closesAt != null) {
+    closesAt = new Date(Number(input.closesAt));
+    if (Number.isNaN(closesAt.getTime()) || closesAt.getTime() <= Date.now()) {
+      return { error: 'Poll close time must be in the future' };
+    }
+  }
+
+  return {
+    poll: {
+      options: texts.map(text => ({ text, voterIds: [] })),
+      multiple: !!input.multiple,
+      anonymous: !!input.anonymous,
+      closesAt
+    }
+  };
+}
+
+// Whether `viewerId` (null for guests) may see `post`. `audience` is the author's side: their
+// friends, and everyone on either side of a block with them.
+function canViewPost(post, viewerId, audience) {
+  if (viewerId && audience.blocked.has(viewerId)) return false;
+  if (viewerId && viewerId === post.authorId) return true;
+  const visibility = post.visibility || 'public';
+  if (visibility === 'friends') return !!viewerId && audience.friends.has(viewerId);
+  return visibility !== 'private';
+}
+
+// VISIBILITIES runs from the widest audience to the narrowest.
+function isWiderThan(visibility, than) {
+  return VISIBILITIES.indexOf(visibility) < VISIBILITIES.indexOf(than);
+}
+
+// `#Tag` -> 'tag' (letters, numbers, underscores; at least one letter). Same shape as @mentions.
+function extractHashtags(text) {
+  const tags = [];
+  const pattern = new RegExp(`(^|\\s)#([\\p{L}\\p{N}_]{1,${MAX_TAG_LENGTH}})(?![\\p{L}\\p{N}_])`, 'gu');
+  for (const match of String(text || '').matchAll(pattern)) {
+    if (/\p{L}/u.test(match[2])) tags.push(match[2].normalize('NFC').toLowerCase());
+  }
+  return Array.from(new Set(tags));
+}
+
+// The tags stored on a post: from its text and all of its comments.
+function tagsOf(content, comments) {
+  return Array.from(new Set([content, ...(comments || []).map(c => c.text)].flatMap(extractHashtags)));
+}
+
+// `tag` from a getFeedByTag payload, with or without the leading #; null if it isn't one.
+function normalizeTag(tag) {
+  const [parsed] = extractHashtags(`#${String(tag || '').trim().replace(/^#/, '')}`);
+  return parsed || null;
+}
+
+// `before`/`limit` of a feed page request.
+function toPageParams({ before, limit }) {
+  const requestedLimit = Number(limit);
+  const beforeValue = before != null ? Number(before) : null;
+  return {
+    limit: Number.isFinite(requestedLimit) ? Math.max(1, Math.min(Math.floor(requestedLimit), 50)) : 20,
+    cursor: Number.isFinite(beforeValue) ? beforeValue : null
+  };
+}
+
+// News feed: posts, reactions, comments/replies, mentions and user timelines.
+function registerFeed(ctx) {
+  const { io, storage, rejectIfAnonymous, toPublicUser, findSocketIdByUserId } = ctx;
+
+  function extractMentionUsernames(text) {
+    const input = String(text || '');
+    // Mentions: @username (letters/numbers/underscore). Keep simple and deterministic.
+    const matches = input.match(/(^|\s)@([A-Za-z0-9_]{2,30})\b/g) || [];
+    const names = matches
+      .map(m => (m.trim().startsWith('@') ? m.trim().slice(1) : m.trim().split('@')[1]))
+      .filter(Boolean);
+    return Array.from(new Set(names));
+  }
+
+  async function resolveMentionedUsersByUsername(usernames) {
+    const list = Array.isArray(usernames) ? usernames : [];
+    const safe = list
+      .map(u => String(u || '').trim())
+      .filter(u => u.length >= 2)
+      .slice(0, 15);
+    if (safe.length === 0) return [];
+
+    const docs = await storage.users.findByUsernames(safe);
+    return docs.map(d => ({
+      id: d._id,
+      username: d.username,
+      avatar: d.avatar || '👤',
+      profilePicture: d.profilePicture || ''
+    }));
+  }
+
+  function emitFeedNotificationToUserId(userId, payload) {
+    const socketId = findSocketIdByUserId(userId);
+    if (!socketId) return;
+    io.to(socketId).emit('feedNotification', payload);
+  }
+
+  ctx.emitFeedNotificationToUserId = emitFeedNotificationToUserId;
+
+  const viewerIdOf = (socket) => (socket.data.user?.authenticated ? socket.data.user.id : null);
+
+  async function loadAudience(authorId) {
+    const [author, blockedBy] = await Promise.all([
+      storage.users.findById(authorId),
+      storage.users.findIdsBlocking(authorId)
+    ]);
+    return {
+      friends: new Set(author?.friends || []),
+      blocked: new Set([...(author?.blockedUsers || []), ...blockedBy])
+    };
+  }
+
+  // The `visibleTo` scope storage.feedPosts queries take for this viewer.
+  async function feedScopeFor(userId) {
+    if (!userId) return { userId: null, friendIds: [], hiddenAuthorIds: [] };
+    const [viewer, blockedBy] = await Promise.all([
+      storage.users.findById(userId),
+      storage.users.findIdsBlocking(userId)
+    ]);
+    return {
+      userId,
+      friendIds: viewer?.friends || [],
+      hiddenAuthorIds: [...(viewer?.blockedUsers || []), ...blockedBy]
+    };
+  }
+
+  ctx.feedScopeFor = feedScopeFor;
+
+  // toFeedPost for a list, embedding each shared post where `viewerId` may see it.
+  async function toFeedPosts(docs, viewerId) {
+    const sharedIds = Array.from(new Set(docs.map(d => d.repostOf).filter(Boolean)));
+    const originals = new Map();
+    const audiences = new Map();
+    for (const original of sharedIds.length ? await storage.feedPosts.findByIds(sharedIds) : []) {
+      if (!audiences.has(original.authorId)) audiences.set(original.authorId, await loadAudience(original.authorId));
+      if (canViewPost(original, viewerId, audiences.get(original.authorId))) {
+        originals.set(String(original._id), toEmbeddedPost(original));
+      }
+    }
+    return docs.map(d => toFeedPost(d, viewerId, originals.get(d.repostOf) || null));
+  }
+
+  ctx.toFeedPosts = toFeedPosts;
+
+  // Sends a new or changed post to the sockets allowed to see it. With `previous` (the post before a
+  // visibility change), sockets that gain access get it as new and those that lose it get feedPostDeleted.
+  async function publishPost(doc, { event = 'feedPostUpdated', previous = doc } = {}) {
+    const audience = await loadAudience(doc.authorId);
+    const original = doc.repostOf ? await storage.feedPosts.findById(doc.repostOf) : null;
+    const originalAudience = original ? await loadAudience(original.authorId) : null;
+    const id = String(doc._id);
+    for (const socket of io.sockets.sockets.values()) {
+      const viewerId = viewerIdOf(socket);
+      const couldSee = canViewPost(previous, viewerId, audience);
+      if (canViewPost(doc, viewerId, audience)) {
+        const embedded = original && canViewPost(original, viewerId, originalAudience) ? toEmbeddedPost(original) : null;
+        socket.emit(couldSee ? event : 'newsFeedPost', toFeedPost(doc, viewerId, embedded));
+      } else if (couldSee) {
+        socket.emit('feedPostDeleted', { id });
+      }
+    }
+  }
+
+  async function publishPostDeleted(doc) {
+    const audience = await loadAudience(doc.authorId);
+    for (const socket of io.sockets.sockets.values()) {
+      if (canViewPost(doc, viewerIdOf(socket), audience)) socket.emit('feedPostDeleted', { id: doc._id });
+    }
+  }
+
+  // Recomputes a post's tags after a comment's text changed or went away.
+  async function retag(doc) {
+    const tags = tagsOf(doc.content, doc.comments);
+    const unchanged = tags.length === (doc.tags || []).length && tags.every(t => doc.tags.includes(t));
+    return unchanged ? doc : (await storage.feedPosts.update(doc._id, { tags })) || doc;
+  }
+
+  // Loads a post `viewerId` is allowed to see. Returns { doc, audience }, or {} if there's none.
+  async function findVisiblePost(postId, viewerId) {
+    const doc = await storage.feedPosts.findById(postId);
+    if (!doc) return {};
+    const audience = await loadAudience(doc.authorId);
+    return canViewPost(doc, viewerId, audience) ? { doc, audience } : {};
+  }
+
+  // Most used tags on public posts of the last day. Shared by everyone, so it's cached briefly
+  // instead of being aggregated on every request.
+  let trendingTagsCache = null;
+  async function trendingTags() {
+    if (trendingTagsCache && Date.now() - trendingTagsCache.at < TRENDING_TAGS_TTL_MS) return trendingTagsCache.tags;
+    const tags = await storage.feedPosts.countTags({ since: new Date(Date.now() - TRENDING_TAGS_WINDOW_MS), limit: 10 });
+    trendingTagsCache = { at: Date.now(), tags };
+    return tags;
+  }
+
+  // Whether any post or direct message still shows the upload `fileId`. Its file is kept until none do.
+  async function isUploadInUse(fileId) {
+    const [posts, messages] = await Promise.all([
+      storage.feedPosts.countWithImage(fileId),
+      storage.directMessages.countWithImage(fileId)
+    ]);
+    return posts + messages > 0;
+  }
+
+  // Loads a post and one of its comments for an edit/delete. Returns { doc, comment } or { error }.
+  async function findComment(postId, commentId) {
+    const doc = await storage.feedPosts.findById(postId);
+    if (!doc) return { error: 'Post not found' };
+    const comment = (doc.comments || []).find(c => String(c._id) === String(commentId));
+    if (!comment) return { error: 'Comment not found' };
+    return { doc, comment };
+  }
+
+  ctx.onConnection((socket) => {
+    // News Feed
+    // Acks { ok, id } when given an ack; otherwise failures go out as `error`.
+    socket.on('postToNewsFeed', async ({ content, images, visibility, poll } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack, 'error')) return;
+      const fail = (message) => {
+        if (typeof ack === 'function') ack({ ok: false, message });
+        else socket.emit('error', { message });
+      };
+
+      const trimmed = String(content || '').trim();
+      if (trimmed.length > MAX_POST_LENGTH) return fail('Post is too long');
+      const imgList = (Array.isArray(images) ? images : []).filter(i => i && i.fileId).slice(0, 4);
+
+      const newPoll = toNewPoll(poll);
+      if (newPoll.error) return fail(newPoll.error);
+      if (newPoll.poll && !trimmed) return fail('Ask a question for your poll');
+      if (!trimmed && imgList.length === 0) return fail('Post cannot be empty');
+
+      try {
+        // Only the author's own image uploads; the stored file has the final say on the rest.
+        const files = await Promise.all(imgList.map(i => storage.uploads.findFile(String(i.fileId))));
+        if (files.some(f => f?.metadata?.uploaderId !== user.id || !String(f.contentType).startsWith('image/'))) {
+          return fail('Images must be your own uploads');
+        }
+        const safeImages = files.map((file, index) => ({
+          fileId: file.id,
+          url: `${ctx.getServerBaseUrl()}/api/uploads/${file.id}`,
+          contentType: file.contentType,
+          name: String(imgList[index].name || file.filename || '')
+        }));
+
+        const saved = await storage.feedPosts.create({
+          authorId: user.id,
+          author: user.username,
+          authorAvatar: user.avatar,
+          authorProfilePicture: user.profilePicture,
+          content: trimmed || ' ',
+          images: safeImages,
+          visibility: VISIBILITIES.includes(visibility) ? visibility : 'public',
+          comments: [],
+          reactions: [],
+          poll: newPoll.poll,
+          tags: extractHashtags(trimmed),
+          timestamp: new Date()
+        });
+
+        await publishPost(saved, { event: 'newsFeedPost' });
+        if (typeof ack === 'function') ack({ ok: true, id: saved._id });
+      } catch (e) {
+        console.error('Error saving feed post:', e);
+        fail('Failed to post');
+      }
+    });
+
+    // Shares a post with optional commentary; sharing a repost shares its original. Other people's
+    // posts can only be shared while public, and a share never reaches further than what it shares.
+    socket.on('repostFeedPost', async ({ postId, content, visibility } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(content || '').trim();
+      if (trimmed.length > MAX_POST_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Post is too long' });
+        return;
+      }
+      if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unknown visibility' });
+        return;
+      }
+
+      try {
+        let { doc: original } = await findVisiblePost(postId, user.id);
+        if (original?.repostOf) ({ doc: original } = await findVisiblePost(original.repostOf, user.id));
+        if (!original) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+
+        const ownPost = original.authorId === user.id;
+        const originalVisibility = original.visibility || 'public';
+        const shareVisibility = visibility || originalVisibility;
+        if (!ownPost && originalVisibility !== 'public') {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Only public posts can be shared' });
+          return;
+        }
+        if (isWiderThan(shareVisibility, originalVisibility)) {
+          if (typeof ack === 'function') ack({ ok: false, message: "A share can't be more visible than the original post" });
+          return;
+        }
+
+        const saved = await storage.feedPosts.create({
+          authorId: user.id,
+          author: user.username,
+          authorAvatar: user.avatar,
+          authorProfilePicture: user.profilePicture,
+          content: trimmed || ' ',
+          images: [],
+          visibility: shareVisibility,
+          comments: [],
+          reactions: [],
+          tags: extractHashtags(trimmed),
+          repostOf: String(original._id),
+          timestamp: new Date()
+        });
+        const shared = await storage.feedPosts.incrementShares(original._id, 1);
+
+        await publishPost(saved, { event: 'newsFeedPost' });
+        if (shared) await publishPost(shared);
+
+        if (!ownPost) {
+          emitFeedNotificationToUserId(String(original.authorId), {
+            id: uuidv4(),
+            type: 'postShare',
+            postId: saved._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} shared your post`,
+            timestamp: Date.now()
+          });
+        }
+
+        if (typeof ack === 'function') ack({ ok: true, id: saved._id });
+      } catch (e) {
+        console.error('repostFeedPost error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to share post' });
+      }
+    });
+
+    // Replaces the caller's votes with `optionIds` (one for single-choice polls; [] withdraws).
+    socket.on('voteFeedPoll', async ({ postId, optionIds } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      try {
+        const { doc } = await findVisiblePost(postId, user.id);
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+        if (!doc.poll) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'This post has no poll' });
+          return;
+        }
+        if (toFeedPoll(doc.poll).closed) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'This poll is closed' });
+          return;
+        }
+
+        const chosen = new Set((Array.isArray(optionIds) ? optionIds : []).map(String));
+        const known = new Set(doc.poll.options.map(o => String(o._id)));
+        if ([...chosen].some(id => !known.has(id))) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Unknown poll option' });
+          return;
+        }
+        if (!doc.poll.multiple && chosen.size > 1) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'This poll allows one choice' });
+          return;
+        }
+
+        // Closing may race with the vote; the storage update only applies to an open poll.
+        const updated = await storage.feedPosts.setPollVotes(doc._id, { userId: user.id, optionIds: [...chosen] });
+        if (!updated) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'This poll is closed' });
+          return;
+        }
+
+        await publishPost(updated);
+        if (typeof ack === 'function') ack({ ok: true, poll: toFeedPoll(updated.poll, user.id) });
+      } catch (e) {
+        console.error('voteFeedPoll error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to vote' });
+      }
+    });
+
+    // One reaction per user: the same type again removes it, another type replaces it.
+    socket.on('toggleFeedReaction', async ({ postId, type } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+      const reactionType = String(type || '').toLowerCase();
+      if (!REACTION_TYPES.includes(reactionType)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unsupported reaction' });
+        return;
+      }
+
+      try {
+        const { doc } = await findVisiblePost(postId, user.id);
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+
+        const updated = await storage.feedPosts.toggleReaction(doc._id, { userId: user.id, type: reactionType });
+        if (!updated) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+        const reaction = updated.reactions.find(r => r.userId === user.id)?.type || null;
+        await publishPost(updated);
+        if (typeof ack === 'function') ack({ ok: true, reaction, reactions: toReactionCounts(updated.reactions) });
+      } catch (e) {
+        console.error('toggleFeedReaction error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to react' });
+      }
+    });
+
+    socket.on('addFeedComment', async ({ postId, text } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(text || '').trim();
+      if (!trimmed) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Empty comment' });
+        return;
+      }
+
+      try {
+        let { doc, audience } = await findVisiblePost(postId, user.id);
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+
+        // Only people who can see the post get mentioned.
+        const mentionNames = extractMentionUsernames(trimmed);
+        const mentioned = (await resolveMentionedUsersByUsername(mentionNames))
+          .filter(m => canViewPost(doc, m.id, audience));
+        const mentionUserIds = mentioned.map(m => m.id).filter(id => id && id !== user.id);
+
+        doc = await storage.feedPosts.addComment(doc._id, {
+          parentCommentId: null,
+          replyToUserId: '',
+          replyToUsername: '',
+          userId: user.id,
+          username: user.username,
+          userAvatar: user.avatar,
+          userProfilePicture: user.profilePicture || '',
+          text: trimmed,
+          mentionUserIds,
+          timestamp: new Date()
+        }, { tags: extractHashtags(trimmed), limit: MAX_COMMENTS_PER_POST });
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+        await publishPost(doc);
+
+        // Notify post author (someone commented on their post)
+        if (doc.authorId && String(doc.authorId) !== String(user.id)) {
+          emitFeedNotificationToUserId(String(doc.authorId), {
+            id: uuidv4(),
+            type: 'postComment',
+            postId: doc._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} commented on your post`,
+            timestamp: Date.now()
+          });
+        }
+
+        // Notify mentioned users
+        for (const m of mentioned) {
+          if (!m?.id) continue;
+          if (String(m.id) === String(user.id)) continue;
+          emitFeedNotificationToUserId(String(m.id), {
+            id: uuidv4(),
+            type: 'mention',
+            postId: doc._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} mentioned you in a comment`,
+            timestamp: Date.now()
+          });
+        }
+
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('addFeedComment error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to comment' });
+      }
+    });
+
+    socket.on('replyToFeedComment', async ({ postId, parentCommentId, text } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(text || '').trim();
+      if (!trimmed) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Empty reply' });
+        return;
+      }
+
+      try {
+        let { doc, audience } = await findVisiblePost(postId, user.id);
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+
+        const parent = (Array.isArray(doc.comments) ? doc.comments : []).find(c => String(c?._id) === String(parentCommentId));
+        if (!parent) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Comment not found' });
+          return;
+        }
+
+        // Only people who can see the post get mentioned.
+        const mentionNames = extractMentionUsernames(trimmed);
+        const mentioned = (await resolveMentionedUsersByUsername(mentionNames))
+          .filter(m => canViewPost(doc, m.id, audience));
+        const mentionUserIds = mentioned.map(m => m.id).filter(id => id && id !== user.id);
+
+        doc = await storage.feedPosts.addComment(doc._id, {
+          parentCommentId: parent._id,
+          replyToUserId: String(parent.userId || ''),
+          replyToUsername: String(parent.username || ''),
+          userId: user.id,
+          username: user.username,
+          userAvatar: user.avatar,
+          userProfilePicture: user.profilePicture || '',
+          text: trimmed,
+          mentionUserIds,
+          timestamp: new Date()
+        }, { tags: extractHashtags(trimmed), limit: MAX_COMMENTS_PER_POST });
+        if (!doc) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post not found' });
+          return;
+        }
+        await publishPost(doc);
+
+        // Notify the parent comment author (someone replied to their comment)
+        if (parent.userId && String(parent.userId) !== String(user.id)) {
+          emitFeedNotificationToUserId(String(parent.userId), {
+            id: uuidv4(),
+            type: 'commentReply',
+            postId: doc._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} replied to your comment`,
+            timestamp: Date.now()
+          });
+        }
+
+        // Notify post author too (unless already the replier)
+        if (doc.authorId && String(doc.authorId) !== String(user.id)) {
+          emitFeedNotificationToUserId(String(doc.authorId), {
+            id: uuidv4(),
+            type: 'postComment',
+            postId: doc._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} replied in your post`,
+            timestamp: Date.now()
+          });
+        }
+
+        // Notify mentioned users
+        for (const m of mentioned) {
+          if (!m?.id) continue;
+          if (String(m.id) === String(user.id)) continue;
+          emitFeedNotificationToUserId(String(m.id), {
+            id: uuidv4(),
+            type: 'mention',
+            postId: doc._id.toString(),
+            fromUserId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture || '',
+            message: `${user.username} mentioned you in a reply`,
+            timestamp: Date.now()
+          });
+        }
+
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('replyToFeedComment error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to reply' });
+      }
+    });
+
+    // Changes the text and/or the visibility; either may be left out.
+    socket.on('editFeedPost', async ({ postId, content, visibility } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(content || '').trim();
+      if (trimmed.length > MAX_POST_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Post is too long' });
+        return;
+      }
+      if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unknown visibility' });
+        return;
+      }
+
+      try {
+        const doc = await storage.feedPosts.findById(postId);
+        if (!doc || doc.authorId !== user.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: doc ? 'Only the author can edit this post' : 'Post not found' });
+          return;
+        }
+        if (content !== undefined && !trimmed && !(doc.images || []).length && !doc.repostOf) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Post cannot be empty' });
+          return;
+        }
+        if (visibility !== undefined && doc.repostOf) {
+          const original = await storage.feedPosts.findById(doc.repostOf);
+          if (original && isWiderThan(visibility, original.visibility || 'public')) {
+            if (typeof ack === 'function') ack({ ok: false, message: "A share can't be more visible than the original post" });
+            return;
+          }
+        }
+
+        const changes = {};
+        if (content !== undefined && trimmed !== String(doc.content || '').trim()) {
+          changes.content = trimmed || ' ';
+          changes.editedAt = new Date();
+          changes.tags = tagsOf(trimmed, doc.comments);
+        }
+        if (visibility !== undefined) changes.visibility = visibility;
+
+        const updated = await storage.feedPosts.update(doc._id, changes);
+        await publishPost(updated, { previous: doc });
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('editFeedPost error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to edit post' });
+      }
+    });
+
+    socket.on('deleteFeedPost', async ({ postId } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      try {
+        const doc = await storage.feedPosts.findById(postId);
+        if (!doc || doc.authorId !== user.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: doc ? 'Only the author can delete this post' : 'Post not found' });
+          return;
+        }
+
+        await storage.feedPosts.delete(doc._id);
+        await publishPostDeleted(doc);
+        if (typeof ack === 'function') ack({ ok: true });
+
+        if (doc.repostOf) {
+          const shared = await storage.feedPosts.incrementShares(doc.repostOf, -1);
+          if (shared) await publishPost(shared);
+        }
+
+        // Images may be shared by another post or message (the same upload sent twice).
+        for (const image of doc.images || []) {
+          isUploadInUse(image.fileId)
+            .then(inUse => (inUse ? false : storage.uploads.delete(image.fileId)))
+            .catch(e => console.error('Error deleting feed image:', e));
+        }
+      } catch (e) {
+        console.error('deleteFeedPost error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to delete post' });
+      }
+    });
+
+    socket.on('editFeedComment', async ({ postId, commentId, text } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const trimmed = String(text || '').trim();
+      if (!trimmed || trimmed.length > MAX_COMMENT_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: trimmed ? 'Comment is too long' : 'Empty comment' });
+        return;
+      }
+
+      try {
+        const { doc, comment, error } = await findComment(postId, commentId);
+        if (error || comment.userId !== user.id) {
+          if (typeof ack === 'function') ack({ ok: false, message: error || 'Only the author can edit this comment' });
+          return;
+        }
+
+        // Mentions are refreshed but not re-notified.
+        const mentioned = await resolveMentionedUsersByUsername(extractMentionUsernames(trimmed));
+        const edited = await storage.feedPosts.editComment(doc._id, comment._id, {
+          text: trimmed,
+          mentionUserIds: mentioned.map(m => m.id).filter(id => id && id !== user.id),
+          editedAt: new Date()
+        });
+        if (!edited) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Comment not found' });
+          return;
+        }
+        await publishPost(await retag(edited));
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('editFeedComment error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to edit comment' });
+      }
+    });
+
+    // The comment's author or the post's author may remove it; replies under it go too.
+    socket.on('deleteFeedComment', async ({ postId, commentId } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      try {
+        const { doc, comment, error } = await findComment(postId, commentId);
+        if (error || (comment.userId !== user.id && doc.authorId !== user.id)) {
+          if (typeof ack === 'function') ack({ ok: false, message: error || 'Only the author can delete this comment' });
+          return;
+        }
+
+        const updated = await storage.feedPosts.pullComment(doc._id, comment._id);
+        if (!updated) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'Comment not found' });
+          return;
+        }
+        await publishPost(await retag(updated));
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('deleteFeedComment error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to delete comment' });
+      }
+    });
+
+    socket.on('getUserTimeline', async ({ userId } = {}, ack) => {
+      const requester = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const targetId = String(userId || '').trim();
+      if (!targetId) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Missing userId' });
+        return;
+      }
+
+      try {
+        const targetUser = await storage.users.findById(targetId);
+        if (!targetUser) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'User not found' });
+          return;
+        }
+
+        const requesterId = String(requester.id);
+        const isSelf = requesterId === String(targetUser._id);
+
+        // Posts are filtered by their own visibility; the friends list stays friends-only.
+        let canViewTimeline = isSelf;
+        let canViewFriends = isSelf;
+        if (!isSelf) {
+          const requesterDoc = await storage.users.findById(requesterId);
+          const requesterFriends = requesterDoc?.friends || [];
+          const requesterBlocked = requesterDoc?.blockedUsers || [];
+          const targetBlocked = targetUser?.blockedUsers || [];
+          const isBlockedEitherWay = requesterBlocked.includes(targetId) || targetBlocked.includes(requesterId);
+          canViewTimeline = !isBlockedEitherWay;
+          canViewFriends = !isBlockedEitherWay && requesterFriends.includes(targetId);
+        }
+
+        const posts = canViewTimeline
+          ? await storage.feedPosts.listByAuthor(targetId, { limit: 50, visibleTo: await feedScopeFor(requesterId) })
+          : [];
+
+        let friends = [];
+        if (canViewFriends) {
+          try {
+            const friendIds = (targetUser?.friends || []).slice(0, 60);
+            if (friendIds.length) {
+              const friendDocs = await storage.users.findByIds(friendIds);
+              const byId = new Map(friendDocs.map(d => [d._id, d]));
+              friends = friendIds
+                .map(id => byId.get(id))
+                .filter(Boolean)
+                .map(d => ({
+                  id: d._id.toString(),
+                  username: d.username,
+                  avatar: d.avatar,
+                  profilePicture: d.profilePicture || ''
+                }));
+            }
+          } catch (e) {
+            console.error('getUserTimeline friends lookup error:', e);
+            friends = [];
+          }
+        }
+
+        if (typeof ack === 'function') {
+          ack({
+            ok: true,
+            canViewTimeline,
+            canViewFriends,
+            reactionTypes: REACTION_TYPES,
+            user: toPublicUser(targetUser),
+            friends,
+            posts: await toFeedPosts(posts, requesterId)
+          });
+        }
+      } catch (e) {
+        console.error('getUserTimeline error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to load timeline' });
+      }
+    });
+
+    // One page of the feed. Pass back `nextBefore` to get the next page: a timestamp for latest/friends,
+    // a rank offset for trending. Without an ack the first page goes out as newsFeedUpdate.
+    socket.on('getNewsFeed', async ({ before, limit, mode } = {}, ack) => {
+      const feedMode = FEED_MODES.includes(mode) ? mode : 'latest';
+      const { limit: safeLimit, cursor } = toPageParams({ before, limit });
+
+      try {
+        const visibleTo = await feedScopeFor(viewerIdOf(socket));
+        let docs;
+        if (feedMode === 'trending') {
+          docs = await storage.feedPosts.listTrending({
+            since: new Date(Date.now() - TRENDING_WINDOW_MS),
+            offset: Math.max(0, Math.floor(cursor || 0)),
+            limit: safeLimit,
+            visibleTo
+          });
+        } else {
+          docs = await storage.feedPosts.listRecent({
+            before: cursor != null ? new Date(cursor) : null,
+            // Friends mode: the viewer's friends plus their own posts.
+            authorIds: feedMode === 'friends' ? [...visibleTo.friendIds, visibleTo.userId].filter(Boolean) : undefined,
+            limit: safeLimit,
+            visibleTo
+          });
+        }
+
+        const posts = await toFeedPosts(docs, visibleTo.userId);
+        const hasMore = docs.length === safeLimit;
+        const nextBefore = !posts.length
+          ? null
+          : feedMode === 'trending' ? (cursor || 0) + posts.length : posts[posts.length - 1].timestamp;
+
+        if (typeof ack === 'function') ack({ ok: true, mode: feedMode, posts, hasMore, nextBefore, reactionTypes: REACTION_TYPES });
+        else socket.emit('newsFeedUpdate', posts);
+      } catch (e) {
+        console.error('Error loading news feed:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to load the feed' });
+        else socket.emit('newsFeedUpdate', []);
+      }
+    });
+
+    // Posts tagged #tag, newest first; paged like getNewsFeed.
+    socket.on('getFeedByTag', async ({ tag, before, limit } = {}, ack) => {
+      if (typeof ack !== 'function') return;
+      const normalized = normalizeTag(tag);
+      if (!normalized) return ack({ ok: false, message: 'Invalid tag' });
+      const { limit: safeLimit, cursor } = toPageParams({ before, limit });
+
+      try {
+        const visibleTo = await feedScopeFor(viewerIdOf(socket));
+        const docs = await storage.feedPosts.listRecent({
+          before: cursor != null ? new Date(cursor) : null,
+          tag: normalized,
+          limit: safeLimit,
+          visibleTo
+        });
+        const posts = await toFeedPosts(docs, visibleTo.userId);
+        ack({
+          ok: true,
+          tag: normalized,
+          posts,
+          hasMore: docs.length === safeLimit,
+          nextBefore: posts.length ? posts[posts.length - 1].timestamp : null,
+          reactionTypes: REACTION_TYPES
+        });
+      } catch (e) {
+        console.error('getFeedByTag error:', e);
+        ack({ ok: false, message: 'Failed to load the feed' });
+      }
+    });
+
+    socket.on('getTrendingTags', async (_payload, ack) => {
+      if (typeof ack !== 'function') return;
+      try {
+        ack({ ok: true, tags: await trendingTags() });
+      } catch (e) {
+        console.error('getTrendingTags error:', e);
+        ack({ ok: false, message: 'Failed to load trending tags' });
+      }
+    });
+  });
+}
+
+module.exports = registerFeed;
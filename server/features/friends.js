@@ -0,0 +1,325 @@
+// Friend requests, friends list, unfriend/block.
+function registerFriends(ctx) {
+  const { io, storage, users, rooms, debugLog, rejectIfAnonymous, findSocketIdByUserId, findOnlineUserById } = ctx;
+
+  function buildFriendPayload(friendDocOrUser, onlineUser) {
+    const id = friendDocOrUser?._id ? friendDocOrUser._id.toString() : friendDocOrUser?.id;
+    const roomId = onlineUser?.currentRoom || null;
+    const roomName = roomId ? (rooms.get(roomId)?.name || null) : null;
+    return {
+      id,
+      username: friendDocOrUser?.username,
+      avatar: friendDocOrUser?.avatar,
+      profilePicture: friendDocOrUser?.profilePicture || '',
+      online: !!onlineUser,
+      inRoom: !!onlineUser?.currentRoom,
+      roomId,
+      roomName
+    };
+  }
+
+  // Friends (online and offline) in the order they were added.
+  async function buildFriendsListFor(userId) {
+    const doc = await storage.users.findById(userId);
+    const friendIds = (doc?.friends || []).map(String);
+    if (friendIds.length === 0) return [];
+
+    const byId = new Map((await storage.users.findByIds(friendIds)).map(f => [f._id, f]));
+    return friendIds
+      .map(id => byId.get(id))
+      .filter(Boolean)
+      .map(f => buildFriendPayload(f, findOnlineUserById(f._id)));
+  }
+
+  ctx.buildFriendPayload = buildFriendPayload;
+  ctx.buildFriendsListFor = buildFriendsListFor;
+
+  ctx.onConnection((socket) => {
+    // Friend System
+    socket.on('sendFriendRequest', async ({ targetUserId }) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, null, 'friendRequestError')) return;
+
+      debugLog(`sendFriendRequest: ${user.username} (${user.id}) -> targetUserId: ${targetUserId}`);
+
+      // Prevent self-friend requests
+      if (user.id === targetUserId) {
+        debugLog('Cannot send friend request to yourself');
+        socket.emit('friendRequestError', { message: 'You cannot add yourself as a friend' });
+        return;
+      }
+
+      try {
+        // Block checks (both directions)
+        const senderDoc = await storage.users.findById(user.id);
+
+        // Find target user in database
+        const targetUser = await storage.users.findById(targetUserId);
+        if (!targetUser) {
+          debugLog(`Target user ${targetUserId} not found in database`);
+          socket.emit('friendRequestError', { message: 'User not found' });
+          return;
+        }
+
+        // Guests cannot participate in the friend system
+        if (senderDoc?.isGuest) {
+          socket.emit('friendRequestError', { message: 'Guest accounts cannot add friends' });
+          return;
+        }
+        if (targetUser?.isGuest) {
+          socket.emit('friendRequestError', { message: 'You cannot add guest accounts as friends' });
+          return;
+        }
+
+          debugLog(`Found target user: ${targetUser.username}`);
+
+        // If either side blocked the other, stop
+        if (senderDoc?.blockedUsers?.includes(targetUserId)) {
+          socket.emit('friendRequestError', { message: 'You have blocked this user' });
+          return;
+        }
+        if (targetUser?.blockedUsers?.includes(user.id)) {
+          socket.emit('friendRequestError', { message: 'Cannot send request to this user' });
+          return;
+        }
+
+        // Check if already friends
+        if (targetUser.friends.includes(user.id)) {
+          debugLog('Already friends');
+          socket.emit('friendRequestError', { message: 'Already friends' });
+          return;
+        }
+
+        // Add friend request to database, unless one is already pending
+        if (!await storage.users.addFriendRequest(targetUser._id, user.id)) {
+          debugLog('Friend request already sent');
+          socket.emit('friendRequestError', { message: 'Friend request already sent' });
+          return;
+        }
+
+        debugLog(`Friend request saved: ${user.username} -> ${targetUser.username}`);
+
+        // If target user is online, send real-time notification
+        // Prefer DB socketId (updated on register), fallback to in-memory scan.
+        let targetSocketId = null;
+        if (targetUser.socketId && io.sockets.sockets.has(targetUser.socketId)) {
+          targetSocketId = targetUser.socketId;
+        } else {
+          const targetUserEntry = Array.from(users.entries()).find(([_, u]) => u.id === targetUserId);
+          if (targetUserEntry) {
+            ([targetSocketId] = targetUserEntry);
+          }
+        }
+
+        if (targetSocketId) {
+          io.to(targetSocketId).emit('friendRequest', {
+            fromId: user.id,
+            fromUsername: user.username,
+            fromAvatar: user.avatar,
+            fromProfilePicture: user.profilePicture
+          });
+          debugLog(`Real-time notification sent to ${targetUser.username}`);
+        }
+
+        socket.emit('friendRequestSuccess', { message: 'Friend request sent' });
+        debugLog(`friendRequestSuccess event sent to ${user.username}`);
+      } catch (error) {
+        console.error('Error sending friend request:', error);
+        socket.emit('friendRequestError', { message: 'Failed to send friend request' });
+      }
+    });
+
+    socket.on('acceptFriendRequest', async ({ fromUserId }) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, null, 'friendRequestError')) return;
+
+      try {
+        // Get both users from database
+        const currentUser = await storage.users.findById(user.id);
+        const fromUser = await storage.users.findById(fromUserId);
+
+        if (!currentUser || !fromUser) {
+          console.log('User not found in database');
+          return;
+        }
+
+        // Guests cannot participate in the friend system
+        if (currentUser.isGuest || fromUser.isGuest) {
+          socket.emit('friendRequestError', { message: 'Guest accounts cannot accept friend requests' });
+          return;
+        }
+
+        // Block checks
+        if (currentUser.blockedUsers?.includes(fromUserId) || fromUser.blockedUsers?.includes(user.id)) {
+          socket.emit('friendRequestError', { message: 'Cannot accept due to block settings' });
+          return;
+        }
+
+        // Remove friend request and add to both friends lists
+        await storage.users.addFriend(currentUser._id, fromUserId);
+        await storage.users.addFriend(fromUser._id, user.id);
+
+        console.log(`Friend accepted: ${user.username} <-> ${fromUser.username}`);
+
+        // Update in-memory friends list
+        if (!user.friends) user.friends = new Set();
+        user.friends.add(fromUserId);
+
+        // Send confirmation to current user
+        socket.emit('friendAdded', {
+          id: fromUserId,
+          username: fromUser.username,
+          avatar: fromUser.avatar,
+          profilePicture: fromUser.profilePicture,
+          online: Array.from(users.values()).some(u => u.id === fromUserId)
+        });
+
+        // Refresh current user's friends list
+        socket.emit('friendsList', await buildFriendsListFor(user.id).catch(() => []));
+
+        // If fromUser is online, notify them and update their in-memory list
+        const fromUserEntry = Array.from(users.entries()).find(([_, u]) => u.id === fromUserId);
+        if (fromUserEntry) {
+          const [fromSocketId, fromUserData] = fromUserEntry;
+          if (!fromUserData.friends) fromUserData.friends = new Set();
+          fromUserData.friends.add(user.id);
+
+          io.to(fromSocketId).emit('friendAdded', {
+            id: user.id,
+            username: user.username,
+            avatar: user.avatar,
+            profilePicture: user.profilePicture,
+            online: true
+          });
+
+          // Refresh sender's friends list
+          io.to(fromSocketId).emit('friendsList', await buildFriendsListFor(fromUserId).catch(() => []));
+        }
+      } catch (error) {
+        console.error('Error accepting friend request:', error);
+      }
+    });
+
+    socket.on('rejectFriendRequest', async ({ fromUserId } = {}, ack) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket, ack)) return;
+
+      const fromId = String(fromUserId || '').trim();
+      if (!fromId) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Missing fromUserId' });
+        return;
+      }
+
+      try {
+        const currentUser = await storage.users.findById(user.id);
+        if (!currentUser) {
+          if (typeof ack === 'function') ack({ ok: false, message: 'User not found' });
+          return;
+        }
+
+        await storage.users.pullFriendRequest(currentUser._id, fromId);
+
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (e) {
+        console.error('Error rejecting friend request:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Failed to reject' });
+      }
+    });
+
+    // Unfriend
+    socket.on('unfriendUser', async ({ targetUserId }) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket)) return;
+
+      try {
+        const currentUser = await storage.users.findById(user.id);
+        const targetUser = await storage.users.findById(targetUserId);
+        if (!currentUser || !targetUser) return;
+
+        await storage.users.removeFriend(currentUser._id, targetUserId);
+        await storage.users.removeFriend(targetUser._id, user.id);
+
+        // Update in-memory
+        user.friends?.delete?.(targetUserId);
+
+        socket.emit('friendRemoved', { friendId: targetUserId });
+
+        const targetSocketId = findSocketIdByUserId(targetUserId);
+        if (targetSocketId) {
+          const targetOnline = users.get(targetSocketId);
+          targetOnline?.friends?.delete?.(user.id);
+          io.to(targetSocketId).emit('friendRemoved', { friendId: user.id });
+        }
+
+        // Refresh both lists
+        socket.emit('friendsList', await buildFriendsListFor(user.id));
+
+        if (targetSocketId) {
+          io.to(targetSocketId).emit('friendsList', await buildFriendsListFor(targetUserId));
+        }
+      } catch (e) {
+        console.error('Error unfriending:', e);
+      }
+    });
+
+    // Block user (also unfriends)
+    socket.on('blockUser', async ({ targetUserId }) => {
+      const user = socket.data.user;
+      if (rejectIfAnonymous(socket)) return;
+      if (user.id === targetUserId) return;
+
+      try {
+        const currentUser = await storage.users.findById(user.id);
+        const targetUser = await storage.users.findById(targetUserId);
+        if (!currentUser || !targetUser) return;
+
+        // Remove friendship and pending requests both ways
+        await storage.users.block(currentUser._id, targetUserId);
+        await storage.users.removeFriend(targetUser._id, user.id);
+
+        user.friends?.delete?.(targetUserId);
+
+        socket.emit('userBlocked', { userId: targetUserId });
+        socket.emit('friendRemoved', { friendId: targetUserId });
+
+        const targetSocketId = findSocketIdByUserId(targetUserId);
+        if (targetSocketId) {
+          const targetOnline = users.get(targetSocketId);
+          targetOnline?.friends?.delete?.(user.id);
+          io.to(targetSocketId).emit('friendRemoved', { friendId: user.id });
+        }
+
+        // Refresh list for blocker
+        socket.emit('friendsList', await buildFriendsListFor(user.id));
+      } catch (e) {
+        console.error('Error blocking user:', e);
+      }
+    });
+
+    socket.on('getOnlineFriends', async () => {
+      const user = socket.data.user;
+
+      // Stored friends list (includes offline friends)
+      if (user.authenticated) {
+        try {
+          socket.emit('friendsList', await buildFriendsListFor(user.id));
+          return;
+        } catch (e) {
+          console.error('getOnlineFriends error:', e);
+        }
+      }
+
+      // Fallback: in-memory only
+      const list = Array.from(user.friends)
+        .map(friendUserId => {
+          const onlineEntry = findOnlineUserById(friendUserId);
+          return buildFriendPayload(onlineEntry, onlineEntry);
+        })
+        .filter(f => f?.id);
+
+      socket.emit('friendsList', list);
+    });
+  });
+}
+
+module.exports = registerFriends;
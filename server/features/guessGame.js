@@ -0,0 +1,372 @@
+const GUESS_GAME_WIN_SCORE = 100;
+
+const GUESS_GAME_THEMES = {
+  Animals: ['cat', 'dog', 'elephant', 'giraffe', 'lion', 'penguin', 'shark', 'turtle'],
+  Food: ['pizza', 'burger', 'sushi', 'taco', 'ice cream', 'pancake', 'donut', 'salad'],
+  Sports: ['soccer', 'basketball', 'tennis', 'boxing', 'golf', 'swimming', 'cycling', 'baseball'],
+  Movies: ['superhero', 'spaceship', 'dragon', 'robot', 'pirate', 'wizard', 'dinosaur', 'monster'],
+  Objects: ['chair', 'phone', 'laptop', 'key', 'umbrella', 'backpack', 'bottle', 'watch'],
+  Places: ['beach', 'mountain', 'school', 'hospital', 'airport', 'museum', 'restaurant', 'stadium']
+};
+
+function pickRandom(arr, n) {
+  const copy = [...arr];
+  const out = [];
+  while (copy.length && out.length < n) {
+    const idx = Math.floor(Math.random() * copy.length);
+    out.push(copy.splice(idx, 1)[0]);
+  }
+  return out;
+}
+
+function normalizeGuess(text) {
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ');
+}
+
+// Guess Game: turn-based draw-and-guess played over the room's canvas and chat.
+// State lives on room.guessGame; phases advance on timers.
+function registerGuessGame(ctx) {
+  const { io, users, rooms, emitBotMessage } = ctx;
+
+  function buildGuessGameStateFor(room, viewerUserId) {
+    const g = room.guessGame;
+    const isDrawer = viewerUserId && g.drawerUserId === viewerUserId;
+    const subjectMasked = g.subject
+      ? g.subject
+          .split('')
+          .map(ch => (/[a-z0-9]/i.test(ch) ? '_' : ch))
+          .join('')
+      : null;
+
+    const scores = g.scores || {};
+    return {
+      active: !!g.active,
+      phase: g.phase,
+      drawerUserId: g.drawerUserId,
+      turnIndex: g.turnIndex,
+      turnCount: g.turnOrder.length,
+      themeOptions: g.themeOptions,
+      theme: g.theme,
+      subjectOptions: isDrawer ? g.subjectOptions : (g.phase === 'SUBJECT_SELECT' ? [] : undefined),
+      subject: isDrawer ? g.subject : null,
+      subjectMasked: isDrawer ? g.subject : subjectMasked,
+      endsAt: g.endsAt,
+      scores
+    };
+  }
+
+  function emitGuessGameState(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    for (const socketId of room.members) {
+      const u = users.get(socketId);
+      const viewerUserId = u?.id;
+      io.to(socketId).emit('guessGameState', buildGuessGameStateFor(room, viewerUserId));
+    }
+  }
+
+  function clearGuessGameTimer(room) {
+    if (room?.guessGame?.timer) {
+      clearTimeout(room.guessGame.timer);
+      room.guessGame.timer = null;
+    }
+  }
+
+  function stopGuessGame(roomId, { message } = {}) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    clearGuessGameTimer(room);
+    room.guessGame.active = false;
+    room.guessGame.phase = 'IDLE';
+    room.guessGame.drawerUserId = null;
+    room.guessGame.themeOptions = [];
+    room.guessGame.subjectOptions = [];
+    room.guessGame.theme = null;
+    room.guessGame.subject = null;
+    room.guessGame.endsAt = null;
+    room.guessGame.correctGuessers = new Set();
+
+    emitGuessGameState(roomId);
+    if (message) emitBotMessage(roomId, message);
+  }
+
+  function resolveUsernameByUserId(userId) {
+    return Array.from(users.values()).find(u => u?.id === userId)?.username || userId;
+  }
+
+  function computeTurnOrder(room) {
+    const order = [];
+    for (const socketId of room.members) {
+      const u = users.get(socketId);
+      if (u?.id && !order.includes(u.id)) order.push(u.id);
+    }
+    return order;
+  }
+
+  function startThemeSelect(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    clearGuessGameTimer(room);
+
+    const order = computeTurnOrder(room);
+    room.guessGame.turnOrder = order;
+    if (order.length < 2) {
+      room.guessGame.active = false;
+      room.guessGame.phase = 'IDLE';
+      room.guessGame.drawerUserId = null;
+      emitGuessGameState(roomId);
+      emitBotMessage(roomId, 'Need at least 2 players to start Guess Game.');
+      return;
+    }
+
+    room.guessGame.active = true;
+    room.guessGame.phase = 'THEME_SELECT';
+    if (room.guessGame.turnIndex >= order.length) room.guessGame.turnIndex = 0;
+    room.guessGame.drawerUserId = order[room.guessGame.turnIndex];
+    room.guessGame.theme = null;
+    room.guessGame.subject = null;
+    room.guessGame.correctGuessers = new Set();
+    room.drawings = [];
+    io.to(roomId).emit('canvasCleared');
+
+    const allThemes = Object.keys(GUESS_GAME_THEMES);
+    room.guessGame.themeOptions = pickRandom(allThemes, 3);
+    room.guessGame.subjectOptions = [];
+
+    const now = Date.now();
+    room.guessGame.endsAt = now + 15000;
+    emitGuessGameState(roomId);
+    const drawerName = Array.from(users.values()).find(u => u?.id === room.guessGame.drawerUserId)?.username || room.guessGame.drawerUserId;
+    emitBotMessage(roomId, `🎨 New turn! Drawer is ${drawerName}. Pick a theme!`);
+
+    room.guessGame.timer = setTimeout(() => {
+      // Auto-pick first theme if none chosen
+      if (room.guessGame.active && room.guessGame.phase === 'THEME_SELECT' && !room.guessGame.theme) {
+        room.guessGame.theme = room.guessGame.themeOptions[0] || allThemes[0];
+        startSubjectSelect(roomId);
+      }
+    }, 15000);
+  }
+
+  function startSubjectSelect(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    clearGuessGameTimer(room);
+
+    const theme = room.guessGame.theme;
+    const subjects = GUESS_GAME_THEMES[theme] || [];
+    room.guessGame.phase = 'SUBJECT_SELECT';
+    room.guessGame.subjectOptions = pickRandom(subjects, 3);
+    room.guessGame.subject = null;
+
+    const now = Date.now();
+    room.guessGame.endsAt = now + 15000;
+    emitGuessGameState(roomId);
+    emitBotMessage(roomId, `📝 Theme selected: ${theme}. Drawer, pick a subject!`);
+
+    room.guessGame.timer = setTimeout(() => {
+      if (room.guessGame.active && room.guessGame.phase === 'SUBJECT_SELECT' && !room.guessGame.subject) {
+        room.guessGame.subject = room.guessGame.subjectOptions[0] || subjects[0];
+        startDrawPhase(roomId);
+      }
+    }, 15000);
+  }
+
+  function startDrawPhase(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    clearGuessGameTimer(room);
+
+    room.guessGame.phase = 'DRAW';
+    room.guessGame.correctGuessers = new Set();
+    room.drawings = [];
+    io.to(roomId).emit('canvasCleared');
+
+    const now = Date.now();
+    room.guessGame.endsAt = now + 30000;
+    emitGuessGameState(roomId);
+    emitBotMessage(roomId, '⏱️ Drawing started! You have 30 seconds to guess.');
+
+    room.guessGame.timer = setTimeout(() => {
+      if (room.guessGame.active && room.guessGame.phase === 'DRAW') {
+        startAnswerPhase(roomId, { reveal: true });
+      }
+    }, 30000);
+  }
+
+  function startAnswerPhase(roomId, { reveal, durationMs } = { reveal: true, durationMs: 30000 }) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+    clearGuessGameTimer(room);
+
+    room.guessGame.phase = 'ANSWER';
+    const now = Date.now();
+    const ms = typeof durationMs === 'number' && durationMs > 0 ? durationMs : 30000;
+    room.guessGame.endsAt = now + ms;
+    emitGuessGameState(roomId);
+
+    if (reveal && room.guessGame.subject) {
+      emitBotMessage(roomId, `✅ Answer time! The word was: "${room.guessGame.subject}"`);
+    } else {
+      emitBotMessage(roomId, '✅ Answer time!');
+    }
+
+    room.guessGame.timer = setTimeout(() => {
+      if (room.guessGame.active && room.guessGame.phase === 'ANSWER') {
+        // next turn
+        room.guessGame.turnIndex = (room.guessGame.turnIndex + 1) % Math.max(room.guessGame.turnOrder.length, 1);
+        startThemeSelect(roomId);
+      }
+    }, ms);
+  }
+
+  // Scores a room chat message as a guess (called by chat after broadcasting it).
+  function handleGuessGameMessage(room, user, message) {
+    if (room.guessGame?.active && (room.guessGame.phase === 'DRAW' || room.guessGame.phase === 'ANSWER')) {
+      const isDrawer = room.guessGame.drawerUserId === user.id;
+      const subject = room.guessGame.subject;
+      if (!isDrawer && subject) {
+        const guess = normalizeGuess(message);
+        const target = normalizeGuess(subject);
+        if (guess && target && guess === target && !room.guessGame.correctGuessers.has(user.id)) {
+          room.guessGame.correctGuessers.add(user.id);
+
+          // Scores: guesser +10, drawer +5
+          room.guessGame.scores[user.id] = (room.guessGame.scores[user.id] || 0) + 10;
+          if (room.guessGame.drawerUserId) {
+            room.guessGame.scores[room.guessGame.drawerUserId] = (room.guessGame.scores[room.guessGame.drawerUserId] || 0) + 5;
+          }
+
+          // First to 100 wins
+          const guesserScore = room.guessGame.scores[user.id] || 0;
+          const drawerId = room.guessGame.drawerUserId;
+          const drawerScore = drawerId ? (room.guessGame.scores[drawerId] || 0) : 0;
+
+          emitBotMessage(room.id, `🎉 ${user.username} guessed it!`);
+          emitGuessGameState(room.id);
+
+          if (guesserScore >= GUESS_GAME_WIN_SCORE) {
+            const winnerName = resolveUsernameByUserId(user.id);
+            stopGuessGame(room.id, { message: `🏆 ${winnerName} wins! (first to ${GUESS_GAME_WIN_SCORE})` });
+            return;
+          }
+
+          if (drawerId && drawerScore >= GUESS_GAME_WIN_SCORE) {
+            const winnerName = resolveUsernameByUserId(drawerId);
+            stopGuessGame(room.id, { message: `🏆 ${winnerName} wins! (first to ${GUESS_GAME_WIN_SCORE})` });
+            return;
+          }
+
+          // If everyone (except the drawer) has guessed correctly, end the DRAW timer early
+          if (room.guessGame.phase === 'DRAW') {
+            const playerIds = new Set();
+            for (const socketId of room.members) {
+              const u = users.get(socketId);
+              if (u?.id) playerIds.add(u.id);
+            }
+
+            const eligibleGuessers = Array.from(playerIds).filter(id => id !== room.guessGame.drawerUserId);
+            const eligibleCount = eligibleGuessers.length;
+
+            if (eligibleCount > 0 && room.guessGame.correctGuessers.size >= eligibleCount) {
+              emitBotMessage(room.id, '✅ Everyone guessed it!');
+              startAnswerPhase(room.id, { reveal: true, durationMs: 5000 });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  ctx.buildGuessGameStateFor = buildGuessGameStateFor;
+  ctx.handleGuessGameMessage = handleGuessGameMessage;
+
+  ctx.onConnection((socket) => {
+    // Guess Game Controls
+    socket.on('guessGameStart', async () => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      // Allow only host to start
+      if (room.host !== user.id) {
+        socket.emit('guessGameError', { message: 'Only the host can start the game' });
+        return;
+      }
+
+      // New game: reset scores and restart turn order
+      room.guessGame.scores = {};
+      room.guessGame.turnIndex = 0;
+
+      startThemeSelect(room.id);
+    });
+
+    socket.on('guessGameStop', () => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      if (room.host !== user.id) {
+        socket.emit('guessGameError', { message: 'Only the host can stop the game' });
+        return;
+      }
+
+      stopGuessGame(room.id, { message: '🛑 Guess Game stopped.' });
+    });
+
+    socket.on('guessGameSelectTheme', ({ theme }) => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      if (!room.guessGame?.active || room.guessGame.phase !== 'THEME_SELECT') return;
+      if (room.guessGame.drawerUserId !== user.id) {
+        socket.emit('guessGameError', { message: 'Only the drawer can pick the theme' });
+        return;
+      }
+
+      const chosen = String(theme || '').trim();
+      if (!room.guessGame.themeOptions.includes(chosen)) {
+        socket.emit('guessGameError', { message: 'Invalid theme selection' });
+        return;
+      }
+
+      room.guessGame.theme = chosen;
+      startSubjectSelect(room.id);
+    });
+
+    socket.on('guessGameSelectSubject', ({ subject }) => {
+      const user = socket.data.user;
+      if (!user.currentRoom) return;
+      const room = rooms.get(user.currentRoom);
+      if (!room) return;
+
+      if (!room.guessGame?.active || room.guessGame.phase !== 'SUBJECT_SELECT') return;
+      if (room.guessGame.drawerUserId !== user.id) {
+        socket.emit('guessGameError', { message: 'Only the drawer can pick the subject' });
+        return;
+      }
+
+      const chosen = String(subject || '').trim();
+      if (!room.guessGame.subjectOptions.includes(chosen)) {
+        socket.emit('guessGameError', { message: 'Invalid subject selection' });
+        return;
+      }
+
+      room.guessGame.subject = chosen;
+      startDrawPhase(room.id);
+    });
+  });
+}
+
+module.exports = registerGuessGame;
@@ -0,0 +1,22 @@
+// Each feature is `register(ctx)`: it adds its Express routes to ctx.app, its
+// per-socket handlers via ctx.onConnection, and may expose helpers on ctx for
+// other features.
+//
+// Order matters for per-socket handlers: 'disconnect' listeners run in this order,
+// so voice and room cleanup happen before presence drops the user.
+module.exports = [
+  require('./auth'),
+  require('./uploads'),
+  require('./voice'),
+  require('./rooms'),
+  require('./chat'),
+  require('./media'),
+  require('./drawing'),
+  require('./guessGame'),
+  require('./friends'),
+  require('./directMessages'),
+  require('./conversations'),
+  require('./feed'),
+  require('./search'),
+  require('./presence')
+];
@@ -0,0 +1,421 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_QUEUE_LENGTH = 50;
+const YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Direct links the HTML5 player can play, by file extension.
+const MEDIA_EXTENSIONS = {
+  mp4: 'video',
+  m4v: 'video',
+  webm: 'video',
+  mp3: 'audio',
+  m4a: 'audio',
+  ogg: 'audio',
+  wav: 'audio'
+};
+
+// Skipping takes votes from more than this share of the members present (at most all of them):
+// MEDIA_SKIP_VOTE_RATIO=0.5, the default, is a simple majority.
+function parseSkipVoteRatio(raw) {
+  const ratio = Number(raw);
+  return raw && ratio > 0 && ratio <= 1 ? ratio : 0.5;
+}
+
+const SKIP_VOTE_RATIO = parseSkipVoteRatio(process.env.MEDIA_SKIP_VOTE_RATIO);
+
+// Identifies a source, so skip votes and end reports can be matched to what's playing.
+function sourceKey(source) {
+  if (!source?.kind) return null;
+  if (source.kind === 'youtube') return `youtube:${source.videoId}`;
+  if (source.kind === 'upload') return `upload:${source.fileId}`;
+  return `url:${source.url}`;
+}
+
+function mediaTypeOf(contentType) {
+  const type = String(contentType || '').split('/')[0];
+  return type === 'video' || type === 'audio' ? type : null;
+}
+
+// Seconds into the media at `now`: the position at lastUpdate, plus the time since while it plays.
+function positionOf(media, now = Date.now()) {
+  const timestamp = Number(media?.timestamp) || 0;
+  if (!media?.playing) return timestamp;
+  const lastUpdate = new Date(media.lastUpdate).getTime() || now;
+  return timestamp + Math.max(0, now - lastUpdate) / 1000;
+}
+
+// room.media as clients get it in mediaSync and room data: `position` is where the media is at
+// `serverTime`, for clients to carry forward with their estimate of the server clock.
+function toSyncState(media, now = Date.now()) {
+  return { ...media, position: positionOf(media, now), serverTime: now };
+}
+
+const toSeconds = (value) => Math.max(0, Number(value) || 0);
+
+// How far from the end (in seconds) a member's end report may be and still count.
+const END_TOLERANCE_S = 2;
+
+// Whether a member's player reporting the end at `position` agrees with the room: the host has
+// told us the duration, and both the report and the room's own clock are at it.
+function isAtEnd(media, position, now = Date.now()) {
+  const duration = Number(media?.duration);
+  if (!(duration > 0) || !Number.isFinite(Number(position))) return false;
+  return Math.abs(Number(position) - duration) <= END_TOLERANCE_S && positionOf(media, now) >= duration - END_TOLERANCE_S;
+}
+
+// After an upvote changes, moves `item` below the items with more upvotes and above those with
+// fewer, keeping its place among equals (the host may have ordered those by hand).
+function settleByUpvotes(queue, item) {
+  const votes = (i) => (i.upvoterIds || []).length;
+  const current = queue.indexOf(item);
+  queue.splice(current, 1);
+  let lo = 0;
+  queue.forEach((other, index) => {
+    if (votes(other) > votes(item)) lo = index + 1;
+  });
+  const firstFewer = queue.findIndex(other => votes(other) < votes(item));
+  const hi = firstFewer < 0 ? queue.length : firstFewer;
+  queue.splice(Math.max(lo, Math.min(current, hi)), 0, item);
+}
+
+// Shared player state per room, plus the queue of what's up next. A source is one of
+// { kind: 'youtube', videoId }, { kind: 'url', url, mediaType, title } for direct links to media
+// files, or { kind: 'upload', fileId, url, mediaType, title } for audio/video in the uploads bucket.
+function registerMedia(ctx) {
+  const { io, storage, rooms, users } = ctx;
+
+  // A client's { kind, ... } -> the source everyone plays; null when it isn't one we can play.
+  async function resolveSource(raw) {
+    const kind = raw?.kind;
+    if (kind === 'youtube') {
+      const videoId = String(raw.videoId || '');
+      return YOUTUBE_ID_PATTERN.test(videoId) ? { kind, videoId } : null;
+    }
+    if (kind === 'url') {
+      let url;
+      try {
+        url = new URL(String(raw.url || ''));
+      } catch {
+        return null;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+      const name = url.pathname.split('/').pop();
+      const mediaType = MEDIA_EXTENSIONS[name.split('.').pop().toLowerCase()];
+      if (!mediaType) return null;
+      let title = name;
+      try {
+        title = decodeURIComponent(name);
+      } catch {
+        // Keep the encoded name.
+      }
+      return { kind, url: url.href, mediaType, title };
+    }
+    if (kind === 'upload') {
+      const fileId = String(raw.fileId || '');
+      if (!UPLOAD_ID_PATTERN.test(fileId)) return null;
+      const file = await storage.uploads.findFile(fileId);
+      const mediaType = mediaTypeOf(file?.contentType);
+      if (!mediaType) return null;
+      const url = `${ctx.getServerBaseUrl()}/api/uploads/${fileId}`;
+      return { kind, fileId, url, mediaType, title: file.metadata?.originalName || file.filename };
+    }
+    return null;
+  }
+
+  function saveQueue(room) {
+    const mediaQueue = room.mediaQueue.map(item => ({ ...item, addedAt: new Date(item.addedAt) }));
+    storage.rooms.update(room.id, { mediaQueue })
+      .catch(e => console.error('Error saving media queue:', e));
+  }
+
+  function broadcastQueue(room) {
+    io.to(room.id).emit('mediaQueue', room.mediaQueue);
+  }
+
+  // The user ids of the members present; only their votes count.
+  function presentUserIds(room) {
+    return new Set(Array.from(room.members, socketId => users.get(socketId)?.id).filter(Boolean));
+  }
+
+  function skipTally(room) {
+    const present = presentUserIds(room).size;
+    const voterIds = Array.from(room.mediaSkipVotes);
+    return {
+      key: sourceKey(room.media?.source),
+      voterIds,
+      votes: voterIds.length,
+      needed: Math.min(present, Math.floor(present * SKIP_VOTE_RATIO) + 1)
+    };
+  }
+
+  ctx.mediaSkipTally = skipTally;
+
+  function broadcastSkipVotes(room) {
+    io.to(room.id).emit('mediaSkipVotes', skipTally(room));
+  }
+
+  // Starts the next queued item for everyone, or stops the player when the queue is empty.
+  function playNext(room) {
+    const next = room.mediaQueue.shift();
+    room.media = next
+      ? { source: next.source, playing: true, timestamp: 0, lastUpdate: Date.now(), duration: null }
+      : { ...room.media, playing: false, timestamp: positionOf(room.media), lastUpdate: Date.now() };
+    room.mediaSkipVotes = new Set();
+    io.to(room.id).emit('mediaSync', toSyncState(room.media));
+    broadcastQueue(room);
+    broadcastSkipVotes(room);
+    saveQueue(room);
+  }
+
+  // Plays the next item once enough members voted to skip this one; returns whether it did.
+  function skipIfVoted(room) {
+    const { key, votes, needed } = skipTally(room);
+    if (!key || !votes || votes < needed) return false;
+    playNext(room);
+    return true;
+  }
+
+  // Called by rooms after every join and leave: drops the votes of users who are no longer in the
+  // room (which may now be enough to skip) and refreshes everyone's tally.
+  function handleMediaMembersChanged(room) {
+    const present = presentUserIds(room);
+    let queueChanged = false;
+    for (const item of [...room.mediaQueue]) {
+      const upvoterIds = (item.upvoterIds || []).filter(id => present.has(id));
+      if (upvoterIds.length === (item.upvoterIds || []).length) continue;
+      item.upvoterIds = upvoterIds;
+      settleByUpvotes(room.mediaQueue, item);
+      queueChanged = true;
+    }
+    room.mediaSkipVotes = new Set(Array.from(room.mediaSkipVotes).filter(id => present.has(id)));
+
+    if (queueChanged) {
+      broadcastQueue(room);
+      saveQueue(room);
+    }
+    if (!skipIfVoted(room)) broadcastSkipVotes(room);
+  }
+
+  ctx.handleMediaMembersChanged = handleMediaMembersChanged;
+  ctx.toMediaSyncState = (room) => toSyncState(room.media);
+
+  // Run on an interval by the app: every room with something loaded gets its live position, so
+  // players can correct their drift.
+  function sendMediaHeartbeats() {
+    const now = Date.now();
+    for (const room of rooms.values()) {
+      if (!room.media?.source || room.members.size === 0) continue;
+      io.to(room.id).emit('mediaSync', toSyncState(room.media, now));
+    }
+  }
+
+  ctx.sendMediaHeartbeats = sendMediaHeartbeats;
+
+  ctx.onConnection((socket) => {
+    // The caller's current room, or null after acking why not.
+    const currentRoomFor = (ack) => {
+      const room = rooms.get(socket.data.user.currentRoom);
+      if (!room && typeof ack === 'function') ack({ ok: false, message: 'Not in a room' });
+      return room || null;
+    };
+
+    // Whether the caller hosts `room`, acking why not when they don't.
+    const isHostOf = (room, ack, message = 'Only the host can control playback') => {
+      if (room.host === socket.data.user.id) return true;
+      if (typeof ack === 'function') ack({ ok: false, message });
+      return false;
+    };
+
+    // Host only. `source` may be left out to resume what's loaded; a new one loads it. The host's
+    // player passes the `duration` once it knows it, for judging members' end reports.
+    socket.on('mediaPlay', async ({ source, timestamp, duration } = {}, ack) => {
+      const room = currentRoomFor(ack);
+      if (!room || !isHostOf(room, ack)) return;
+
+      const current = room.media?.source || null;
+      const changedSource = !!source && sourceKey(source) !== sourceKey(current);
+      const next = changedSource ? await resolveSource(source) : current;
+      if (!next) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unsupported media source' });
+        return;
+      }
+
+      const known = changedSource ? null : room.media?.duration ?? null;
+      room.media = {
+        source: next,
+        playing: true,
+        timestamp: toSeconds(timestamp),
+        lastUpdate: Date.now(),
+        duration: Number(duration) > 0 ? Number(duration) : known
+      };
+      socket.to(room.id).emit('mediaSync', toSyncState(room.media));
+      if (changedSource) {
+        room.mediaSkipVotes = new Set();
+        broadcastSkipVotes(room);
+      }
+      if (typeof ack === 'function') ack({ ok: true, source: next });
+    });
+
+    socket.on('mediaPause', ({ timestamp } = {}) => {
+      const room = rooms.get(socket.data.user.currentRoom);
+      if (!room?.media?.source || room.host !== socket.data.user.id) return;
+
+      room.media.playing = false;
+      room.media.timestamp = toSeconds(timestamp);
+      room.media.lastUpdate = Date.now();
+      socket.to(room.id).emit('mediaSync', toSyncState(room.media));
+    });
+
+    socket.on('mediaSeek', ({ timestamp } = {}) => {
+      const room = rooms.get(socket.data.user.currentRoom);
+      if (!room?.media?.source || room.host !== socket.data.user.id) return;
+
+      room.media.timestamp = toSeconds(timestamp);
+      room.media.lastUpdate = Date.now();
+      socket.to(room.id).emit('mediaSync', toSyncState(room.media));
+    });
+
+    // Clients time the round trip to estimate the server clock.
+    socket.on('mediaPing', (_payload, ack) => {
+      if (typeof ack === 'function') ack({ serverTime: Date.now() });
+    });
+
+    // Any member may queue something; with nothing loaded it starts right away.
+    socket.on('mediaQueueAdd', async ({ source } = {}, ack) => {
+      const user = socket.data.user;
+      const room = currentRoomFor(ack);
+      if (!room) return;
+
+      const resolved = await resolveSource(source);
+      if (!resolved) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Unsupported media source' });
+        return;
+      }
+      if (room.mediaQueue.length >= MAX_QUEUE_LENGTH) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'The queue is full' });
+        return;
+      }
+
+      room.mediaQueue.push({
+        id: uuidv4(),
+        source: resolved,
+        addedById: user.id,
+        addedByUsername: user.username,
+        addedAt: Date.now(),
+        upvoterIds: []
+      });
+
+      if (!room.media?.source) {
+        playNext(room);
+      } else {
+        broadcastQueue(room);
+        saveQueue(room);
+      }
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // The host may remove anything queued; members only what they added.
+    socket.on('mediaQueueRemove', ({ itemId } = {}, ack) => {
+      const user = socket.data.user;
+      const room = currentRoomFor(ack);
+      if (!room) return;
+
+      const item = room.mediaQueue.find(i => i.id === itemId);
+      if (!item) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Not in the queue' });
+        return;
+      }
+      if (room.host !== user.id && item.addedById !== user.id) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Only the host can remove this' });
+        return;
+      }
+
+      room.mediaQueue = room.mediaQueue.filter(i => i !== item);
+      broadcastQueue(room);
+      saveQueue(room);
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // Host only: moves a queued item to `toIndex` (clamped to the queue).
+    socket.on('mediaQueueMove', ({ itemId, toIndex } = {}, ack) => {
+      const room = currentRoomFor(ack);
+      if (!room || !isHostOf(room, ack, 'Only the host can reorder the queue')) return;
+
+      const from = room.mediaQueue.findIndex(i => i.id === itemId);
+      const target = Number(toIndex);
+      if (from < 0 || !Number.isInteger(target)) {
+        if (typeof ack === 'function') ack({ ok: false, message: from < 0 ? 'Not in the queue' : 'Invalid position' });
+        return;
+      }
+
+      const [item] = room.mediaQueue.splice(from, 1);
+      room.mediaQueue.splice(Math.max(0, Math.min(target, room.mediaQueue.length)), 0, item);
+      broadcastQueue(room);
+      saveQueue(room);
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // Toggles the caller's upvote; items with more upvotes move up the queue.
+    socket.on('mediaQueueUpvote', ({ itemId } = {}, ack) => {
+      const user = socket.data.user;
+      const room = currentRoomFor(ack);
+      if (!room) return;
+
+      const item = room.mediaQueue.find(i => i.id === itemId);
+      if (!item) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Not in the queue' });
+        return;
+      }
+
+      const upvoted = !(item.upvoterIds || []).includes(user.id);
+      item.upvoterIds = upvoted
+        ? [...(item.upvoterIds || []), user.id]
+        : item.upvoterIds.filter(id => id !== user.id);
+      settleByUpvotes(room.mediaQueue, item);
+      broadcastQueue(room);
+      saveQueue(room);
+      if (typeof ack === 'function') ack({ ok: true, upvoted });
+    });
+
+    // Toggles the caller's vote to skip what's playing.
+    socket.on('mediaVoteSkip', (_payload, ack) => {
+      const user = socket.data.user;
+      const room = currentRoomFor(ack);
+      if (!room) return;
+
+      if (!room.media?.source) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Nothing to skip' });
+        return;
+      }
+
+      const voted = !room.mediaSkipVotes.has(user.id);
+      if (voted) room.mediaSkipVotes.add(user.id);
+      else room.mediaSkipVotes.delete(user.id);
+
+      const skipped = skipIfVoted(room);
+      if (!skipped) broadcastSkipVotes(room);
+      if (typeof ack === 'function') ack({ ok: true, voted, skipped });
+    });
+
+    // Host only: skips to the next queued item.
+    socket.on('mediaQueueNext', (_payload, ack) => {
+      const room = currentRoomFor(ack);
+      if (!room || !isHostOf(room, ack, 'Only the host can skip')) return;
+      playNext(room);
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // Every player reports the end of what it played (by source key, with its position); the first
+    // report for the current source advances the queue and the rest no longer match. Members'
+    // reports only count at the end of the duration the host reported, so they can't cut it short.
+    socket.on('mediaEnded', ({ key, position } = {}) => {
+      const room = rooms.get(socket.data.user.currentRoom);
+      if (!room || !room.media?.playing || sourceKey(room.media.source) !== key) return;
+      if (room.host !== socket.data.user.id && !isAtEnd(room.media, position)) return;
+      playNext(room);
+    });
+  });
+}
+
+module.exports = registerMedia;
@@ -0,0 +1,95 @@
+// Presence: tracks connected users and tells friends when they come and go.
+function registerPresence(ctx) {
+  const { io, storage, users, rooms, debugLog, findSocketIdByUserId, buildFriendsListFor } = ctx;
+
+  ctx.onConnection((socket) => {
+    // Presence: publish the verified identity and send friends/pending requests.
+    async function publishPresence() {
+      const user = socket.data.user;
+      users.set(socket.id, user);
+      socket.emit('registered', { userId: user.id, user });
+      {
+        const profilePicturePreview = user.profilePicture
+          ? (user.profilePicture.startsWith('data:')
+              ? `${user.profilePicture.slice(0, 30)}… (len=${user.profilePicture.length})`
+              : user.profilePicture)
+          : '(none)';
+        debugLog(`User registered: ${user.username}, profilePicture: ${profilePicturePreview}`);
+      }
+
+      if (!user.authenticated) return;
+
+      const dbUser = await storage.users.update(user.id, { socketId: socket.id, lastActive: new Date() });
+      if (!dbUser) return;
+
+      // Emit friends list (all friends, with online status)
+      user.friends = new Set(dbUser.friends || []);
+      socket.emit('friendsList', await buildFriendsListFor(user.id));
+      await ctx.publishDirectMessageState(socket);
+
+      // Notify online friends that this user is now online
+      const currentRoomId = user.currentRoom || null;
+      const currentRoomName = currentRoomId ? (rooms.get(currentRoomId)?.name || null) : null;
+      user.friends.forEach(friendUserId => {
+        const friendSocketId = findSocketIdByUserId(friendUserId);
+        if (friendSocketId) {
+          io.to(friendSocketId).emit('friendOnline', { friendId: user.id });
+          io.to(friendSocketId).emit('friendRoomUpdate', { friendId: user.id, roomId: currentRoomId, roomName: currentRoomName });
+        }
+      });
+
+      // Send pending friend requests
+      for (const request of dbUser.friendRequests || []) {
+        try {
+          const fromUser = await storage.users.findById(request.from);
+          if (fromUser) {
+            socket.emit('friendRequest', {
+              fromId: fromUser._id,
+              fromUsername: fromUser.username,
+              fromAvatar: fromUser.avatar,
+              fromProfilePicture: fromUser.profilePicture
+            });
+            debugLog(`Sent pending friend request to ${user.username} from ${fromUser.username}`);
+          }
+        } catch (err) {
+          console.error('Error loading friend request:', err);
+        }
+      }
+    }
+
+    publishPresence().catch(error => {
+      console.error('Error registering user:', error);
+      socket.emit('error', { message: 'Registration failed' });
+    });
+
+    // Re-announce presence (e.g. after the client mounts). Identity is never taken from the payload.
+    socket.on('register', async () => {
+      try {
+        await publishPresence();
+      } catch (error) {
+        console.error('Error registering user:', error);
+        socket.emit('error', { message: 'Registration failed' });
+      }
+    });
+
+    // Disconnect (registered last, after voice/room cleanup)
+    socket.on('disconnect', () => {
+      // Notify friends
+      const user = socket.data.user;
+      if (user) {
+        user.friends.forEach(friendId => {
+          const friendSocketId = findSocketIdByUserId(friendId);
+          if (friendSocketId) {
+            io.to(friendSocketId).emit('friendOffline', { friendId: user.id });
+            io.to(friendSocketId).emit('friendRoomUpdate', { friendId: user.id, roomId: null, roomName: null });
+          }
+        });
+      }
+
+      users.delete(socket.id);
+      console.log(`User disconnected: ${socket.id}`);
+    });
+  });
+}
+
+module.exports = registerPresence;
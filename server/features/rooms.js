@@ -0,0 +1,512 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Auto-delete empty rooms after 5 minutes
+const EMPTY_ROOM_DELETE_AFTER_MS = 5 * 60 * 1000;
+const MAX_ROOM_NAME_LENGTH = 50;
+
+// Room class
+class Room {
+  constructor(id, name, isPrivate, host) {
+    this.id = id;
+    this.name = name;
+    this.isPrivate = isPrivate;
+    // host is a DB userId string
+    this.host = host;
+    // members stores socket.id values (runtime only)
+    this.members = new Set();
+    this.messages = [];
+    // Shared player: { source, playing, timestamp, lastUpdate }; see features/media.js for sources.
+    this.media = { source: null, playing: false, timestamp: 0, lastUpdate: Date.now() };
+    // Up next: [{ id, source, addedById, addedByUsername, addedAt, upvoterIds }]; saved to the room document.
+    this.mediaQueue = [];
+    // User ids voting to skip what's playing (runtime only).
+    this.mediaSkipVotes = new Set();
+    this.drawings = [];
+    this.createdAt = Date.now();
+    this.deleteTimer = null; // Timer for auto-delete when empty
+
+    // Guess Game state (in-memory)
+    this.guessGame = {
+      active: false,
+      phase: 'IDLE', // IDLE | THEME_SELECT | SUBJECT_SELECT | DRAW | ANSWER
+      drawerUserId: null,
+      turnOrder: [],
+      turnIndex: 0,
+      themeOptions: [],
+      theme: null,
+      subjectOptions: [],
+      subject: null,
+      endsAt: null,
+      timer: null,
+      scores: {},
+      correctGuessers: new Set()
+    };
+  }
+
+  addMember(userId) {
+    this.members.add(userId);
+    // Clear auto-delete timer if someone joins
+    if (this.deleteTimer) {
+      clearTimeout(this.deleteTimer);
+      this.deleteTimer = null;
+    }
+  }
+
+  // `users` is the socket.id -> user map, used to hand the host role over.
+  removeMember(socketId, users) {
+    this.members.delete(socketId);
+    if (this.members.size === 0) return true; // Room is empty
+
+    // If the room host (by DB userId) disconnected, transfer host to next remaining member's DB userId.
+    const leavingUserId = users.get(socketId)?.id;
+    if (leavingUserId && leavingUserId === this.host && this.members.size > 0) {
+      const nextSocketId = Array.from(this.members)[0];
+      const nextUserId = users.get(nextSocketId)?.id;
+      if (nextUserId) this.host = nextUserId;
+    }
+
+    return false;
+  }
+
+  addMessage(userId, username, message) {
+    const msg = {
+      id: uuidv4(),
+      userId,
+      username,
+      message,
+      timestamp: Date.now()
+    };
+    this.messages.push(msg);
+    if (this.messages.length > 100) this.messages.shift(); // Keep last 100 messages
+    return msg;
+  }
+}
+
+// Rooms: create/join/leave, lobby room list, and unloading empty rooms from memory.
+function registerRooms(ctx) {
+  const { app, io, storage, users, rooms, voiceBySocket, debugLog, findSocketIdByUserId, findOnlineUserById } = ctx;
+
+  function scheduleEmptyRoomDeletion(room) {
+    if (!room) return;
+
+    if (room.deleteTimer) {
+      clearTimeout(room.deleteTimer);
+      room.deleteTimer = null;
+    }
+
+    console.log(`Room "${room.name}" is now empty. Will unload from memory in 5 minutes if no one joins.`);
+    room.deleteTimer = setTimeout(async () => {
+      if (room.members.size !== 0) return;
+
+      // Persistence policy: do NOT delete rooms/messages from MongoDB automatically.
+      // We only unload the empty room from memory so it stops appearing in /api/rooms.
+      rooms.delete(room.id);
+      console.log(`Room "${room.name}" unloaded from memory after 5 minutes of being empty.`);
+      broadcastRoomList();
+    }, EMPTY_ROOM_DELETE_AFTER_MS);
+  }
+
+  async function sweepEmptyRooms() {
+    const cutoff = new Date(Date.now() - EMPTY_ROOM_DELETE_AFTER_MS);
+    let candidates = [];
+    try {
+      // Treat `lastActivity` as the source of truth for inactivity.
+      // Stored `members` can become stale across restarts/crashes, so we don't rely on it.
+      candidates = await storage.rooms.findInactiveSince(cutoff);
+    } catch (e) {
+      console.error('Error sweeping empty rooms:', e);
+      return;
+    }
+
+    if (!candidates.length) return;
+
+    let changedAny = false;
+    for (const doc of candidates) {
+      const roomId = doc._id;
+      const live = rooms.get(roomId);
+      if (live && live.members.size > 0) continue;
+
+      // Persistence policy: do NOT delete rooms/messages from storage automatically.
+      // Only unload inactive/empty rooms from memory.
+      if (rooms.delete(roomId)) {
+        changedAny = true;
+        console.log(`Room "${doc.name || roomId}" unloaded from memory by sweep (inactive > 5 min).`);
+      }
+    }
+
+    // If rooms were deleted manually in MongoDB while this server is running,
+    // they can linger in-memory and still show up via /api/rooms.
+    // Remove any in-memory rooms that no longer exist in storage (only if empty).
+    try {
+      const existing = new Set(await storage.rooms.listIds());
+      for (const [roomId, liveRoom] of rooms.entries()) {
+        if (!existing.has(roomId) && liveRoom?.members?.size === 0) {
+          rooms.delete(roomId);
+          changedAny = true;
+          console.log(`Room "${liveRoom?.name || roomId}" removed from memory (missing in DB).`);
+        }
+      }
+    } catch (e) {
+      console.error('Error reconciling in-memory rooms with DB:', e);
+    }
+
+    if (changedAny) broadcastRoomList();
+  }
+
+  function handleLeaveRoom(userId) {
+    const user = users.get(userId);
+    if (!user.currentRoom) return;
+
+    // If the user is in voice for this room, remove them.
+    const voiceEntry = voiceBySocket.get(userId);
+    if (voiceEntry && String(voiceEntry.channelId) === String(user.currentRoom)) {
+      ctx.leaveVoiceBySocket(userId);
+    }
+
+    const room = rooms.get(user.currentRoom);
+    if (!room) return;
+
+    const isEmpty = room.removeMember(userId, users);
+    io.to(user.currentRoom).emit('userLeft', { 
+      userId: user.id, 
+      username: user.username 
+    });
+    ctx.handleMediaMembersChanged(room);
+
+    storage.rooms.removeMember(user.currentRoom, user.id)
+      .catch(e => console.error('Error updating DB room members (leave):', e));
+
+    if (isEmpty) {
+      scheduleEmptyRoomDeletion(room);
+    }
+
+    user.currentRoom = null;
+
+    // Notify friends about room change
+    user.friends.forEach(friendUserId => {
+      const friendSocketId = findSocketIdByUserId(friendUserId);
+      if (friendSocketId) {
+        io.to(friendSocketId).emit('friendRoomUpdate', { friendId: user.id, roomId: null, roomName: null });
+      }
+    });
+
+    broadcastRoomList();
+  }
+
+  function getRoomData(room) {
+    debugLog('getRoomData - room.members Set:', Array.from(room.members));
+    debugLog('getRoomData - users Map keys:', Array.from(users.keys()));
+
+    const membersArray = Array.from(room.members).map(id => {
+      const user = users.get(id);
+      debugLog(`  Looking up member ${id}: found =`, user ? user.username : 'NOT FOUND');
+      return user ? { 
+        id: user.id, 
+        username: user.username, 
+        avatar: user.avatar,
+        profilePicture: user.profilePicture || ''
+      } : null;
+    }).filter(Boolean);
+
+    debugLog('getRoomData - final members array:', membersArray);
+
+    return {
+      id: room.id,
+      name: room.name,
+      isPrivate: room.isPrivate,
+      host: room.host,
+      members: membersArray,
+      messages: room.messages,
+      media: ctx.toMediaSyncState(room),
+      mediaQueue: room.mediaQueue,
+      mediaSkipVotes: ctx.mediaSkipTally(room),
+      drawings: room.drawings
+    };
+  }
+
+  function broadcastRoomList() {
+    storage.rooms.listPublic({ limit: 200 })
+      .then(async (docs) => {
+        // Hide rooms that have been empty (no connected sockets) for > 5 minutes.
+        // This keeps the lobby clean without deleting stored rooms.
+        const cutoffMs = Date.now() - EMPTY_ROOM_DELETE_AFTER_MS;
+        const visibleDocs = (docs || []).filter(d => {
+          const roomId = d?._id || '';
+          if (!roomId) return false;
+          const liveCount = io.sockets.adapter.rooms.get(roomId)?.size || 0;
+          const lastActivityMs = d?.lastActivity ? new Date(d.lastActivity).getTime() : 0;
+          const isInactive = lastActivityMs > 0 && lastActivityMs < cutoffMs;
+          return !(liveCount === 0 && isInactive);
+        });
+
+        const hostIds = Array.from(new Set(visibleDocs.map(d => d.host).filter(Boolean)));
+        const usersById = new Map();
+        try {
+          const hostUsers = await storage.users.findByIds(hostIds);
+          for (const u of hostUsers) usersById.set(u._id, u);
+        } catch {
+          // ignore
+        }
+
+        io.emit('roomList', visibleDocs.map(d => ({
+          id: d._id,
+          name: d.name,
+          memberCount: Array.isArray(d.members) ? d.members.length : 0,
+          host: usersById.get(String(d.host))?.username || findOnlineUserById(String(d.host))?.username || 'Unknown'
+        })));
+      })
+      .catch((err) => {
+        console.error('broadcastRoomList DB error:', err);
+        io.emit('roomList', []);
+      });
+  }
+
+  ctx.broadcastRoomList = broadcastRoomList;
+  ctx.sweepEmptyRooms = sweepEmptyRooms;
+
+  app.get('/api/rooms', async (req, res) => {
+    try {
+      const docs = await storage.rooms.listPublic({ limit: 200 });
+      const usersById = new Map();
+      try {
+        const hostIds = Array.from(new Set(docs.map(d => d.host).filter(Boolean)));
+        const hostUsers = await storage.users.findByIds(hostIds);
+        for (const u of hostUsers) usersById.set(u._id, u);
+      } catch {
+        // ignore host lookup failure
+      }
+
+      res.json(docs.map(d => ({
+        id: d._id,
+        name: d.name,
+        memberCount: Array.isArray(d.members) ? d.members.length : 0,
+        host: usersById.get(String(d.host))?.username || findOnlineUserById(String(d.host))?.username || 'Unknown'
+      })));
+    } catch (err) {
+      console.error('Error fetching rooms:', err);
+      res.status(500).json({ success: false, error: 'Failed to fetch rooms' });
+    }
+  });
+
+  ctx.onConnection((socket) => {
+    // Create Room
+    socket.on('createRoom', async ({ name, isPrivate } = {}) => {
+      const user = socket.data.user;
+      const roomName = typeof name === 'string' ? name.trim() : '';
+      if (!roomName || roomName.length > MAX_ROOM_NAME_LENGTH) {
+        socket.emit('error', { message: `Room names must be 1-${MAX_ROOM_NAME_LENGTH} characters` });
+        return;
+      }
+
+      let created;
+      try {
+        created = await storage.rooms.create({
+          name: roomName,
+          isPrivate: !!isPrivate,
+          host: user.id,
+          members: [user.id],
+          media: { source: null, playing: false, timestamp: 0, lastUpdate: new Date() },
+          lastActivity: new Date()
+        });
+      } catch (e) {
+        console.error('Error creating room:', e);
+        socket.emit('error', { message: 'Could not create the room' });
+        return;
+      }
+      const roomId = created._id;
+
+      const room = new Room(roomId, roomName, isPrivate, user.id); // host is DB userId
+      room.members.add(socket.id);
+      rooms.set(roomId, room);
+
+      socket.join(roomId);
+      user.currentRoom = roomId;
+
+      debugLog(`Room created by ${user.username} (socket: ${socket.id}, user.id: ${user.id})`);
+      debugLog('Room members:', Array.from(room.members));
+
+      const roomData = getRoomData(room);
+      debugLog('Room data members:', roomData.members);
+
+      socket.emit('roomCreated', { roomId, room: roomData });
+      broadcastRoomList();
+      console.log(`Room created: ${roomName} by ${user.username}`);
+    });
+
+    async function performJoinRoom(targetRoomId) {
+      const user = socket.data.user;
+      const room = rooms.get(targetRoomId);
+
+      if (!room) {
+        // If room isn't hydrated in-memory but exists in storage, hydrate it.
+        try {
+          const doc = await storage.rooms.findById(targetRoomId);
+          if (doc) {
+            const hydrated = new Room(doc._id, doc.name, doc.isPrivate, doc.host);
+            hydrated.media = doc.media || hydrated.media;
+            hydrated.mediaQueue = (doc.mediaQueue || []).map(item => ({
+              ...item,
+              upvoterIds: item.upvoterIds || [],
+              addedAt: new Date(item.addedAt).getTime()
+            }));
+            rooms.set(hydrated.id, hydrated);
+          }
+        } catch (e) {
+          console.error('Error hydrating room from DB:', e);
+        }
+      }
+
+      const liveRoom = rooms.get(targetRoomId);
+      if (!liveRoom) {
+        socket.emit('error', { message: 'Room not found' });
+        return;
+      }
+
+      // Leave current room if any
+      if (user.currentRoom && user.currentRoom !== targetRoomId) {
+        socket.leave(user.currentRoom);
+        const oldRoom = rooms.get(user.currentRoom);
+        if (oldRoom) {
+          const oldEmpty = oldRoom.removeMember(socket.id, users);
+          if (oldEmpty) scheduleEmptyRoomDeletion(oldRoom);
+          ctx.handleMediaMembersChanged(oldRoom);
+          io.to(user.currentRoom).emit('userLeft', {
+            userId: user.id,
+            username: user.username
+          });
+        }
+
+        try {
+          await storage.rooms.removeMember(user.currentRoom, user.id);
+        } catch (e) {
+          console.error('Error updating DB room members (leave old room):', e);
+        }
+      }
+
+      // Check if user is already in the room (prevent duplicates)
+      if (liveRoom.members.has(socket.id)) {
+        socket.emit('joinedRoom', { room: getRoomData(liveRoom) });
+        return;
+      }
+
+      socket.join(targetRoomId);
+      liveRoom.addMember(socket.id);
+      user.currentRoom = targetRoomId;
+      ctx.handleMediaMembersChanged(liveRoom);
+
+      try {
+        await storage.rooms.addMember(targetRoomId, user.id);
+      } catch (e) {
+        console.error('Error updating DB room members (join):', e);
+      }
+
+      // Notify friends about this user's room
+      user.friends.forEach(friendUserId => {
+        const friendSocketId = findSocketIdByUserId(friendUserId);
+        if (friendSocketId) {
+          io.to(friendSocketId).emit('friendRoomUpdate', {
+            friendId: user.id,
+            roomId: targetRoomId,
+            roomName: liveRoom.name
+          });
+        }
+      });
+
+      console.log(`User ${user.username} joining room. Room now has ${liveRoom.members.size} members:`, Array.from(liveRoom.members));
+    debugLog(`User ${user.username} joining room. Room now has ${liveRoom.members.size} members:`, Array.from(liveRoom.members));
+
+      // Load message history from storage
+      try {
+        const history = await storage.messages.listByRoom(targetRoomId, { limit: 100 });
+        liveRoom.messages = await ctx.toRoomMessages(history);
+      } catch (e) {
+        console.error('Error loading room message history:', e);
+      }
+
+      const roomData = getRoomData(liveRoom);
+      console.log(`Sending room data to ${user.username} with ${roomData.members.length} members:`, roomData.members.map(m => m.username));
+      debugLog(`Sending room data to ${user.username} with ${roomData.members.length} members:`, roomData.members.map(m => m.username));
+      socket.emit('joinedRoom', { room: roomData });
+
+      // Guess Game: send current state to late joiners
+      if (liveRoom.guessGame?.active) {
+        io.to(socket.id).emit('guessGameState', ctx.buildGuessGameStateFor(liveRoom, user.id));
+      }
+      io.to(targetRoomId).emit('userJoined', {
+        userId: user.id,
+        username: user.username,
+        avatar: user.avatar,
+        profilePicture: user.profilePicture || ''
+      });
+
+      broadcastRoomList();
+      console.log(`${user.username} joined room: ${liveRoom.name}`);
+    }
+
+    // Join Room
+    socket.on('joinRoom', async ({ roomId }, ack) => {
+      debugLog(`[joinRoom] socket=${socket.id} roomId=${roomId}`);
+      try {
+        await performJoinRoom(roomId);
+        if (typeof ack === 'function') ack({ ok: true, roomId });
+      } catch (e) {
+        console.error('[joinRoom] error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Join failed' });
+      }
+    });
+
+    // Join a friend's current room (when roomId isn't known client-side)
+    socket.on('joinFriendRoom', async ({ friendId }, ack) => {
+      debugLog(`[joinFriendRoom] socket=${socket.id} friendId=${friendId}`);
+      const user = socket.data.user;
+
+      const friendOnline = findOnlineUserById(friendId);
+      const friendRoomId = friendOnline?.currentRoom;
+      if (!friendRoomId) {
+        socket.emit('error', { message: 'Friend is not in a room' });
+        if (typeof ack === 'function') ack({ ok: false, message: 'Friend is not in a room' });
+        return;
+      }
+
+      try {
+        await performJoinRoom(friendRoomId);
+        if (typeof ack === 'function') ack({ ok: true, roomId: friendRoomId });
+      } catch (e) {
+        console.error('[joinFriendRoom] error:', e);
+        if (typeof ack === 'function') ack({ ok: false, message: 'Join failed' });
+      }
+    });
+
+    // Leave Room
+    socket.on('leaveRoom', () => {
+      // Ensure the socket leaves the Socket.IO room, otherwise the adapter can
+      // continue reporting a non-zero liveCount even after our in-memory membership
+      // has been updated.
+      const u = socket.data.user;
+      if (u?.currentRoom) socket.leave(u.currentRoom);
+      handleLeaveRoom(socket.id);
+    });
+
+    socket.on('inviteToRoom', ({ friendId, roomId }) => {
+      const user = socket.data.user;
+      const room = rooms.get(roomId);
+
+      if (!room) return;
+
+      const friendSocketId = findSocketIdByUserId(friendId);
+      if (!friendSocketId) return;
+
+      io.to(friendSocketId).emit('roomInvite', {
+        fromUsername: user.username,
+        roomId,
+        roomName: room.name
+      });
+    });
+
+    socket.on('disconnect', () => {
+      handleLeaveRoom(socket.id);
+    });
+  });
+}
+
+module.exports = registerRooms;
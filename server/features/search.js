@@ -0,0 +1,142 @@
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+const SEARCH_TYPES = ['rooms', 'directMessages', 'feed'];
+
+const toMs = (date) => (date ? new Date(date).getTime() : null);
+
+// Same word split as the in-memory text index.
+function termsOf(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function containsTerm(text, terms) {
+  const words = new Set(termsOf(text));
+  return terms.some(t => words.has(t));
+}
+
+// Up to SNIPPET_LENGTH characters of `text`, starting a little before the first matching term.
+function toSnippet(text, terms) {
+  const body = String(text || '').replace(/\s+/g, ' ').trim();
+  if (body.length <= SNIPPET_LENGTH) return body;
+
+  const lower = body.toLowerCase();
+  const hits = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, Math.min(first - 40, body.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`;
+}
+
+// Search: GET /api/search over room chat, DMs/group DMs and the news feed, limited to
+// what the caller could read anyway. Results carry the ids needed to open each hit in context.
+function registerSearch(ctx) {
+  const { app, storage, requireAuth, toFeedPosts, feedScopeFor } = ctx;
+
+  async function searchRooms(userId, query, terms, limit) {
+    const accessible = await storage.rooms.listAccessible(userId);
+    const roomNames = new Map(accessible.map(r => [String(r._id), r.name]));
+    const docs = await storage.messages.search(query, { roomIds: Array.from(roomNames.keys()), limit });
+    return docs.map(d => ({
+      roomId: d.roomId,
+      roomName: roomNames.get(d.roomId) || 'Room',
+      messageId: d._id,
+      userId: d.userId,
+      username: d.username,
+      snippet: toSnippet(d.message, terms),
+      timestamp: toMs(d.timestamp)
+    }));
+  }
+
+  async function searchDirectMessages(userId, query, terms, limit) {
+    const conversations = await storage.conversations.listForUser(userId, { limit: 500 });
+    const byConversationId = new Map(conversations.map(c => [String(c._id), c]));
+    const docs = await storage.directMessages.search(query, {
+      userId,
+      conversationIds: Array.from(byConversationId.keys()),
+      limit
+    });
+
+    const me = await storage.users.findById(userId);
+    const people = await storage.users.findByIds([...new Set(docs.flatMap(d => [d.fromUserId, d.toUserId]).filter(Boolean))]);
+    const byUserId = new Map(people.map(u => [String(u._id), u]));
+
+    // As in getConversationMessages: group messages across a block (either way) stay hidden.
+    const hidden = new Set(me?.blockedUsers || []);
+    people.forEach(u => {
+      if ((u.blockedUsers || []).includes(userId)) hidden.add(String(u._id));
+    });
+
+    return docs
+      .filter(d => !d.conversationId || !hidden.has(d.fromUserId))
+      .map(d => {
+        const result = {
+          messageId: d._id,
+          fromUserId: d.fromUserId,
+          fromUsername: byUserId.get(d.fromUserId)?.username || 'Unknown',
+          snippet: toSnippet(d.message, terms),
+          timestamp: toMs(d.timestamp)
+        };
+        if (d.conversationId) {
+          const conversation = byConversationId.get(String(d.conversationId));
+          return {
+            ...result,
+            conversationId: String(d.conversationId),
+            conversationTitle: conversation?.title || '',
+            conversationAvatar: conversation?.avatar || '👥'
+          };
+        }
+        const withUserId = d.fromUserId === userId ? d.toUserId : d.fromUserId;
+        return { ...result, withUserId, withUsername: byUserId.get(withUserId)?.username || 'Unknown' };
+      });
+  }
+
+  async function searchFeed(userId, query, terms, limit) {
+    const docs = await storage.feedPosts.search(query, { limit, visibleTo: await feedScopeFor(userId) });
+    const posts = await toFeedPosts(docs, userId);
+    return docs.map((d, i) => {
+      // Point at the first matching comment when the post body itself doesn't match.
+      const comment = containsTerm(d.content, terms)
+        ? null
+        : (d.comments || []).find(c => containsTerm(c.text, terms)) || null;
+      return {
+        postId: d._id,
+        commentId: comment ? comment._id : null,
+        username: comment ? comment.username : d.author,
+        snippet: toSnippet(comment ? comment.text : d.content, terms),
+        timestamp: toMs(comment ? comment.timestamp : d.timestamp),
+        post: posts[i]
+      };
+    });
+  }
+
+  app.get('/api/search', requireAuth, async (req, res) => {
+    const query = String(req.query.q || '').trim().slice(0, MAX_QUERY_LENGTH);
+    if (query.length < MIN_QUERY_LENGTH) {
+      return res.status(400).json({ success: false, error: `Search for at least ${MIN_QUERY_LENGTH} characters` });
+    }
+
+    const requestedTypes = String(req.query.types || '').split(',').filter(t => SEARCH_TYPES.includes(t));
+    const types = requestedTypes.length ? requestedTypes : SEARCH_TYPES;
+    const requestedLimit = Number(req.query.limit);
+    const limit = Number.isFinite(requestedLimit) ? Math.max(1, Math.min(Math.floor(requestedLimit), MAX_LIMIT)) : DEFAULT_LIMIT;
+
+    const userId = req.auth.userId;
+    const terms = termsOf(query);
+    try {
+      const [rooms, directMessages, feed] = await Promise.all([
+        types.includes('rooms') ? searchRooms(userId, query, terms, limit) : [],
+        types.includes('directMessages') ? searchDirectMessages(userId, query, terms, limit) : [],
+        types.includes('feed') ? searchFeed(userId, query, terms, limit) : []
+      ]);
+      res.json({ success: true, query, results: { rooms, directMessages, feed } });
+    } catch (error) {
+      console.error('Error searching:', error);
+      res.status(500).json({ success: false, error: 'Search failed' });
+    }
+  });
+}
+
+module.exports = registerSearch;
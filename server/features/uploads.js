@@ -0,0 +1,161 @@
+const multer = require('multer');
+
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024; // 8MB
+const MAX_MEDIA_BYTES = 100 * 1024 * 1024; // 100MB, for watch-party audio/video
+
+const UPLOAD_KINDS = ['image', 'audio', 'video'];
+
+function uploadError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// A multer storage engine that streams each file into storage.uploads (GridFS, or files next to
+// the memory snapshot) as it arrives, so uploads are never held in memory whole.
+function streamingStorage(storage) {
+  return {
+    _handleFile(req, file, cb) {
+      const isImage = file.mimetype.startsWith('image/');
+      const filename = file.originalname || `upload_${Date.now()}`;
+      const target = storage.uploads.createUploadStream({
+        filename,
+        contentType: file.mimetype || 'application/octet-stream',
+        metadata: {
+          originalName: file.originalname,
+          uploaderId: req.auth.userId,
+          uploadedAt: new Date()
+        }
+      });
+
+      let size = 0;
+      let failed = false;
+      const discard = () => {
+        if (failed) return false;
+        failed = true;
+        file.stream.unpipe(target);
+        file.stream.resume();
+        target.destroy();
+        storage.uploads.delete(target.fileId).catch(e => console.error('Error removing partial upload:', e));
+        return true;
+      };
+      // multer reports errors of the request stream itself.
+      file.stream.on('error', discard);
+      target.on('error', (e) => {
+        if (discard()) cb(e);
+      });
+      // multer enforces MAX_MEDIA_BYTES; images stop at their own, lower limit.
+      file.stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (isImage && size > MAX_IMAGE_BYTES && discard()) cb(uploadError(413, 'Images must be 8MB or smaller'));
+      });
+      target.on('finish', () => {
+        if (!failed) cb(null, { fileId: target.fileId, filename, size });
+      });
+      file.stream.pipe(target);
+    },
+
+    _removeFile(req, file, cb) {
+      if (!file.fileId) return cb(null);
+      storage.uploads.delete(file.fileId).then(() => cb(null), cb);
+    }
+  };
+}
+
+// File uploads (chat/DM/feed images, watch-party media) stored through storage.uploads.
+function registerUploads(ctx) {
+  const { app, storage, requireAuth } = ctx;
+
+  const upload = multer({
+    storage: streamingStorage(storage),
+    limits: {
+      files: 1,
+      fileSize: MAX_MEDIA_BYTES
+    },
+    fileFilter: (req, file, cb) => {
+      if (UPLOAD_KINDS.includes(String(file?.mimetype || '').split('/')[0])) return cb(null, true);
+      cb(uploadError(400, 'Only image, audio and video uploads are allowed'));
+    }
+  }).single('file');
+
+  app.post('/api/uploads', requireAuth, (req, res) => {
+    upload(req, res, (err) => {
+      if (err) {
+        if (err instanceof multer.MulterError) {
+          const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+          const error = tooLarge ? 'Files must be 100MB or smaller' : 'Invalid upload';
+          return res.status(tooLarge ? 413 : 400).json({ success: false, error });
+        }
+        if (err.status) return res.status(err.status).json({ success: false, error: err.message });
+        console.error('Upload error:', err);
+        return res.status(500).json({ success: false, error: 'Upload failed' });
+      }
+      if (!req.file) return res.status(400).json({ success: false, error: 'No file uploaded' });
+
+      const { fileId, filename, mimetype } = req.file;
+      const url = `${ctx.getServerBaseUrl()}/api/uploads/${encodeURIComponent(fileId)}`;
+      res.json({ success: true, fileId, url, contentType: mimetype || 'application/octet-stream', name: filename });
+    });
+  });
+
+  // Also answers HEAD (Express routes those to GET handlers) and conditional requests; media
+  // players rely on Range requests to seek, so single byte ranges get a 206.
+  app.get('/api/uploads/:id', async (req, res) => {
+    try {
+      const id = String(req.params.id || '').trim();
+      if (!id) return res.status(400).send('Missing id');
+      if (!/^[a-f0-9]{24}$/i.test(id)) return res.status(400).send('Invalid id');
+
+      const file = await storage.uploads.findFile(id);
+      if (!file) return res.status(404).send('Not found');
+
+      // Uploads never change, so the id and length make a strong validator.
+      const size = Number(file.length) || 0;
+      const etag = `"${id}-${size.toString(16)}"`;
+      const lastModified = new Date(file.uploadDate || 0).toUTCString();
+
+      res.setHeader('Content-Type', file.contentType || 'application/octet-stream');
+      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      res.setHeader('Accept-Ranges', 'bytes');
+      res.setHeader('ETag', etag);
+      res.setHeader('Last-Modified', lastModified);
+
+      // If-None-Match / If-Modified-Since against the headers above.
+      if (req.fresh) return res.status(304).end();
+
+      let start = 0;
+      let end = size - 1;
+      const ifRange = req.headers['if-range'];
+      const rangeApplies = req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified);
+      if (rangeApplies) {
+        const ranges = req.range(size, { combine: true });
+        if (ranges === -1) {
+          res.setHeader('Content-Range', `bytes */${size}`);
+          return res.status(416).end();
+        }
+        // Malformed or multiple ranges: send the whole file, which the spec allows.
+        if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1) {
+          ({ start, end } = ranges[0]);
+          res.status(206);
+          res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+      }
+
+      res.setHeader('Content-Length', String(Math.max(0, end - start + 1)));
+      if (req.method === 'HEAD' || size === 0) return res.end();
+
+      const stream = storage.uploads.openDownloadStream(id, { start, end: end + 1 });
+      stream.on('error', (e) => {
+        console.error('Download error:', e);
+        if (!res.headersSent) res.status(500).send('Failed');
+        else res.destroy(e);
+      });
+      stream.pipe(res);
+    } catch (e) {
+      console.error('Download error:', e);
+      res.status(500).send('Failed');
+    }
+  });
+}
+
+module.exports = registerUploads;
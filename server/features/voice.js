@@ -0,0 +1,161 @@
+// --- Voice (WebRTC signaling + presence) ---
+// NOTE: This is a simple mesh/P2P signaling layer suitable for small rooms.
+// In production for larger rooms, consider a SFU (e.g., mediasoup) + TURN.
+function registerVoice(ctx) {
+  const { io, voiceChannels, voiceBySocket, findOnlineUserById } = ctx;
+
+  function getVoiceChannel(channelId) {
+    const id = String(channelId || '').trim();
+    if (!id) return null;
+    if (!voiceChannels.has(id)) voiceChannels.set(id, new Map());
+    return voiceChannels.get(id);
+  }
+
+  function leaveVoiceBySocket(socketId) {
+    const entry = voiceBySocket.get(socketId);
+    if (!entry) return;
+
+    const { channelId, userId } = entry;
+    voiceBySocket.delete(socketId);
+
+    const chan = voiceChannels.get(channelId);
+    if (chan) {
+      chan.delete(String(userId));
+      // Notify others in the channel.
+      for (const [_, info] of chan.entries()) {
+        if (!info?.socketId) continue;
+        io.to(info.socketId).emit('voice:peer-left', { userId: String(userId) });
+      }
+      if (chan.size === 0) voiceChannels.delete(channelId);
+    }
+  }
+
+  ctx.leaveVoiceBySocket = leaveVoiceBySocket;
+
+  ctx.onConnection((socket) => {
+    // --- Voice: join/leave + WebRTC signaling ---
+    socket.on('voice:join', async ({ channelId, state } = {}, ack) => {
+      const user = socket.data.user;
+
+      const chanId = String(channelId || '').trim();
+      if (!chanId) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Missing channelId' });
+        return;
+      }
+
+      // Leave any previous voice channel.
+      leaveVoiceBySocket(socket.id);
+
+      const chan = getVoiceChannel(chanId);
+      if (!chan) {
+        if (typeof ack === 'function') ack({ ok: false, message: 'Invalid channelId' });
+        return;
+      }
+
+      const myUserId = String(user.id);
+      const myState = {
+        muted: !!state?.muted,
+        deafened: !!state?.deafened
+      };
+
+      chan.set(myUserId, { socketId: socket.id, ...myState });
+      voiceBySocket.set(socket.id, { channelId: chanId, userId: myUserId });
+
+      // Build peer list for ack.
+      const peers = [];
+      for (const [uid, info] of chan.entries()) {
+        if (uid === myUserId) continue;
+        const online = findOnlineUserById(uid);
+        peers.push({
+          userId: uid,
+          user: online ? {
+            id: uid,
+            username: online.username,
+            avatar: online.avatar,
+            profilePicture: online.profilePicture || ''
+          } : { id: uid },
+          state: {
+            muted: !!info?.muted,
+            deafened: !!info?.deafened
+          }
+        });
+      }
+
+      // Notify existing peers.
+      for (const [uid, info] of chan.entries()) {
+        if (uid === myUserId) continue;
+        if (!info?.socketId) continue;
+        io.to(info.socketId).emit('voice:peer-joined', {
+          userId: myUserId,
+          user: { id: myUserId, username: user.username, avatar: user.avatar, profilePicture: user.profilePicture || '' },
+          state: myState
+        });
+      }
+
+      if (typeof ack === 'function') {
+        ack({
+          ok: true,
+          channelId: chanId,
+          peers,
+          selfState: myState,
+          selfUser: { id: myUserId, username: user.username, avatar: user.avatar, profilePicture: user.profilePicture || '' }
+        });
+      }
+    });
+
+    socket.on('voice:leave', () => {
+      leaveVoiceBySocket(socket.id);
+    });
+
+    socket.on('voice:signal', ({ channelId, toUserId, description, candidate } = {}) => {
+      const user = socket.data.user;
+      const entry = voiceBySocket.get(socket.id);
+      if (!entry) return;
+      if (channelId && String(channelId) !== String(entry.channelId)) return;
+
+      const chan = voiceChannels.get(entry.channelId);
+      if (!chan) return;
+      const target = chan.get(String(toUserId));
+      if (!target?.socketId) return;
+
+      io.to(target.socketId).emit('voice:signal', {
+        channelId: entry.channelId,
+        fromUserId: String(user.id),
+        description,
+        candidate
+      });
+    });
+
+    socket.on('voice:state', ({ channelId, muted, deafened } = {}) => {
+      const user = socket.data.user;
+      const entry = voiceBySocket.get(socket.id);
+      if (!entry) return;
+      if (channelId && String(channelId) !== String(entry.channelId)) return;
+
+      const chan = voiceChannels.get(entry.channelId);
+      if (!chan) return;
+      const me = chan.get(String(user.id));
+      if (!me) return;
+      me.muted = !!muted;
+      me.deafened = !!deafened;
+      chan.set(String(user.id), me);
+
+      for (const [uid, info] of chan.entries()) {
+        if (!info?.socketId) continue;
+        if (uid === String(user.id)) continue;
+        io.to(info.socketId).emit('voice:state', {
+          channelId: entry.channelId,
+          userId: String(user.id),
+          muted: me.muted,
+          deafened: me.deafened
+        });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      leaveVoiceBySocket(socket.id);
+    });
+  });
+}
+
+module.exports = registerVoice;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A private multi-party DM thread. Messages live in DirectMessage with `conversationId` set.
+const ConversationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 80,
+    default: ''
+  },
+  avatar: {
+    type: String,
+    default: '👥'
+  },
+  adminId: {
+    type: String,
+    required: true
+  },
+  participantIds: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
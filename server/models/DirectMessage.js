@@ -6,11 +6,19 @@ const DirectMessageSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Set for 1:1 messages; group messages carry `conversationId` instead.
   toUserId: {
     type: String,
-    required: true,
+    required() {
+      return !this.conversationId;
+    },
     index: true
   },
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
   message: {
     type: String,
     required: true,
@@ -22,6 +30,15 @@ const DirectMessageSchema = new mongoose.Schema({
     contentType: { type: String },
     name: { type: String }
   },
+  // Set once the recipient had a live connection while the message existed.
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -29,4 +46,11 @@ const DirectMessageSchema = new mongoose.Schema({
   }
 });
 
+// Unread counts per sender.
+DirectMessageSchema.index({ toUserId: 1, readAt: 1 });
+// Group history paging.
+DirectMessageSchema.index({ conversationId: 1, timestamp: -1 });
+// Full-text search.
+DirectMessageSchema.index({ message: 'text' });
+
 module.exports = mongoose.model('DirectMessage', DirectMessageSchema);
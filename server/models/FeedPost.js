@@ -10,9 +10,30 @@ const FeedCommentSchema = new mongoose.Schema({
   userProfilePicture: { type: String, default: '' },
   text: { type: String, required: true, maxlength: 1000 },
   mentionUserIds: { type: [String], default: [] },
+  editedAt: { type: Date, default: null },
   timestamp: { type: Date, default: Date.now }
 }, { _id: true });
 
+// One per user per post.
+const FeedReactionSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  type: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const FeedPollOptionSchema = new mongoose.Schema({
+  text: { type: String, required: true, maxlength: 80 },
+  voterIds: { type: [String], default: [] }
+}, { _id: true });
+
+const FeedPollSchema = new mongoose.Schema({
+  options: { type: [FeedPollOptionSchema], default: [] },
+  multiple: { type: Boolean, default: false },
+  // Anonymous polls never send voter ids to clients.
+  anonymous: { type: Boolean, default: false },
+  closesAt: { type: Date, default: null }
+}, { _id: false });
+
 const FeedImageSchema = new mongoose.Schema({
   fileId: { type: String, required: true },
   url: { type: String, required: true },
@@ -51,10 +72,39 @@ const FeedPostSchema = new mongoose.Schema({
     default: []
   },
   reactions: {
-    fireUserIds: {
-      type: [String],
-      default: []
-    }
+    type: [FeedReactionSchema],
+    default: []
+  },
+  poll: {
+    type: FeedPollSchema,
+    default: null
+  },
+  // Set on reposts: the id of the shared post (always an original, never another repost).
+  repostOf: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // How many reposts share this post.
+  shareCount: {
+    type: Number,
+    default: 0
+  },
+  // Lowercased #hashtags from the content and the comments.
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // public: everyone; friends: the author's friends; private: only the author.
+  visibility: {
+    type: String,
+    enum: ['public', 'friends', 'private'],
+    default: 'public'
+  },
+  editedAt: {
+    type: Date,
+    default: null
   },
   timestamp: {
     type: Date,
@@ -63,4 +113,7 @@ const FeedPostSchema = new mongoose.Schema({
   }
 });
 
+// Full-text search over posts and their comments.
+FeedPostSchema.index({ content: 'text', 'comments.text': 'text' });
+
 module.exports = mongoose.model('FeedPost', FeedPostSchema);
@@ -9,9 +9,13 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Deleted messages keep no text. In update validators `this` is the query, not the document.
   message: {
     type: String,
-    required: true,
+    required: function () {
+      const deletedAt = this instanceof mongoose.Query ? this.get('deletedAt') : this.deletedAt;
+      return !deletedAt;
+    },
     maxlength: 1000
   },
   roomId: {
@@ -23,10 +27,40 @@ const MessageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Thread root this message replies to (threads are one level deep).
+  replyToMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted messages keep their slot in history as a tombstone.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // One entry per emoji in use on this message.
+  reactions: {
+    type: [{
+      _id: false,
+      emoji: { type: String, required: true },
+      userIds: { type: [String], default: [] }
+    }],
+    default: []
+  },
   timestamp: {
     type: Date,
     default: Date.now
   }
 });
 
+// History paging: newest first within a room.
+MessageSchema.index({ roomId: 1, timestamp: -1 });
+MessageSchema.index({ replyToMessageId: 1, timestamp: 1 });
+// Full-text search.
+MessageSchema.index({ message: 'text' });
+
 module.exports = mongoose.model('Message', MessageSchema);
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// What a watch party plays: a YouTube video, a direct link to a media file, or an upload.
+const MediaSourceSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['youtube', 'url', 'upload'], required: true },
+  videoId: String,
+  url: String,
+  fileId: String,
+  mediaType: { type: String, enum: ['video', 'audio'] },
+  title: String
+}, { _id: false });
+
+// Something waiting its turn in the room's watch queue.
+const MediaQueueItemSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  source: { type: MediaSourceSchema, required: true },
+  addedById: { type: String, required: true },
+  addedByUsername: { type: String, default: '' },
+  upvoterIds: { type: [String], default: [] },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -18,12 +38,16 @@ const RoomSchema = new mongoose.Schema({
   members: [{
     type: String
   }],
-  youtube: {
-    videoId: String,
+  media: {
+    source: { type: MediaSourceSchema, default: null },
     playing: Boolean,
     timestamp: Number,
     lastUpdate: Date
   },
+  mediaQueue: {
+    type: [MediaQueueItemSchema],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    // Let MongoDB purge sessions once the refresh token can no longer be used.
+    index: { expires: 0 }
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
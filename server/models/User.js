@@ -47,6 +47,11 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  role: {
+    type: String,
+    enum: ['user', 'moderator'],
+    default: 'user'
+  },
   avatar: {
     type: String,
     default: '👤'
@@ -0,0 +1,16 @@
+const createMongoStorage = require('./mongoStorage');
+const createMemoryStorage = require('./memoryStorage');
+
+// Every persistence call in the server goes through one of these backends.
+// Both expose the same async repositories (users, rooms, messages, directMessages,
+// conversations, feedPosts, sessions, uploads) and return plain objects with string `_id`s.
+function createStorage({ useDatabase, snapshotPath } = {}) {
+  if (useDatabase) return createMongoStorage();
+  return createMemoryStorage({ snapshotPath: snapshotPath || null });
+}
+
+module.exports = {
+  createStorage,
+  createMongoStorage,
+  createMemoryStorage
+};
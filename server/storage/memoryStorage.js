@@ -0,0 +1,1057 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { createTextIndex } = require('./textIndex');
+const User = require('../models/User');
+const RoomModel = require('../models/Room');
+const Message = require('../models/Message');
+const DirectMessage = require('../models/DirectMessage');
+const Conversation = require('../models/Conversation');
+const FeedPost = require('../models/FeedPost');
+const Session = require('../models/Session');
+
+// In-process backend used when MongoDB isn't configured (ALLOW_IN_MEMORY=true) and in tests.
+// Mirrors the schema defaults and validators of server/models so callers can't tell the backends apart.
+// With a snapshot path, state is written to a JSON file shortly after every change and
+// reloaded on startup; upload bodies go to files in `<snapshotPath>.uploads/` instead.
+
+const SNAPSHOT_DEBOUNCE_MS = 1000;
+
+function newId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function isValidId(id) {
+  return /^[a-f0-9]{24}$/i.test(String(id || ''));
+}
+
+function clone(value) {
+  return value == null ? value : structuredClone(value);
+}
+
+// Mongoose ignores `undefined` and applies the schema default instead.
+function definedOnly(data) {
+  return Object.fromEntries(Object.entries(data || {}).filter(([, v]) => v !== undefined));
+}
+
+function toDate(value, fallback) {
+  if (value == null) return fallback;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+}
+
+function timeOf(value) {
+  return value ? new Date(value).getTime() : 0;
+}
+
+function duplicateKeyError(field) {
+  const err = new Error(`Duplicate key: ${field} already exists`);
+  err.code = 11000;
+  return err;
+}
+
+function normalizeUser(doc) {
+  if (typeof doc.username === 'string') doc.username = doc.username.trim();
+  if (typeof doc.email === 'string') doc.email = doc.email.trim().toLowerCase() || undefined;
+  doc.friends = (doc.friends || []).map(String);
+  doc.blockedUsers = (doc.blockedUsers || []).map(String);
+  doc.friendRequests = (doc.friendRequests || []).map(r => ({
+    _id: r._id ? String(r._id) : newId(),
+    from: String(r.from),
+    timestamp: toDate(r.timestamp, new Date())
+  }));
+  return doc;
+}
+
+function normalizeFeedPost(doc) {
+  doc.images = (doc.images || []).map(i => ({
+    fileId: String(i.fileId),
+    url: String(i.url),
+    contentType: i.contentType || 'image/*',
+    name: i.name || ''
+  }));
+  doc.comments = (doc.comments || []).map(c => ({
+    replyToUserId: '',
+    replyToUsername: '',
+    userAvatar: '👤',
+    userProfilePicture: '',
+    mentionUserIds: [],
+    editedAt: null,
+    ...definedOnly(c),
+    _id: c._id ? String(c._id) : newId(),
+    parentCommentId: c.parentCommentId ? String(c.parentCommentId) : null,
+    timestamp: toDate(c.timestamp, new Date())
+  }));
+  doc.poll = doc.poll
+    ? {
+      multiple: !!doc.poll.multiple,
+      anonymous: !!doc.poll.anonymous,
+      closesAt: toDate(doc.poll.closesAt, null),
+      options: (doc.poll.options || []).map(o => ({
+        _id: o._id ? String(o._id) : newId(),
+        text: String(o.text),
+        voterIds: (o.voterIds || []).map(String)
+      }))
+    }
+    : null;
+  if (doc.repostOf) doc.repostOf = String(doc.repostOf);
+  doc.reactions = Array.isArray(doc.reactions)
+    ? doc.reactions.map(r => ({ userId: String(r.userId), type: String(r.type), createdAt: toDate(r.createdAt, new Date()) }))
+    : legacyFeedReactions(doc.reactions, doc.timestamp);
+  return doc;
+}
+
+// Posts used to store only { fireUserIds }; those become fire reactions dated to the post.
+function legacyFeedReactions(reactions, postTimestamp) {
+  return (reactions?.fireUserIds || []).map(userId => ({
+    userId: String(userId),
+    type: 'fire',
+    createdAt: toDate(postTimestamp, new Date())
+  }));
+}
+
+// Rooms used to keep { youtube: { videoId, ... }, youtubeQueue: [{ videoId, ... }] }; those
+// become { media: { source, ... }, mediaQueue: [{ source, ... }] } with YouTube sources.
+function legacyRoomMedia(room) {
+  const { youtube, youtubeQueue, ...rest } = room;
+  const toSource = (videoId) => (videoId ? { kind: 'youtube', videoId } : null);
+  const media = rest.media?.source !== undefined ? rest.media : {
+    source: toSource(youtube?.videoId),
+    playing: !!youtube?.playing,
+    timestamp: Number(youtube?.timestamp) || 0,
+    lastUpdate: toDate(youtube?.lastUpdate, new Date())
+  };
+  const legacyQueue = (youtubeQueue || []).map(({ videoId, ...item }) => ({
+    ...item,
+    source: toSource(videoId),
+    upvoterIds: item.upvoterIds || []
+  }));
+  return { ...rest, media, mediaQueue: [...(rest.mediaQueue || []), ...legacyQueue] };
+}
+
+// Same rule as feedVisibilityFilter in the Mongo backend.
+function isFeedPostVisible(post, visibleTo) {
+  if (!visibleTo) return true;
+  const { userId, friendIds = [], hiddenAuthorIds = [] } = visibleTo;
+  if (hiddenAuthorIds.map(String).includes(post.authorId)) return false;
+  if (userId && post.authorId === String(userId)) return true;
+  if (post.visibility === 'friends') return !!userId && friendIds.map(String).includes(post.authorId);
+  return post.visibility !== 'private';
+}
+
+const collectionDefaults = {
+  users: (now) => ({
+    isEmailVerified: false,
+    emailVerificationTokenHash: null,
+    emailVerificationExpiresAt: null,
+    passwordResetTokenHash: null,
+    passwordResetExpiresAt: null,
+    isGuest: false,
+    role: 'user',
+    avatar: '👤',
+    profilePicture: null,
+    bio: '',
+    friends: [],
+    blockedUsers: [],
+    friendRequests: [],
+    createdAt: now,
+    lastActive: now
+  }),
+  rooms: (now) => ({
+    isPrivate: false,
+    members: [],
+    media: {},
+    mediaQueue: [],
+    createdAt: now,
+    lastActivity: now
+  }),
+  messages: (now) => ({
+    system: false,
+    replyToMessageId: null,
+    editedAt: null,
+    deletedAt: null,
+    reactions: [],
+    timestamp: now
+  }),
+  directMessages: (now) => ({ conversationId: null, deliveredAt: null, readAt: null, timestamp: now }),
+  conversations: (now) => ({
+    title: '',
+    avatar: '👥',
+    participantIds: [],
+    createdAt: now,
+    lastMessageAt: now
+  }),
+  feedPosts: (now) => ({
+    authorAvatar: '👤',
+    authorProfilePicture: '',
+    images: [],
+    comments: [],
+    visibility: 'public',
+    reactions: [],
+    poll: null,
+    tags: [],
+    repostOf: null,
+    shareCount: 0,
+    editedAt: null,
+    timestamp: now
+  }),
+  sessions: (now) => ({
+    userAgent: '',
+    createdAt: now,
+    lastUsedAt: now,
+    revokedAt: null
+  })
+};
+
+const normalizers = {
+  users: normalizeUser,
+  rooms: (doc) => {
+    doc.members = (doc.members || []).map(String);
+    return doc;
+  },
+  messages: (doc) => {
+    doc.roomId = String(doc.roomId);
+    if (doc.replyToMessageId) doc.replyToMessageId = String(doc.replyToMessageId);
+    return doc;
+  },
+  directMessages: (doc) => {
+    if (doc.conversationId) doc.conversationId = String(doc.conversationId);
+    return doc;
+  },
+  conversations: (doc) => {
+    doc.participantIds = (doc.participantIds || []).map(String);
+    return doc;
+  },
+  feedPosts: normalizeFeedPost,
+  sessions: (doc) => {
+    doc.userId = String(doc.userId);
+    return doc;
+  }
+};
+
+const models = {
+  users: User,
+  rooms: RoomModel,
+  messages: Message,
+  directMessages: DirectMessage,
+  conversations: Conversation,
+  feedPosts: FeedPost,
+  sessions: Session
+};
+
+// Runs the schema validators (required, maxlength, enum, casts) as Mongo does on create, or for
+// just the changed `paths` as update validators do; throws the same ValidationError.
+function validate(name, doc, paths) {
+  const err = new models[name](doc).validateSync(paths);
+  if (err) throw err;
+}
+
+// Text each searchable collection is indexed on (the fields of the Mongo text indexes).
+const searchableText = {
+  messages: (doc) => doc.message,
+  directMessages: (doc) => doc.message,
+  feedPosts: (doc) => [doc.content, ...(doc.comments || []).map(c => c.text)].join('\n')
+};
+
+// Dates survive the JSON round trip as { $date }.
+function encodeSnapshot(state) {
+  return JSON.stringify(state, function replacer(key, value) {
+    const raw = this[key];
+    if (raw instanceof Date) return { $date: raw.toISOString() };
+    return value;
+  });
+}
+
+function decodeSnapshot(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+      return new Date(value.$date);
+    }
+    return value;
+  });
+}
+
+function createMemoryStorage({ snapshotPath } = {}) {
+  const collections = {
+    users: new Map(),
+    rooms: new Map(),
+    messages: new Map(),
+    directMessages: new Map(),
+    conversations: new Map(),
+    feedPosts: new Map(),
+    sessions: new Map()
+  };
+  // id -> { meta, buffer }; without a buffer the body is in blobDir, named by the id.
+  const files = new Map();
+  const blobDir = snapshotPath ? `${snapshotPath}.uploads` : null;
+  const blobPathOf = (id) => path.join(blobDir, id);
+  const textIndexes = Object.fromEntries(Object.keys(searchableText).map(name => [name, createTextIndex()]));
+
+  let saveTimer = null;
+  let dirty = false;
+  let writing = null; // The write in progress; writes never overlap.
+
+  async function writeSnapshot() {
+    while (writing) await writing;
+    if (!snapshotPath || !dirty) return;
+    dirty = false;
+
+    const state = { version: 1, savedAt: new Date(), collections: {}, uploads: [] };
+    for (const [name, map] of Object.entries(collections)) {
+      state.collections[name] = Array.from(map.values());
+    }
+    for (const { meta } of files.values()) {
+      state.uploads.push(meta);
+    }
+
+    const text = encodeSnapshot(state);
+    writing = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(snapshotPath), { recursive: true });
+        const tmpPath = `${snapshotPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, text);
+        await fs.promises.rename(tmpPath, snapshotPath);
+      } catch (e) {
+        console.error('Error writing memory snapshot:', e);
+      }
+    })();
+    await writing;
+    writing = null;
+  }
+
+  function markDirty() {
+    if (!snapshotPath) return;
+    dirty = true;
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      writeSnapshot();
+    }, SNAPSHOT_DEBOUNCE_MS);
+    saveTimer.unref?.();
+  }
+
+  function loadSnapshot() {
+    if (!snapshotPath || !fs.existsSync(snapshotPath)) return;
+
+    try {
+      const state = decodeSnapshot(fs.readFileSync(snapshotPath, 'utf8'));
+      for (const [name, docs] of Object.entries(state.collections || {})) {
+        const map = collections[name];
+        if (!map || !Array.isArray(docs)) continue;
+        for (const doc of docs) {
+          map.set(doc._id, doc);
+          reindex(name, doc);
+        }
+      }
+      for (const { data, ...meta } of state.uploads || []) {
+        // Older snapshots carried the bodies inline, as base64; they move to blobDir.
+        if (data != null) {
+          fs.mkdirSync(blobDir, { recursive: true });
+          fs.writeFileSync(blobPathOf(meta.id), Buffer.from(String(data), 'base64'));
+          markDirty();
+        }
+        files.set(meta.id, { meta });
+      }
+      console.log(`📂 Loaded memory snapshot from ${snapshotPath}`);
+    } catch (e) {
+      // Keep the unreadable file around instead of overwriting it on the next save.
+      const aside = `${snapshotPath}.corrupt-${Date.now()}`;
+      console.error(`Error reading memory snapshot (moved to ${aside}):`, e.message);
+      try {
+        fs.renameSync(snapshotPath, aside);
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  function reindex(name, doc) {
+    textIndexes[name]?.set(doc._id, searchableText[name](doc));
+  }
+
+  // Matches of `query` in a collection that pass `predicate`, best score (then newest) first.
+  function searchText(name, query, predicate, limit) {
+    const hits = [];
+    for (const [id, score] of textIndexes[name].search(query)) {
+      const doc = collections[name].get(id);
+      if (doc && predicate(doc)) hits.push({ doc, score });
+    }
+    hits.sort((a, b) => (b.score - a.score) || (timeOf(b.doc.timestamp) - timeOf(a.doc.timestamp)));
+    return clone(hits.slice(0, limit).map(h => h.doc));
+  }
+
+  function insert(name, data) {
+    const now = new Date();
+    const doc = normalizers[name]({
+      ...collectionDefaults[name](now),
+      ...clone(definedOnly(data)),
+      _id: newId()
+    });
+    validate(name, doc);
+    collections[name].set(doc._id, doc);
+    reindex(name, doc);
+    markDirty();
+    return doc;
+  }
+
+  function patch(name, id, changes) {
+    const existing = collections[name].get(String(id));
+    if (!existing) return null;
+    const doc = normalizers[name]({ ...existing, ...clone(definedOnly(changes)), _id: existing._id });
+    validate(name, doc, Object.keys(changes));
+    collections[name].set(doc._id, doc);
+    reindex(name, doc);
+    markDirty();
+    return doc;
+  }
+
+  function remove(name, id) {
+    const existing = collections[name].get(String(id));
+    if (!existing) return null;
+    collections[name].delete(existing._id);
+    textIndexes[name]?.remove(existing._id);
+    markDirty();
+    return existing;
+  }
+
+  function find(name, predicate) {
+    for (const doc of collections[name].values()) {
+      if (predicate(doc)) return doc;
+    }
+    return null;
+  }
+
+  function filter(name, predicate) {
+    return Array.from(collections[name].values()).filter(predicate);
+  }
+
+  function get(name, id) {
+    return isValidId(id) ? collections[name].get(String(id)) || null : null;
+  }
+
+  function assertUniqueUser(doc, exceptId) {
+    const others = filter('users', u => u._id !== exceptId);
+    if (others.some(u => u.username === doc.username)) throw duplicateKeyError('username');
+    if (doc.email && others.some(u => u.email === doc.email)) throw duplicateKeyError('email');
+  }
+
+  const users = {
+    async findById(id) {
+      return clone(get('users', id));
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set((Array.isArray(ids) ? ids : []).map(String));
+      return clone(filter('users', u => wanted.has(u._id)));
+    },
+
+    async findByUsername(username, { includeGuests = false } = {}) {
+      const name = String(username || '');
+      return clone(find('users', u => u.username === name && (includeGuests || !u.isGuest)));
+    },
+
+    async findByUsernames(usernames) {
+      const wanted = new Set((Array.isArray(usernames) ? usernames : []).map(String));
+      return clone(filter('users', u => wanted.has(u.username)));
+    },
+
+    async findIdsBlocking(userId) {
+      const id = String(userId);
+      return filter('users', u => u.blockedUsers.includes(id)).map(u => u._id);
+    },
+
+    async findByEmail(email, { excludeId } = {}) {
+      const value = String(email || '').trim().toLowerCase();
+      if (!value) return null;
+      return clone(find('users', u => u.email === value && !u.isGuest && u._id !== String(excludeId || '')));
+    },
+
+    async findByEmailVerificationToken(tokenHash) {
+      const now = Date.now();
+      return clone(find('users', u => (
+        !u.isGuest &&
+        u.emailVerificationTokenHash === tokenHash &&
+        timeOf(u.emailVerificationExpiresAt) > now
+      )));
+    },
+
+    async findByPasswordResetToken(tokenHash) {
+      const now = Date.now();
+      return clone(find('users', u => (
+        !u.isGuest &&
+        u.passwordResetTokenHash === tokenHash &&
+        timeOf(u.passwordResetExpiresAt) > now
+      )));
+    },
+
+    async create(data) {
+      const candidate = normalizeUser({ ...clone(definedOnly(data)) });
+      assertUniqueUser(candidate, null);
+      return clone(insert('users', data));
+    },
+
+    async update(id, changes) {
+      if (!get('users', id)) return null;
+      const candidate = normalizeUser({ ...get('users', id), ...clone(definedOnly(changes)) });
+      assertUniqueUser(candidate, String(id));
+      return clone(patch('users', id, changes));
+    },
+
+    // Like the Mongo versions these read and write with no await in between, so they're atomic.
+    async addFriendRequest(id, fromId) {
+      const doc = get('users', id);
+      const from = String(fromId);
+      if (!doc || doc.friendRequests.some(r => r.from === from)) return false;
+      patch('users', id, { friendRequests: [...doc.friendRequests, { from, timestamp: new Date() }] });
+      return true;
+    },
+
+    async pullFriendRequest(id, fromId) {
+      const doc = get('users', id);
+      if (!doc) return;
+      patch('users', id, { friendRequests: doc.friendRequests.filter(r => r.from !== String(fromId)) });
+    },
+
+    async addFriend(id, friendId) {
+      const doc = get('users', id);
+      const friend = String(friendId);
+      if (!doc) return;
+      patch('users', id, {
+        friends: doc.friends.includes(friend) ? doc.friends : [...doc.friends, friend],
+        friendRequests: doc.friendRequests.filter(r => r.from !== friend)
+      });
+    },
+
+    async removeFriend(id, friendId) {
+      const doc = get('users', id);
+      const friend = String(friendId);
+      if (!doc) return;
+      patch('users', id, {
+        friends: doc.friends.filter(f => f !== friend),
+        friendRequests: doc.friendRequests.filter(r => r.from !== friend)
+      });
+    },
+
+    async block(id, targetId) {
+      const doc = get('users', id);
+      const target = String(targetId);
+      if (!doc) return;
+      patch('users', id, {
+        blockedUsers: doc.blockedUsers.includes(target) ? doc.blockedUsers : [...doc.blockedUsers, target],
+        friends: doc.friends.filter(f => f !== target),
+        friendRequests: doc.friendRequests.filter(r => r.from !== target)
+      });
+    }
+  };
+
+  const rooms = {
+    async create(data) {
+      return clone(insert('rooms', data));
+    },
+
+    async findById(id) {
+      return clone(get('rooms', id));
+    },
+
+    async update(id, changes) {
+      if (!get('rooms', id)) return null;
+      return clone(patch('rooms', id, changes));
+    },
+
+    async addMember(id, userId) {
+      const room = get('rooms', id);
+      if (!room) return;
+      const members = room.members.includes(String(userId)) ? room.members : [...room.members, String(userId)];
+      patch('rooms', id, { members, lastActivity: new Date() });
+    },
+
+    async removeMember(id, userId) {
+      const room = get('rooms', id);
+      if (!room) return;
+      patch('rooms', id, { members: room.members.filter(m => m !== String(userId)), lastActivity: new Date() });
+    },
+
+    async listPublic({ limit = 200 } = {}) {
+      return clone(
+        filter('rooms', r => !r.isPrivate)
+          .sort((a, b) => timeOf(b.lastActivity) - timeOf(a.lastActivity))
+          .slice(0, limit)
+      );
+    },
+
+    async listAccessible(userId) {
+      const uid = String(userId);
+      return filter('rooms', r => !r.isPrivate || r.host === uid || r.members.includes(uid))
+        .map(r => ({ _id: r._id, name: r.name }));
+    },
+
+    async findInactiveSince(cutoff) {
+      const cutoffMs = timeOf(cutoff);
+      return filter('rooms', r => timeOf(r.lastActivity) < cutoffMs).map(r => ({ _id: r._id, name: r.name }));
+    },
+
+    async listIds() {
+      return Array.from(collections.rooms.keys());
+    },
+
+    async clearAllMembers() {
+      for (const id of collections.rooms.keys()) patch('rooms', id, { members: [] });
+    },
+
+    // Converts rooms still keeping youtube/youtubeQueue; returns how many changed.
+    async migrateLegacyMedia() {
+      const legacy = filter('rooms', r => 'youtube' in r || 'youtubeQueue' in r);
+      legacy.forEach(r => collections.rooms.set(r._id, legacyRoomMedia(r)));
+      if (legacy.length) markDirty();
+      return legacy.length;
+    }
+  };
+
+  const messages = {
+    async create(data) {
+      return clone(insert('messages', data));
+    },
+
+    async findById(id) {
+      return clone(get('messages', id));
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set((Array.isArray(ids) ? ids : []).map(String));
+      return clone(filter('messages', m => wanted.has(m._id)));
+    },
+
+    async update(id, changes) {
+      return clone(patch('messages', id, changes));
+    },
+
+    // Nothing awaits between the read and the write, so this is atomic like the Mongo version.
+    async toggleReaction(id, { emoji, userId, maxEmoji }) {
+      const doc = get('messages', id);
+      if (!doc) return null;
+      const uid = String(userId);
+      const reactions = (doc.reactions || []).map(r => ({ emoji: r.emoji, userIds: [...(r.userIds || [])] }));
+      let entry = reactions.find(r => r.emoji === emoji);
+      const reacted = !entry?.userIds.includes(uid);
+      if (reacted && !entry) {
+        if (reactions.length >= maxEmoji) return { message: clone(doc), reacted: null };
+        entry = { emoji, userIds: [] };
+        reactions.push(entry);
+      }
+      entry.userIds = reacted ? [...entry.userIds, uid] : entry.userIds.filter(u => u !== uid);
+      return { message: clone(patch('messages', id, { reactions: reactions.filter(r => r.userIds.length) })), reacted };
+    },
+
+    async listReplies(messageId, { limit = 500 } = {}) {
+      const id = String(messageId);
+      const list = filter('messages', m => m.replyToMessageId === id)
+        .sort((a, b) => timeOf(a.timestamp) - timeOf(b.timestamp));
+      return clone(list.slice(0, limit));
+    },
+
+    async listByRoom(roomId, { before, limit = 100 } = {}) {
+      const id = String(roomId);
+      const beforeMs = before ? timeOf(before) : Infinity;
+      const list = filter('messages', m => m.roomId === id && timeOf(m.timestamp) < beforeMs)
+        .sort((a, b) => timeOf(a.timestamp) - timeOf(b.timestamp));
+      return clone(list.slice(Math.max(0, list.length - limit)));
+    },
+
+    async search(query, { roomIds, limit = 20 } = {}) {
+      const ids = new Set((Array.isArray(roomIds) ? roomIds : []).map(String));
+      return searchText('messages', query, m => ids.has(m.roomId) && !m.system && !m.deletedAt, limit);
+    }
+  };
+
+  const directMessages = {
+    async create(data) {
+      return clone(insert('directMessages', data));
+    },
+
+    async countWithImage(fileId) {
+      return filter('directMessages', d => d.image?.fileId === String(fileId)).length;
+    },
+
+    async listConversation(userA, userB, { before, limit = 100 } = {}) {
+      const a = String(userA);
+      const b = String(userB);
+      const beforeMs = before ? timeOf(before) : Infinity;
+      const list = filter('directMessages', d => (
+        ((d.fromUserId === a && d.toUserId === b) || (d.fromUserId === b && d.toUserId === a)) &&
+        timeOf(d.timestamp) < beforeMs
+      )).sort((x, y) => timeOf(x.timestamp) - timeOf(y.timestamp));
+      return clone(list.slice(Math.max(0, list.length - limit)));
+    },
+
+    async listByConversation(conversationId, { before, limit = 100 } = {}) {
+      const id = String(conversationId);
+      const beforeMs = before ? timeOf(before) : Infinity;
+      const list = filter('directMessages', d => d.conversationId === id && timeOf(d.timestamp) < beforeMs)
+        .sort((x, y) => timeOf(x.timestamp) - timeOf(y.timestamp));
+      return clone(list.slice(Math.max(0, list.length - limit)));
+    },
+
+    async markDelivered(toUserId, at = new Date()) {
+      const id = String(toUserId);
+      const senders = new Set();
+      for (const d of filter('directMessages', d => d.toUserId === id && !d.deliveredAt)) {
+        patch('directMessages', d._id, { deliveredAt: at });
+        senders.add(d.fromUserId);
+      }
+      return Array.from(senders);
+    },
+
+    async markRead(toUserId, fromUserId, { upTo, at = new Date() } = {}) {
+      const to = String(toUserId);
+      const from = String(fromUserId);
+      const upToMs = upTo ? timeOf(upTo) : Infinity;
+      const unread = filter('directMessages', d => (
+        d.toUserId === to && d.fromUserId === from && !d.readAt && timeOf(d.timestamp) <= upToMs
+      ));
+      for (const d of unread) {
+        patch('directMessages', d._id, { readAt: at, deliveredAt: d.deliveredAt || at });
+      }
+      return unread.length;
+    },
+
+    async countUnreadBySender(toUserId) {
+      const id = String(toUserId);
+      const counts = {};
+      for (const d of filter('directMessages', d => d.toUserId === id && !d.readAt)) {
+        counts[d.fromUserId] = (counts[d.fromUserId] || 0) + 1;
+      }
+      return counts;
+    },
+
+    async search(query, { userId, conversationIds, limit = 20 } = {}) {
+      const uid = String(userId);
+      const groups = new Set((Array.isArray(conversationIds) ? conversationIds : []).map(String));
+      return searchText('directMessages', query, d => (
+        d.conversationId ? groups.has(d.conversationId) : (d.fromUserId === uid || d.toUserId === uid)
+      ), limit);
+    }
+  };
+
+  const newestFirst = (x, y) => timeOf(y.timestamp) - timeOf(x.timestamp);
+
+  const conversations = {
+    async create(data) {
+      return clone(insert('conversations', data));
+    },
+
+    async findById(id) {
+      return clone(get('conversations', id));
+    },
+
+    async update(id, changes) {
+      if (!get('conversations', id)) return null;
+      return clone(patch('conversations', id, changes));
+    },
+
+    async listForUser(userId, { limit = 100 } = {}) {
+      const id = String(userId);
+      const list = filter('conversations', c => c.participantIds.includes(id))
+        .sort((a, b) => timeOf(b.lastMessageAt) - timeOf(a.lastMessageAt));
+      return clone(list.slice(0, limit));
+    }
+  };
+
+  const feedPosts = {
+    async create(data) {
+      return clone(insert('feedPosts', data));
+    },
+
+    async findById(id) {
+      return clone(get('feedPosts', id));
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set((Array.isArray(ids) ? ids : []).map(String));
+      return clone(filter('feedPosts', p => wanted.has(p._id)));
+    },
+
+    async update(id, changes) {
+      if (!get('feedPosts', id)) return null;
+      return clone(patch('feedPosts', id, changes));
+    },
+
+    async toggleReaction(id, { userId, type }) {
+      const doc = get('feedPosts', id);
+      if (!doc) return null;
+      const uid = String(userId);
+      const previous = doc.reactions.find(r => r.userId === uid);
+      const reactions = doc.reactions.filter(r => r.userId !== uid);
+      if (previous?.type !== type) reactions.push({ userId: uid, type, createdAt: new Date() });
+      return clone(patch('feedPosts', id, { reactions }));
+    },
+
+    async setPollVotes(id, { userId, optionIds }) {
+      const doc = get('feedPosts', id);
+      if (!doc?.poll || (doc.poll.closesAt && timeOf(doc.poll.closesAt) <= Date.now())) return null;
+      const uid = String(userId);
+      const chosen = new Set((optionIds || []).map(String));
+      const options = doc.poll.options.map(o => ({
+        ...o,
+        voterIds: [...o.voterIds.filter(v => v !== uid), ...(chosen.has(o._id) ? [uid] : [])]
+      }));
+      return clone(patch('feedPosts', id, { poll: { ...doc.poll, options } }));
+    },
+
+    async addComment(id, comment, { tags = [], limit }) {
+      const doc = get('feedPosts', id);
+      if (!doc) return null;
+      return clone(patch('feedPosts', id, {
+        comments: [...doc.comments, comment].slice(-limit),
+        tags: Array.from(new Set([...(doc.tags || []), ...tags]))
+      }));
+    },
+
+    async editComment(id, commentId, changes) {
+      const doc = get('feedPosts', id);
+      const cid = String(commentId);
+      if (!doc?.comments.some(c => c._id === cid)) return null;
+      const comments = doc.comments.map(c => (c._id === cid ? { ...c, ...changes } : c));
+      return clone(patch('feedPosts', id, { comments }));
+    },
+
+    async pullComment(id, commentId) {
+      const doc = get('feedPosts', id);
+      const cid = String(commentId);
+      if (!doc?.comments.some(c => c._id === cid)) return null;
+      const thread = new Set([cid]);
+      for (const c of doc.comments) {
+        if (c.parentCommentId && thread.has(c.parentCommentId)) thread.add(c._id);
+      }
+      return clone(patch('feedPosts', id, { comments: doc.comments.filter(c => !thread.has(c._id)) }));
+    },
+
+    async countWithImage(fileId) {
+      return filter('feedPosts', p => p.images.some(i => i.fileId === String(fileId))).length;
+    },
+
+    async incrementShares(id, by) {
+      const doc = get('feedPosts', id);
+      if (!doc) return null;
+      return clone(patch('feedPosts', id, { shareCount: Math.max(0, (doc.shareCount || 0) + by) }));
+    },
+
+    async delete(id) {
+      if (!get('feedPosts', id)) return null;
+      return clone(remove('feedPosts', id));
+    },
+
+    async listRecent({ limit = 50, before, authorIds, tag, visibleTo } = {}) {
+      const beforeMs = before ? timeOf(before) : Infinity;
+      const authors = authorIds ? new Set(authorIds.map(String)) : null;
+      const list = filter('feedPosts', p => (
+        timeOf(p.timestamp) < beforeMs &&
+        (!authors || authors.has(p.authorId)) &&
+        (!tag || (p.tags || []).includes(tag)) &&
+        isFeedPostVisible(p, visibleTo)
+      ));
+      return clone(list.sort(newestFirst).slice(0, limit));
+    },
+
+    async listTrending({ since, offset = 0, limit = 20, visibleTo } = {}) {
+      const sinceMs = timeOf(since);
+      const recentActivity = p => (
+        p.reactions.filter(r => timeOf(r.createdAt) >= sinceMs).length +
+        p.comments.filter(c => timeOf(c.timestamp) >= sinceMs).length
+      );
+      const ranked = filter('feedPosts', p => (
+        (timeOf(p.timestamp) >= sinceMs || recentActivity(p) > 0) && isFeedPostVisible(p, visibleTo)
+      ))
+        .map(p => ({ post: p, score: recentActivity(p) }))
+        .sort((x, y) => y.score - x.score || newestFirst(x.post, y.post));
+      return clone(ranked.slice(offset, offset + limit).map(r => r.post));
+    },
+
+    async listByAuthor(authorId, { limit = 50, visibleTo } = {}) {
+      const id = String(authorId);
+      return clone(
+        filter('feedPosts', p => p.authorId === id && isFeedPostVisible(p, visibleTo)).sort(newestFirst).slice(0, limit)
+      );
+    },
+
+    async search(query, { limit = 20, visibleTo } = {}) {
+      return searchText('feedPosts', query, p => isFeedPostVisible(p, visibleTo), limit);
+    },
+
+    async countTags({ since, limit = 10 } = {}) {
+      const sinceMs = timeOf(since);
+      const counts = new Map();
+      filter('feedPosts', p => timeOf(p.timestamp) >= sinceMs && isFeedPostVisible(p, { userId: null }))
+        .forEach(p => (p.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+      return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+    },
+
+    // Converts posts still in the { fireUserIds } reactions format; returns how many changed.
+    async migrateLegacyReactions() {
+      const legacy = filter('feedPosts', p => !Array.isArray(p.reactions));
+      legacy.forEach(p => patch('feedPosts', p._id, { reactions: legacyFeedReactions(p.reactions, p.timestamp) }));
+      return legacy.length;
+    }
+  };
+
+  const sessions = {
+    async create(data) {
+      // Stand-in for the TTL index on Session.expiresAt.
+      const now = Date.now();
+      for (const session of filter('sessions', s => timeOf(s.expiresAt) <= now)) {
+        collections.sessions.delete(session._id);
+      }
+      return clone(insert('sessions', data));
+    },
+
+    async findById(id) {
+      return clone(get('sessions', id));
+    },
+
+    async update(id, changes) {
+      if (!get('sessions', id)) return null;
+      return clone(patch('sessions', id, changes));
+    },
+
+    async revoke(id) {
+      const session = get('sessions', id);
+      if (!session || session.revokedAt) return false;
+      patch('sessions', id, { revokedAt: new Date() });
+      return true;
+    },
+
+    async revokeAllForUser(userId, { exceptId } = {}) {
+      const uid = String(userId);
+      const now = new Date();
+      for (const session of filter('sessions', s => s.userId === uid && !s.revokedAt && s._id !== String(exceptId || ''))) {
+        patch('sessions', session._id, { revokedAt: now });
+      }
+    }
+  };
+
+  const uploads = {
+    // A Writable for one file's body; the file exists once it finishes. `fileId` is set up front.
+    createUploadStream({ filename, contentType, metadata }) {
+      const id = newId();
+      const chunks = [];
+      let length = 0;
+      let stored = false;
+      let out = null;
+      if (blobDir) {
+        fs.mkdirSync(blobDir, { recursive: true });
+        out = fs.createWriteStream(blobPathOf(id));
+      }
+
+      const store = () => {
+        stored = true;
+        files.set(id, {
+          meta: {
+            id,
+            filename,
+            contentType: contentType || 'application/octet-stream',
+            length,
+            uploadDate: new Date(),
+            metadata: clone(metadata) || {}
+          },
+          ...(out ? {} : { buffer: Buffer.concat(chunks) })
+        });
+        markDirty();
+      };
+
+      const stream = new Writable({
+        write(chunk, _encoding, next) {
+          length += chunk.length;
+          if (!out) {
+            chunks.push(chunk);
+            return next();
+          }
+          out.write(chunk, next);
+        },
+        final(done) {
+          if (!out) {
+            store();
+            return done();
+          }
+          out.end(() => {
+            store();
+            done();
+          });
+        },
+        // Also runs after a successful finish; only unfinished bodies are removed.
+        destroy(err, done) {
+          if (!out || stored) return done(err);
+          out.destroy();
+          fs.rm(blobPathOf(id), { force: true }, () => done(err));
+        }
+      });
+      out?.on('error', e => stream.destroy(e));
+      stream.fileId = id;
+      return stream;
+    },
+
+    save({ buffer, filename, contentType, metadata }) {
+      return new Promise((resolve, reject) => {
+        const stream = uploads.createUploadStream({ filename, contentType, metadata });
+        stream.on('error', reject);
+        stream.on('finish', () => resolve({ fileId: stream.fileId }));
+        stream.end(Buffer.from(buffer || []));
+      });
+    },
+
+    async findFile(id) {
+      return clone(files.get(String(id))?.meta || null);
+    },
+
+    async delete(id) {
+      const key = String(id);
+      const file = files.get(key);
+      if (!file) return false;
+      files.delete(key);
+      markDirty();
+      if (!file.buffer) await fs.promises.rm(blobPathOf(key), { force: true });
+      return true;
+    },
+
+    // `end` is exclusive, matching GridFSBucket.openDownloadStream.
+    openDownloadStream(id, { start, end } = {}) {
+      const file = files.get(String(id));
+      if (!file) {
+        return new Readable({
+          read() {
+            this.destroy(new Error(`FileNotFound: file ${id} was not found`));
+          }
+        });
+      }
+      const from = Number.isFinite(start) ? start : 0;
+      const to = Number.isFinite(end) ? end : file.meta.length;
+      if (file.buffer) return Readable.from([file.buffer.subarray(from, to)]);
+      if (to <= from) return Readable.from([]);
+      return fs.createReadStream(blobPathOf(String(id)), { start: from, end: to - 1 });
+    }
+  };
+
+  loadSnapshot();
+
+  return {
+    kind: 'memory',
+    users,
+    rooms,
+    messages,
+    directMessages,
+    conversations,
+    feedPosts,
+    sessions,
+    uploads,
+    async flush() {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+      await writeSnapshot();
+    }
+  };
+}
+
+module.exports = createMemoryStorage;
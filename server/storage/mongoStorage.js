@@ -0,0 +1,750 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const RoomModel = require('../models/Room');
+const Message = require('../models/Message');
+const DirectMessage = require('../models/DirectMessage');
+const Conversation = require('../models/Conversation');
+const FeedPost = require('../models/FeedPost');
+const Session = require('../models/Session');
+
+// Repositories hand out plain objects with string ids so callers never see
+// ObjectIds or mongoose documents (and behave the same as the memory backend).
+function toPlain(value) {
+  if (value == null) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (key === '__v') continue;
+      out[key] = toPlain(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+function isValidId(id) {
+  return mongoose.isValidObjectId(id) && /^[a-f0-9]{24}$/i.test(String(id));
+}
+
+function validIds(ids) {
+  return (Array.isArray(ids) ? ids : []).map(String).filter(isValidId);
+}
+
+// $text match sorted by relevance, newest first among equal scores.
+function textSearch(Model, query, filter, limit) {
+  return Model.find({ ...filter, $text: { $search: String(query) } }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, timestamp: -1 })
+    .limit(limit)
+    .lean();
+}
+
+// Feed posts a viewer may see. `visibleTo` is { userId, friendIds, hiddenAuthorIds } (userId null for
+// anonymous viewers); posts saved before visibility existed count as public.
+function feedVisibilityFilter(visibleTo) {
+  if (!visibleTo) return {};
+  const { userId, friendIds = [], hiddenAuthorIds = [] } = visibleTo;
+  const allowed = [{ visibility: { $nin: ['friends', 'private'] } }];
+  if (userId) {
+    allowed.push({ authorId: String(userId) }, { visibility: 'friends', authorId: { $in: friendIds.map(String) } });
+  }
+  return { authorId: { $nin: hiddenAuthorIds.map(String) }, $or: allowed };
+}
+
+function createUserRepository() {
+  return {
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await User.findById(id).lean());
+    },
+
+    async findByIds(ids) {
+      const list = validIds(ids);
+      if (!list.length) return [];
+      return toPlain(await User.find({ _id: { $in: list } }).lean());
+    },
+
+    async findByUsername(username, { includeGuests = false } = {}) {
+      const filter = { username: String(username || '') };
+      if (!includeGuests) filter.isGuest = false;
+      return toPlain(await User.findOne(filter).lean());
+    },
+
+    async findByUsernames(usernames) {
+      const list = (Array.isArray(usernames) ? usernames : []).map(String);
+      if (!list.length) return [];
+      return toPlain(await User.find({ username: { $in: list } }).lean());
+    },
+
+    // Ids of the users who have `userId` on their block list.
+    async findIdsBlocking(userId) {
+      if (!isValidId(userId)) return [];
+      const docs = await User.find({ blockedUsers: userId }).select({ _id: 1 }).lean();
+      return docs.map(d => d._id.toString());
+    },
+
+    async findByEmail(email, { excludeId } = {}) {
+      const filter = { email: String(email || ''), isGuest: false };
+      if (excludeId && isValidId(excludeId)) filter._id = { $ne: excludeId };
+      return toPlain(await User.findOne(filter).lean());
+    },
+
+    async findByEmailVerificationToken(tokenHash) {
+      return toPlain(await User.findOne({
+        emailVerificationTokenHash: tokenHash,
+        emailVerificationExpiresAt: { $gt: new Date() },
+        isGuest: false
+      }).lean());
+    },
+
+    async findByPasswordResetToken(tokenHash) {
+      return toPlain(await User.findOne({
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpiresAt: { $gt: new Date() },
+        isGuest: false
+      }).lean());
+    },
+
+    async create(data) {
+      const doc = new User(data);
+      // Guest usernames bypass maxlength validation
+      await doc.save({ validateBeforeSave: !data?.isGuest });
+      return toPlain(doc.toObject());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await User.findByIdAndUpdate(id, { $set: patch }, { new: true, runValidators: true }).lean());
+    },
+
+    // The list updates below each touch only the entries they change, so concurrent friend
+    // requests, accepts and unfriends don't overwrite each other.
+
+    // Records a request from `fromId` unless one is already pending; returns whether it was added.
+    async addFriendRequest(id, fromId) {
+      if (!isValidId(id) || !isValidId(fromId)) return false;
+      const result = await User.updateOne(
+        { _id: id, 'friendRequests.from': { $ne: fromId } },
+        { $push: { friendRequests: { from: fromId, timestamp: new Date() } } }
+      );
+      return result.modifiedCount > 0;
+    },
+
+    async pullFriendRequest(id, fromId) {
+      if (!isValidId(id) || !isValidId(fromId)) return;
+      await User.updateOne({ _id: id }, { $pull: { friendRequests: { from: fromId } } });
+    },
+
+    // Adds `friendId` to the friends list and drops any request from them.
+    async addFriend(id, friendId) {
+      if (!isValidId(id) || !isValidId(friendId)) return;
+      await User.updateOne({ _id: id }, {
+        $addToSet: { friends: friendId },
+        $pull: { friendRequests: { from: friendId } }
+      });
+    },
+
+    // Drops `friendId` from the friends list along with any request from them.
+    async removeFriend(id, friendId) {
+      if (!isValidId(id) || !isValidId(friendId)) return;
+      await User.updateOne({ _id: id }, {
+        $pull: { friends: friendId, friendRequests: { from: friendId } }
+      });
+    },
+
+    // Blocks `targetId`, which also unfriends them and drops their request.
+    async block(id, targetId) {
+      if (!isValidId(id) || !isValidId(targetId)) return;
+      await User.updateOne({ _id: id }, {
+        $addToSet: { blockedUsers: targetId },
+        $pull: { friends: targetId, friendRequests: { from: targetId } }
+      });
+    }
+  };
+}
+
+function createRoomRepository() {
+  return {
+    async create(data) {
+      return toPlain((await RoomModel.create(data)).toObject());
+    },
+
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await RoomModel.findById(id).lean());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await RoomModel.findByIdAndUpdate(id, { $set: patch }, { new: true }).lean());
+    },
+
+    async addMember(id, userId) {
+      if (!isValidId(id)) return;
+      await RoomModel.findByIdAndUpdate(id, {
+        $addToSet: { members: String(userId) },
+        $set: { lastActivity: new Date() }
+      });
+    },
+
+    async removeMember(id, userId) {
+      if (!isValidId(id)) return;
+      await RoomModel.findByIdAndUpdate(id, {
+        $pull: { members: String(userId) },
+        $set: { lastActivity: new Date() }
+      });
+    },
+
+    async listPublic({ limit = 200 } = {}) {
+      return toPlain(await RoomModel.find({ isPrivate: false }).sort({ lastActivity: -1 }).limit(limit).lean());
+    },
+
+    // Rooms whose history `userId` may search: public ones plus private rooms they host or belong to.
+    async listAccessible(userId) {
+      const uid = String(userId);
+      const docs = await RoomModel.find({ $or: [{ isPrivate: false }, { host: uid }, { members: uid }] })
+        .select({ _id: 1, name: 1 })
+        .lean();
+      return toPlain(docs);
+    },
+
+    async findInactiveSince(cutoff) {
+      return toPlain(await RoomModel.find({ lastActivity: { $lt: cutoff } }).select({ _id: 1, name: 1 }).lean());
+    },
+
+    async listIds() {
+      const docs = await RoomModel.find({}).select({ _id: 1 }).lean();
+      return docs.map(d => d._id.toString());
+    },
+
+    async clearAllMembers() {
+      await RoomModel.updateMany({}, { $set: { members: [] } });
+    },
+
+    // Rooms used to keep { youtube: { videoId, ... }, youtubeQueue: [{ videoId, ... }] }; those
+    // become { media: { source, ... }, mediaQueue: [{ source, ... }] } with YouTube sources.
+    // Returns how many rooms changed.
+    async migrateLegacyMedia() {
+      const youtubeSource = (videoId) => ({ $cond: [{ $ifNull: [videoId, false] }, { kind: 'youtube', videoId }, null] });
+      const result = await RoomModel.collection.updateMany(
+        { $or: [{ youtube: { $exists: true } }, { youtubeQueue: { $exists: true } }] },
+        [
+          {
+            $set: {
+              media: {
+                $ifNull: ['$media', {
+                  source: youtubeSource('$youtube.videoId'),
+                  playing: { $ifNull: ['$youtube.playing', false] },
+                  timestamp: { $ifNull: ['$youtube.timestamp', 0] },
+                  lastUpdate: { $ifNull: ['$youtube.lastUpdate', '$$NOW'] }
+                }]
+              },
+              mediaQueue: {
+                $concatArrays: [
+                  { $ifNull: ['$mediaQueue', []] },
+                  {
+                    $map: {
+                      input: { $ifNull: ['$youtubeQueue', []] },
+                      as: 'item',
+                      in: {
+                        id: '$$item.id',
+                        source: youtubeSource('$$item.videoId'),
+                        addedById: '$$item.addedById',
+                        addedByUsername: '$$item.addedByUsername',
+                        upvoterIds: { $ifNull: ['$$item.upvoterIds', []] },
+                        addedAt: '$$item.addedAt'
+                      }
+                    }
+                  }
+                ]
+              }
+            }
+          },
+          { $unset: ['youtube', 'youtubeQueue'] }
+        ]
+      );
+      return result.modifiedCount || 0;
+    }
+  };
+}
+
+function createMessageRepository() {
+  return {
+    async create(data) {
+      return toPlain((await Message.create(data)).toObject());
+    },
+
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Message.findById(id).lean());
+    },
+
+    async findByIds(ids) {
+      const list = validIds(ids);
+      if (!list.length) return [];
+      return toPlain(await Message.find({ _id: { $in: list } }).lean());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Message.findByIdAndUpdate(id, { $set: patch }, { new: true, runValidators: true }).lean());
+    },
+
+    // Adds or removes `userId` under `emoji` with single-document updates, so concurrent reactions
+    // don't overwrite each other. Returns { message, reacted } (reacted is null when the emoji would
+    // be one more than `maxEmoji`), or null when there's no such message.
+    async toggleReaction(id, { emoji, userId, maxEmoji }) {
+      if (!isValidId(id)) return null;
+      const uid = String(userId);
+
+      const removed = await Message.findOneAndUpdate(
+        { _id: id, reactions: { $elemMatch: { emoji, userIds: uid } } },
+        { $pull: { 'reactions.$.userIds': uid } }
+      ).lean();
+      if (removed) {
+        const cleaned = await Message.findByIdAndUpdate(id, { $pull: { reactions: { userIds: { $size: 0 } } } }, { new: true }).lean();
+        return { message: toPlain(cleaned), reacted: false };
+      }
+
+      // Join the emoji's entry, or start one while there's room; someone may start it meanwhile.
+      for (let attempt = 0; attempt < 2; attempt += 1) {
+        const joined = await Message.findOneAndUpdate(
+          { _id: id, 'reactions.emoji': emoji },
+          { $addToSet: { 'reactions.$.userIds': uid } },
+          { new: true }
+        ).lean();
+        if (joined) return { message: toPlain(joined), reacted: true };
+
+        const started = await Message.findOneAndUpdate(
+          { _id: id, 'reactions.emoji': { $ne: emoji }, [`reactions.${maxEmoji - 1}`]: { $exists: false } },
+          { $push: { reactions: { emoji, userIds: [uid] } } },
+          { new: true }
+        ).lean();
+        if (started) return { message: toPlain(started), reacted: true };
+      }
+
+      const doc = await Message.findById(id).lean();
+      return doc ? { message: toPlain(doc), reacted: null } : null;
+    },
+
+    // Replies in a thread, oldest first.
+    async listReplies(messageId, { limit = 500 } = {}) {
+      if (!isValidId(messageId)) return [];
+      return toPlain(await Message.find({ replyToMessageId: messageId }).sort({ timestamp: 1 }).limit(limit).lean());
+    },
+
+    // Newest `limit` messages of a room before `before`, returned oldest first.
+    async listByRoom(roomId, { before, limit = 100 } = {}) {
+      if (!isValidId(roomId)) return [];
+      const query = before ? { roomId, timestamp: { $lt: before } } : { roomId };
+      const docs = await Message.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+      return toPlain(docs.reverse());
+    },
+
+    // Live (not system, not deleted) messages in `roomIds` matching `query`.
+    async search(query, { roomIds, limit = 20 } = {}) {
+      const ids = validIds(roomIds);
+      if (!ids.length) return [];
+      return toPlain(await textSearch(Message, query, { roomId: { $in: ids }, system: { $ne: true }, deletedAt: null }, limit));
+    }
+  };
+}
+
+function createDirectMessageRepository() {
+  return {
+    async create(data) {
+      return toPlain((await DirectMessage.create(data)).toObject());
+    },
+
+    async countWithImage(fileId) {
+      return DirectMessage.countDocuments({ 'image.fileId': String(fileId) });
+    },
+
+    // Messages between two users, newest `limit` before `before`, returned oldest first.
+    async listConversation(userA, userB, { before, limit = 100 } = {}) {
+      const baseMatch = {
+        $or: [
+          { fromUserId: String(userA), toUserId: String(userB) },
+          { fromUserId: String(userB), toUserId: String(userA) }
+        ]
+      };
+      const query = before ? { $and: [baseMatch, { timestamp: { $lt: before } }] } : baseMatch;
+      const docs = await DirectMessage.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+      return toPlain(docs.reverse());
+    },
+
+    // Newest `limit` messages of a group conversation before `before`, returned oldest first.
+    async listByConversation(conversationId, { before, limit = 100 } = {}) {
+      if (!isValidId(conversationId)) return [];
+      const query = before ? { conversationId, timestamp: { $lt: before } } : { conversationId };
+      const docs = await DirectMessage.find(query).sort({ timestamp: -1 }).limit(limit).lean();
+      return toPlain(docs.reverse());
+    },
+
+    // Marks everything waiting for `toUserId` as delivered; returns the distinct sender ids.
+    async markDelivered(toUserId, at = new Date()) {
+      const filter = { toUserId: String(toUserId), deliveredAt: null };
+      const senders = await DirectMessage.distinct('fromUserId', filter);
+      if (senders.length) await DirectMessage.updateMany(filter, { $set: { deliveredAt: at } });
+      return senders.map(String);
+    },
+
+    // Marks messages from `fromUserId` to `toUserId` up to `upTo` as read; returns how many changed.
+    async markRead(toUserId, fromUserId, { upTo, at = new Date() } = {}) {
+      const filter = { toUserId: String(toUserId), fromUserId: String(fromUserId), readAt: null };
+      if (upTo) filter.timestamp = { $lte: upTo };
+      await DirectMessage.updateMany({ ...filter, deliveredAt: null }, { $set: { deliveredAt: at } });
+      const result = await DirectMessage.updateMany(filter, { $set: { readAt: at } });
+      return result.modifiedCount || 0;
+    },
+
+    async countUnreadBySender(toUserId) {
+      const rows = await DirectMessage.aggregate([
+        { $match: { toUserId: String(toUserId), readAt: null } },
+        { $group: { _id: '$fromUserId', count: { $sum: 1 } } }
+      ]);
+      return Object.fromEntries(rows.map(r => [String(r._id), r.count]));
+    },
+
+    // 1:1 messages `userId` sent or received, plus messages in their group `conversationIds`.
+    async search(query, { userId, conversationIds, limit = 20 } = {}) {
+      const uid = String(userId);
+      const scope = [{ conversationId: null, fromUserId: uid }, { conversationId: null, toUserId: uid }];
+      const groups = validIds(conversationIds);
+      if (groups.length) scope.push({ conversationId: { $in: groups } });
+      return toPlain(await textSearch(DirectMessage, query, { $or: scope }, limit));
+    }
+  };
+}
+
+function createConversationRepository() {
+  return {
+    async create(data) {
+      return toPlain((await Conversation.create(data)).toObject());
+    },
+
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Conversation.findById(id).lean());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Conversation.findByIdAndUpdate(id, { $set: patch }, { new: true, runValidators: true }).lean());
+    },
+
+    async listForUser(userId, { limit = 100 } = {}) {
+      return toPlain(await Conversation.find({ participantIds: String(userId) }).sort({ lastMessageAt: -1 }).limit(limit).lean());
+    }
+  };
+}
+
+function createFeedPostRepository() {
+  return {
+    async create(data) {
+      return toPlain((await FeedPost.create(data)).toObject());
+    },
+
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await FeedPost.findById(id).lean());
+    },
+
+    async findByIds(ids) {
+      const list = validIds(ids);
+      if (!list.length) return [];
+      return toPlain(await FeedPost.find({ _id: { $in: list } }).lean());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await FeedPost.findByIdAndUpdate(id, { $set: patch }, { new: true, runValidators: true }).lean());
+    },
+
+    // One reaction per user: `type` again removes theirs, another type replaces it. A single
+    // pipeline update, so concurrent reactions don't overwrite each other.
+    async toggleReaction(id, { userId, type }) {
+      if (!isValidId(id)) return null;
+      const uid = String(userId);
+      const reactions = { $ifNull: ['$reactions', []] };
+      const others = { $filter: { input: reactions, cond: { $ne: ['$$this.userId', uid] } } };
+      const same = { $in: [{ userId: uid, type }, { $map: { input: reactions, in: { userId: '$$this.userId', type: '$$this.type' } } }] };
+      const update = [{
+        $set: { reactions: { $cond: [same, others, { $concatArrays: [others, [{ userId: uid, type, createdAt: '$$NOW' }]] }] } }
+      }];
+      return toPlain(await FeedPost.findByIdAndUpdate(id, update, { new: true, updatePipeline: true }).lean());
+    },
+
+    // Replaces `userId`'s votes with `optionIds` in one update while the poll is open; returns the
+    // updated post, or null if it's gone or closed.
+    async setPollVotes(id, { userId, optionIds }) {
+      if (!isValidId(id)) return null;
+      const uid = String(userId);
+      const chosen = validIds(optionIds).map(o => new mongoose.Types.ObjectId(o));
+      const update = [{
+        $set: {
+          'poll.options': {
+            $map: {
+              input: '$poll.options',
+              as: 'option',
+              in: {
+                $mergeObjects: ['$$option', {
+                  voterIds: {
+                    $concatArrays: [
+                      { $filter: { input: { $ifNull: ['$$option.voterIds', []] }, cond: { $ne: ['$$this', uid] } } },
+                      { $cond: [{ $in: ['$$option._id', chosen] }, [uid], []] }
+                    ]
+                  }
+                }]
+              }
+            }
+          }
+        }
+      }];
+      const open = { $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: new Date() } }] };
+      return toPlain(await FeedPost.findOneAndUpdate({ _id: id, poll: { $ne: null }, ...open }, update, { new: true, updatePipeline: true }).lean());
+    },
+
+    // Appends `comment`, keeping only the newest `limit`, and adds its `tags`. Returns the updated
+    // post, or null if it's gone.
+    async addComment(id, comment, { tags = [], limit }) {
+      if (!isValidId(id)) return null;
+      const update = {
+        $push: { comments: { $each: [comment], $slice: -limit } },
+        $addToSet: { tags: { $each: tags } }
+      };
+      return toPlain(await FeedPost.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean());
+    },
+
+    // Sets fields of one comment in place; returns the updated post, or null if either is gone.
+    async editComment(id, commentId, changes) {
+      if (!isValidId(id) || !isValidId(commentId)) return null;
+      const set = Object.fromEntries(Object.entries(changes).map(([key, value]) => [`comments.$.${key}`, value]));
+      return toPlain(await FeedPost.findOneAndUpdate(
+        { _id: id, 'comments._id': commentId },
+        { $set: set },
+        { new: true, runValidators: true }
+      ).lean());
+    },
+
+    // Removes a comment and every reply under it in one update. Replies always come after their
+    // parent, so a single pass collects the thread. Returns the updated post, or null if either is gone.
+    async pullComment(id, commentId) {
+      if (!isValidId(id) || !isValidId(commentId)) return null;
+      const target = new mongoose.Types.ObjectId(commentId);
+      const comments = { $ifNull: ['$comments', []] };
+      const thread = {
+        $reduce: {
+          input: comments,
+          initialValue: [target],
+          in: { $cond: [{ $in: ['$$this.parentCommentId', '$$value'] }, { $concatArrays: ['$$value', ['$$this._id']] }, '$$value'] }
+        }
+      };
+      const update = [{
+        $set: {
+          comments: {
+            $let: { vars: { thread }, in: { $filter: { input: comments, cond: { $not: [{ $in: ['$$this._id', '$$thread'] }] } } } }
+          }
+        }
+      }];
+      return toPlain(await FeedPost.findOneAndUpdate({ _id: id, 'comments._id': target }, update, { new: true, updatePipeline: true }).lean());
+    },
+
+    async countWithImage(fileId) {
+      return FeedPost.countDocuments({ 'images.fileId': String(fileId) });
+    },
+
+    // Adds `by` (1 or -1) to shareCount; returns the updated post, or null if it's gone.
+    async incrementShares(id, by) {
+      if (!isValidId(id)) return null;
+      return toPlain(await FeedPost.findByIdAndUpdate(id, { $inc: { shareCount: by } }, { new: true }).lean());
+    },
+
+    // Returns the removed post, or null if there was none.
+    async delete(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await FeedPost.findByIdAndDelete(id).lean());
+    },
+
+    // Newest first, optionally older than `before`, limited to some authors or to one tag.
+    async listRecent({ limit = 50, before, authorIds, tag, visibleTo } = {}) {
+      const conditions = [feedVisibilityFilter(visibleTo)];
+      if (before) conditions.push({ timestamp: { $lt: before } });
+      if (authorIds) conditions.push({ authorId: { $in: authorIds.map(String) } });
+      if (tag) conditions.push({ tags: tag });
+      return toPlain(await FeedPost.find({ $and: conditions }).sort({ timestamp: -1 }).limit(limit).lean());
+    },
+
+    // Posts with activity since `since`, ranked by the reactions plus comments made since then.
+    async listTrending({ since, offset = 0, limit = 20, visibleTo } = {}) {
+      const recent = (field, dateField) => ({
+        $size: { $filter: { input: { $ifNull: [`$${field}`, []] }, as: 'x', cond: { $gte: [`$$x.${dateField}`, since] } } }
+      });
+      const active = [{ timestamp: { $gte: since } }, { 'comments.timestamp': { $gte: since } }, { 'reactions.createdAt': { $gte: since } }];
+      const rows = await FeedPost.aggregate([
+        { $match: { $and: [feedVisibilityFilter(visibleTo), { $or: active }] } },
+        { $addFields: { trendingScore: { $add: [recent('reactions', 'createdAt'), recent('comments', 'timestamp')] } } },
+        { $sort: { trendingScore: -1, timestamp: -1 } },
+        { $skip: offset },
+        { $limit: limit },
+        { $project: { trendingScore: 0 } }
+      ]);
+      return toPlain(rows);
+    },
+
+    async listByAuthor(authorId, { limit = 50, visibleTo } = {}) {
+      const filter = { $and: [{ authorId: String(authorId) }, feedVisibilityFilter(visibleTo)] };
+      return toPlain(await FeedPost.find(filter).sort({ timestamp: -1 }).limit(limit).lean());
+    },
+
+    // Posts whose content or comments match `query`.
+    async search(query, { limit = 20, visibleTo } = {}) {
+      return toPlain(await textSearch(FeedPost, query, feedVisibilityFilter(visibleTo), limit));
+    },
+
+    // [{ tag, count }]: how many public posts since `since` use each tag, most used first.
+    async countTags({ since, limit = 10 } = {}) {
+      const rows = await FeedPost.aggregate([
+        { $match: { $and: [feedVisibilityFilter({ userId: null }), { timestamp: { $gte: since } }] } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit }
+      ]);
+      return rows.map(r => ({ tag: r._id, count: r.count }));
+    },
+
+    // Posts used to store only { fireUserIds }; those become fire reactions dated to the post.
+    // Returns how many posts changed.
+    async migrateLegacyReactions() {
+      const result = await FeedPost.collection.updateMany(
+        { 'reactions.fireUserIds': { $exists: true } },
+        [{
+          $set: {
+            reactions: {
+              $map: {
+                input: { $ifNull: ['$reactions.fireUserIds', []] },
+                as: 'userId',
+                in: { userId: '$$userId', type: 'fire', createdAt: '$timestamp' }
+              }
+            }
+          }
+        }]
+      );
+      return result.modifiedCount || 0;
+    }
+  };
+}
+
+function createSessionRepository() {
+  return {
+    async create(data) {
+      return toPlain((await Session.create(data)).toObject());
+    },
+
+    async findById(id) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Session.findById(id).lean());
+    },
+
+    async update(id, patch) {
+      if (!isValidId(id)) return null;
+      return toPlain(await Session.findByIdAndUpdate(id, { $set: patch }, { new: true }).lean());
+    },
+
+    // Returns true when an active session was revoked.
+    async revoke(id) {
+      if (!isValidId(id)) return false;
+      const result = await Session.updateOne({ _id: id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      return result.modifiedCount > 0;
+    },
+
+    async revokeAllForUser(userId, { exceptId } = {}) {
+      const filter = { userId: String(userId), revokedAt: null };
+      if (exceptId && isValidId(exceptId)) filter._id = { $ne: exceptId };
+      await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+    }
+  };
+}
+
+// GridFS `uploads` bucket.
+function createUploadRepository() {
+  let bucket = null;
+  const getBucket = () => {
+    if (!bucket) bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'uploads' });
+    return bucket;
+  };
+
+  const uploads = {
+    // A Writable for one file's body; the file exists once it finishes. `fileId` is set up front.
+    createUploadStream({ filename, contentType, metadata }) {
+      const stream = getBucket().openUploadStream(filename, { contentType, metadata });
+      stream.fileId = stream.id.toString();
+      return stream;
+    },
+
+    save({ buffer, filename, contentType, metadata }) {
+      return new Promise((resolve, reject) => {
+        const stream = uploads.createUploadStream({ filename, contentType, metadata });
+        stream.on('error', reject);
+        stream.on('finish', () => resolve({ fileId: stream.fileId }));
+        stream.end(buffer);
+      });
+    },
+
+    async findFile(id) {
+      if (!isValidId(id)) return null;
+      const files = await getBucket().find({ _id: new mongoose.Types.ObjectId(id) }).limit(1).toArray();
+      if (!files.length) return null;
+      const file = files[0];
+      return {
+        id: file._id.toString(),
+        filename: file.filename,
+        contentType: file.contentType || file.metadata?.contentType || 'application/octet-stream',
+        length: file.length,
+        uploadDate: file.uploadDate,
+        metadata: file.metadata || {}
+      };
+    },
+
+    // Returns false when there was no such file.
+    async delete(id) {
+      if (!isValidId(id)) return false;
+      try {
+        await getBucket().delete(new mongoose.Types.ObjectId(id));
+        return true;
+      } catch (e) {
+        if (/FileNotFound/i.test(String(e?.message))) return false;
+        throw e;
+      }
+    },
+
+    // `end` is exclusive, matching GridFSBucket.openDownloadStream.
+    openDownloadStream(id, { start, end } = {}) {
+      const options = {};
+      if (Number.isFinite(start)) options.start = start;
+      if (Number.isFinite(end)) options.end = end;
+      return getBucket().openDownloadStream(new mongoose.Types.ObjectId(id), options);
+    }
+  };
+  return uploads;
+}
+
+function createMongoStorage() {
+  return {
+    kind: 'mongo',
+    users: createUserRepository(),
+    rooms: createRoomRepository(),
+    messages: createMessageRepository(),
+    directMessages: createDirectMessageRepository(),
+    conversations: createConversationRepository(),
+    feedPosts: createFeedPostRepository(),
+    sessions: createSessionRepository(),
+    uploads: createUploadRepository(),
+    async flush() {}
+  };
+}
+
+module.exports = createMongoStorage;
@@ -0,0 +1,53 @@
+// Inverted index standing in for MongoDB text indexes in the memory backend.
+// Case-insensitive whole-word matching on letters/digits; a document matches if it
+// contains any query term and scores by how often the terms occur. No stemming or
+// stop words, unlike $text.
+const TOKEN = /[\p{L}\p{N}]+/gu;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(TOKEN) || [];
+}
+
+function createTextIndex() {
+  const postings = new Map(); // term -> Map(docId -> occurrences)
+  const termsByDoc = new Map(); // docId -> Set(term)
+
+  function remove(id) {
+    const terms = termsByDoc.get(id);
+    if (!terms) return;
+    for (const term of terms) {
+      const docs = postings.get(term);
+      docs.delete(id);
+      if (!docs.size) postings.delete(term);
+    }
+    termsByDoc.delete(id);
+  }
+
+  function set(id, text) {
+    remove(id);
+    const counts = new Map();
+    for (const term of tokenize(text)) counts.set(term, (counts.get(term) || 0) + 1);
+    if (!counts.size) return;
+
+    for (const [term, count] of counts) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, count);
+    }
+    termsByDoc.set(id, new Set(counts.keys()));
+  }
+
+  // Returns Map(docId -> score).
+  function search(query) {
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      for (const [id, count] of postings.get(term) || []) {
+        scores.set(id, (scores.get(id) || 0) + count);
+      }
+    }
+    return scores;
+  }
+
+  return { set, remove, search };
+}
+
+module.exports = { createTextIndex };
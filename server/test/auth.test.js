@@ -0,0 +1,164 @@
+const { io: connectSocket } = require('socket.io-client');
+const { startTestServer, expectNoEvent } = require('./helpers');
+
+describe('sessions', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const disconnected = (socket) => new Promise(resolve => socket.once('disconnect', resolve));
+  const refresh = (refreshToken) => server.request('POST', '/api/auth/refresh', { refreshToken });
+  const updateBio = (account, token) => server.request('PUT', `/api/users/${account.id}`, { bio: 'hi' }, token);
+
+  // Resolves with the handshake's connect_error; fails if the socket gets in.
+  function handshakeError(token) {
+    const socket = connectSocket(server.url, { auth: { token }, transports: ['websocket'], reconnection: false, forceNew: true });
+    return new Promise((resolve, reject) => {
+      socket.once('connect', () => reject(new Error('handshake accepted')));
+      socket.once('connect_error', resolve);
+    }).finally(() => socket.disconnect());
+  }
+
+  // A second session for the same account, as from another device.
+  async function login(account) {
+    await server.storage.users.update(account.id, { isEmailVerified: true });
+    const { body } = await server.request('POST', '/api/users/login', { username: account.username, password: 'secret123' });
+    return body.token;
+  }
+
+  test('refresh tokens rotate on use', async () => {
+    const alice = await server.signup('alice');
+
+    const first = await refresh(alice.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ success: true, token: expect.any(String), refreshToken: expect.any(String) });
+    expect(first.body.refreshToken).not.toBe(alice.refreshToken);
+    expect((await updateBio(alice, first.body.token)).status).toBe(200);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+    expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+  });
+
+  test('reusing a stale refresh token revokes the session', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const { body: rotated } = await refresh(alice.refreshToken);
+
+    const gone = disconnected(alice.socket);
+    expect(await refresh(alice.refreshToken)).toEqual({ status: 401, body: { success: false, error: 'Invalid or expired session' } });
+    expect(await gone).toBe('io server disconnect');
+
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await updateBio(alice, rotated.token)).status).toBe(401);
+  });
+
+  test('logging out revokes both tokens', async () => {
+    const alice = await server.signup('alice');
+
+    const { status, body } = await server.request('POST', '/api/auth/logout', { refreshToken: alice.refreshToken }, alice.token);
+    expect({ status, body }).toEqual({ status: 200, body: { success: true } });
+    expect((await refresh(alice.refreshToken)).status).toBe(401);
+    expect((await updateBio(alice, alice.token)).status).toBe(401);
+  });
+
+  test('the socket handshake rejects bad, expired and revoked access tokens', async () => {
+    const alice = await server.signup('alice');
+
+    expect((await handshakeError('not-a-token')).data).toEqual({ code: 'SESSION_EXPIRED' });
+    expect((await handshakeError(`${alice.token}x`)).data).toEqual({ code: 'SESSION_EXPIRED' });
+
+    // Access tokens live 15 minutes.
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 16 * 60 * 1000);
+    try {
+      expect((await handshakeError(alice.token)).data).toEqual({ code: 'SESSION_EXPIRED' });
+    } finally {
+      clock.mockRestore();
+    }
+
+    await server.request('POST', '/api/auth/logout', null, alice.token);
+    expect((await handshakeError(alice.token)).data).toEqual({ code: 'SESSION_EXPIRED' });
+  });
+
+  test('logging out disconnects the sockets of that session only', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const laptop = await server.connect({ token: await login(alice) });
+
+    const gone = disconnected(alice.socket);
+    const stays = expectNoEvent(laptop, 'disconnect');
+    expect((await server.request('POST', '/api/auth/logout', null, alice.token)).body).toEqual({ success: true });
+    expect(await gone).toBe('io server disconnect');
+    await stays;
+  });
+
+  test('changing the password disconnects the other sessions', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const laptop = await server.connect({ token: await login(alice) });
+    const bob = await server.signupAndConnect('bob');
+
+    const gone = disconnected(laptop);
+    const stays = Promise.all([expectNoEvent(alice.socket, 'disconnect'), expectNoEvent(bob.socket, 'disconnect')]);
+    const { body } = await server.request('PUT', `/api/users/${alice.id}/password`, {
+      currentPassword: 'secret123',
+      newPassword: 'secret456'
+    }, alice.token);
+    expect(body.success).toBe(true);
+    expect(await gone).toBe('io server disconnect');
+    await stays;
+  });
+});
+
+describe('account permissions', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signup('alice');
+    bob = await server.signup('bob');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('users may only update their own account', async () => {
+    const own = await server.request('PUT', `/api/users/${alice.id}`, { bio: 'mine' }, alice.token);
+    expect(own.status).toBe(200);
+    expect(own.body.bio).toBe('mine');
+
+    expect(await server.request('PUT', `/api/users/${bob.id}`, { bio: 'hacked' }, alice.token))
+      .toEqual({ status: 403, body: { success: false, error: 'You can only modify your own account' } });
+    expect((await server.storage.users.findById(bob.id)).bio).not.toBe('hacked');
+  });
+
+  test('account routes need an access token', async () => {
+    for (const [method, path, body] of [
+      ['PUT', `/api/users/${alice.id}`, { bio: 'x' }],
+      ['PUT', `/api/users/${alice.id}/password`, { currentPassword: 'secret123', newPassword: 'secret456' }],
+      ['PUT', `/api/admin/users/${alice.id}`, { bio: 'x' }]
+    ]) {
+      expect(await server.request(method, path, body)).toEqual({ status: 401, body: { success: false, error: 'Authentication required' } });
+    }
+  });
+
+  test('admin routes are for moderators only', async () => {
+    expect(await server.request('PUT', `/api/admin/users/${bob.id}`, { bio: 'x' }, alice.token))
+      .toEqual({ status: 403, body: { success: false, error: 'Moderator access required' } });
+    expect((await server.request('PUT', `/api/admin/users/${bob.id}/password`, { newPassword: 'secret456' }, alice.token)).status)
+      .toBe(403);
+
+    await server.storage.users.update(alice.id, { role: 'moderator' });
+    const edited = await server.request('PUT', `/api/admin/users/${bob.id}`, { bio: 'moderated' }, alice.token);
+    expect(edited.status).toBe(200);
+    expect(edited.body.bio).toBe('moderated');
+    const reset = await server.request('PUT', `/api/admin/users/${bob.id}/password`, { newPassword: 'secret456' }, alice.token);
+    expect(reset).toEqual({ status: 200, body: { success: true } });
+  });
+});
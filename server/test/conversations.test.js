@@ -0,0 +1,106 @@
+const { startTestServer, waitFor, emitWithAck, expectNoEvent } = require('./helpers');
+
+describe('group conversations', () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+    carol = await server.signupAndConnect('carol');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const createGroup = async () => {
+    const res = await emitWithAck(alice.socket, 'createConversation', {
+      participantIds: [bob.id, carol.id],
+      title: 'movie night'
+    });
+    expect(res.ok).toBe(true);
+    return res.conversation;
+  };
+
+  test('creates a group and delivers messages to every participant', async () => {
+    const announced = waitFor(carol.socket, 'conversationUpdated');
+    const conversation = await createGroup();
+    expect(conversation).toMatchObject({ title: 'movie night', avatar: '👥', adminId: alice.id });
+    expect(conversation.participants.map(p => p.username)).toEqual(['alice', 'bob', 'carol']);
+    expect((await announced).id).toBe(conversation.id);
+
+    const toBob = waitFor(bob.socket, 'conversationMessage');
+    const toCarol = waitFor(carol.socket, 'conversationMessage');
+    const echoed = waitFor(alice.socket, 'conversationMessage');
+    const ack = await emitWithAck(alice.socket, 'sendConversationMessage', { conversationId: conversation.id, message: 'popcorn?' });
+    const messages = await Promise.all([toBob, toCarol, echoed]);
+    messages.forEach(m => expect(m).toMatchObject({ id: ack.id, conversationId: conversation.id, fromUserId: alice.id, from: 'alice', message: 'popcorn?' }));
+
+    const history = await emitWithAck(carol.socket, 'getConversationMessages', { conversationId: conversation.id });
+    expect(history.messages.map(m => m.message)).toEqual(['popcorn?']);
+
+    const list = await emitWithAck(bob.socket, 'getConversations');
+    expect(list.conversations.map(c => c.id)).toEqual([conversation.id]);
+
+    // Group messages stay out of 1:1 threads.
+    const dm = await emitWithAck(bob.socket, 'getDirectMessages', { withUserId: alice.id });
+    expect(dm.messages).toEqual([]);
+  });
+
+  test('outsiders cannot read or post', async () => {
+    const conversation = await createGroup();
+    const dave = await server.signupAndConnect('dave');
+
+    expect(await emitWithAck(dave.socket, 'sendConversationMessage', { conversationId: conversation.id, message: 'hi' }))
+      .toEqual({ ok: false, message: 'Conversation not found' });
+    expect((await emitWithAck(dave.socket, 'getConversationMessages', { conversationId: conversation.id })).ok).toBe(false);
+  });
+
+  test('blocks apply between participants', async () => {
+    carol.socket.emit('blockUser', { targetUserId: bob.id });
+    await waitFor(carol.socket, 'userBlocked');
+
+    const conversation = await createGroup();
+
+    const nothing = expectNoEvent(carol.socket, 'conversationMessage');
+    const toAlice = waitFor(alice.socket, 'conversationMessage');
+    await emitWithAck(bob.socket, 'sendConversationMessage', { conversationId: conversation.id, message: 'hey all' });
+    await toAlice;
+    await nothing;
+
+    const history = await emitWithAck(carol.socket, 'getConversationMessages', { conversationId: conversation.id });
+    expect(history.messages).toEqual([]);
+
+    // Nobody can add a user they have a block with.
+    const res = await emitWithAck(carol.socket, 'createConversation', { participantIds: [alice.id, bob.id] });
+    expect(res).toEqual({ ok: false, message: 'You have blocked this user (bob)' });
+  });
+
+  test('admin manages participants and hands over on leaving', async () => {
+    const conversation = await createGroup();
+    const dave = await server.signupAndConnect('dave');
+
+    expect(await emitWithAck(bob.socket, 'addConversationParticipants', { conversationId: conversation.id, userIds: [dave.id] }))
+      .toEqual({ ok: false, message: 'Only the admin can add people' });
+
+    const added = await emitWithAck(alice.socket, 'addConversationParticipants', { conversationId: conversation.id, userIds: [dave.id] });
+    expect(added.conversation.participants.map(p => p.username)).toEqual(['alice', 'bob', 'carol', 'dave']);
+
+    const removed = waitFor(dave.socket, 'conversationRemoved');
+    await emitWithAck(alice.socket, 'removeConversationParticipant', { conversationId: conversation.id, userId: dave.id });
+    expect((await removed).conversationId).toBe(conversation.id);
+
+    expect(await emitWithAck(bob.socket, 'removeConversationParticipant', { conversationId: conversation.id, userId: carol.id }))
+      .toEqual({ ok: false, message: 'Only the admin can remove people' });
+
+    const handedOver = waitFor(bob.socket, 'conversationUpdated');
+    await emitWithAck(alice.socket, 'removeConversationParticipant', { conversationId: conversation.id });
+    const after = await handedOver;
+    expect(after.adminId).toBe(bob.id);
+    expect(after.participants.map(p => p.username)).toEqual(['bob', 'carol']);
+  });
+});
@@ -0,0 +1,109 @@
+const { startTestServer, waitFor, emitWithAck, expectNoEvent } = require('./helpers');
+
+describe('direct messages', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('delivers, echoes and persists messages', async () => {
+    const received = waitFor(bob.socket, 'directMessage');
+    const echoed = waitFor(alice.socket, 'directMessageSent');
+    const ack = await emitWithAck(alice.socket, 'sendDirectMessage', { toUserId: bob.id, message: ' psst ' });
+
+    expect(ack.ok).toBe(true);
+    const message = await received;
+    expect(message).toMatchObject({ id: ack.id, fromId: alice.id, toUserId: bob.id, message: 'psst' });
+    expect((await echoed).id).toBe(ack.id);
+
+    await emitWithAck(bob.socket, 'sendDirectMessage', { toUserId: alice.id, message: 'hi' });
+
+    const history = await emitWithAck(bob.socket, 'getDirectMessages', { withUserId: alice.id });
+    expect(history.ok).toBe(true);
+    expect(history.messages.map(m => [m.fromUserId, m.message])).toEqual([
+      [alice.id, 'psst'],
+      [bob.id, 'hi']
+    ]);
+  });
+
+  test('blocks apply in both directions', async () => {
+    bob.socket.emit('blockUser', { targetUserId: alice.id });
+    await waitFor(bob.socket, 'userBlocked');
+
+    const blocked = waitFor(alice.socket, 'directMessageError');
+    const nothing = expectNoEvent(bob.socket, 'directMessage');
+    alice.socket.emit('sendDirectMessage', { toUserId: bob.id, message: 'let me in' });
+    expect((await blocked).message).toBe('You cannot message this user');
+    await nothing;
+
+    const blocker = waitFor(bob.socket, 'directMessageError');
+    bob.socket.emit('sendDirectMessage', { toUserId: alice.id, message: 'never mind' });
+    expect((await blocker).message).toBe('You have blocked this user');
+
+    const history = await emitWithAck(alice.socket, 'getDirectMessages', { withUserId: bob.id });
+    expect(history.messages).toEqual([]);
+  });
+
+  test('tracks delivery and read receipts', async () => {
+    const sent = waitFor(alice.socket, 'directMessageSent');
+    await emitWithAck(alice.socket, 'sendDirectMessage', { toUserId: bob.id, message: 'you there?' });
+    const message = await sent;
+    expect(message.deliveredAt).toEqual(expect.any(Number));
+    expect(message.readAt).toBeNull();
+
+    const receipt = waitFor(alice.socket, 'directMessagesRead');
+    expect(await emitWithAck(bob.socket, 'markDirectMessagesRead', { withUserId: alice.id }))
+      .toEqual({ ok: true, updated: 1 });
+    expect(await receipt).toMatchObject({ readerId: bob.id, otherUserId: alice.id, readAt: expect.any(Number) });
+
+    const history = await emitWithAck(alice.socket, 'getDirectMessages', { withUserId: bob.id });
+    expect(history.messages[0].readAt).toEqual(expect.any(Number));
+  });
+
+  test('sends unread counts on register and delivers waiting messages', async () => {
+    const carol = await server.signup('carol');
+    await emitWithAck(alice.socket, 'sendDirectMessage', { toUserId: carol.id, message: 'one' });
+    await emitWithAck(alice.socket, 'sendDirectMessage', { toUserId: carol.id, message: 'two' });
+    await emitWithAck(bob.socket, 'sendDirectMessage', { toUserId: carol.id, message: 'hey' });
+
+    const pending = await emitWithAck(alice.socket, 'getDirectMessages', { withUserId: carol.id });
+    expect(pending.messages.map(m => m.deliveredAt)).toEqual([null, null]);
+
+    const delivered = waitFor(alice.socket, 'directMessagesDelivered');
+    const socket = await server.connect({ token: carol.token });
+    expect((await delivered).toUserId).toBe(carol.id);
+
+    const counts = waitFor(socket, 'directMessageUnreadCounts');
+    socket.emit('register');
+    expect((await counts).counts).toEqual({ [alice.id]: 2, [bob.id]: 1 });
+
+    await emitWithAck(socket, 'markDirectMessagesRead', { withUserId: alice.id });
+    const after = waitFor(socket, 'directMessageUnreadCounts');
+    socket.emit('register');
+    expect((await after).counts).toEqual({ [bob.id]: 1 });
+  });
+
+  test('relays typing only to the other participant', async () => {
+    const carol = await server.signupAndConnect('carol');
+    const typing = waitFor(bob.socket, 'dmTyping');
+    const nothing = expectNoEvent(carol.socket, 'dmTyping');
+    alice.socket.emit('dmTyping', { toUserId: bob.id, typing: true });
+    expect(await typing).toEqual({ fromUserId: alice.id, typing: true });
+    await nothing;
+  });
+
+  test('anonymous sockets cannot send direct messages', async () => {
+    const anon = await server.connect({ username: 'drifter' });
+    expect(await emitWithAck(anon, 'sendDirectMessage', { toUserId: bob.id, message: 'hey' }))
+      .toEqual({ ok: false, message: 'Sign in to use this feature' });
+  });
+});
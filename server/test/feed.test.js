@@ -0,0 +1,518 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, waitFor, emitWithAck, expectNoEvent } = require('./helpers');
+const { createMemoryStorage } = require('../storage');
+
+describe('news feed', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  async function post(account, content, images = []) {
+    const created = waitFor(bob.socket, 'newsFeedPost', p => p.content === content);
+    account.socket.emit('postToNewsFeed', { content, images });
+    return created;
+  }
+
+  test('authors edit their posts and comments', async () => {
+    const { id: postId } = await post(alice, 'frist post');
+
+    expect(await emitWithAck(bob.socket, 'editFeedPost', { postId, content: 'mine' }))
+      .toEqual({ ok: false, message: 'Only the author can edit this post' });
+
+    const updated = waitFor(bob.socket, 'feedPostUpdated');
+    expect(await emitWithAck(alice.socket, 'editFeedPost', { postId, content: 'first post' })).toEqual({ ok: true });
+    expect(await updated).toMatchObject({ id: postId, content: 'first post', editedAt: expect.any(Number) });
+
+    await emitWithAck(bob.socket, 'addFeedComment', { postId, text: 'nice' });
+    const { comments } = await server.storage.feedPosts.findById(postId);
+    const commentId = comments[0]._id;
+
+    expect(await emitWithAck(alice.socket, 'editFeedComment', { postId, commentId, text: 'mean' }))
+      .toEqual({ ok: false, message: 'Only the author can edit this comment' });
+    expect(await emitWithAck(bob.socket, 'editFeedComment', { postId, commentId, text: 'very nice' })).toEqual({ ok: true });
+
+    const stored = await server.storage.feedPosts.findById(postId);
+    expect(stored.comments[0].text).toBe('very nice');
+    expect(stored.comments[0].editedAt).not.toBeNull();
+  });
+
+  test('posts are limited to 500 characters', async () => {
+    expect(await emitWithAck(alice.socket, 'postToNewsFeed', { content: `${'a'.repeat(501)}   ` }))
+      .toEqual({ ok: false, message: 'Post is too long' });
+    expect(await emitWithAck(alice.socket, 'postToNewsFeed', { content: `  ${'a'.repeat(500)}  ` }))
+      .toMatchObject({ ok: true });
+  });
+
+  test('deleting a comment takes its replies along; the post author may delete too', async () => {
+    const carol = await server.signupAndConnect('carol');
+    const { id: postId } = await post(alice, 'hot take');
+
+    await emitWithAck(bob.socket, 'addFeedComment', { postId, text: 'disagree' });
+    await emitWithAck(bob.socket, 'addFeedComment', { postId, text: 'also this' });
+    const [parent] = (await server.storage.feedPosts.findById(postId)).comments;
+    await emitWithAck(alice.socket, 'replyToFeedComment', { postId, parentCommentId: parent._id, text: 'why?' });
+
+    expect(await emitWithAck(carol.socket, 'deleteFeedComment', { postId, commentId: parent._id }))
+      .toEqual({ ok: false, message: 'Only the author can delete this comment' });
+
+    const updated = waitFor(carol.socket, 'feedPostUpdated');
+    expect(await emitWithAck(alice.socket, 'deleteFeedComment', { postId, commentId: parent._id })).toEqual({ ok: true });
+    expect((await updated).comments.map(c => c.text)).toEqual(['also this']);
+  });
+
+  test('simultaneous comments all land', async () => {
+    const { id: postId } = await post(alice, 'thoughts?');
+    const texts = ['one', 'two', 'three', 'four'];
+    await Promise.all(texts.map((text, i) => emitWithAck([alice, bob][i % 2].socket, 'addFeedComment', { postId, text: `${text} #take` })));
+
+    const stored = await server.storage.feedPosts.findById(postId);
+    expect(stored.comments.map(c => c.text.split(' ')[0]).sort()).toEqual([...texts].sort());
+    expect(stored.tags).toEqual(['take']);
+
+    const [first, second] = stored.comments;
+    await Promise.all([
+      emitWithAck(bob.socket, 'replyToFeedComment', { postId, parentCommentId: first._id, text: 'reply' }),
+      emitWithAck(alice.socket, 'deleteFeedComment', { postId, commentId: second._id })
+    ]);
+    const after = await server.storage.feedPosts.findById(postId);
+    expect(after.comments).toHaveLength(4);
+    expect(after.comments.some(c => c._id === second._id)).toBe(false);
+  });
+
+  const uploadImage = async (account) => (await server.storage.uploads.save({
+    buffer: Buffer.from('png'),
+    filename: 'a.png',
+    contentType: 'image/png',
+    metadata: { uploaderId: account.id }
+  })).fileId;
+
+  test('posts only take images their author uploaded', async () => {
+    const fileId = await uploadImage(alice);
+    expect(await emitWithAck(bob.socket, 'postToNewsFeed', { content: 'mine now', images: [{ fileId, url: '/x' }] }))
+      .toEqual({ ok: false, message: 'Images must be your own uploads' });
+    expect(await emitWithAck(alice.socket, 'postToNewsFeed', { content: 'gone', images: [{ fileId: '65a000000000000000000001' }] }))
+      .toEqual({ ok: false, message: 'Images must be your own uploads' });
+
+    const { images } = await post(alice, 'look', [{ fileId, url: 'https://elsewhere.example/a.png', contentType: 'text/html' }]);
+    expect(images).toEqual([{ fileId, url: `${server.url}/api/uploads/${fileId}`, contentType: 'image/png', name: 'a.png' }]);
+  });
+
+  test('deleting a post removes its images', async () => {
+    const fileId = await uploadImage(alice);
+    const { id: postId } = await post(alice, 'look', [{ fileId, url: `/api/uploads/${fileId}` }]);
+
+    expect(await emitWithAck(bob.socket, 'deleteFeedPost', { postId }))
+      .toEqual({ ok: false, message: 'Only the author can delete this post' });
+
+    const deleted = waitFor(bob.socket, 'feedPostDeleted');
+    expect(await emitWithAck(alice.socket, 'deleteFeedPost', { postId })).toEqual({ ok: true });
+    expect(await deleted).toEqual({ id: postId });
+    expect(await server.storage.feedPosts.findById(postId)).toBeNull();
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await server.storage.uploads.findFile(fileId)).toBeNull();
+  });
+
+  test('images still shown elsewhere are kept', async () => {
+    const fileId = await uploadImage(alice);
+    const image = { fileId, url: `/api/uploads/${fileId}` };
+    const { id: first } = await post(alice, 'look', [image]);
+    const { id: second } = await post(alice, 'look again', [image]);
+    await server.storage.directMessages.create({ fromUserId: alice.id, toUserId: bob.id, message: ' ', image });
+
+    await emitWithAck(alice.socket, 'deleteFeedPost', { postId: first });
+    await emitWithAck(alice.socket, 'deleteFeedPost', { postId: second });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(await server.storage.uploads.findFile(fileId)).not.toBeNull();
+  });
+
+  describe('visibility', () => {
+    let carol;
+
+    beforeEach(async () => {
+      carol = await server.signupAndConnect('carol');
+      await server.storage.users.update(alice.id, { friends: [bob.id] });
+      await server.storage.users.update(bob.id, { friends: [alice.id] });
+    });
+
+    const feedOf = async (account) => {
+      const update = waitFor(account.socket, 'newsFeedUpdate');
+      account.socket.emit('getNewsFeed');
+      return (await update).map(p => p.content);
+    };
+
+    test('friends-only and private posts reach only their audience', async () => {
+      const silentForCarol = expectNoEvent(carol.socket, 'newsFeedPost');
+      const toBob = waitFor(bob.socket, 'newsFeedPost');
+      alice.socket.emit('postToNewsFeed', { content: 'friends only', visibility: 'friends' });
+      const { id: postId } = await toBob;
+      await silentForCarol;
+
+      await server.storage.feedPosts.create({ authorId: alice.id, author: 'alice', content: 'diary', visibility: 'private' });
+
+      expect(await feedOf(alice)).toEqual(['diary', 'friends only']);
+      expect(await feedOf(bob)).toEqual(['friends only']);
+      expect(await feedOf(carol)).toEqual([]);
+
+      expect(await emitWithAck(carol.socket, 'toggleFeedReaction', { postId, type: 'fire' }))
+        .toEqual({ ok: false, message: 'Post not found' });
+      expect((await server.request('GET', '/api/search?q=friends', null, carol.token)).body.results.feed).toEqual([]);
+
+      const timeline = await emitWithAck(carol.socket, 'getUserTimeline', { userId: alice.id });
+      expect(timeline).toMatchObject({ ok: true, canViewTimeline: true, canViewFriends: false, friends: [], posts: [] });
+    });
+
+    test('blocks hide posts both ways', async () => {
+      await server.storage.feedPosts.create({ authorId: alice.id, author: 'alice', content: 'hello world' });
+      expect(await feedOf(carol)).toEqual(['hello world']);
+
+      await server.storage.users.update(carol.id, { blockedUsers: [alice.id] });
+      expect(await feedOf(carol)).toEqual([]);
+
+      const silentForCarol = expectNoEvent(carol.socket, 'newsFeedPost');
+      const toBob = waitFor(bob.socket, 'newsFeedPost');
+      alice.socket.emit('postToNewsFeed', { content: 'again' });
+      await toBob;
+      await silentForCarol;
+    });
+
+    test('narrowing visibility retracts the post from viewers who lose access', async () => {
+      const toCarol = waitFor(carol.socket, 'newsFeedPost');
+      alice.socket.emit('postToNewsFeed', { content: 'open' });
+      const { id: postId } = await toCarol;
+
+      const retracted = waitFor(carol.socket, 'feedPostDeleted');
+      const updated = waitFor(bob.socket, 'feedPostUpdated');
+      expect(await emitWithAck(alice.socket, 'editFeedPost', { postId, visibility: 'friends' })).toEqual({ ok: true });
+      expect(await retracted).toEqual({ id: postId });
+      expect(await updated).toMatchObject({ visibility: 'friends', content: 'open', editedAt: null });
+
+      const restored = waitFor(carol.socket, 'newsFeedPost');
+      await emitWithAck(alice.socket, 'editFeedPost', { postId, visibility: 'public' });
+      expect((await restored).id).toBe(postId);
+
+      expect(await emitWithAck(alice.socket, 'editFeedPost', { postId, visibility: 'everyone' }))
+        .toEqual({ ok: false, message: 'Unknown visibility' });
+    });
+  });
+
+  describe('paging', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    async function seed(authorId, author, content, hoursAgo, extra = {}) {
+      return server.storage.feedPosts.create({
+        authorId,
+        author,
+        content,
+        timestamp: new Date(Date.now() - hoursAgo * HOUR),
+        ...extra
+      });
+    }
+
+    test('latest pages backwards with nextBefore', async () => {
+      for (let i = 1; i <= 5; i += 1) await seed(alice.id, 'alice', `post ${i}`, 6 - i);
+
+      const first = await emitWithAck(bob.socket, 'getNewsFeed', { limit: 2 });
+      expect(first).toMatchObject({ ok: true, mode: 'latest', hasMore: true });
+      expect(first.posts.map(p => p.content)).toEqual(['post 5', 'post 4']);
+
+      const second = await emitWithAck(bob.socket, 'getNewsFeed', { limit: 2, before: first.nextBefore });
+      expect(second.posts.map(p => p.content)).toEqual(['post 3', 'post 2']);
+
+      const last = await emitWithAck(bob.socket, 'getNewsFeed', { limit: 2, before: second.nextBefore });
+      expect(last).toMatchObject({ hasMore: false });
+      expect(last.posts.map(p => p.content)).toEqual(['post 1']);
+    });
+
+    test('friends mode only shows friends and yourself', async () => {
+      const carol = await server.signupAndConnect('carol');
+      await server.storage.users.update(bob.id, { friends: [alice.id] });
+      await server.storage.users.update(alice.id, { friends: [bob.id] });
+      await seed(alice.id, 'alice', 'from a friend', 3);
+      await seed(carol.id, 'carol', 'from a stranger', 2);
+      await seed(bob.id, 'bob', 'my own', 1);
+
+      const res = await emitWithAck(bob.socket, 'getNewsFeed', { mode: 'friends' });
+      expect(res.posts.map(p => p.content)).toEqual(['my own', 'from a friend']);
+    });
+
+    test('trending ranks recent activity and pages by rank', async () => {
+      const comment = (hoursAgo) => ({ userId: bob.id, username: 'bob', text: 'hi', timestamp: new Date(Date.now() - hoursAgo * HOUR) });
+      const fire = (userId, hoursAgo) => ({ userId, type: 'fire', createdAt: new Date(Date.now() - hoursAgo * HOUR) });
+      await seed(alice.id, 'alice', 'quiet', 1);
+      await seed(alice.id, 'alice', 'hot', 5, { reactions: [fire(bob.id, 4), fire(alice.id, 4)], comments: [comment(2)] });
+      await seed(alice.id, 'alice', 'warm', 4, { comments: [comment(1)] });
+      await seed(alice.id, 'alice', 'old news', 24 * 10, { reactions: [fire(bob.id, 24 * 9)] });
+      await seed(alice.id, 'alice', 'revived', 24 * 10, { comments: [comment(24 * 9), comment(3), comment(2)] });
+
+      const first = await emitWithAck(bob.socket, 'getNewsFeed', { mode: 'trending', limit: 2 });
+      expect(first.posts.map(p => p.content)).toEqual(['hot', 'revived']);
+      expect(first).toMatchObject({ hasMore: true, nextBefore: 2 });
+
+      const second = await emitWithAck(bob.socket, 'getNewsFeed', { mode: 'trending', limit: 2, before: first.nextBefore });
+      expect(second.posts.map(p => p.content)).toEqual(['warm', 'quiet']);
+    });
+  });
+
+  describe('reactions', () => {
+    test('one reaction per user: same type removes it, another replaces it', async () => {
+      const { id: postId } = await post(alice, 'reactions please');
+
+      expect(await emitWithAck(bob.socket, 'toggleFeedReaction', { postId, type: 'clap' }))
+        .toEqual({ ok: false, message: 'Unsupported reaction' });
+
+      const updated = waitFor(alice.socket, 'feedPostUpdated');
+      expect(await emitWithAck(bob.socket, 'toggleFeedReaction', { postId, type: 'heart' })).toEqual({
+        ok: true,
+        reaction: 'heart',
+        reactions: [{ type: 'heart', count: 1, userIds: [bob.id] }]
+      });
+      expect((await updated).reactions).toEqual([{ type: 'heart', count: 1, userIds: [bob.id] }]);
+
+      await emitWithAck(alice.socket, 'toggleFeedReaction', { postId, type: 'heart' });
+      const switched = await emitWithAck(bob.socket, 'toggleFeedReaction', { postId, type: 'LAUGH' });
+      expect(switched.reactions).toEqual([
+        { type: 'laugh', count: 1, userIds: [bob.id] },
+        { type: 'heart', count: 1, userIds: [alice.id] }
+      ]);
+
+      const removed = await emitWithAck(bob.socket, 'toggleFeedReaction', { postId, type: 'laugh' });
+      expect(removed).toMatchObject({ reaction: null, reactions: [{ type: 'heart', count: 1 }] });
+    });
+
+    test('simultaneous reactions all land', async () => {
+      const { id: postId } = await post(alice, 'reactions please');
+      await Promise.all([alice, bob].map(u => emitWithAck(u.socket, 'toggleFeedReaction', { postId, type: 'fire' })));
+      const stored = await server.storage.feedPosts.findById(postId);
+      expect(stored.reactions.map(r => r.userId).sort()).toEqual([alice.id, bob.id].sort());
+    });
+
+    test('legacy fireUserIds are migrated to fire reactions', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-reactions-'));
+      const snapshotPath = path.join(dir, 'snapshot.json');
+      const timestamp = '2024-01-02T03:04:05.000Z';
+      fs.writeFileSync(snapshotPath, JSON.stringify({
+        collections: {
+          feedPosts: [{ _id: '65a000000000000000000001', authorId: 'u1', author: 'old', content: 'legacy', comments: [], images: [], reactions: { fireUserIds: ['u2', 'u3'] }, timestamp: { $date: timestamp } }]
+        }
+      }));
+
+      try {
+        const storage = createMemoryStorage({ snapshotPath });
+        expect(await storage.feedPosts.migrateLegacyReactions()).toBe(1);
+        expect(await storage.feedPosts.migrateLegacyReactions()).toBe(0);
+        const { reactions } = await storage.feedPosts.findById('65a000000000000000000001');
+        expect(reactions.map(r => [r.userId, r.type, r.createdAt.toISOString()])).toEqual([
+          ['u2', 'fire', timestamp],
+          ['u3', 'fire', timestamp]
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('polls', () => {
+    async function createPoll(poll, content = 'Where tonight?') {
+      const created = waitFor(bob.socket, 'newsFeedPost', p => p.content === content);
+      const res = await emitWithAck(alice.socket, 'postToNewsFeed', { content, poll });
+      expect(res).toEqual({ ok: true, id: expect.any(String) });
+      return created;
+    }
+
+    test('rejects malformed polls', async () => {
+      const attempt = (poll, content = 'Q?') => emitWithAck(alice.socket, 'postToNewsFeed', { content, poll });
+      expect(await attempt({ options: ['only one'] })).toEqual({ ok: false, message: 'A poll needs 2 to 6 options' });
+      expect(await attempt({ options: ['a', 'b', 'c', 'd', 'e', 'f', 'g'] })).toEqual({ ok: false, message: 'A poll needs 2 to 6 options' });
+      expect(await attempt({ options: ['Bar', 'bar'] })).toEqual({ ok: false, message: 'Poll options must be different' });
+      expect(await attempt({ options: ['a', 'b'], closesAt: Date.now() - 1000 }))
+        .toEqual({ ok: false, message: 'Poll close time must be in the future' });
+      expect(await attempt({ options: ['a', 'b'] }, '')).toEqual({ ok: false, message: 'Ask a question for your poll' });
+    });
+
+    test('single choice votes move, tallies are broadcast', async () => {
+      const { id: postId, poll } = await createPoll({ options: ['Bar', ' Park ', ''] });
+      expect(poll).toMatchObject({ multiple: false, anonymous: false, closesAt: null, closed: false, voterCount: 0, myOptionIds: [] });
+      const [bar, park] = poll.options.map(o => o.id);
+      expect(poll.options.map(o => o.text)).toEqual(['Bar', 'Park']);
+
+      expect(await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [bar, park] }))
+        .toEqual({ ok: false, message: 'This poll allows one choice' });
+      expect(await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: ['nope'] }))
+        .toEqual({ ok: false, message: 'Unknown poll option' });
+
+      const seenByAlice = waitFor(alice.socket, 'feedPostUpdated');
+      const voted = await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [bar] });
+      expect(voted.poll.myOptionIds).toEqual([bar]);
+      const update = await seenByAlice;
+      expect(update.poll.options[0]).toEqual({ id: bar, text: 'Bar', count: 1, voterIds: [bob.id] });
+      expect(update.poll.myOptionIds).toEqual([]);
+
+      const moved = await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [park] });
+      expect(moved.poll.options.map(o => o.count)).toEqual([0, 1]);
+      expect(moved.poll.voterCount).toBe(1);
+    });
+
+    test('simultaneous votes all count', async () => {
+      const { id: postId, poll } = await createPoll({ options: ['Bar', 'Park'] });
+      const [bar, park] = poll.options.map(o => o.id);
+      await Promise.all([
+        emitWithAck(alice.socket, 'voteFeedPoll', { postId, optionIds: [bar] }),
+        emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [park] })
+      ]);
+      const stored = await server.storage.feedPosts.findById(postId);
+      expect(stored.poll.options.map(o => o.voterIds)).toEqual([[alice.id], [bob.id]]);
+    });
+
+    test('multiple choice and anonymous polls', async () => {
+      const { id: postId, poll } = await createPoll({ options: ['Pizza', 'Tacos', 'Sushi'], multiple: true, anonymous: true });
+      const [pizza, , sushi] = poll.options.map(o => o.id);
+
+      const seenByAlice = waitFor(alice.socket, 'feedPostUpdated');
+      await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [pizza, sushi] });
+      const { poll: tallies } = await seenByAlice;
+      expect(tallies.options.map(o => o.count)).toEqual([1, 0, 1]);
+      expect(tallies.options.every(o => !('voterIds' in o))).toBe(true);
+      expect(tallies.voterCount).toBe(1);
+
+      const withdrawn = await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [] });
+      expect(withdrawn.poll).toMatchObject({ voterCount: 0, myOptionIds: [] });
+    });
+
+    test('closed polls take no votes', async () => {
+      const { id: postId, poll } = await createPoll({ options: ['Yes', 'No'], closesAt: Date.now() + 60 * 1000 });
+      await server.storage.feedPosts.update(postId, {
+        poll: { ...(await server.storage.feedPosts.findById(postId)).poll, closesAt: new Date(Date.now() - 1000) }
+      });
+      expect(await emitWithAck(bob.socket, 'voteFeedPoll', { postId, optionIds: [poll.options[0].id] }))
+        .toEqual({ ok: false, message: 'This poll is closed' });
+      expect(await emitWithAck(bob.socket, 'voteFeedPoll', { postId: (await post(alice, 'no poll')).id, optionIds: [] }))
+        .toEqual({ ok: false, message: 'This post has no poll' });
+    });
+  });
+
+  describe('reposts', () => {
+    let carol;
+
+    beforeEach(async () => {
+      carol = await server.signupAndConnect('carol');
+    });
+
+    test('shares embed the original, count on it and notify its author', async () => {
+      const { id: postId } = await post(alice, 'original thought');
+
+      const notified = waitFor(alice.socket, 'feedNotification');
+      const counted = waitFor(carol.socket, 'feedPostUpdated', p => p.id === postId);
+      const shown = waitFor(carol.socket, 'newsFeedPost', p => p.repostOf === postId);
+      const shared = await emitWithAck(bob.socket, 'repostFeedPost', { postId, content: 'so true #facts' });
+      expect(shared).toEqual({ ok: true, id: expect.any(String) });
+
+      expect(await shown).toMatchObject({
+        id: shared.id,
+        author: 'bob',
+        content: 'so true #facts',
+        tags: ['facts'],
+        original: { id: postId, author: 'alice', content: 'original thought' }
+      });
+      expect(await counted).toMatchObject({ shareCount: 1 });
+      expect(await notified).toMatchObject({ type: 'postShare', postId: shared.id, fromUsername: 'bob' });
+
+      // Sharing a share shares its original.
+      const again = await emitWithAck(carol.socket, 'repostFeedPost', { postId: shared.id });
+      expect(await server.storage.feedPosts.findById(again.id)).toMatchObject({ repostOf: postId, content: ' ' });
+      expect((await server.storage.feedPosts.findById(postId)).shareCount).toBe(2);
+
+      await emitWithAck(carol.socket, 'deleteFeedPost', { postId: again.id });
+      expect((await server.storage.feedPosts.findById(postId)).shareCount).toBe(1);
+    });
+
+    test('shares never widen the audience of the original', async () => {
+      await server.storage.users.update(alice.id, { friends: [bob.id] });
+      await server.storage.users.update(bob.id, { friends: [alice.id] });
+
+      const toBob = waitFor(bob.socket, 'newsFeedPost');
+      alice.socket.emit('postToNewsFeed', { content: 'friends only', visibility: 'friends' });
+      const { id: friendsPostId } = await toBob;
+
+      expect(await emitWithAck(bob.socket, 'repostFeedPost', { postId: friendsPostId }))
+        .toEqual({ ok: false, message: 'Only public posts can be shared' });
+      expect(await emitWithAck(carol.socket, 'repostFeedPost', { postId: friendsPostId }))
+        .toEqual({ ok: false, message: 'Post not found' });
+      expect(await emitWithAck(alice.socket, 'repostFeedPost', { postId: friendsPostId, visibility: 'public' }))
+        .toEqual({ ok: false, message: "A share can't be more visible than the original post" });
+
+      const own = await emitWithAck(alice.socket, 'repostFeedPost', { postId: friendsPostId });
+      expect(await server.storage.feedPosts.findById(own.id)).toMatchObject({ visibility: 'friends' });
+      expect(await emitWithAck(alice.socket, 'editFeedPost', { postId: own.id, visibility: 'public' }))
+        .toEqual({ ok: false, message: "A share can't be more visible than the original post" });
+
+      // A public share whose original later turns private stays up, without the original.
+      const { id: postId } = await post(alice, 'open for now');
+      const { id: shareId } = await emitWithAck(bob.socket, 'repostFeedPost', { postId, content: 'look' });
+      await emitWithAck(alice.socket, 'editFeedPost', { postId, visibility: 'private' });
+
+      const update = waitFor(carol.socket, 'newsFeedUpdate');
+      carol.socket.emit('getNewsFeed');
+      const share = (await update).find(p => p.id === shareId);
+      expect(share).toMatchObject({ repostOf: postId, original: null, content: 'look' });
+    });
+  });
+
+  describe('hashtags', () => {
+    test('tags come from the post and its comments and follow edits', async () => {
+      const { id: postId } = await post(alice, 'Tonight at #TheBar, bring #friends');
+      expect((await server.storage.feedPosts.findById(postId)).tags).toEqual(['thebar', 'friends']);
+
+      await emitWithAck(bob.socket, 'addFeedComment', { postId, text: 'count me in #TheBar #karaoke' });
+      await emitWithAck(alice.socket, 'editFeedPost', { postId, content: 'Tonight at the bar' });
+      expect((await server.storage.feedPosts.findById(postId)).tags).toEqual(['thebar', 'karaoke']);
+
+      const [comment] = (await server.storage.feedPosts.findById(postId)).comments;
+      await emitWithAck(bob.socket, 'deleteFeedComment', { postId, commentId: comment._id });
+      expect((await server.storage.feedPosts.findById(postId)).tags).toEqual([]);
+    });
+
+    test('getFeedByTag pages through visible tagged posts', async () => {
+      await post(alice, 'first #Karaoke night');
+      await post(alice, 'no tags here');
+      await post(alice, 'second #karaoke night');
+      await server.storage.feedPosts.create({ authorId: alice.id, author: 'alice', content: 'secret #karaoke', tags: ['karaoke'], visibility: 'private' });
+
+      expect(await emitWithAck(bob.socket, 'getFeedByTag', { tag: '#!' })).toEqual({ ok: false, message: 'Invalid tag' });
+
+      const first = await emitWithAck(bob.socket, 'getFeedByTag', { tag: '#KARAOKE', limit: 1 });
+      expect(first).toMatchObject({ ok: true, tag: 'karaoke', hasMore: true });
+      expect(first.posts.map(p => p.content)).toEqual(['second #karaoke night']);
+
+      const rest = await emitWithAck(bob.socket, 'getFeedByTag', { tag: 'karaoke', before: first.nextBefore });
+      expect(rest.posts.map(p => p.content)).toEqual(['first #Karaoke night']);
+    });
+
+    test('trending tags count public posts of the last day', async () => {
+      const seed = (content, tags, extra = {}) => server.storage.feedPosts.create({ authorId: alice.id, author: 'alice', content, tags, ...extra });
+      await seed('a', ['pizza', 'movies']);
+      await seed('b', ['pizza']);
+      await seed('c', ['movies']);
+      await seed('d', ['pizza']);
+      await seed('e', ['secret'], { visibility: 'friends' });
+      await seed('f', ['old'], { timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+
+      expect(await emitWithAck(bob.socket, 'getTrendingTags')).toEqual({
+        ok: true,
+        tags: [{ tag: 'pizza', count: 3 }, { tag: 'movies', count: 2 }]
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { startTestServer, waitFor, emitWithAck } = require('./helpers');
+
+describe('friends', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  async function befriend() {
+    const incoming = waitFor(bob.socket, 'friendRequest');
+    const sent = waitFor(alice.socket, 'friendRequestSuccess');
+    alice.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+    await Promise.all([incoming, sent]);
+
+    const aliceList = waitFor(alice.socket, 'friendsList', list => list.length === 1);
+    const bobList = waitFor(bob.socket, 'friendsList', list => list.length === 1);
+    bob.socket.emit('acceptFriendRequest', { fromUserId: alice.id });
+    return Promise.all([aliceList, bobList]);
+  }
+
+  test('request → accept → unfriend', async () => {
+    const incoming = waitFor(bob.socket, 'friendRequest');
+    alice.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+    expect(await incoming).toMatchObject({ fromId: alice.id, fromUsername: 'alice' });
+
+    const duplicate = waitFor(alice.socket, 'friendRequestError');
+    alice.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+    expect((await duplicate).message).toBe('Friend request already sent');
+
+    // Pending requests are re-sent when presence is re-announced.
+    const pending = waitFor(bob.socket, 'friendRequest');
+    bob.socket.emit('register');
+    expect((await pending).fromId).toBe(alice.id);
+
+    const aliceAdded = waitFor(alice.socket, 'friendAdded');
+    const bobAdded = waitFor(bob.socket, 'friendAdded');
+    const bobList = waitFor(bob.socket, 'friendsList', list => list.length === 1);
+    bob.socket.emit('acceptFriendRequest', { fromUserId: alice.id });
+    expect(await aliceAdded).toMatchObject({ id: bob.id, online: true });
+    expect(await bobAdded).toMatchObject({ id: alice.id, online: true });
+    expect((await bobList)[0]).toMatchObject({ id: alice.id, username: 'alice', online: true });
+
+    const stored = await server.storage.users.findById(bob.id);
+    expect(stored.friends).toEqual([alice.id]);
+    expect(stored.friendRequests).toEqual([]);
+
+    const aliceRemoved = waitFor(alice.socket, 'friendRemoved');
+    const bobRemoved = waitFor(bob.socket, 'friendRemoved');
+    alice.socket.emit('unfriendUser', { targetUserId: bob.id });
+    expect((await aliceRemoved).friendId).toBe(bob.id);
+    expect((await bobRemoved).friendId).toBe(alice.id);
+    expect((await server.storage.users.findById(alice.id)).friends).toEqual([]);
+  });
+
+  test('simultaneous requests and accepts all land', async () => {
+    const [carol, dave] = await Promise.all([server.signupAndConnect('carol'), server.signupAndConnect('dave')]);
+    const senders = [alice, carol, dave];
+    await Promise.all(senders.map(sender => {
+      const sent = waitFor(sender.socket, 'friendRequestSuccess');
+      sender.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+      return sent;
+    }));
+    const pending = (await server.storage.users.findById(bob.id)).friendRequests;
+    expect(pending.map(r => r.from).sort()).toEqual(senders.map(s => s.id).sort());
+
+    const allFriends = waitFor(bob.socket, 'friendsList', list => list.length === 3);
+    senders.forEach(sender => bob.socket.emit('acceptFriendRequest', { fromUserId: sender.id }));
+    await allFriends;
+    const stored = await server.storage.users.findById(bob.id);
+    expect(stored.friends.sort()).toEqual(senders.map(s => s.id).sort());
+    expect(stored.friendRequests).toEqual([]);
+  });
+
+  test('rejecting a request clears it', async () => {
+    const incoming = waitFor(bob.socket, 'friendRequest');
+    alice.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+    await incoming;
+
+    expect(await emitWithAck(bob.socket, 'rejectFriendRequest', { fromUserId: alice.id })).toEqual({ ok: true });
+    expect((await server.storage.users.findById(bob.id)).friendRequests).toEqual([]);
+  });
+
+  test('friends see each other go offline', async () => {
+    await befriend();
+
+    const offline = waitFor(alice.socket, 'friendOffline');
+    bob.socket.disconnect();
+    expect((await offline).friendId).toBe(bob.id);
+  });
+
+  test('blocked users cannot send requests', async () => {
+    bob.socket.emit('blockUser', { targetUserId: alice.id });
+    await waitFor(bob.socket, 'userBlocked');
+
+    const error = waitFor(alice.socket, 'friendRequestError');
+    alice.socket.emit('sendFriendRequest', { targetUserId: bob.id });
+    expect((await error).message).toBe('Cannot send request to this user');
+  });
+
+  test('anonymous sockets cannot use the friend system', async () => {
+    const anon = await server.connect({ username: 'drifter' });
+    const error = waitFor(anon, 'friendRequestError');
+    anon.emit('sendFriendRequest', { targetUserId: bob.id });
+    expect((await error).message).toBe('Sign in to use this feature');
+  });
+});
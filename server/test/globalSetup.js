@@ -0,0 +1,10 @@
+// With TEST_STORAGE=mongo the suites run against MongoDB instead of the in-memory backend: an
+// existing server when MONGODB_TEST_URI is set, otherwise one started by mongodb-memory-server.
+module.exports = async () => {
+  if (process.env.TEST_STORAGE !== 'mongo' || process.env.MONGODB_TEST_URI) return;
+
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.MONGODB_TEST_URI = mongod.getUri();
+};
@@ -0,0 +1,3 @@
+module.exports = async () => {
+  await globalThis.__MONGOD__?.stop();
+};
@@ -0,0 +1,91 @@
+const { startTestServer, waitFor, emitWithAck } = require('./helpers');
+
+// Socket I/O keeps running on real ticks; only the game's phase timers are faked.
+const FAKE_TIMER_OPTIONS = { doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] };
+
+describe('guess game', () => {
+  let server;
+  let alice;
+  let bob;
+  let roomId;
+
+  const phase = (socket, name) => waitFor(socket, 'guessGameState', state => state.phase === name);
+  const botSays = (socket, text) => waitFor(socket, 'newMessage', msg => msg.system && msg.message.includes(text));
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'studio' });
+    ({ roomId } = await created);
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    jest.useFakeTimers(FAKE_TIMER_OPTIONS);
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await server.stop();
+  });
+
+  test('plays a full turn and hands the pencil to the next player', async () => {
+    const themeSelect = phase(bob.socket, 'THEME_SELECT');
+    alice.socket.emit('guessGameStart');
+    const started = await themeSelect;
+    expect(started.drawerUserId).toBe(alice.id);
+    expect(started.themeOptions).toHaveLength(3);
+
+    // Nobody picks a theme: the first option is chosen when the timer runs out.
+    const aliceSubjects = phase(alice.socket, 'SUBJECT_SELECT');
+    const bobSubjects = phase(bob.socket, 'SUBJECT_SELECT');
+    jest.advanceTimersByTime(15000);
+    const drawerView = await aliceSubjects;
+    expect(drawerView.theme).toBe(started.themeOptions[0]);
+    expect(drawerView.subjectOptions).toHaveLength(3);
+    expect((await bobSubjects).subjectOptions).toEqual([]);
+
+    const subject = drawerView.subjectOptions[0];
+    const drawing = phase(bob.socket, 'DRAW');
+    alice.socket.emit('guessGameSelectSubject', { subject });
+    const guesserView = await drawing;
+    expect(guesserView.subject).toBeNull();
+    expect(guesserView.subjectMasked).toHaveLength(subject.length);
+    expect(guesserView.subjectMasked).not.toContain(subject.replace(/ /g, '')[0]);
+
+    const guessed = botSays(alice.socket, 'bob guessed it!');
+    const everyone = botSays(alice.socket, 'Everyone guessed it!');
+    const answer = phase(alice.socket, 'ANSWER');
+    bob.socket.emit('sendMessage', { message: 'definitely not it' });
+    bob.socket.emit('sendMessage', { message: subject.toUpperCase() });
+    await Promise.all([guessed, everyone]);
+    expect((await answer).scores).toEqual({ [bob.id]: 10, [alice.id]: 5 });
+
+    // Answer reveal is cut to 5s once everyone guessed; then it's bob's turn.
+    const nextTurn = phase(alice.socket, 'THEME_SELECT');
+    jest.advanceTimersByTime(5000);
+    const next = await nextTurn;
+    expect(next.drawerUserId).toBe(bob.id);
+    expect(next.turnIndex).toBe(1);
+    expect(next.scores).toEqual({ [bob.id]: 10, [alice.id]: 5 });
+  });
+
+  test('only the host can start or stop the game', async () => {
+    const error = waitFor(bob.socket, 'guessGameError');
+    bob.socket.emit('guessGameStart');
+    expect((await error).message).toBe('Only the host can start the game');
+
+    const themeSelect = phase(alice.socket, 'THEME_SELECT');
+    alice.socket.emit('guessGameStart');
+    await themeSelect;
+
+    const idle = phase(bob.socket, 'IDLE');
+    alice.socket.emit('guessGameStop');
+    expect((await idle).active).toBe(false);
+
+    // A stopped game leaves no phase timer behind.
+    jest.advanceTimersByTime(60000);
+    expect(server.context.rooms.get(roomId).guessGame.timer).toBeNull();
+  });
+});
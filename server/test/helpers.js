@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { io: connectSocket } = require('socket.io-client');
+const { createServer } = require('../app');
+const { createMemoryStorage, createMongoStorage } = require('../storage');
+
+// The in-memory backend, or with TEST_STORAGE=mongo the Mongo one over an emptied database
+// (documents only, so the indexes stay).
+async function createTestStorage() {
+  if (process.env.TEST_STORAGE !== 'mongo') return createMemoryStorage();
+  for (const collection of await mongoose.connection.db.collections()) await collection.deleteMany({});
+  return createMongoStorage();
+}
+
+// Starts an isolated server on an ephemeral port over a fresh storage backend.
+async function startTestServer() {
+  const storage = await createTestStorage();
+  const instance = createServer({ storage, clientUrl: '' });
+  const port = await instance.listen(0);
+  const url = `http://localhost:${port}`;
+  const sockets = [];
+
+  async function request(method, path, body, token) {
+    const res = await fetch(`${url}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // Creates an account through the signup route; returns { id, username, token, refreshToken }.
+  async function signup(username) {
+    const { body } = await request('POST', '/api/users/signup', {
+      username,
+      password: 'secret123',
+      email: `${username.toLowerCase()}@example.com`
+    });
+    if (!body.success) throw new Error(`signup failed: ${body.error}`);
+    return { id: body.user.id, username: body.user.username, token: body.token, refreshToken: body.refreshToken };
+  }
+
+  // Connects a socket.io-client and resolves once the server has registered it.
+  async function connect({ token, username } = {}) {
+    const socket = connectSocket(url, {
+      auth: token ? { token } : { username },
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true,
+      autoConnect: false
+    });
+    sockets.push(socket);
+
+    const registered = waitFor(socket, 'registered');
+    socket.connect();
+    await registered;
+    return socket;
+  }
+
+  async function signupAndConnect(username) {
+    const account = await signup(username);
+    const socket = await connect({ token: account.token });
+    return { ...account, socket };
+  }
+
+  async function stop() {
+    for (const socket of sockets) socket.disconnect();
+    await instance.close();
+  }
+
+  return { url, storage, context: instance.context, request, signup, connect, signupAndConnect, stop };
+}
+
+// Resolves with the next `event` payload matching `predicate`.
+function waitFor(socket, event, predicate = () => true) {
+  return new Promise(resolve => {
+    const handler = (payload) => {
+      if (!predicate(payload)) return;
+      socket.off(event, handler);
+      resolve(payload);
+    };
+    socket.on(event, handler);
+  });
+}
+
+function emitWithAck(socket, event, payload) {
+  return new Promise(resolve => socket.emit(event, payload, resolve));
+}
+
+// Fails if `event` arrives within `ms` (real time).
+function expectNoEvent(socket, event, ms = 150) {
+  return new Promise((resolve, reject) => {
+    const handler = (payload) => {
+      socket.off(event, handler);
+      reject(new Error(`Unexpected ${event}: ${JSON.stringify(payload)}`));
+    };
+    socket.on(event, handler);
+    setTimeout(() => {
+      socket.off(event, handler);
+      resolve();
+    }, ms);
+  });
+}
+
+module.exports = {
+  startTestServer,
+  waitFor,
+  emitWithAck,
+  expectNoEvent
+};
@@ -0,0 +1,331 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, waitFor, emitWithAck, expectNoEvent } = require('./helpers');
+const { createMemoryStorage } = require('../storage');
+
+describe('media queue', () => {
+  let server;
+  let alice;
+  let bob;
+  let roomId;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'movie night' });
+    ({ roomId } = await created);
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const VIDEOS = ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc'];
+  const youtube = (videoId) => ({ kind: 'youtube', videoId });
+  const keyOf = (videoId) => `youtube:${videoId}`;
+  const isPlaying = (videoId) => (s) => s.source?.videoId === videoId;
+
+  async function queueAll(account) {
+    for (const videoId of VIDEOS) {
+      expect(await emitWithAck(account.socket, 'mediaQueueAdd', { source: youtube(videoId) })).toEqual({ ok: true });
+    }
+  }
+
+  test('members queue videos; the host reorders and removes them', async () => {
+    expect(await emitWithAck(bob.socket, 'mediaQueueAdd', { source: youtube('not a video') }))
+      .toEqual({ ok: false, message: 'Unsupported media source' });
+
+    // The first video starts right away since nothing is loaded.
+    const started = waitFor(alice.socket, 'mediaSync');
+    await queueAll(bob);
+    expect(await started).toMatchObject({ source: youtube(VIDEOS[0]), playing: true, timestamp: 0 });
+
+    const queue = server.context.rooms.get(roomId).mediaQueue;
+    expect(queue.map(i => i.source.videoId)).toEqual(VIDEOS.slice(1));
+    expect(queue[0]).toMatchObject({ addedById: bob.id, addedByUsername: 'bob' });
+
+    const [second, third] = queue;
+    expect(await emitWithAck(bob.socket, 'mediaQueueMove', { itemId: third.id, toIndex: 0 }))
+      .toEqual({ ok: false, message: 'Only the host can reorder the queue' });
+
+    const reordered = waitFor(bob.socket, 'mediaQueue');
+    expect(await emitWithAck(alice.socket, 'mediaQueueMove', { itemId: third.id, toIndex: 0 })).toEqual({ ok: true });
+    expect((await reordered).map(i => i.id)).toEqual([third.id, second.id]);
+
+    await emitWithAck(alice.socket, 'mediaQueueAdd', { source: youtube('ddddddddddd') });
+    const hostItem = server.context.rooms.get(roomId).mediaQueue[2];
+    expect(await emitWithAck(bob.socket, 'mediaQueueRemove', { itemId: hostItem.id }))
+      .toEqual({ ok: false, message: 'Only the host can remove this' });
+    expect(await emitWithAck(bob.socket, 'mediaQueueRemove', { itemId: second.id })).toEqual({ ok: true });
+    expect(await emitWithAck(alice.socket, 'mediaQueueRemove', { itemId: hostItem.id })).toEqual({ ok: true });
+
+    // The queue is saved with the room and comes back when it's loaded again.
+    const stored = await server.storage.rooms.findById(roomId);
+    expect(stored.mediaQueue.map(i => i.source.videoId)).toEqual([VIDEOS[2]]);
+
+    // As after a restart: the room is no longer live and is loaded from storage.
+    server.context.rooms.delete(roomId);
+    const carol = await server.signupAndConnect('carol');
+    const joined = waitFor(carol.socket, 'joinedRoom');
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+    const { room } = await joined;
+    expect(room.mediaQueue.map(i => i.source.videoId)).toEqual([VIDEOS[2]]);
+    expect(room.mediaQueue[0]).toMatchObject({ addedById: bob.id, addedByUsername: 'bob', upvoterIds: [] });
+  });
+
+  test('the end of a video plays the next one once', async () => {
+    await queueAll(alice);
+
+    const next = waitFor(bob.socket, 'mediaSync', isPlaying(VIDEOS[1]));
+    const shrunk = waitFor(bob.socket, 'mediaQueue', q => q.length === 1);
+    alice.socket.emit('mediaEnded', { key: keyOf(VIDEOS[0]) });
+    expect(await next).toMatchObject({ source: youtube(VIDEOS[1]), playing: true, timestamp: 0 });
+    expect((await shrunk).map(i => i.source.videoId)).toEqual([VIDEOS[2]]);
+
+    // Other players reporting the same end are ignored.
+    const noSkip = expectNoEvent(alice.socket, 'mediaSync');
+    bob.socket.emit('mediaEnded', { key: keyOf(VIDEOS[0]) });
+    await noSkip;
+
+    expect(await emitWithAck(bob.socket, 'mediaQueueNext'))
+      .toEqual({ ok: false, message: 'Only the host can skip' });
+    const skipped = waitFor(bob.socket, 'mediaSync', isPlaying(VIDEOS[2]));
+    expect(await emitWithAck(alice.socket, 'mediaQueueNext')).toEqual({ ok: true });
+    expect((await skipped).source.videoId).toBe(VIDEOS[2]);
+
+    // Members' reports count once playback reaches the duration the host's player reported.
+    alice.socket.emit('mediaPlay', { timestamp: 0, duration: 213 });
+    await waitFor(bob.socket, 'mediaSync', s => s.duration === 213);
+    const tooEarly = expectNoEvent(alice.socket, 'mediaSync');
+    bob.socket.emit('mediaEnded', { key: keyOf(VIDEOS[2]), position: 213 });
+    await tooEarly;
+
+    server.context.rooms.get(roomId).media.lastUpdate -= 213 * 1000;
+    const stopped = waitFor(alice.socket, 'mediaSync');
+    bob.socket.emit('mediaEnded', { key: keyOf(VIDEOS[2]), position: 212.5 });
+    expect(await stopped).toMatchObject({ source: youtube(VIDEOS[2]), playing: false });
+  });
+
+  test('only the host controls playback', async () => {
+    await queueAll(alice);
+    const room = server.context.rooms.get(roomId);
+
+    expect(await emitWithAck(bob.socket, 'mediaPlay', { source: youtube(VIDEOS[2]), timestamp: 0 }))
+      .toEqual({ ok: false, message: 'Only the host can control playback' });
+    expect(await emitWithAck(bob.socket, 'mediaPlay', { timestamp: 99 }))
+      .toEqual({ ok: false, message: 'Only the host can control playback' });
+
+    const ignored = expectNoEvent(alice.socket, 'mediaSync');
+    bob.socket.emit('mediaPause', { timestamp: 5 });
+    bob.socket.emit('mediaSeek', { timestamp: 50 });
+    // Without a duration from the host, a member's end report can't be checked, so it's ignored.
+    bob.socket.emit('mediaEnded', { key: keyOf(VIDEOS[0]), position: 0 });
+    await ignored;
+    expect(room.media).toMatchObject({ source: youtube(VIDEOS[0]), playing: true, timestamp: 0 });
+  });
+
+  describe('voting', () => {
+    let carol;
+
+    beforeEach(async () => {
+      carol = await server.signupAndConnect('carol');
+      await emitWithAck(carol.socket, 'joinRoom', { roomId });
+      await queueAll(alice);
+    });
+
+    test('a majority of the members present skips the video', async () => {
+      const tally = waitFor(alice.socket, 'mediaSkipVotes', t => t.votes === 1);
+      expect(await emitWithAck(bob.socket, 'mediaVoteSkip')).toEqual({ ok: true, voted: true, skipped: false });
+      expect(await tally).toEqual({ key: keyOf(VIDEOS[0]), voterIds: [bob.id], votes: 1, needed: 2 });
+
+      // Withdrawing and voting again counts once.
+      await emitWithAck(bob.socket, 'mediaVoteSkip');
+      await emitWithAck(bob.socket, 'mediaVoteSkip');
+
+      const next = waitFor(alice.socket, 'mediaSync', isPlaying(VIDEOS[1]));
+      const reset = waitFor(alice.socket, 'mediaSkipVotes', t => t.key === keyOf(VIDEOS[1]));
+      expect(await emitWithAck(carol.socket, 'mediaVoteSkip')).toEqual({ ok: true, voted: true, skipped: true });
+      await next;
+      expect(await reset).toMatchObject({ votes: 0, voterIds: [] });
+    });
+
+    test('votes of members who leave are dropped', async () => {
+      const dave = await server.signupAndConnect('dave');
+      const erin = await server.signupAndConnect('erin');
+      await emitWithAck(dave.socket, 'joinRoom', { roomId });
+      await emitWithAck(erin.socket, 'joinRoom', { roomId });
+
+      // Five present: three votes needed.
+      await emitWithAck(bob.socket, 'mediaVoteSkip');
+      await emitWithAck(carol.socket, 'mediaVoteSkip');
+      const [, third] = server.context.rooms.get(roomId).mediaQueue;
+      await emitWithAck(carol.socket, 'mediaQueueUpvote', { itemId: third.id });
+      expect(server.context.rooms.get(roomId).mediaQueue.map(i => i.source.videoId)).toEqual([VIDEOS[2], VIDEOS[1]]);
+
+      // Carol leaving takes her votes along.
+      const tally = waitFor(alice.socket, 'mediaSkipVotes', t => t.votes === 1);
+      const requeued = waitFor(alice.socket, 'mediaQueue', q => !q[0].upvoterIds.length);
+      carol.socket.emit('leaveRoom');
+      expect(await tally).toEqual({ key: keyOf(VIDEOS[0]), voterIds: [bob.id], votes: 1, needed: 3 });
+      expect((await requeued).map(i => i.source.videoId)).toEqual([VIDEOS[2], VIDEOS[1]]);
+
+      // Two votes of four aren't enough, but are once erin leaves too.
+      expect(await emitWithAck(dave.socket, 'mediaVoteSkip')).toMatchObject({ skipped: false });
+      const skipped = waitFor(alice.socket, 'mediaSync', isPlaying(VIDEOS[2]));
+      erin.socket.emit('leaveRoom');
+      await skipped;
+    });
+
+    test('upvotes move videos up the queue', async () => {
+      await emitWithAck(alice.socket, 'mediaQueueAdd', { source: youtube('ddddddddddd') });
+      const ids = () => server.context.rooms.get(roomId).mediaQueue.map(i => i.source.videoId);
+      const itemOf = (videoId) => server.context.rooms.get(roomId).mediaQueue.find(i => i.source.videoId === videoId);
+      expect(ids()).toEqual([VIDEOS[1], VIDEOS[2], 'ddddddddddd']);
+
+      const reordered = waitFor(alice.socket, 'mediaQueue', q => q[0].source.videoId === 'ddddddddddd');
+      expect(await emitWithAck(bob.socket, 'mediaQueueUpvote', { itemId: itemOf('ddddddddddd').id }))
+        .toEqual({ ok: true, upvoted: true });
+      expect((await reordered)[0]).toMatchObject({ source: youtube('ddddddddddd'), upvoterIds: [bob.id] });
+
+      await emitWithAck(carol.socket, 'mediaQueueUpvote', { itemId: itemOf(VIDEOS[2]).id });
+      await emitWithAck(alice.socket, 'mediaQueueUpvote', { itemId: itemOf(VIDEOS[2]).id });
+      expect(ids()).toEqual([VIDEOS[2], 'ddddddddddd', VIDEOS[1]]);
+
+      // Taking the upvotes back lets it sink behind the video that still has one.
+      await emitWithAck(carol.socket, 'mediaQueueUpvote', { itemId: itemOf(VIDEOS[2]).id });
+      expect(await emitWithAck(alice.socket, 'mediaQueueUpvote', { itemId: itemOf(VIDEOS[2]).id }))
+        .toEqual({ ok: true, upvoted: false });
+      expect(ids()).toEqual(['ddddddddddd', VIDEOS[2], VIDEOS[1]]);
+    });
+  });
+
+  describe('playback clock', () => {
+    test('late joiners and heartbeats get the live position', async () => {
+      alice.socket.emit('mediaPlay', { source: youtube(VIDEOS[0]), timestamp: 30 });
+      await waitFor(bob.socket, 'mediaSync');
+
+      // Ten seconds later...
+      const room = server.context.rooms.get(roomId);
+      room.media.lastUpdate -= 10 * 1000;
+
+      const carol = await server.signupAndConnect('carol');
+      const joined = waitFor(carol.socket, 'joinedRoom');
+      await emitWithAck(carol.socket, 'joinRoom', { roomId });
+      const { media } = (await joined).room;
+      expect(media).toMatchObject({ source: youtube(VIDEOS[0]), playing: true, timestamp: 30 });
+      expect(media.position).toBeGreaterThanOrEqual(40);
+      expect(media.position).toBeLessThan(41);
+      expect(Math.abs(media.serverTime - Date.now())).toBeLessThan(1000);
+
+      const heartbeat = waitFor(bob.socket, 'mediaSync');
+      server.context.sendMediaHeartbeats();
+      expect((await heartbeat).position).toBeGreaterThanOrEqual(40);
+
+      // Paused videos stay put.
+      alice.socket.emit('mediaPause', { timestamp: 42 });
+      await waitFor(bob.socket, 'mediaSync', s => !s.playing);
+      room.media.lastUpdate -= 10 * 1000;
+      const paused = waitFor(bob.socket, 'mediaSync');
+      server.context.sendMediaHeartbeats();
+      expect(await paused).toMatchObject({ playing: false, position: 42 });
+    });
+
+    test('mediaPing returns the server time', async () => {
+      const before = Date.now();
+      const { serverTime } = await emitWithAck(bob.socket, 'mediaPing');
+      expect(serverTime).toBeGreaterThanOrEqual(before);
+      expect(serverTime).toBeLessThanOrEqual(Date.now());
+    });
+  });
+
+  describe('sources', () => {
+    test('direct links to media files play; other links are refused', async () => {
+      const source = { kind: 'url', url: 'https://cdn.example.com/mixes/Late%20Night.mp3' };
+      const started = waitFor(bob.socket, 'mediaSync');
+      expect(await emitWithAck(alice.socket, 'mediaQueueAdd', { source })).toEqual({ ok: true });
+      expect((await started).source).toEqual({ ...source, mediaType: 'audio', title: 'Late Night.mp3' });
+
+      for (const url of ['https://example.com/watch.html', 'ftp://example.com/film.mp4', 'not a url']) {
+        expect(await emitWithAck(alice.socket, 'mediaQueueAdd', { source: { kind: 'url', url } }))
+          .toEqual({ ok: false, message: 'Unsupported media source' });
+      }
+
+      // The end of it is reported by its key like any other source.
+      const ended = waitFor(bob.socket, 'mediaSync', s => !s.playing);
+      alice.socket.emit('mediaEnded', { key: `url:${source.url}` });
+      await ended;
+    });
+
+    test('uploaded audio and video play from the uploads route', async () => {
+      const form = new FormData();
+      form.append('file', new Blob([Buffer.from('fake mp4')], { type: 'video/mp4' }), 'holiday.mp4');
+      const res = await fetch(`${server.url}/api/uploads`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${alice.token}` },
+        body: form
+      });
+      const { success, fileId, contentType } = await res.json();
+      expect({ success, contentType }).toEqual({ success: true, contentType: 'video/mp4' });
+
+      const { fileId: imageId } = await server.storage.uploads.save({ buffer: Buffer.from('png'), filename: 'a.png', contentType: 'image/png' });
+      expect(await emitWithAck(alice.socket, 'mediaPlay', { source: { kind: 'upload', fileId: imageId } }))
+        .toEqual({ ok: false, message: 'Unsupported media source' });
+
+      const synced = waitFor(bob.socket, 'mediaSync');
+      const played = await emitWithAck(alice.socket, 'mediaPlay', { source: { kind: 'upload', fileId }, timestamp: 0 });
+      expect(played).toMatchObject({ ok: true, source: { kind: 'upload', fileId, mediaType: 'video', title: 'holiday.mp4' } });
+      const { source } = await synced;
+      expect(source.url).toMatch(new RegExp(`/api/uploads/${fileId}$`));
+
+      // Resuming leaves the source out.
+      alice.socket.emit('mediaPause', { timestamp: 3 });
+      await waitFor(bob.socket, 'mediaSync', s => !s.playing);
+      const resumed = waitFor(bob.socket, 'mediaSync', s => s.playing);
+      expect(await emitWithAck(alice.socket, 'mediaPlay', { timestamp: 3 })).toMatchObject({ ok: true });
+      expect(await resumed).toMatchObject({ source: { fileId }, timestamp: 3 });
+    });
+  });
+
+  test('rooms saved with youtube/youtubeQueue are migrated', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-rooms-'));
+    const snapshotPath = path.join(dir, 'snapshot.json');
+    const addedAt = '2024-01-02T03:04:05.000Z';
+    fs.writeFileSync(snapshotPath, JSON.stringify({
+      collections: {
+        rooms: [{
+          _id: '65a000000000000000000001',
+          name: 'old den',
+          host: 'u1',
+          members: [],
+          youtube: { videoId: VIDEOS[0], playing: true, timestamp: 12 },
+          youtubeQueue: [{ id: 'q1', videoId: VIDEOS[1], addedById: 'u2', addedByUsername: 'bob', upvoterIds: ['u1'], addedAt: { $date: addedAt } }]
+        }]
+      }
+    }));
+
+    try {
+      const storage = createMemoryStorage({ snapshotPath });
+      expect(await storage.rooms.migrateLegacyMedia()).toBe(1);
+      expect(await storage.rooms.migrateLegacyMedia()).toBe(0);
+      const room = await storage.rooms.findById('65a000000000000000000001');
+      expect(room).not.toHaveProperty('youtube');
+      expect(room).not.toHaveProperty('youtubeQueue');
+      expect(room.media).toMatchObject({ source: youtube(VIDEOS[0]), playing: true, timestamp: 12 });
+      expect(room.mediaQueue).toEqual([{
+        id: 'q1',
+        source: youtube(VIDEOS[1]),
+        addedById: 'u2',
+        addedByUsername: 'bob',
+        upvoterIds: ['u1'],
+        addedAt: new Date(addedAt)
+      }]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,312 @@
+const { startTestServer, waitFor, emitWithAck } = require('./helpers');
+
+describe('rooms and chat', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('register → createRoom → joinRoom → sendMessage', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const registered = waitFor(alice.socket, 'registered');
+    alice.socket.emit('register');
+    expect((await registered).userId).toBe(alice.id);
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den', isPrivate: false });
+    const { roomId, room } = await created;
+    expect(room.host).toBe(alice.id);
+    expect(room.members.map(m => m.username)).toEqual(['alice']);
+
+    const joined = waitFor(bob.socket, 'joinedRoom');
+    const userJoined = waitFor(alice.socket, 'userJoined');
+    expect(await emitWithAck(bob.socket, 'joinRoom', { roomId })).toEqual({ ok: true, roomId });
+    expect((await joined).room.members.map(m => m.username).sort()).toEqual(['alice', 'bob']);
+    expect((await userJoined).userId).toBe(bob.id);
+
+    const aliceSees = waitFor(alice.socket, 'newMessage');
+    const bobSees = waitFor(bob.socket, 'newMessage');
+    bob.socket.emit('sendMessage', { message: 'hello den' });
+    const [a, b] = await Promise.all([aliceSees, bobSees]);
+    expect(a).toMatchObject({ userId: bob.id, username: 'bob', message: 'hello den' });
+    expect(b.id).toBe(a.id);
+
+    // History is persisted and replayed to later joiners.
+    const carol = await server.signupAndConnect('carol');
+    const carolJoined = waitFor(carol.socket, 'joinedRoom');
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+    expect((await carolJoined).room.messages.map(m => m.message)).toEqual(['hello den']);
+  });
+
+  test('host leaving hands the room to the next member', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    const left = waitFor(bob.socket, 'userLeft');
+    alice.socket.emit('leaveRoom');
+    expect((await left).userId).toBe(alice.id);
+    expect(server.context.rooms.get(roomId).host).toBe(bob.id);
+  });
+
+  test('pages older history with getRoomMessages', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'archive' });
+    const { roomId } = await created;
+
+    const start = Date.now() - 1000 * 1000;
+    for (let i = 0; i < 130; i += 1) {
+      await server.storage.messages.create({
+        roomId,
+        userId: alice.id,
+        username: 'alice',
+        message: `message ${i}`,
+        timestamp: new Date(start + i * 1000)
+      });
+    }
+
+    const denied = await emitWithAck(bob.socket, 'getRoomMessages', { roomId });
+    expect(denied.ok).toBe(false);
+
+    const joined = waitFor(bob.socket, 'joinedRoom');
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+    const history = (await joined).room.messages;
+    expect(history).toHaveLength(100);
+    expect(history[0].message).toBe('message 30');
+
+    const page = await emitWithAck(bob.socket, 'getRoomMessages', { roomId, before: history[0].timestamp, limit: 20 });
+    expect(page.ok).toBe(true);
+    expect(page.hasMore).toBe(true);
+    expect(page.messages.map(m => m.message)).toEqual(
+      Array.from({ length: 20 }, (_, i) => `message ${i + 10}`)
+    );
+
+    const last = await emitWithAck(bob.socket, 'getRoomMessages', { roomId, before: page.messages[0].timestamp, limit: 20 });
+    expect(last.messages.map(m => m.message)).toEqual(Array.from({ length: 10 }, (_, i) => `message ${i}`));
+    expect(last.hasMore).toBe(false);
+  });
+
+  test('authors edit their messages; others cannot', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    const sent = waitFor(alice.socket, 'newMessage');
+    bob.socket.emit('sendMessage', { message: 'helo' });
+    const { id } = await sent;
+
+    const updated = waitFor(alice.socket, 'messageUpdated');
+    expect(await emitWithAck(bob.socket, 'editMessage', { messageId: id, message: ' hello ' })).toEqual({ ok: true });
+    expect(await updated).toMatchObject({ id, message: 'hello', editedAt: expect.any(Number), deletedAt: null });
+
+    const carol = await server.signupAndConnect('carol');
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+    expect(await emitWithAck(carol.socket, 'editMessage', { messageId: id, message: 'mine now' }))
+      .toEqual({ ok: false, message: 'Only the author or the room host can do that' });
+
+    const page = await emitWithAck(carol.socket, 'getRoomMessages', { roomId });
+    expect(page.messages.map(m => m.message)).toEqual(['hello']);
+  });
+
+  test('the host can delete any message, leaving a tombstone', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    const sent = waitFor(alice.socket, 'newMessage');
+    bob.socket.emit('sendMessage', { message: 'oops' });
+    const { id } = await sent;
+
+    const deleted = waitFor(bob.socket, 'messageDeleted');
+    expect(await emitWithAck(alice.socket, 'deleteMessage', { messageId: id })).toEqual({ ok: true });
+    expect(await deleted).toMatchObject({ id, roomId, deletedAt: expect.any(Number) });
+    expect((await server.storage.messages.findById(id)).message).toBe('');
+
+    expect(await emitWithAck(bob.socket, 'editMessage', { messageId: id, message: 'undo' }))
+      .toEqual({ ok: false, message: 'Message was deleted' });
+
+    const carol = await server.signupAndConnect('carol');
+    const carolJoined = waitFor(carol.socket, 'joinedRoom');
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+    const [tombstone] = (await carolJoined).room.messages.filter(m => !m.system);
+    expect(tombstone).toMatchObject({ id, message: '', deletedAt: expect.any(Number) });
+  });
+
+  test('reactions are aggregated per emoji and replayed to late joiners', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    const sent = waitFor(alice.socket, 'newMessage');
+    alice.socket.emit('sendMessage', { message: 'party?' });
+    const { id } = await sent;
+
+    expect(await emitWithAck(bob.socket, 'toggleMessageReaction', { messageId: id, emoji: 'yes' }))
+      .toEqual({ ok: false, message: 'Unsupported reaction' });
+
+    await emitWithAck(alice.socket, 'toggleMessageReaction', { messageId: id, emoji: '🎉' });
+    await emitWithAck(bob.socket, 'toggleMessageReaction', { messageId: id, emoji: '👍🏽' });
+    const broadcast = waitFor(alice.socket, 'messageReactionsUpdated', update => update.reactions.length === 2
+      && update.reactions[0].count === 2);
+    const ack = await emitWithAck(bob.socket, 'toggleMessageReaction', { messageId: id, emoji: '🎉' });
+    expect(ack).toMatchObject({ ok: true, reacted: true });
+    expect((await broadcast).reactions).toEqual([
+      { emoji: '🎉', count: 2, userIds: [alice.id, bob.id] },
+      { emoji: '👍🏽', count: 1, userIds: [bob.id] }
+    ]);
+
+    // Toggling again removes the reaction; empty emoji entries disappear.
+    expect(await emitWithAck(bob.socket, 'toggleMessageReaction', { messageId: id, emoji: '👍🏽' }))
+      .toMatchObject({ ok: true, reacted: false, reactions: [{ emoji: '🎉', count: 2 }] });
+
+    const carol = await server.signupAndConnect('carol');
+    const carolJoined = waitFor(carol.socket, 'joinedRoom');
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+    const history = (await carolJoined).room.messages.find(m => m.id === id);
+    expect(history.reactions).toEqual([{ emoji: '🎉', count: 2, userIds: [alice.id, bob.id] }]);
+  });
+
+  test('simultaneous reactions all land', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+    const carol = await server.signupAndConnect('carol');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+    await emitWithAck(carol.socket, 'joinRoom', { roomId });
+
+    const sent = waitFor(alice.socket, 'newMessage');
+    alice.socket.emit('sendMessage', { message: 'party?' });
+    const { id } = await sent;
+
+    await Promise.all([alice, bob, carol].map(u => emitWithAck(u.socket, 'toggleMessageReaction', { messageId: id, emoji: '🎉' })));
+    const stored = await server.storage.messages.findById(id);
+    expect(stored.reactions).toEqual([{ emoji: '🎉', userIds: expect.arrayContaining([alice.id, bob.id, carol.id]) }]);
+    expect(stored.reactions[0].userIds).toHaveLength(3);
+  });
+
+  test('replies quote their thread root and load as a thread', async () => {
+    const alice = await server.signupAndConnect('alice');
+    const bob = await server.signupAndConnect('bob');
+
+    const created = waitFor(alice.socket, 'roomCreated');
+    alice.socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+    await emitWithAck(bob.socket, 'joinRoom', { roomId });
+
+    const rootSent = waitFor(bob.socket, 'newMessage');
+    alice.socket.emit('sendMessage', { message: 'pizza or tacos?' });
+    const root = await rootSent;
+
+    const replySent = waitFor(alice.socket, 'newMessage');
+    bob.socket.emit('sendMessage', { message: 'tacos', replyToMessageId: root.id });
+    const reply = await replySent;
+    expect(reply).toMatchObject({
+      replyToMessageId: root.id,
+      replyTo: { id: root.id, username: 'alice', message: 'pizza or tacos?' }
+    });
+
+    // Replying to a reply stays in the same thread.
+    const nestedSent = waitFor(bob.socket, 'newMessage');
+    alice.socket.emit('sendMessage', { message: 'tacos it is', replyToMessageId: reply.id });
+    expect((await nestedSent).replyToMessageId).toBe(root.id);
+
+    bob.socket.emit('sendMessage', { message: 'unrelated' });
+    await waitFor(alice.socket, 'newMessage', msg => msg.message === 'unrelated');
+
+    const thread = await emitWithAck(alice.socket, 'getMessageThread', { messageId: reply.id });
+    expect(thread.ok).toBe(true);
+    expect(thread.root.id).toBe(root.id);
+    expect(thread.replies.map(m => m.message)).toEqual(['tacos', 'tacos it is']);
+
+    // Editing the root refreshes the quote in history.
+    await emitWithAck(alice.socket, 'editMessage', { messageId: root.id, message: 'pizza or tacos or both?' });
+    const page = await emitWithAck(bob.socket, 'getRoomMessages', { roomId });
+    expect(page.messages.find(m => m.id === reply.id).replyTo.message).toBe('pizza or tacos or both?');
+  });
+
+  test('joining an unknown room reports an error', async () => {
+    const socket = await server.connect({ username: 'drifter' });
+    const error = waitFor(socket, 'error');
+    socket.emit('joinRoom', { roomId: 'ffffffffffffffffffffffff' });
+    expect((await error).message).toBe('Room not found');
+  });
+
+  test('malformed messages are rejected before they reach storage', async () => {
+    const socket = await server.connect({ username: 'chatter' });
+    const created = waitFor(socket, 'roomCreated');
+    socket.emit('createRoom', { name: 'den' });
+    const { roomId } = await created;
+
+    socket.emit('sendMessage');
+    expect(await emitWithAck(socket, 'sendMessage', { message: 42 })).toEqual({ ok: false, message: 'Message cannot be empty' });
+    expect(await emitWithAck(socket, 'sendMessage', { message: '   ' })).toEqual({ ok: false, message: 'Message cannot be empty' });
+    expect(await emitWithAck(socket, 'sendMessage', { message: 'x'.repeat(1001) })).toEqual({ ok: false, message: 'Message is too long' });
+
+    const sent = waitFor(socket, 'newMessage');
+    expect(await emitWithAck(socket, 'sendMessage', { message: 'still here' })).toEqual({ ok: true });
+    expect((await sent).message).toBe('still here');
+    expect(await server.storage.messages.listByRoom(roomId)).toHaveLength(1);
+  });
+
+  test('a room that cannot be created reports an error instead of crashing', async () => {
+    const socket = await server.connect({ username: 'builder' });
+
+    let error = waitFor(socket, 'error');
+    socket.emit('createRoom', { name: 'x'.repeat(51) });
+    expect((await error).message).toBe('Room names must be 1-50 characters');
+
+    const create = server.storage.rooms.create;
+    server.storage.rooms.create = () => Promise.reject(new Error('disk full'));
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+    error = waitFor(socket, 'error');
+    socket.emit('createRoom', { name: 'den' });
+    expect((await error).message).toBe('Could not create the room');
+    logged.mockRestore();
+    server.storage.rooms.create = create;
+
+    const created = waitFor(socket, 'roomCreated');
+    socket.emit('createRoom', { name: '  den  ' });
+    expect((await created).room.name).toBe('den');
+  });
+
+  test('the in-memory store applies the model validators', async () => {
+    const { messages } = server.storage;
+    const roomId = 'ffffffffffffffffffffffff';
+    await expect(messages.create({ roomId, userId: 'u1', username: 'al', message: 'x'.repeat(1001) }))
+      .rejects.toMatchObject({ name: 'ValidationError', errors: { message: expect.anything() } });
+    await expect(messages.create({ roomId, userId: 'u1', username: 'al' })).rejects.toMatchObject({ name: 'ValidationError' });
+
+    const saved = await messages.create({ roomId, userId: 'u1', username: 'al', message: 'hi' });
+    await expect(messages.update(saved._id, { message: '' })).rejects.toMatchObject({ name: 'ValidationError' });
+    expect(await messages.update(saved._id, { message: '', deletedAt: new Date() })).toMatchObject({ message: '' });
+  });
+});
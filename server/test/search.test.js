@@ -0,0 +1,97 @@
+const { startTestServer, waitFor, emitWithAck } = require('./helpers');
+
+describe('search', () => {
+  let server;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    alice = await server.signupAndConnect('alice');
+    bob = await server.signupAndConnect('bob');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const search = (account, q, extra = '') => server.request('GET', `/api/search?q=${encodeURIComponent(q)}${extra}`, null, account.token);
+
+  async function createRoom(account, name, isPrivate) {
+    const created = waitFor(account.socket, 'roomCreated');
+    account.socket.emit('createRoom', { name, isPrivate });
+    return (await created).roomId;
+  }
+
+  async function say(account, message) {
+    const sent = waitFor(account.socket, 'newMessage', msg => msg.message === message);
+    account.socket.emit('sendMessage', { message });
+    return (await sent).id;
+  }
+
+  test('requires a session and a query', async () => {
+    expect((await server.request('GET', '/api/search?q=hello')).status).toBe(401);
+    const short = await search(alice, ' a ');
+    expect(short.status).toBe(400);
+    expect(short.body).toEqual({ success: false, error: 'Search for at least 2 characters' });
+  });
+
+  test('room messages are searchable only where the user has access', async () => {
+    await createRoom(alice, 'vault', true);
+    const secretId = await say(alice, 'secret pancakes');
+    alice.socket.emit('leaveRoom');
+
+    const denId = await createRoom(bob, 'den', false);
+    const publicId = await say(bob, 'Pancakes recipe, pancakes forever');
+    const deletedId = await say(bob, 'burnt pancakes');
+    await emitWithAck(bob.socket, 'deleteMessage', { messageId: deletedId });
+
+    const mine = await search(alice, 'PANCAKES');
+    expect(mine.body.success).toBe(true);
+    expect(mine.body.results.rooms.map(r => r.messageId)).toEqual([publicId, secretId]);
+    expect(mine.body.results.rooms[0]).toMatchObject({ roomId: denId, roomName: 'den', username: 'bob' });
+
+    const theirs = await search(bob, 'pancakes');
+    expect(theirs.body.results.rooms.map(r => r.messageId)).toEqual([publicId]);
+
+    // Edits are reindexed.
+    await emitWithAck(bob.socket, 'editMessage', { messageId: publicId, message: 'waffles recipe' });
+    expect((await search(bob, 'pancakes')).body.results.rooms).toEqual([]);
+    expect((await search(bob, 'waffles')).body.results.rooms.map(r => r.messageId)).toEqual([publicId]);
+  });
+
+  test('DMs are only found by their participants', async () => {
+    const carol = await server.signupAndConnect('carol');
+    const sent = await emitWithAck(alice.socket, 'sendDirectMessage', { toUserId: bob.id, message: 'meet at the harbor' });
+
+    const forBob = await search(bob, 'harbor', '&types=directMessages');
+    expect(forBob.body.results).toEqual({
+      rooms: [],
+      feed: [],
+      directMessages: [expect.objectContaining({
+        messageId: sent.id,
+        fromUserId: alice.id,
+        withUserId: alice.id,
+        withUsername: 'alice',
+        snippet: 'meet at the harbor'
+      })]
+    });
+
+    expect((await search(alice, 'harbor')).body.results.directMessages[0].withUserId).toBe(bob.id);
+    expect((await search(carol, 'harbor')).body.results.directMessages).toEqual([]);
+  });
+
+  test('feed hits point at the matching comment', async () => {
+    const post = await server.storage.feedPosts.create({ authorId: alice.id, author: 'alice', content: 'New bike day' });
+    const commented = await emitWithAck(bob.socket, 'addFeedComment', { postId: post._id, text: 'Congrats on the tandem!' });
+    expect(commented.ok).toBe(true);
+
+    const res = await search(alice, 'tandem');
+    const [hit] = res.body.results.feed;
+    expect(hit).toMatchObject({ postId: post._id, username: 'bob', snippet: 'Congrats on the tandem!' });
+    expect(hit.commentId).toEqual(expect.any(String));
+    expect(hit.post).toMatchObject({ id: post._id, content: 'New bike day' });
+
+    expect((await search(alice, 'bike')).body.results.feed[0]).toMatchObject({ commentId: null, username: 'alice' });
+  });
+});
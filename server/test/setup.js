@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// The server logs every connection and room change; keep test output to failures and errors.
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+// Against MongoDB (see globalSetup.js), each test file gets its own database.
+if (process.env.TEST_STORAGE === 'mongo') {
+  beforeAll(async () => {
+    await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: `hangout_test_${process.env.JEST_WORKER_ID}` });
+    await mongoose.connection.dropDatabase();
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+  });
+}
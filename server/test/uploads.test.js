@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./helpers');
+const { createMemoryStorage } = require('../storage');
+
+describe('uploading', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  function upload(token, body, type, name) {
+    const form = new FormData();
+    form.append('file', new Blob([body], { type }), name);
+    return fetch(`${server.url}/api/uploads`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form
+    });
+  }
+
+  test('needs a signed-in user', async () => {
+    const res = await upload(null, 'png', 'image/png', 'a.png');
+    expect(res.status).toBe(401);
+  });
+
+  test('files are stored as they stream in', async () => {
+    const { id, token } = await server.signup('alice');
+    const res = await upload(token, 'fake mp3', 'audio/mpeg', 'song.mp3');
+    const body = await res.json();
+    expect(body).toMatchObject({ success: true, contentType: 'audio/mpeg', name: 'song.mp3' });
+
+    const file = await server.storage.uploads.findFile(body.fileId);
+    expect(file).toMatchObject({ filename: 'song.mp3', contentType: 'audio/mpeg', length: 8, metadata: { uploaderId: id } });
+    expect(await (await fetch(body.url)).text()).toBe('fake mp3');
+  });
+
+  test('rejects other kinds of files and oversized images', async () => {
+    const { token } = await server.signup('alice');
+    const text = await upload(token, 'hi', 'text/plain', 'notes.txt');
+    expect(text.status).toBe(400);
+    expect(await text.json()).toEqual({ success: false, error: 'Only image, audio and video uploads are allowed' });
+
+    const huge = await upload(token, Buffer.alloc(8 * 1024 * 1024 + 1), 'image/png', 'huge.png');
+    expect(huge.status).toBe(413);
+    expect(await huge.json()).toEqual({ success: false, error: 'Images must be 8MB or smaller' });
+  });
+});
+
+describe('memory snapshot uploads', () => {
+  let dir;
+  let snapshotPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    snapshotPath = path.join(dir, 'snapshot.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const read = async (stream) => Buffer.concat(await stream.toArray()).toString();
+
+  test('bodies are kept in files beside the snapshot, not in it', async () => {
+    const storage = createMemoryStorage({ snapshotPath });
+    const { fileId } = await storage.uploads.save({ buffer: Buffer.from('0123456789'), filename: 'clip.mp4', contentType: 'video/mp4' });
+    await storage.flush();
+
+    const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+    expect(snapshot.uploads).toEqual([expect.not.objectContaining({ data: expect.anything() })]);
+    expect(fs.readFileSync(path.join(`${snapshotPath}.uploads`, fileId), 'utf8')).toBe('0123456789');
+
+    const reloaded = createMemoryStorage({ snapshotPath });
+    expect(await reloaded.uploads.findFile(fileId)).toMatchObject({ filename: 'clip.mp4', length: 10 });
+    expect(await read(reloaded.uploads.openDownloadStream(fileId, { start: 2, end: 6 }))).toBe('2345');
+
+    expect(await reloaded.uploads.delete(fileId)).toBe(true);
+    expect(fs.existsSync(path.join(`${snapshotPath}.uploads`, fileId))).toBe(false);
+  });
+
+  test('bodies inlined by older snapshots move out on load', async () => {
+    const fileId = '65a000000000000000000001';
+    fs.writeFileSync(snapshotPath, JSON.stringify({
+      collections: {},
+      uploads: [{ id: fileId, filename: 'a.png', contentType: 'image/png', length: 3, metadata: {}, data: Buffer.from('png').toString('base64') }]
+    }));
+
+    const storage = createMemoryStorage({ snapshotPath });
+    expect(await read(storage.uploads.openDownloadStream(fileId))).toBe('png');
+    await storage.flush();
+    expect(JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).uploads[0]).not.toHaveProperty('data');
+  });
+});
+
+describe('downloading', () => {
+  let server;
+  let fileUrl;
+
+  beforeEach(async () => {
+    server = await startTestServer();
+    const { fileId } = await server.storage.uploads.save({
+      buffer: Buffer.from('0123456789'),
+      filename: 'clip.mp4',
+      contentType: 'video/mp4'
+    });
+    fileUrl = `${server.url}/api/uploads/${fileId}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  const get = (headers = {}, method = 'GET') => fetch(fileUrl, { method, headers });
+
+  test('whole files come with their validators', async () => {
+    const res = await get();
+    expect(res.status).toBe(200);
+    expect(res.headers.get('accept-ranges')).toBe('bytes');
+    expect(res.headers.get('content-length')).toBe('10');
+    expect(res.headers.get('content-type')).toBe('video/mp4');
+    expect(res.headers.get('etag')).toMatch(/^".+"$/);
+    expect(new Date(res.headers.get('last-modified')).getTime()).not.toBeNaN();
+    expect(await res.text()).toBe('0123456789');
+
+    const head = await get({}, 'HEAD');
+    expect(head.status).toBe(200);
+    expect(head.headers.get('content-length')).toBe('10');
+    expect(await head.text()).toBe('');
+  });
+
+  test('byte ranges get a 206', async () => {
+    const middle = await get({ Range: 'bytes=2-5' });
+    expect(middle.status).toBe(206);
+    expect(middle.headers.get('content-range')).toBe('bytes 2-5/10');
+    expect(middle.headers.get('content-length')).toBe('4');
+    expect(await middle.text()).toBe('2345');
+
+    const suffix = await get({ Range: 'bytes=-3' });
+    expect(suffix.headers.get('content-range')).toBe('bytes 7-9/10');
+    expect(await suffix.text()).toBe('789');
+
+    const open = await get({ Range: 'bytes=8-' });
+    expect(await open.text()).toBe('89');
+
+    const head = await get({ Range: 'bytes=0-0' }, 'HEAD');
+    expect(head.status).toBe(206);
+    expect(head.headers.get('content-length')).toBe('1');
+
+    const outside = await get({ Range: 'bytes=20-30' });
+    expect(outside.status).toBe(416);
+    expect(outside.headers.get('content-range')).toBe('bytes */10');
+
+    // A range for an older version of the file (per If-Range) gets the whole thing.
+    const stale = await get({ Range: 'bytes=2-5', 'If-Range': '"something-else"' });
+    expect(stale.status).toBe(200);
+    expect(await stale.text()).toBe('0123456789');
+  });
+
+  test('conditional requests get a 304', async () => {
+    const first = await get();
+    const etag = first.headers.get('etag');
+    const lastModified = first.headers.get('last-modified');
+
+    // As a browser revalidating its cache sends them (fetch would add `no-cache` otherwise).
+    const revalidate = (headers) => get({ 'Cache-Control': 'max-age=0', ...headers });
+
+    const byTag = await revalidate({ 'If-None-Match': etag });
+    expect(byTag.status).toBe(304);
+    expect(byTag.headers.get('etag')).toBe(etag);
+
+    expect((await revalidate({ 'If-Modified-Since': lastModified })).status).toBe(304);
+    expect((await revalidate({ 'If-None-Match': '"other"' })).status).toBe(200);
+    expect((await revalidate({ 'If-Modified-Since': new Date(0).toUTCString() })).status).toBe(200);
+  });
+});